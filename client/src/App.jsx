@@ -2,18 +2,28 @@ import React, { useState, useEffect } from "react";
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from "react-router-dom";
 import Navbar from "./components/Navbar";
 import Auditoriums from "./pages/Audis/Auditoriums";
-import KSAudi from "./pages/Audis/KSAudi";
+import AuditoriumDetail from "./pages/Audis/AuditoriumDetail";
 import Homepage from "./pages/Homepage";
 import Login from "./pages/Login";
-import BBlockSeminarHall from "./pages/Audis/BBlock";
 import BookAuditorium from "./user/BookAuditorium";
 import AdminDashboard from "./admin/Admindashboard";
 import ManageBookings from "./admin/ManageBookings";
 import BookingHistory from "./user/BookingHistory";
-import APJAuditorium from "./pages/Audis/APJAudi.jsx";
-import PEBHall from "./pages/Audis/PEBHall.jsx";
 import AdminScheduleViewer from "./admin/AdminScheduleViewer";
+import ManagePolicies from "./admin/ManagePolicies";
+import ManageBlackouts from "./admin/ManageBlackouts";
+import ManageAuditoriums from "./admin/ManageAuditoriums";
+import ManageEquipment from "./admin/ManageEquipment";
+import ManageApprovalWorkflows from "./admin/ManageApprovalWorkflows";
+import MyApprovals from "./user/MyApprovals";
+import ManageUsers from "./admin/ManageUsers";
+import ResetPassword from "./pages/ResetPassword";
+import ForgotPassword from "./pages/ForgotPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import SsoCallback from "./pages/SsoCallback";
+import Profile from "./pages/Profile";
 import Footer from "./components/Footer";
+import { SESSION_EVENT } from "./utils/authSession";
 
 
 function AppContent() {
@@ -23,7 +33,10 @@ function AppContent() {
     const [userRole, setUserRole] = useState(() => localStorage.getItem('userRole') || "");
     const [userEmail, setUserEmail] = useState(() => localStorage.getItem('userEmail') || "");
 
-    useEffect(() => { const handler = () => { setIsLoggedIn(!!localStorage.getItem('authToken')); setUserRole(localStorage.getItem('userRole') || ""); setUserEmail(localStorage.getItem('userEmail') || ""); }; window.addEventListener('storage', handler); return () => { window.removeEventListener('storage', handler); }; }, []);
+    // Staff = admins plus the scoped coordinator / venue-manager / auditor roles; only admins configure the system
+    const isStaff = isLoggedIn && !!userRole && userRole !== 'user';
+
+    useEffect(() => { const handler = () => { setIsLoggedIn(!!localStorage.getItem('authToken')); setUserRole(localStorage.getItem('userRole') || ""); setUserEmail(localStorage.getItem('userEmail') || ""); }; window.addEventListener('storage', handler); window.addEventListener(SESSION_EVENT, handler); return () => { window.removeEventListener('storage', handler); window.removeEventListener(SESSION_EVENT, handler); }; }, []);
 
     return (
         <div className="flex flex-col min-h-screen">
@@ -35,16 +48,18 @@ function AppContent() {
                     <Route path="/" element={<Homepage isLoggedIn={isLoggedIn} userRole={userRole} />} />
                     {/* --- END MODIFICATION --- */}
                     <Route path="/auditoriums" element={<Auditoriums />} />
-                    <Route path="/ks-auditorium" element={<KSAudi />} />
-                    <Route path="/b-block-seminar-hall" element={<BBlockSeminarHall />} />
-                    <Route path="/auditoriums/b-block" element={<BBlockSeminarHall />} />
-                    <Route path="/peb-hall" element={<PEBHall />} />
-                    <Route path="/apj-auditorium" element={<APJAuditorium />} />
+                    <Route path="/auditoriums/:slug" element={<AuditoriumDetail />} />
+                    {/* Former static venue pages */}
+                    <Route path="/ks-auditorium" element={<Navigate to="/auditoriums/ks-auditorium" replace />} />
+                    <Route path="/b-block-seminar-hall" element={<Navigate to="/auditoriums/b-block-seminar-hall" replace />} />
+                    <Route path="/auditoriums/b-block" element={<Navigate to="/auditoriums/b-block-seminar-hall" replace />} />
+                    <Route path="/peb-hall" element={<Navigate to="/auditoriums/peb-training-hall" replace />} />
+                    <Route path="/apj-auditorium" element={<Navigate to="/auditoriums/apj-abdul-kalam-auditorium" replace />} />
 
                     {/* Login Route - Modified */}
                     <Route path="/login" element={
                         isLoggedIn ? (
-                            userRole === "admin" ?
+                            userRole !== "user" ?
                                 <Navigate to="/admin-dashboard"/> :
                                 <Navigate to="/"/> // Redirect logged-in users away from login
                         ) : (
@@ -56,17 +71,31 @@ function AppContent() {
                         )
                     } />
 
+                    {/* Password reset and email verification links (work logged out) */}
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password/:token" element={<ResetPassword />} />
+                    <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                    <Route path="/sso/callback" element={<SsoCallback setIsLoggedIn={setIsLoggedIn} setUserRole={setUserRole} setUserEmail={setUserEmail} />} />
+
                     {/* Redirect admin-login to prevent direct access */}
                     <Route path="/admin-login" element={<Navigate to="/login" replace />} />
 
                     {/* User Routes */}
                     <Route path="/book-auditorium" element={isLoggedIn&&userRole==='user'?<BookAuditorium userEmail={userEmail}/>:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
                     <Route path="/booking-history" element={isLoggedIn&&userRole==='user'?<BookingHistory />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/my-approvals" element={isLoggedIn&&userRole==='user'?<MyApprovals />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/profile" element={isLoggedIn?<Profile />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
 
-                    {/* Admin Routes */}
-                    <Route path="/admin-dashboard" element={isLoggedIn&&userRole==='admin'?<AdminDashboard />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
-                    <Route path="/manage-bookings" element={isLoggedIn&&userRole==='admin'?<ManageBookings />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
-                    <Route path="/admin/schedule-viewer" element={isLoggedIn&&userRole==='admin'?<AdminScheduleViewer />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    {/* Staff Routes (admin-only pages below) */}
+                    <Route path="/admin-dashboard" element={isStaff?<AdminDashboard />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/manage-bookings" element={isStaff?<ManageBookings />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/schedule-viewer" element={isStaff?<AdminScheduleViewer />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/equipment" element={isStaff?<ManageEquipment />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/policies" element={isLoggedIn&&userRole==='admin'?<ManagePolicies />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/blackouts" element={isLoggedIn&&userRole==='admin'?<ManageBlackouts />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/auditoriums" element={isLoggedIn&&userRole==='admin'?<ManageAuditoriums />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/approval-workflows" element={isLoggedIn&&userRole==='admin'?<ManageApprovalWorkflows />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
+                    <Route path="/admin/users" element={isLoggedIn&&userRole==='admin'?<ManageUsers />:<Navigate to="/login" replace state={{from:location.pathname}}/>} />
 
                     <Route path="*" element={<div className="p-10 text-center"><h2>404 Not Found</h2></div>} />
                 </Routes>
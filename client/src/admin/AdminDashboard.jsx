@@ -18,6 +18,65 @@ const TrendChart = ({ title, data, isLoading, error, xAxisDataKey, lineDataKey,
    return ( <div className={`bg-white p-4 sm:p-6 rounded-lg shadow min-h-[${containerMinHeight}px] flex flex-col`}> <div className="flex justify-between items-start mb-4 flex-shrink-0 flex-wrap gap-2"> <h2 className="text-lg sm:text-xl font-semibold text-gray-700 whitespace-nowrap mr-4">{title}</h2> <div className="flex items-center gap-4 flex-wrap"> {selector && (<div className="flex-1 min-w-[180px]">{selector}</div>)} {periodButtons && (<div className="flex items-center gap-1 sm:gap-2 flex-wrap flex-shrink-0"> <span className="text-xs text-gray-500">Period:</span> {[7, 30, 90].map(dayOption => ( <button key={dayOption} onClick={() => onPeriodChange(dayOption)} disabled={isLoading} className={`px-2 py-0.5 text-xs rounded ${currentPeriod === dayOption ? 'bg-red-600 text-white font-semibold shadow-sm' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'} disabled:opacity-50 transition-colors duration-150`}> {dayOption}d </button> ))} </div>)} </div> </div> <div className="flex-grow flex items-center justify-center relative min-h-[300px]"> {isLoading && (<div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-50 z-10"><p className="text-sm text-gray-500 animate-pulse">Loading chart...</p></div>)} {error && !isLoading && (<div className="absolute inset-0 flex items-center justify-center p-4"><p className="text-sm text-red-500 px-4 text-center">Error: {error}</p></div>)} {!isLoading && !error && (!data || data.length === 0) && (<div className="absolute inset-0 flex items-center justify-center p-4"><p className="text-sm text-gray-500 italic">{emptyMessage || 'No data available.'}</p></div>)} {!isLoading && !error && data && data.length > 0 && ( <ResponsiveContainer width="99%" height={chartMinHeight}> <LineChart data={data} margin={{ top: 5, right: 20, bottom: 30, left: 0 }}> <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" /> <XAxis dataKey={xAxisDataKey} tickFormatter={formatTrendDateTick} tick={{ fontSize: 10 }} interval="preserveStartEnd" dy={10} angle={-10} textAnchor="end"/> <YAxis allowDecimals={false} tick={{ fontSize: 11 }} width={30} label={yAxisLabel ? { value: yAxisLabel, angle: -90, position: 'insideLeft', style: { fontSize: '10px', textAnchor: 'middle' }, dy: -10 } : undefined}/> <Tooltip formatter={(value) => [value?.toLocaleString() ?? '0', 'Count']} labelFormatter={(label) => { try { return format(parseISO(label), 'EEE, MMM d, yyyy'); } catch { return label; } }}/> <Legend verticalAlign="top" height={30} /> <Line type="monotone" dataKey={lineDataKey} name="Requests" stroke={lineColor || "#8884d8"} strokeWidth={2} dot={{ r: 3 }} activeDot={{ r: 6 }}/> </LineChart> </ResponsiveContainer> )} </div> </div> );
 };
 
+/** Expected attendance of approved events against each hall's capacity */
+const SeatUtilisationTable = ({ rows, isLoading, error, currentPeriod, onPeriodChange }) => {
+  const seatsOffered = rows.reduce((sum, row) => sum + row.capacity * row.bookings, 0);
+  const seatsUsed = rows.reduce((sum, row) => sum + row.totalAttendance, 0);
+  const overallFill = seatsOffered > 0 ? Math.round((seatsUsed / seatsOffered) * 1000) / 10 : 0;
+  const fillColor = (rate) => (rate > 100 ? "text-red-600" : rate < 50 ? "text-yellow-600" : "text-green-600");
+  return (
+    <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+      <div className="flex justify-between items-start mb-4 flex-wrap gap-2">
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-gray-700">Seat Utilisation</h2>
+          <p className="text-xs text-gray-500">Expected attendance of approved events vs. seats available{rows.length > 0 ? ` · ${overallFill}% of ${seatsOffered.toLocaleString()} seats filled overall` : ""}</p>
+        </div>
+        <div className="flex items-center gap-1 sm:gap-2 flex-wrap">
+          <span className="text-xs text-gray-500">Period:</span>
+          {[30, 90, 365].map((dayOption) => (
+            <button key={dayOption} onClick={() => onPeriodChange(dayOption)} disabled={isLoading} className={`px-2 py-0.5 text-xs rounded ${currentPeriod === dayOption ? 'bg-red-600 text-white font-semibold shadow-sm' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'} disabled:opacity-50 transition-colors duration-150`}>
+              {dayOption}d
+            </button>
+          ))}
+        </div>
+      </div>
+      {isLoading && <p className="text-sm text-gray-500 animate-pulse text-center py-6">Loading utilisation...</p>}
+      {error && !isLoading && <p className="text-sm text-red-500 text-center py-6">Error: {error}</p>}
+      {!isLoading && !error && rows.length === 0 && <p className="text-sm text-gray-500 italic text-center py-6">No approved events with an expected attendance in this period.</p>}
+      {!isLoading && !error && rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-500 border-b">
+                <th className="py-2 pr-4">Auditorium</th>
+                <th className="py-2 pr-4 text-right">Seats</th>
+                <th className="py-2 pr-4 text-right">Events</th>
+                <th className="py-2 pr-4 text-right">Avg. attendance</th>
+                <th className="py-2 pr-4 text-right">Peak</th>
+                <th className="py-2 pr-4 text-right">Avg. fill</th>
+                <th className="py-2 text-right">Under half full</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map((row) => (
+                <tr key={row._id}>
+                  <td className="py-2 pr-4 text-gray-800">{row.name}</td>
+                  <td className="py-2 pr-4 text-right text-gray-600">{row.capacity}</td>
+                  <td className="py-2 pr-4 text-right text-gray-600">{row.bookings}</td>
+                  <td className="py-2 pr-4 text-right text-gray-600">{row.averageAttendance}</td>
+                  <td className="py-2 pr-4 text-right text-gray-600">{row.peakAttendance}</td>
+                  <td className={`py-2 pr-4 text-right font-semibold ${fillColor(row.averageFillRate)}`}>{row.averageFillRate}%</td>
+                  <td className="py-2 text-right text-gray-600">{row.underHalfFull}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // --- Main AdminDashboard Component ---
 
 const AdminDashboard = () => {
@@ -25,7 +84,7 @@ const AdminDashboard = () => {
 
   // --- State Definitions ---
   // Existing states...
-  const [stats, setStats] = useState({ total: 0, pending: 0, approved: 0, rejected: 0 });
+  const [stats, setStats] = useState({ total: 0, pending: 0, pendingAdmin: 0, pendingByStage: [], approved: 0, rejected: 0, cancelled: 0, awaitingRequester: 0 });
   const [isLoadingStats, setIsLoadingStats] = useState(true);
   const [statsError, setStatsError] = useState("");
   const [upcomingBookings, setUpcomingBookings] = useState([]);
@@ -50,6 +109,10 @@ const AdminDashboard = () => {
   const [isLoadingDeptTrends, setIsLoadingDeptTrends] = useState(false);
   const [deptTrendsError, setDeptTrendsError] = useState("");
   const [deptTrendsDays, setDeptTrendsDays] = useState(30);
+  const [seatUtilisation, setSeatUtilisation] = useState([]);
+  const [isLoadingSeatUtilisation, setIsLoadingSeatUtilisation] = useState(true);
+  const [seatUtilisationError, setSeatUtilisationError] = useState("");
+  const [seatUtilisationDays, setSeatUtilisationDays] = useState(90);
 
   // --- NEW State for Modal ---
   const [actionRequiredBookings, setActionRequiredBookings] = useState([]);
@@ -68,10 +131,10 @@ const AdminDashboard = () => {
   // Effect 1: Fetch Initial Dashboard Data (Stats, Upcoming, Dropdowns, Overall Trends)
   useEffect(() => {
     // ... (keep existing implementation) ...
-    const abortController = new AbortController(); const token = localStorage.getItem("authToken"); const userRole = localStorage.getItem("userRole"); if (!token || userRole !== "admin") { setStatsError("Access Denied."); setIsLoadingStats(false); setIsLoadingUpcoming(false); setIsLoadingDropdowns(false); setIsLoadingTrends(false); return; }
-    const fetchInitialData = async () => { setStatsError(''); setUpcomingError(''); setDropdownError(''); setTrendsError(''); setIsLoadingStats(true); setIsLoadingUpcoming(true); setIsLoadingDropdowns(true); setIsLoadingTrends(true); const apiUrlBase = import.meta.env.VITE_API_URL || "http://localhost:5001"; const statsUrl = `${apiUrlBase}/api/bookings/admin/stats`; const upcomingUrl = `${apiUrlBase}/api/bookings/admin/upcoming?days=${upcomingDays}`; const audiUrl = `${apiUrlBase}/api/auditoriums`; const deptUrl = `${apiUrlBase}/api/departments`; const trendsUrl = `${apiUrlBase}/api/bookings/admin/trends?days=${trendsDays}`;
+    const abortController = new AbortController(); const token = localStorage.getItem("authToken"); const userRole = localStorage.getItem("userRole"); if (!token || !userRole || userRole === "user") { setStatsError("Access Denied."); setIsLoadingStats(false); setIsLoadingUpcoming(false); setIsLoadingDropdowns(false); setIsLoadingTrends(false); return; }
+    const fetchInitialData = async () => { setStatsError(''); setUpcomingError(''); setDropdownError(''); setTrendsError(''); setIsLoadingStats(true); setIsLoadingUpcoming(true); setIsLoadingDropdowns(true); setIsLoadingTrends(true); const apiUrlBase = import.meta.env.VITE_API_URL || "http://localhost:5001"; const statsUrl = `${apiUrlBase}/api/bookings/admin/stats`; const upcomingUrl = `${apiUrlBase}/api/bookings/admin/upcoming?days=${upcomingDays}`; const audiUrl = `${apiUrlBase}/api/auditoriums?includeInactive=true`; const deptUrl = `${apiUrlBase}/api/departments`; const trendsUrl = `${apiUrlBase}/api/bookings/admin/trends?days=${trendsDays}`;
       try { const [statsResult, upcomingResult, audiResult, deptResult, trendsResult] = await Promise.allSettled([ fetchData(statsUrl, token, abortController.signal), fetchData(upcomingUrl, token, abortController.signal), fetchData(audiUrl, token, abortController.signal), fetchData(deptUrl, token, abortController.signal), fetchData(trendsUrl, token, abortController.signal) ]);
-        if (statsResult.status === 'fulfilled' && statsResult.value) { setStats({ total: statsResult.value.total ?? 0, pending: statsResult.value.pending ?? 0, approved: statsResult.value.approved ?? 0, rejected: statsResult.value.rejected ?? 0, }); } else if (statsResult.status === 'rejected') { setStatsError(statsResult.reason.message || 'Failed to load stats'); }
+        if (statsResult.status === 'fulfilled' && statsResult.value) { setStats({ total: statsResult.value.total ?? 0, pending: statsResult.value.pending ?? 0, pendingAdmin: statsResult.value.pendingAdmin ?? statsResult.value.pending ?? 0, pendingByStage: statsResult.value.pendingByStage ?? [], approved: statsResult.value.approved ?? 0, rejected: statsResult.value.rejected ?? 0, cancelled: statsResult.value.cancelled ?? 0, awaitingRequester: statsResult.value.awaitingRequester ?? 0, }); } else if (statsResult.status === 'rejected') { setStatsError(statsResult.reason.message || 'Failed to load stats'); }
         if (upcomingResult.status === 'fulfilled' && Array.isArray(upcomingResult.value)) { setUpcomingBookings(upcomingResult.value); } else if (upcomingResult.status === 'rejected') { setUpcomingError(upcomingResult.reason.message || 'Failed to load upcoming events'); }
         if (audiResult.status === 'fulfilled' && Array.isArray(audiResult.value)) { setAuditoriums(audiResult.value); } else if (audiResult.status === 'rejected') { setDropdownError(prev => prev + 'Auditoriums Failed. '); }
         if (deptResult.status === 'fulfilled' && Array.isArray(deptResult.value)) { setDepartments(deptResult.value); } else if (deptResult.status === 'rejected') { setDropdownError(prev => prev + 'Departments Failed. '); }
@@ -90,14 +153,14 @@ const AdminDashboard = () => {
   // Effect 3: Fetch Auditorium Specific Trends
   useEffect(() => {
     // ... (keep existing implementation) ...
-    if (selectedAudiId === '') { setAudiTrendData([]); setIsLoadingAudiTrends(false); setAudiTrendsError(""); return; } const abortController = new AbortController(); const token = localStorage.getItem("authToken"); const userRole = localStorage.getItem("userRole"); if (!token || userRole !== "admin") { setIsLoadingAudiTrends(false); setAudiTrendsError("Access Denied."); return; }
+    if (selectedAudiId === '') { setAudiTrendData([]); setIsLoadingAudiTrends(false); setAudiTrendsError(""); return; } const abortController = new AbortController(); const token = localStorage.getItem("authToken"); const userRole = localStorage.getItem("userRole"); if (!token || !userRole || userRole === "user") { setIsLoadingAudiTrends(false); setAudiTrendsError("Access Denied."); return; }
     const fetchAudiTrendData = async () => { setIsLoadingAudiTrends(true); setAudiTrendsError(""); const apiUrl = `${import.meta.env.VITE_API_URL || "http://localhost:5001"}/api/bookings/admin/trends?days=${audiTrendsDays}&auditoriumId=${selectedAudiId}`; try { const data = await fetchData(apiUrl, token, abortController.signal); if (data !== undefined && Array.isArray(data)) { setAudiTrendData(data); } else if (data !== undefined) { throw new Error("Invalid format received for auditorium trends."); } } catch (err) { if (err.name !== 'AbortError') { console.error(`Error fetching trends for auditorium ${selectedAudiId}:`, err); setAudiTrendsError(err.message || "Could not load trends."); setAudiTrendData([]); } } finally { if (!abortController.signal.aborted) { setIsLoadingAudiTrends(false); } } }; fetchAudiTrendData(); return () => abortController.abort();
   }, [fetchData, selectedAudiId, audiTrendsDays]);
 
   // Effect 4: Fetch Department Specific Trends
   useEffect(() => {
     // ... (keep existing implementation) ...
-    if (selectedDeptId === '') { setDeptTrendData([]); setIsLoadingDeptTrends(false); setDeptTrendsError(""); return; } const abortController = new AbortController(); const token = localStorage.getItem("authToken"); const userRole = localStorage.getItem("userRole"); if (!token || userRole !== "admin") { setIsLoadingDeptTrends(false); setDeptTrendsError("Access Denied."); return; }
+    if (selectedDeptId === '') { setDeptTrendData([]); setIsLoadingDeptTrends(false); setDeptTrendsError(""); return; } const abortController = new AbortController(); const token = localStorage.getItem("authToken"); const userRole = localStorage.getItem("userRole"); if (!token || !userRole || userRole === "user") { setIsLoadingDeptTrends(false); setDeptTrendsError("Access Denied."); return; }
     const fetchDeptTrendData = async () => { setIsLoadingDeptTrends(true); setDeptTrendsError(""); const apiUrl = `${import.meta.env.VITE_API_URL || "http://localhost:5001"}/api/bookings/admin/trends?days=${deptTrendsDays}&departmentId=${selectedDeptId}`; try { const data = await fetchData(apiUrl, token, abortController.signal); if (data !== undefined && Array.isArray(data)) { setDeptTrendData(data); } else if (data !== undefined) { throw new Error("Invalid format received for department trends."); } } catch (err) { if (err.name !== 'AbortError') { console.error(`Error fetching trends for department ${selectedDeptId}:`, err); setDeptTrendsError(err.message || "Could not load trends."); setDeptTrendData([]); } } finally { if (!abortController.signal.aborted) { setIsLoadingDeptTrends(false); } } }; fetchDeptTrendData(); return () => abortController.abort();
   }, [fetchData, selectedDeptId, deptTrendsDays]);
 
@@ -107,7 +170,7 @@ const AdminDashboard = () => {
     const token = localStorage.getItem("authToken");
     const userRole = localStorage.getItem("userRole");
 
-    if (!token || userRole !== "admin") {
+    if (!token || !userRole || userRole === "user") {
       // Don't show modal if not admin, maybe set an error if needed elsewhere
       setIsLoadingModalData(false);
       return;
@@ -151,11 +214,39 @@ const AdminDashboard = () => {
   }, [fetchData]); // Run once on mount (fetchData is stable)
   // --- END NEW Effect ---
 
+  // Effect 6: Fetch seat utilisation (expected attendance vs. capacity)
+  useEffect(() => {
+    const abortController = new AbortController();
+    const token = localStorage.getItem("authToken");
+    const userRole = localStorage.getItem("userRole");
+    if (!token || !userRole || userRole === "user") {
+      setIsLoadingSeatUtilisation(false);
+      return;
+    }
+
+    const fetchSeatUtilisation = async () => {
+      setIsLoadingSeatUtilisation(true);
+      setSeatUtilisationError("");
+      const apiUrl = `${import.meta.env.VITE_API_URL || "http://localhost:5001"}/api/bookings/admin/seat-utilisation?days=${seatUtilisationDays}`;
+      try {
+        const data = await fetchData(apiUrl, token, abortController.signal);
+        if (Array.isArray(data)) setSeatUtilisation(data);
+      } catch (err) {
+        setSeatUtilisationError(err.message || "Could not load seat utilisation.");
+      } finally {
+        if (!abortController.signal.aborted) setIsLoadingSeatUtilisation(false);
+      }
+    };
+
+    fetchSeatUtilisation();
+    return () => abortController.abort();
+  }, [fetchData, seatUtilisationDays]);
+
 
   // --- Chart Data Preparation (No changes) ---
-  const PIE_COLORS = ["#FACC15", "#22C55E", "#EF4444"];
+  const PIE_COLORS = ["#FACC15", "#22C55E", "#EF4444", "#9CA3AF", "#F59E0B"];
   const pieData = useMemo(() => [ /* ... existing code ... */ 
-    { name: "Pending", value: stats.pending, color: PIE_COLORS[0] }, { name: "Approved", value: stats.approved, color: PIE_COLORS[1] }, { name: "Rejected", value: stats.rejected, color: PIE_COLORS[2] }, ].filter(entry => entry.value > 0), [stats.pending, stats.approved, stats.rejected]
+    { name: "Pending", value: stats.pending, color: PIE_COLORS[0] }, { name: "Approved", value: stats.approved, color: PIE_COLORS[1] }, { name: "Rejected", value: stats.rejected, color: PIE_COLORS[2] }, { name: "Cancelled", value: stats.cancelled, color: PIE_COLORS[3] }, { name: "Awaiting Requester", value: stats.awaitingRequester, color: PIE_COLORS[4] }, ].filter(entry => entry.value > 0), [stats.pending, stats.approved, stats.rejected, stats.cancelled, stats.awaitingRequester]
   );
 
   // --- Derived State (No changes) ---
@@ -185,13 +276,21 @@ const AdminDashboard = () => {
         {statsError !== "Access Denied." && (
           <div className="space-y-8">
             {/* Row 1: Stats Cards */}
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 sm:gap-6">
               {/* ... StatsCard components ... */}
                <StatsCard title="Total Requests" value={isLoadingStats ? '...' : stats.total} color="text-purple-600"/>
-               <StatsCard title="Pending" value={isLoadingStats ? '...' : stats.pending} color="text-yellow-500"/>
+               <StatsCard title="Pending (Your Action)" value={isLoadingStats ? '...' : stats.pendingAdmin} color="text-yellow-500"/>
                <StatsCard title="Approved" value={isLoadingStats ? '...' : stats.approved} color="text-green-500"/>
                <StatsCard title="Rejected" value={isLoadingStats ? '...' : stats.rejected} color="text-red-500"/>
+               <StatsCard title="Cancelled" value={isLoadingStats ? '...' : stats.cancelled} color="text-gray-500"/>
             </div>
+            {/* Pending requests still at an endorsement stage are counted apart from those waiting on admins */}
+            {!isLoadingStats && stats.pendingByStage.some((stage) => !stage.awaitingAdmin) && (
+              <div className="bg-white px-4 py-3 rounded-lg shadow text-sm text-gray-600 -mt-4">
+                <span className="font-semibold text-gray-700">Pending by approval stage:</span>{" "}
+                {stats.pendingByStage.map((stage) => `${stage.stage}${stage.awaitingAdmin ? " (admins)" : ""}: ${stage.count}`).join(" · ")}
+              </div>
+            )}
             {/* Row 2: Pie Chart & Upcoming Events */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 lg:gap-8">
                {/* Pie Chart */}
@@ -203,6 +302,8 @@ const AdminDashboard = () => {
             <div>
               <TrendChart title="Overall Request Trends" data={bookingTrends} isLoading={isLoadingTrends} error={trendsError} xAxisDataKey="date" lineDataKey="count" lineColor="#8884d8" emptyMessage={`No request data found for the last ${trendsDays} days.`} periodButtons={true} currentPeriod={trendsDays} onPeriodChange={setTrendsDays} />
             </div>
+            {/* Row 3b: Seat Utilisation */}
+            <SeatUtilisationTable rows={seatUtilisation} isLoading={isLoadingSeatUtilisation} error={seatUtilisationError} currentPeriod={seatUtilisationDays} onPeriodChange={setSeatUtilisationDays} />
             {/* Row 4: Specific Trends */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 lg:gap-8">
               {/* Auditorium Trends */}
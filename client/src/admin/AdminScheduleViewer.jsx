@@ -12,18 +12,37 @@ import {
     addMonths, 
     subMonths, 
     isSameDay, 
+    addMinutes, 
+    subMinutes, 
     isWithinInterval, 
     isBefore, 
     isAfter,
     differenceInDays 
 } from 'date-fns'; // Import required functions
 
+// Time windows a booking occupies: one per day for multi-day (segmented) bookings, otherwise its start/end
+const getBookingWindows = (booking) => (booking.segments?.length > 0
+    ? booking.segments.map(seg => ({ start: parseISO(seg.startTime), end: parseISO(seg.endTime) }))
+    : [{ start: parseISO(booking.startTime), end: parseISO(booking.endTime) }]);
+
+// Setup/teardown time kept clear around one booking window: auditorium buffers plus the booking's own extra setup
+const getBufferBlocks = (booking, window, buffers) => {
+    const setupMinutes = (buffers?.setupBufferMinutes || 0) + (booking.extraSetupMinutes || 0);
+    const teardownMinutes = buffers?.teardownBufferMinutes || 0;
+    return {
+        setup: setupMinutes > 0 ? { start: subMinutes(window.start, setupMinutes), end: window.start, minutes: setupMinutes } : null,
+        teardown: teardownMinutes > 0 ? { start: window.end, end: addMinutes(window.end, teardownMinutes), minutes: teardownMinutes } : null,
+    };
+};
+
 function AdminScheduleViewer() {
     // --- Component State ---
     const [auditoriums, setAuditoriums] = useState([]);
     const [selectedAuditoriumId, setSelectedAuditoriumId] = useState('');
     const [currentMonthDate, setCurrentMonthDate] = useState(new Date());
     const [scheduleBookings, setScheduleBookings] = useState([]); // Bookings for the selected month
+    const [scheduleBlackouts, setScheduleBlackouts] = useState([]); // Blackout periods (holidays, exams, maintenance) for the selected month
+    const [scheduleBuffers, setScheduleBuffers] = useState(null); // Setup/teardown buffers of the selected auditorium
     const [selectedDate, setSelectedDate] = useState(null); // Clicked date
     const [selectedDateBookings, setSelectedDateBookings] = useState([]); // Filtered bookings for the clicked date
     const [isLoadingAudis, setIsLoadingAudis] = useState(false);
@@ -32,16 +51,21 @@ function AdminScheduleViewer() {
 
     // --- Fetch Auditoriums (Runs once) ---
     useEffect(() => {
-        const fetchAudis = async () => { setIsLoadingAudis(true);setFetchError('');const url=`${import.meta.env.VITE_API_URL||'http://localhost:5001'}/api/auditoriums`; try{ const r=await fetch(url); const contentType=r.headers.get("content-type"); let d; if(contentType?.includes('application/json')){d=await r.json();} else{const txt=await r.text();throw new Error(`Server Error ${r.status}: ${txt.substring(0,100)}`);} if(!r.ok) throw new Error(d.message||'Fetch fail'); if(d.success&&Array.isArray(d.data)){ setAuditoriums(d.data); if(d.data.length>0&&!selectedAuditoriumId){ setSelectedAuditoriumId(d.data[0]._id); }} else throw new Error(d.message||'Invalid data'); } catch(e){ setFetchError(e.message||'Load audi err'); console.error("Audi Fetch Error:",e); } finally { setIsLoadingAudis(false); } };
+        const fetchAudis = async () => { setIsLoadingAudis(true);setFetchError('');const url=`${import.meta.env.VITE_API_URL||'http://localhost:5001'}/api/auditoriums?includeInactive=true`; try{ const r=await fetch(url); const contentType=r.headers.get("content-type"); let d; if(contentType?.includes('application/json')){d=await r.json();} else{const txt=await r.text();throw new Error(`Server Error ${r.status}: ${txt.substring(0,100)}`);} if(!r.ok) throw new Error(d.message||'Fetch fail'); if(d.success&&Array.isArray(d.data)){ setAuditoriums(d.data); if(d.data.length>0&&!selectedAuditoriumId){ setSelectedAuditoriumId(d.data[0]._id); }} else throw new Error(d.message||'Invalid data'); } catch(e){ setFetchError(e.message||'Load audi err'); console.error("Audi Fetch Error:",e); } finally { setIsLoadingAudis(false); } };
         fetchAudis();
     }, []); // Empty dependency: Run once
 
     // --- Fetch Schedule When Auditorium or Month Changes ---
-     const fetchSchedule = useCallback(async () => { if(!selectedAuditoriumId){setScheduleBookings([]); return;} setIsLoadingSchedule(true);setFetchError('');setSelectedDate(null);setSelectedDateBookings([]); const year=getYear(currentMonthDate); const month=getMonth(currentMonthDate)+1; const token=localStorage.getItem('authToken'); if(!token){setFetchError('Auth Error.'); setIsLoadingSchedule(false);return;} const apiUrl = `${import.meta.env.VITE_API_URL||'http://localhost:5001'}/api/bookings/schedule/${selectedAuditoriumId}?year=${year}&month=${month}`; console.log(`Fetching Schedule: ${apiUrl}`); try{ const r=await fetch(apiUrl, {headers:{"Authorization":`Bearer ${token}`,"Accept":"application/json"}}); const contentType=r.headers.get("content-type"); let d; if(contentType?.includes('application/json')){d=await r.json();}else{const txt=await r.text();throw new Error(`Server Error ${r.status}: ${txt.substring(0,100)}`);} if(!r.ok) throw new Error(d.message||`Schedule fetch fail:${r.status}`); if(d.success&&Array.isArray(d.data)) setScheduleBookings(d.data); else throw new Error(d.message||'Invalid schedule data'); } catch (e) { console.error("Schedule Fetch Error:",e); setFetchError(e.message || 'Load schedule err'); setScheduleBookings([]);} finally { setIsLoadingSchedule(false); } }, [selectedAuditoriumId, currentMonthDate]); // Dependencies
+     const fetchSchedule = useCallback(async () => { if(!selectedAuditoriumId){setScheduleBookings([]); return;} setIsLoadingSchedule(true);setFetchError('');setSelectedDate(null);setSelectedDateBookings([]); const year=getYear(currentMonthDate); const month=getMonth(currentMonthDate)+1; const token=localStorage.getItem('authToken'); if(!token){setFetchError('Auth Error.'); setIsLoadingSchedule(false);return;} const apiUrl = `${import.meta.env.VITE_API_URL||'http://localhost:5001'}/api/bookings/schedule/${selectedAuditoriumId}?year=${year}&month=${month}`; console.log(`Fetching Schedule: ${apiUrl}`); try{ const r=await fetch(apiUrl, {headers:{"Authorization":`Bearer ${token}`,"Accept":"application/json"}}); const contentType=r.headers.get("content-type"); let d; if(contentType?.includes('application/json')){d=await r.json();}else{const txt=await r.text();throw new Error(`Server Error ${r.status}: ${txt.substring(0,100)}`);} if(!r.ok) throw new Error(d.message||`Schedule fetch fail:${r.status}`); if(d.success&&Array.isArray(d.data)) { setScheduleBookings(d.data); setScheduleBlackouts(Array.isArray(d.blackouts)?d.blackouts:[]); setScheduleBuffers(d.buffers||null); } else throw new Error(d.message||'Invalid schedule data'); } catch (e) { console.error("Schedule Fetch Error:",e); setFetchError(e.message || 'Load schedule err'); setScheduleBookings([]); setScheduleBlackouts([]); setScheduleBuffers(null);} finally { setIsLoadingSchedule(false); } }, [selectedAuditoriumId, currentMonthDate]); // Dependencies
      useEffect(() => { fetchSchedule(); }, [fetchSchedule]); // Call fetchSchedule when it changes
 
     // --- Filter Bookings For Selected Date ---
-    useEffect(() => { if (!selectedDate||scheduleBookings.length===0){setSelectedDateBookings([]); return;} const dayStart=startOfDay(selectedDate); const dayEnd=endOfDay(selectedDate); const bookings=scheduleBookings.filter(b => {try{ const s=parseISO(b.startTime),e=parseISO(b.endTime); return s<dayEnd && e>dayStart;}catch{return false;}}); setSelectedDateBookings(bookings.sort((a,b)=>parseISO(a.startTime)-parseISO(b.startTime)));}, [selectedDate, scheduleBookings]);
+    useEffect(() => { if (!selectedDate||scheduleBookings.length===0){setSelectedDateBookings([]); return;} const dayStart=startOfDay(selectedDate); const dayEnd=endOfDay(selectedDate); const bookings=scheduleBookings.filter(b => {try{ return getBookingWindows(b).some(w => w.start<dayEnd && w.end>dayStart);}catch{return false;}}); setSelectedDateBookings(bookings.sort((a,b)=>parseISO(a.startTime)-parseISO(b.startTime)));}, [selectedDate, scheduleBookings]);
+
+
+    // Blackout periods overlapping a calendar day
+    const getBlackoutsForDate = useCallback((date) => { const dayStart=startOfDay(date); const dayEnd=endOfDay(date); return scheduleBlackouts.filter(b => {try{ return parseISO(b.startTime)<dayEnd && parseISO(b.endTime)>dayStart;}catch{return false;}}); }, [scheduleBlackouts]);
+    const selectedDateBlackouts = selectedDate ? getBlackoutsForDate(selectedDate) : [];
 
 
     // --- Event Handlers ---
@@ -60,7 +84,8 @@ function AdminScheduleViewer() {
                 const effectiveEnd = new Date(bookingEnd.getTime() - ( (bookingEnd.getHours()===0 && bookingEnd.getMinutes()===0 && bookingEnd.getSeconds()===0) ? 1 : 0) ); // Adjust midnight end times
                 const bookingStartDay = startOfDay(bookingStart); const bookingEndDay = startOfDay(effectiveEnd);
 
-                if (bookingStart < dayEnd && bookingEnd > dayStart) { // Check overlap
+                // Check overlap against the actual day windows so gaps between segments stay free
+                if (getBookingWindows(b).some(w => w.start < dayEnd && w.end > dayStart)) {
                     info.count++;
                     const starts = isSameDay(dayStart, bookingStartDay); const ends = isSameDay(dayStart, bookingEndDay);
                     if (starts && ends) { info.isSingle = true; }
@@ -86,10 +111,11 @@ function AdminScheduleViewer() {
                 if(info.isMiddle && !info.isStart && !info.isEnd) classes.push('booking-middle');
                  classes.push('has-booking'); // Generic class for any booking day
             }
+            if (getBlackoutsForDate(date).length > 0) { classes.push('blackout-day'); } // Holidays/exams/maintenance
             if (selectedDate && isSameDay(date, selectedDate)) { classes.push('selected-day'); } // Highlight clicked day
             return classes.join(' ');
         } return null;
-    }, [scheduleBookings, selectedDate, getBookingInfoForDate]); // Recalculate if schedule or selected date changes
+    }, [scheduleBookings, selectedDate, getBookingInfoForDate, getBlackoutsForDate]); // Recalculate if schedule or selected date changes
 
 
     // --- Render ---
@@ -115,7 +141,7 @@ function AdminScheduleViewer() {
                             </option>
                             {auditoriums.map(a => (
                                 <option key={a._id} value={a._id}>
-                                    {a.name}
+                                    {a.name}{a.isActive === false ? ' (inactive)' : ''}
                                 </option>
                             ))}
                         </select>
@@ -196,6 +222,24 @@ function AdminScheduleViewer() {
                             </div>
                         )}
                         
+                        {!isLoadingSchedule && selectedDateBlackouts.length > 0 && (
+                            <ul className="space-y-2 mb-3">
+                                {selectedDateBlackouts.map(blackout => (
+                                    <li key={blackout._id} className="p-3 bg-gray-100 border border-gray-300 border-dashed rounded-lg text-sm">
+                                        <div className="flex items-start justify-between">
+                                            <p className="font-medium text-gray-800 truncate flex-1">{blackout.title}</p>
+                                            <span className="ml-2 text-xs px-2 py-0.5 bg-gray-700 text-white rounded-full capitalize">{blackout.category || 'Blackout'}</span>
+                                        </div>
+                                        <p className="text-xs text-gray-600 mt-1">{blackout.reason}</p>
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            {format(parseISO(blackout.startTime), 'MMM d, h:mm a')} - {format(parseISO(blackout.endTime), 'MMM d, h:mm a')}
+                                            {blackout.auditoriums?.length === 0 && ' · Campus-wide'}
+                                        </p>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
                         {!isLoadingSchedule && selectedDate && selectedDateBookings.length === 0 && (
                             <p className="text-sm text-gray-500 italic text-center">
                                 No events scheduled for this date
@@ -208,10 +252,19 @@ function AdminScheduleViewer() {
                                     const startDate = parseISO(booking.startTime);
                                     const endDate = parseISO(booking.endTime);
                                     const isMultiDay = !isSameDay(startDate, endDate);
+                                    const daySegments = booking.segments?.length > 0 ? getBookingWindows(booking) : null;
+                                    const todaySegment = daySegments?.find(w => isSameDay(w.start, selectedDate));
+                                    const bufferBlocks = getBufferBlocks(booking, todaySegment || { start: startDate, end: endDate }, scheduleBuffers);
 
                                     return (
                                         <li key={booking._id} 
                                             className="p-4 bg-gradient-to-r from-red-50 to-white border border-red-100 rounded-lg hover:shadow-sm transition-shadow">
+                                            {/* Setup Buffer (shaded, not part of the event) */}
+                                            {bufferBlocks.setup && (
+                                                <div className="buffer-block mb-3 px-3 py-1 rounded text-xs text-gray-600">
+                                                    Setup: {format(bufferBlocks.setup.start, 'h:mm a')} - {format(bufferBlocks.setup.end, 'h:mm a')} ({bufferBlocks.setup.minutes} min)
+                                                </div>
+                                            )}
                                             {/* Event Title */}
                                             <div className="flex items-start justify-between">
                                                 <p className="font-medium text-gray-900 truncate flex-1">
@@ -231,6 +284,23 @@ function AdminScheduleViewer() {
                                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
                                                             d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                                                     </svg>
+                                                    {daySegments ? (
+                                                    <div className="space-y-1">
+                                                        {todaySegment && (
+                                                            <p>
+                                                                <span className="text-gray-500">This day:</span>{' '}
+                                                                {format(todaySegment.start, 'h:mm a')} - {format(todaySegment.end, 'h:mm a')}
+                                                            </p>
+                                                        )}
+                                                        <ul className="text-xs text-gray-500 space-y-0.5">
+                                                            {daySegments.map((w, i) => (
+                                                                <li key={i} className={todaySegment === w ? 'font-semibold text-red-700' : ''}>
+                                                                    Day {i + 1}: {format(w.start, 'EEE, MMM d h:mm a')} - {format(w.end, 'h:mm a')}
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                    </div>
+                                                    ) : (
                                                     <div className="space-y-1">
                                                         <p>
                                                             <span className="text-gray-500">Starts:</span>{' '}
@@ -247,6 +317,7 @@ function AdminScheduleViewer() {
                                                             </p>
                                                         )}
                                                     </div>
+                                                    )}
                                                 </div>
 
                                                 {/* Organizer Info */}
@@ -271,6 +342,13 @@ function AdminScheduleViewer() {
                                                     </div>
                                                 )}
                                             </div>
+
+                                            {/* Teardown Buffer */}
+                                            {bufferBlocks.teardown && (
+                                                <div className="buffer-block mt-3 px-3 py-1 rounded text-xs text-gray-600">
+                                                    Teardown: {format(bufferBlocks.teardown.start, 'h:mm a')} - {format(bufferBlocks.teardown.end, 'h:mm a')} ({bufferBlocks.teardown.minutes} min)
+                                                </div>
+                                            )}
                                         </li>
                                     );
                                 })}
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const MAX_STAGES = 5;
+const EMPTY_STAGE = { name: "", approvers: "" };
+const EMPTY_FORM = { name: "", department: "", auditorium: "", isActive: true, stages: [{ name: "Venue admin approval", approvers: "" }] };
+
+/** Converts a saved workflow to form state; approvers are edited as a comma-separated email list. */
+const toFormState = (workflow) => ({
+  name: workflow.name,
+  department: workflow.department?._id || "",
+  auditorium: workflow.auditorium?._id || "",
+  isActive: workflow.isActive,
+  stages: workflow.stages.map((stage) => ({ name: stage.name, approvers: (stage.approvers || []).map((a) => a.email).join(", ") })),
+});
+
+const describeScope = (workflow) => {
+  const parts = [workflow.department?.name, workflow.auditorium?.name].filter(Boolean);
+  return parts.length > 0 ? parts.join(" · ") : "All bookings (global)";
+};
+
+const ManageApprovalWorkflows = () => {
+  // --- State Definitions ---
+  const [workflows, setWorkflows] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [auditoriums, setAuditoriums] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null); // Workflow being edited, null when creating
+  const [isSaving, setIsSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null); // Workflow awaiting delete confirmation
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json' });
+
+  // --- Data Fetching ---
+  const fetchWorkflows = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    const token = localStorage.getItem('authToken');
+    if (!token) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    try {
+      const [workflowRes, deptRes, audiRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/approval-workflows`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } }),
+        fetch(`${API_BASE_URL}/api/departments`, { headers: { 'Accept': 'application/json' } }),
+        fetch(`${API_BASE_URL}/api/auditoriums`, { headers: { 'Accept': 'application/json' } }),
+      ]);
+      const [workflowData, deptData, audiData] = await Promise.all([workflowRes.json(), deptRes.json(), audiRes.json()]);
+      if (!workflowRes.ok || !workflowData.success) throw new Error(workflowData.message || `Workflow fetch failed (${workflowRes.status})`);
+      setWorkflows(workflowData.data);
+      setDepartments(deptData.success && Array.isArray(deptData.data) ? deptData.data : []);
+      setAuditoriums(audiData.success && Array.isArray(audiData.data) ? audiData.data : []);
+    } catch (err) {
+      console.error("Workflow fetch error:", err);
+      setFetchError(err.message || "Could not load approval workflows.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchWorkflows(); }, [fetchWorkflows]);
+
+  // --- Form Handlers ---
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+  const handleStageChange = (index, field, value) => {
+    setForm((prev) => ({ ...prev, stages: prev.stages.map((stage, i) => (i === index ? { ...stage, [field]: value } : stage)) }));
+  };
+  const addStage = () => setForm((prev) => ({ ...prev, stages: [...prev.stages, EMPTY_STAGE] }));
+  const removeStage = (index) => setForm((prev) => ({ ...prev, stages: prev.stages.filter((_, i) => i !== index) }));
+  const moveStage = (index, offset) => {
+    setForm((prev) => {
+      const stages = [...prev.stages];
+      [stages[index], stages[index + offset]] = [stages[index + offset], stages[index]];
+      return { ...prev, stages };
+    });
+  };
+  const startEdit = (workflow) => { setEditingId(workflow._id); setForm(toFormState(workflow)); };
+  const cancelEdit = () => { setEditingId(null); setForm(EMPTY_FORM); };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || form.stages.some((stage) => !stage.name.trim())) { showToast("error", "Name the workflow and every stage."); return; }
+    setIsSaving(true);
+    try {
+      const payload = {
+        ...form,
+        department: form.department || null,
+        auditorium: form.auditorium || null,
+        stages: form.stages.map((stage) => ({ name: stage.name, approvers: stage.approvers.split(",").map((email) => email.trim()).filter(Boolean) })),
+      };
+      const response = await fetch(editingId ? `${API_BASE_URL}/api/approval-workflows/${editingId}` : `${API_BASE_URL}/api/approval-workflows`, {
+        method: editingId ? "PUT" : "POST",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Save failed (${response.status})`);
+      showToast("success", data.message || "Workflow saved.");
+      cancelEdit();
+      await fetchWorkflows();
+    } catch (err) {
+      console.error("Workflow save error:", err);
+      showToast("error", err.message || "Could not save the workflow.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/approval-workflows/${id}`, { method: "DELETE", headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Delete failed (${response.status})`);
+      showToast("success", data.message || "Workflow deleted.");
+      if (editingId === id) cancelEdit();
+      await fetchWorkflows();
+    } catch (err) {
+      console.error("Workflow delete error:", err);
+      showToast("error", err.message || "Could not delete the workflow.");
+    } finally {
+      setIsSaving(false);
+      setDeletingId(null);
+    }
+  };
+
+  const inputClass = "w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500";
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">Approval Workflows</h1>
+        <p className="text-sm text-gray-500 mb-6">
+          Ordered approval stages per department and/or auditorium. A stage with no approvers is decided by the venue admins.
+          The most specific active workflow applies; changes affect new requests only.
+        </p>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Create / Edit Form */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4 self-start">
+            <h2 className="text-lg font-semibold text-gray-800">{editingId ? "Edit Workflow" : "Add Workflow"}</h2>
+            <input name="name" value={form.name} onChange={handleChange} placeholder="Name (e.g. CSE department approvals)" className={inputClass} disabled={isSaving} required />
+            <select name="department" value={form.department} onChange={handleChange} className={`${inputClass} bg-white`} disabled={isSaving}>
+              <option value="">Any department</option>
+              {departments.map((d) => <option key={d._id} value={d._id}>{d.name}</option>)}
+            </select>
+            <select name="auditorium" value={form.auditorium} onChange={handleChange} className={`${inputClass} bg-white`} disabled={isSaving}>
+              <option value="">Any auditorium</option>
+              {auditoriums.map((a) => <option key={a._id} value={a._id}>{a.name}</option>)}
+            </select>
+
+            <div className="space-y-3">
+              <span className="block text-sm font-medium text-gray-700">Stages <span className="text-xs text-gray-500">(in order)</span></span>
+              {form.stages.map((stage, index) => (
+                <div key={index} className="p-3 bg-gray-50 border border-gray-200 rounded-md space-y-2">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs font-semibold text-gray-500">{index + 1}.</span>
+                    <input value={stage.name} onChange={(e) => handleStageChange(index, "name", e.target.value)} placeholder="Stage name (e.g. HOD endorsement)" className={inputClass} disabled={isSaving} required />
+                  </div>
+                  <input value={stage.approvers} onChange={(e) => handleStageChange(index, "approvers", e.target.value)} placeholder="Approver emails, comma-separated (empty = admins)" className={inputClass} disabled={isSaving} />
+                  <div className="flex gap-2 justify-end text-xs">
+                    <button type="button" onClick={() => moveStage(index, -1)} disabled={isSaving || index === 0} className="px-2 py-1 rounded border border-gray-300 bg-white text-gray-600 disabled:opacity-40">Up</button>
+                    <button type="button" onClick={() => moveStage(index, 1)} disabled={isSaving || index === form.stages.length - 1} className="px-2 py-1 rounded border border-gray-300 bg-white text-gray-600 disabled:opacity-40">Down</button>
+                    <button type="button" onClick={() => removeStage(index)} disabled={isSaving || form.stages.length === 1} className="px-2 py-1 rounded text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-40">Remove</button>
+                  </div>
+                </div>
+              ))}
+              {form.stages.length < MAX_STAGES && (
+                <button type="button" onClick={addStage} disabled={isSaving} className="text-sm font-medium text-red-700 hover:underline">+ Add stage</button>
+              )}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} disabled={isSaving} /> Active
+            </label>
+            <div className="flex gap-2 justify-end">
+              {editingId && <button type="button" onClick={cancelEdit} disabled={isSaving} className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>}
+              <button type="submit" disabled={isSaving} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50">{isSaving ? "Saving..." : editingId ? "Update" : "Add Workflow"}</button>
+            </div>
+          </form>
+
+          {/* Existing Workflows */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow border border-gray-200 p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">Workflows</h2>
+            {isLoading && <p className="text-center text-gray-500 py-10">Loading...</p>}
+            {!isLoading && workflows.length === 0 && <p className="text-sm text-gray-500 italic text-center py-10">No workflows yet. Every booking needs a single admin approval.</p>}
+            <ul className="divide-y divide-gray-100">
+              {!isLoading && workflows.map((w) => (
+                <li key={w._id} className="py-3 flex flex-col sm:flex-row sm:items-start gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-gray-900 truncate">{w.name}</p>
+                      {!w.isActive && <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full">Inactive</span>}
+                    </div>
+                    <p className="text-xs text-gray-500">{describeScope(w)}</p>
+                    <ol className="mt-1 text-sm text-gray-700 list-decimal list-inside">
+                      {w.stages.map((stage, i) => (
+                        <li key={i}>
+                          {stage.name} <span className="text-xs text-gray-500">- {stage.approvers?.length > 0 ? stage.approvers.map((a) => a.username || a.email).join(", ") : "venue admins"}</span>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    {deletingId === w._id ? (
+                      <>
+                        <button onClick={() => handleDelete(w._id)} disabled={isSaving} className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">Confirm Delete</button>
+                        <button onClick={() => setDeletingId(null)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => startEdit(w)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50">Edit</button>
+                        <button onClick={() => setDeletingId(w._id)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">Delete</button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageApprovalWorkflows;
@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { format, parseISO } from 'date-fns';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const EMPTY_FORM = { name: "", slug: "", capacity: "", location: "", category: "", description: "", features: "", photos: [] };
+const EMPTY_PHOTO = { url: "", caption: "" };
+
+/** Moves the item at `index` one place up (-1) or down (+1). */
+const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+const ManageAuditoriums = () => {
+  // --- State Definitions ---
+  const [auditoriums, setAuditoriums] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [newPhoto, setNewPhoto] = useState(EMPTY_PHOTO);
+  const [editingId, setEditingId] = useState(null); // Auditorium being edited, null when creating
+  const [isSaving, setIsSaving] = useState(false);
+  const [deleteState, setDeleteState] = useState(null); // { auditorium, upcomingBookings, conflicts, reassignTo, allowSmallerVenue, needsSmallerConfirm }
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json' });
+
+  // --- Data Fetching ---
+  const fetchAuditoriums = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auditoriums?includeInactive=true`, { headers: { 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Auditorium fetch failed (${response.status})`);
+      setAuditoriums(data.data);
+    } catch (err) {
+      console.error("Auditorium fetch error:", err);
+      setFetchError(err.message || "Could not load auditoriums.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchAuditoriums(); }, [fetchAuditoriums]);
+
+  // --- Form Handlers ---
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+  const startEdit = (auditorium) => {
+    setEditingId(auditorium._id);
+    setNewPhoto(EMPTY_PHOTO);
+    setForm({
+      name: auditorium.name,
+      slug: auditorium.slug || "",
+      capacity: String(auditorium.capacity),
+      location: auditorium.location,
+      category: auditorium.category || "",
+      description: auditorium.description || "",
+      features: (auditorium.features || []).join(", "),
+      photos: (auditorium.photos || []).map((p) => ({ url: p.url, caption: p.caption || "" })),
+    });
+  };
+  const cancelEdit = () => { setEditingId(null); setForm(EMPTY_FORM); setNewPhoto(EMPTY_PHOTO); };
+
+  // --- Photo Handlers (the first photo is the cover image) ---
+  const addPhoto = () => {
+    const url = newPhoto.url.trim();
+    if (!url) { showToast("error", "Enter a photo URL."); return; }
+    if (form.photos.some((p) => p.url === url)) { showToast("error", "That photo is already in the list."); return; }
+    setForm((prev) => ({ ...prev, photos: [...prev.photos, { url, caption: newPhoto.caption.trim() }] }));
+    setNewPhoto(EMPTY_PHOTO);
+  };
+  const updatePhotoCaption = (index, caption) => {
+    setForm((prev) => ({ ...prev, photos: prev.photos.map((p, i) => (i === index ? { ...p, caption } : p)) }));
+  };
+  const reorderPhoto = (index, direction) => setForm((prev) => ({ ...prev, photos: moveItem(prev.photos, index, direction) }));
+  const removePhoto = (index) => setForm((prev) => ({ ...prev, photos: prev.photos.filter((_, i) => i !== index) }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const capacity = Number(form.capacity);
+    if (!form.name.trim() || !form.location.trim() || !form.capacity) { showToast("error", "Name, capacity and location are required."); return; }
+    if (!Number.isInteger(capacity) || capacity < 1) { showToast("error", "Capacity must be a whole number of at least 1."); return; }
+    setIsSaving(true);
+    try {
+      const response = await fetch(editingId ? `${API_BASE_URL}/api/auditoriums/${editingId}` : `${API_BASE_URL}/api/auditoriums`, {
+        method: editingId ? "PUT" : "POST",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, capacity, photos: form.photos.map((p) => ({ url: p.url, caption: p.caption.trim() || undefined })) }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Save failed (${response.status})`);
+      showToast("success", data.message || (editingId ? "Auditorium updated." : "Auditorium created."));
+      cancelEdit();
+      await fetchAuditoriums();
+    } catch (err) {
+      console.error("Auditorium save error:", err);
+      showToast("error", err.message || "Could not save the auditorium.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (auditorium) => {
+    const isActive = auditorium.isActive === false;
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auditoriums/${auditorium._id}`, {
+        method: "PUT",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isActive }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Update failed (${response.status})`);
+      showToast(isActive ? "success" : "info", data.message || `'${auditorium.name}' ${isActive ? "reactivated" : "deactivated"}.`);
+      await fetchAuditoriums();
+    } catch (err) {
+      console.error("Auditorium status error:", err);
+      showToast("error", err.message || "Could not change the auditorium status.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // --- Delete (the server blocks halls with history and asks for a target hall for upcoming bookings) ---
+  const startDelete = (auditorium) => setDeleteState({ auditorium, upcomingBookings: null, conflicts: [], reassignTo: "", allowSmallerVenue: false, needsSmallerConfirm: false });
+
+  const handleDelete = async () => {
+    const { auditorium, reassignTo, allowSmallerVenue } = deleteState;
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auditoriums/${auditorium._id}`, {
+        method: "DELETE",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reassignTo: reassignTo || undefined, allowSmallerVenue }),
+      });
+      const data = await response.json();
+      if (response.status === 409 && (data.requiresReassignment || data.conflicts || data.capacity)) {
+        // Keep the panel open with what the server needs before it can delete
+        setDeleteState((prev) => ({
+          ...prev,
+          upcomingBookings: data.upcomingBookings || prev.upcomingBookings,
+          conflicts: data.conflicts || [],
+          needsSmallerConfirm: Boolean(data.capacity),
+        }));
+        showToast("warning", data.message);
+        return;
+      }
+      if (!response.ok || !data.success) throw new Error(data.message || `Delete failed (${response.status})`);
+      showToast("success", data.message || "Auditorium deleted.");
+      if (editingId === auditorium._id) cancelEdit();
+      setDeleteState(null);
+      await fetchAuditoriums();
+    } catch (err) {
+      console.error("Auditorium delete error:", err);
+      showToast("error", err.message || "Could not delete the auditorium.");
+      setDeleteState(null);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = "w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500";
+  const smallButtonClass = "px-3 py-1.5 text-xs font-medium rounded-md disabled:opacity-50";
+
+  const renderDeletePanel = () => {
+    const { auditorium, upcomingBookings, conflicts, reassignTo, allowSmallerVenue, needsSmallerConfirm } = deleteState;
+    const targets = auditoriums.filter((a) => a._id !== auditorium._id && a.isActive !== false);
+    return (
+      <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg space-y-3 text-sm">
+        {upcomingBookings === null ? (
+          <p className="text-red-800">Delete <strong>{auditorium.name}</strong>? Halls with booking history cannot be deleted; deactivate them instead.</p>
+        ) : (
+          <>
+            <p className="text-red-800">{upcomingBookings.length} upcoming booking(s) must move to another hall first:</p>
+            <ul className="max-h-40 overflow-y-auto text-xs text-gray-700 space-y-1">
+              {upcomingBookings.map((b) => (
+                <li key={b._id}>{b.eventName} · {format(parseISO(b.startTime), 'MMM d yyyy, h:mm a')} <span className="capitalize text-gray-500">({b.status})</span></li>
+              ))}
+            </ul>
+            <select value={reassignTo} onChange={(e) => setDeleteState((prev) => ({ ...prev, reassignTo: e.target.value, conflicts: [], needsSmallerConfirm: false, allowSmallerVenue: false }))} className={`${inputClass} bg-white`} disabled={isSaving}>
+              <option value="">-- Reassign bookings to --</option>
+              {targets.map((a) => <option key={a._id} value={a._id}>{a.name} ({a.capacity} seats)</option>)}
+            </select>
+            {needsSmallerConfirm && (
+              <label className="flex items-center gap-2 text-xs text-gray-700">
+                <input type="checkbox" checked={allowSmallerVenue} onChange={(e) => setDeleteState((prev) => ({ ...prev, allowSmallerVenue: e.target.checked }))} disabled={isSaving} />
+                Reassign even though the target hall has fewer seats
+              </label>
+            )}
+            {conflicts.length > 0 && (
+              <ul className="text-xs text-red-700 space-y-1">
+                {conflicts.map((c) => <li key={c._id}>{c.eventName} ({format(parseISO(c.startTime), 'MMM d, h:mm a')}): {c.reason}</li>)}
+              </ul>
+            )}
+          </>
+        )}
+        <div className="flex gap-2 justify-end">
+          <button onClick={() => setDeleteState(null)} disabled={isSaving} className={`${smallButtonClass} border border-gray-300 bg-white text-gray-700 hover:bg-gray-50`}>Cancel</button>
+          <button onClick={handleDelete} disabled={isSaving || (upcomingBookings !== null && !reassignTo) || (needsSmallerConfirm && !allowSmallerVenue)} className={`${smallButtonClass} font-semibold text-white bg-red-600 hover:bg-red-700`}>
+            {isSaving ? "Working..." : upcomingBookings === null ? "Confirm Delete" : "Reassign & Delete"}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">Auditoriums</h1>
+        <p className="text-sm text-gray-500 mb-6">Add and edit venues shown in the public catalog. Deactivated halls cannot be booked but stay in booking history and statistics.</p>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Create / Edit Form */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4 self-start">
+            <h2 className="text-lg font-semibold text-gray-800">{editingId ? "Edit Auditorium" : "Add Auditorium"}</h2>
+            <input name="name" value={form.name} onChange={handleChange} placeholder="Name (e.g. KS Auditorium)" className={inputClass} disabled={isSaving} required />
+            <label className="block text-sm text-gray-700">URL slug <span className="text-xs text-gray-500">(blank = from name)</span>
+              <input name="slug" value={form.slug} onChange={handleChange} placeholder="ks-auditorium" className={inputClass} disabled={isSaving} />
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <input type="number" min="1" name="capacity" value={form.capacity} onChange={handleChange} placeholder="Capacity" className={inputClass} disabled={isSaving} required />
+              <input name="category" value={form.category} onChange={handleChange} placeholder="Type (e.g. Seminar Hall)" className={inputClass} disabled={isSaving} />
+            </div>
+            <input name="location" value={form.location} onChange={handleChange} placeholder="Location" className={inputClass} disabled={isSaving} required />
+            <textarea name="description" value={form.description} onChange={handleChange} placeholder="Description shown on the venue page" rows={4} className={inputClass} disabled={isSaving} />
+            <input name="features" value={form.features} onChange={handleChange} placeholder="Features, comma separated (Projector, Sound System)" className={inputClass} disabled={isSaving} />
+
+            {/* Photos */}
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Photos <span className="text-xs text-gray-500">(first one is the cover)</span></span>
+              {form.photos.length === 0 && <p className="text-xs text-gray-500 italic mb-2">No photos yet.</p>}
+              <ul className="space-y-2 mb-2">
+                {form.photos.map((photo, index) => (
+                  <li key={photo.url} className="flex items-center gap-2">
+                    <img src={photo.url} alt={photo.caption || `Photo ${index + 1}`} className="h-10 w-14 object-cover rounded border border-gray-200 flex-shrink-0" />
+                    <input value={photo.caption} onChange={(e) => updatePhotoCaption(index, e.target.value)} placeholder="Caption" className={inputClass} disabled={isSaving} />
+                    <button type="button" onClick={() => reorderPhoto(index, -1)} disabled={isSaving || index === 0} className="px-1.5 text-gray-600 hover:text-gray-900 disabled:opacity-30" title="Move up">↑</button>
+                    <button type="button" onClick={() => reorderPhoto(index, 1)} disabled={isSaving || index === form.photos.length - 1} className="px-1.5 text-gray-600 hover:text-gray-900 disabled:opacity-30" title="Move down">↓</button>
+                    <button type="button" onClick={() => removePhoto(index)} disabled={isSaving} className="px-1.5 text-red-600 hover:text-red-800" title="Remove">✕</button>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex gap-2">
+                <input value={newPhoto.url} onChange={(e) => setNewPhoto((prev) => ({ ...prev, url: e.target.value }))} placeholder="Photo URL" className={inputClass} disabled={isSaving} />
+                <input value={newPhoto.caption} onChange={(e) => setNewPhoto((prev) => ({ ...prev, caption: e.target.value }))} placeholder="Caption" className={inputClass} disabled={isSaving} />
+                <button type="button" onClick={addPhoto} disabled={isSaving} className="px-3 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200">Add</button>
+              </div>
+            </div>
+
+            <div className="flex gap-2 justify-end">
+              {editingId && <button type="button" onClick={cancelEdit} disabled={isSaving} className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>}
+              <button type="submit" disabled={isSaving} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50">{isSaving ? "Saving..." : editingId ? "Update" : "Add Auditorium"}</button>
+            </div>
+          </form>
+
+          {/* Auditorium List */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow border border-gray-200 p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">All Auditoriums</h2>
+            {isLoading && <p className="text-center text-gray-500 py-10">Loading...</p>}
+            {!isLoading && auditoriums.length === 0 && <p className="text-sm text-gray-500 italic text-center py-10">No auditoriums yet. Add the first one.</p>}
+            <ul className="divide-y divide-gray-100">
+              {!isLoading && auditoriums.map((a) => (
+                <li key={a._id} className={`py-3 ${a.isActive === false ? "opacity-70" : ""}`}>
+                  <div className="flex flex-col sm:flex-row sm:items-start gap-3">
+                    {a.photos?.[0] ? (
+                      <img src={a.photos[0].url} alt={a.name} className="h-16 w-24 object-cover rounded-md border border-gray-200 flex-shrink-0" />
+                    ) : (
+                      <div className="h-16 w-24 rounded-md bg-gradient-to-r from-[#82001A] to-pink-800 flex-shrink-0" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <p className="font-medium text-gray-900 truncate">{a.name}</p>
+                        {a.category && <span className="text-xs px-2 py-0.5 bg-gray-700 text-white rounded-full">{a.category}</span>}
+                        {a.isActive === false && <span className="text-xs px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full font-semibold">Inactive</span>}
+                      </div>
+                      <p className="text-sm text-gray-600">{a.capacity} seats · {a.location}</p>
+                      <p className="text-xs text-gray-500">
+                        {a.photos?.length || 0} photo(s) · {a.features?.length || 0} feature(s)
+                        {a.slug && a.isActive !== false && <> · <Link to={`/auditoriums/${a.slug}`} className="text-red-700 hover:underline">/auditoriums/{a.slug}</Link></>}
+                      </p>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0 flex-wrap">
+                      <button onClick={() => startEdit(a)} disabled={isSaving} className={`${smallButtonClass} text-gray-700 bg-gray-100 hover:bg-gray-200`}>Edit</button>
+                      <button onClick={() => handleToggleActive(a)} disabled={isSaving} className={`${smallButtonClass} ${a.isActive === false ? "text-green-700 bg-green-100 hover:bg-green-200" : "text-yellow-800 bg-yellow-100 hover:bg-yellow-200"}`}>
+                        {a.isActive === false ? "Activate" : "Deactivate"}
+                      </button>
+                      <button onClick={() => startDelete(a)} disabled={isSaving || deleteState?.auditorium._id === a._id} className={`${smallButtonClass} text-red-700 bg-red-100 hover:bg-red-200`}>Delete</button>
+                    </div>
+                  </div>
+                  {deleteState?.auditorium._id === a._id && renderDeletePanel()}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageAuditoriums;
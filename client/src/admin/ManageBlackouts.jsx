@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { format, parseISO } from 'date-fns';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const CATEGORY_OPTIONS = ["holiday", "exam", "maintenance", "other"];
+const EMPTY_FORM = { title: "", reason: "", category: "holiday", startTime: "", endTime: "", auditoriums: [] };
+
+/** Converts an ISO date to the value a datetime-local input expects (local time). */
+const toLocalInputValue = (iso) => format(parseISO(iso), "yyyy-MM-dd'T'HH:mm");
+
+const ManageBlackouts = () => {
+  // --- State Definitions ---
+  const [blackouts, setBlackouts] = useState([]);
+  const [auditoriums, setAuditoriums] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null); // Blackout being edited, null when creating
+  const [isSaving, setIsSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null); // Blackout awaiting delete confirmation
+  const [importFile, setImportFile] = useState(null);
+  const [importCategory, setImportCategory] = useState("holiday");
+  const [importAuditoriums, setImportAuditoriums] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  // --- Data Fetching ---
+  const fetchBlackouts = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    const token = localStorage.getItem('authToken');
+    if (!token) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    try {
+      const from = format(new Date(), 'yyyy-MM-dd');
+      const [blackoutRes, audiRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/blackouts?from=${from}`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } }),
+        fetch(`${API_BASE_URL}/api/auditoriums`, { headers: { 'Accept': 'application/json' } }),
+      ]);
+      const [blackoutData, audiData] = await Promise.all([blackoutRes.json(), audiRes.json()]);
+      if (!blackoutRes.ok || !blackoutData.success) throw new Error(blackoutData.message || `Blackout fetch failed (${blackoutRes.status})`);
+      setBlackouts(blackoutData.data);
+      setAuditoriums(audiData.success && Array.isArray(audiData.data) ? audiData.data : []);
+    } catch (err) {
+      console.error("Blackout fetch error:", err);
+      setFetchError(err.message || "Could not load blackout periods.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchBlackouts(); }, [fetchBlackouts]);
+
+  // --- Form Handlers ---
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+  const toggleAuditorium = (setter, id) => {
+    setter((prev) => (prev.includes(id) ? prev.filter((a) => a !== id) : [...prev, id]));
+  };
+  const startEdit = (blackout) => {
+    setEditingId(blackout._id);
+    setForm({
+      title: blackout.title,
+      reason: blackout.reason,
+      category: blackout.category || "other",
+      startTime: toLocalInputValue(blackout.startTime),
+      endTime: toLocalInputValue(blackout.endTime),
+      auditoriums: (blackout.auditoriums || []).map((a) => a._id || a),
+    });
+  };
+  const cancelEdit = () => { setEditingId(null); setForm(EMPTY_FORM); };
+
+  const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json' });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title || !form.reason || !form.startTime || !form.endTime) { showToast("error", "Please fill all required fields."); return; }
+    if (new Date(form.startTime) >= new Date(form.endTime)) { showToast("error", "End time must be after start time."); return; }
+    setIsSaving(true);
+    try {
+      const response = await fetch(editingId ? `${API_BASE_URL}/api/blackouts/${editingId}` : `${API_BASE_URL}/api/blackouts`, {
+        method: editingId ? "PUT" : "POST",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, startTime: new Date(form.startTime).toISOString(), endTime: new Date(form.endTime).toISOString() }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Save failed (${response.status})`);
+      showToast("success", data.message || "Blackout saved.");
+      cancelEdit();
+      await fetchBlackouts();
+    } catch (err) {
+      console.error("Blackout save error:", err);
+      showToast("error", err.message || "Could not save the blackout period.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/blackouts/${id}`, { method: "DELETE", headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Delete failed (${response.status})`);
+      showToast("success", data.message || "Blackout deleted.");
+      if (editingId === id) cancelEdit();
+      await fetchBlackouts();
+    } catch (err) {
+      console.error("Blackout delete error:", err);
+      showToast("error", err.message || "Could not delete the blackout period.");
+    } finally {
+      setIsSaving(false);
+      setDeletingId(null);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!importFile) { showToast("error", "Choose an .ics file to import."); return; }
+    setIsImporting(true);
+    const body = new FormData();
+    body.append('icsFile', importFile, importFile.name);
+    body.append('category', importCategory);
+    body.append('auditoriums', JSON.stringify(importAuditoriums));
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/blackouts/import`, { method: "POST", headers: authHeaders(), body });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Import failed (${response.status})`);
+      showToast("success", data.message || "Calendar imported.");
+      setImportFile(null);
+      e.target.reset();
+      await fetchBlackouts();
+    } catch (err) {
+      console.error("Blackout import error:", err);
+      showToast("error", err.message || "Could not import the calendar.");
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Checkbox list used by both the form and the import panel; nothing ticked = campus-wide
+  const renderAuditoriumPicker = (selected, setter, disabled) => (
+    <div>
+      <span className="block text-sm font-medium text-gray-700 mb-1">Auditoriums <span className="text-xs text-gray-500">(none selected = campus-wide)</span></span>
+      <div className="flex flex-wrap gap-2">
+        {auditoriums.map((a) => (
+          <button
+            key={a._id}
+            type="button"
+            onClick={() => toggleAuditorium(setter, a._id)}
+            disabled={disabled}
+            className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${selected.includes(a._id) ? "bg-red-600 text-white border-red-600" : "bg-white text-gray-700 border-gray-300 hover:border-red-400"}`}
+          >
+            {a.name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const inputClass = "w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500";
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">Blackout Calendar</h1>
+        <p className="text-sm text-gray-500 mb-6">Holidays, exams and maintenance windows. Bookings cannot be made during these periods.</p>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-6">
+            {/* Create / Edit Form */}
+            <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-800">{editingId ? "Edit Blackout" : "Add Blackout"}</h2>
+              <input name="title" value={form.title} onChange={handleChange} placeholder="Title (e.g. Mid-term exams)" className={inputClass} disabled={isSaving} required />
+              <textarea name="reason" value={form.reason} onChange={handleChange} placeholder="Reason shown to requesters" rows={2} className={inputClass} disabled={isSaving} required />
+              <select name="category" value={form.category} onChange={handleChange} className={`${inputClass} bg-white capitalize`} disabled={isSaving}>
+                {CATEGORY_OPTIONS.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+              <div className="grid grid-cols-1 gap-3">
+                <label className="text-sm text-gray-700">Starts<input type="datetime-local" name="startTime" value={form.startTime} onChange={handleChange} className={inputClass} disabled={isSaving} required /></label>
+                <label className="text-sm text-gray-700">Ends<input type="datetime-local" name="endTime" value={form.endTime} onChange={handleChange} min={form.startTime} className={inputClass} disabled={isSaving} required /></label>
+              </div>
+              {renderAuditoriumPicker(form.auditoriums, (updater) => setForm((prev) => ({ ...prev, auditoriums: updater(prev.auditoriums) })), isSaving)}
+              <div className="flex gap-2 justify-end">
+                {editingId && <button type="button" onClick={cancelEdit} disabled={isSaving} className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>}
+                <button type="submit" disabled={isSaving} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50">{isSaving ? "Saving..." : editingId ? "Update" : "Add Blackout"}</button>
+              </div>
+            </form>
+
+            {/* iCalendar Import */}
+            <form onSubmit={handleImport} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-800">Import from Calendar (.ics)</h2>
+              <input type="file" accept=".ics,text/calendar" onChange={(e) => setImportFile(e.target.files[0] || null)} disabled={isImporting} className="block w-full text-sm text-gray-700" />
+              <select value={importCategory} onChange={(e) => setImportCategory(e.target.value)} className={`${inputClass} bg-white capitalize`} disabled={isImporting}>
+                {CATEGORY_OPTIONS.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+              {renderAuditoriumPicker(importAuditoriums, setImportAuditoriums, isImporting)}
+              <p className="text-xs text-gray-500">Re-importing the same calendar updates existing entries instead of duplicating them.</p>
+              <div className="text-right">
+                <button type="submit" disabled={isImporting || !importFile} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">{isImporting ? "Importing..." : "Import"}</button>
+              </div>
+            </form>
+          </div>
+
+          {/* Upcoming Blackouts */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow border border-gray-200 p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">Upcoming Blackouts</h2>
+            {isLoading && <p className="text-center text-gray-500 py-10">Loading...</p>}
+            {!isLoading && blackouts.length === 0 && <p className="text-sm text-gray-500 italic text-center py-10">No upcoming blackout periods.</p>}
+            <ul className="divide-y divide-gray-100">
+              {!isLoading && blackouts.map((b) => (
+                <li key={b._id} className="py-3 flex flex-col sm:flex-row sm:items-start gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-gray-900 truncate">{b.title}</p>
+                      <span className="text-xs px-2 py-0.5 bg-gray-700 text-white rounded-full capitalize">{b.category}</span>
+                      {b.source === 'ics' && <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full">Imported</span>}
+                    </div>
+                    <p className="text-sm text-gray-600">{b.reason}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {format(parseISO(b.startTime), 'EEE, MMM d yyyy, h:mm a')} - {format(parseISO(b.endTime), 'EEE, MMM d yyyy, h:mm a')}
+                    </p>
+                    <p className="text-xs text-gray-500">{b.auditoriums?.length > 0 ? b.auditoriums.map((a) => a.name).join(', ') : 'Campus-wide'}</p>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    {deletingId === b._id ? (
+                      <>
+                        <button onClick={() => handleDelete(b._id)} disabled={isSaving} className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">Confirm Delete</button>
+                        <button onClick={() => setDeletingId(null)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => startEdit(b)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50">Edit</button>
+                        <button onClick={() => setDeletingId(b._id)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">Delete</button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageBlackouts;
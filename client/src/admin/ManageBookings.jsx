@@ -1,7 +1,9 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
 import { format, parseISO } from 'date-fns';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import BookingTimeline from '../components/BookingTimeline';
+import ApprovalProgress from '../components/ApprovalProgress';
 
 // --- Placeholder/Error Icon Components ---
 const ImagePlaceholderIcon = () => (
@@ -25,6 +27,8 @@ const ImageErrorPlaceholder = () => (
 // Not used directly, but good practice if you have an error fallback URL
 // const ERROR_IMAGE_URL = "https://via.placeholder.com/150/FFEBEE/D32F2F?text=Load+Error";
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+// Requesters pick one of these; it only raises a request's priority once an approver confirms it
+const EVENT_CATEGORY_VALUES = ["institution", "department", "club"];
 
 // --- Main Component ---
 
@@ -35,6 +39,7 @@ const ManageBookings = () => {
   const [allBookings, setAllBookings] = useState([]); // Original full list from API
   const [filteredBookings, setFilteredBookings] = useState([]); // List after filtering
   const [departments, setDepartments] = useState([]); // Department Data for Filter
+  const [auditoriums, setAuditoriums] = useState([]); // Targets for moving a booking
 
   // Loading State
   const [isLoading, setIsLoading] = useState(true);
@@ -58,8 +63,25 @@ const ManageBookings = () => {
   const [rejectReasons, setRejectReasons] = useState({}); // Key: bookingId, Value: reason text
   const [approvingId, setApprovingId] = useState(null); // ID of booking being approved
   const [rejectingId, setRejectingId] = useState(null); // ID of booking being rejected (confirm step)
+  const [cancelPanelId, setCancelPanelId] = useState(null); // Which approved booking's cancel input is open
+  const [cancelReason, setCancelReason] = useState("");
+  const [cancellingId, setCancellingId] = useState(null); // ID of booking being cancelled
+  const [moveForm, setMoveForm] = useState(null); // { mode: "move" | "propose", bookingId, auditoriumId, newStartTime, newEndTime, initialStart, initialEnd, reason, expiresInHours, allowSmallerVenue, capacityWarning }
+  const [movingId, setMovingId] = useState(null); // ID of booking being moved or counter-proposed
+  const [historyOpenId, setHistoryOpenId] = useState(null); // Booking whose audit timeline is expanded
   const [actionSuccess, setActionSuccess] = useState("");
   const [zoomedImageUrl, setZoomedImageUrl] = useState(null);
+  const [seriesPanel, setSeriesPanel] = useState(null); // { bookingId, action } for series actions needing a reason/confirmation
+  const [seriesReason, setSeriesReason] = useState("");
+  const [seriesActionKey, setSeriesActionKey] = useState(null); // `${action}-${bookingId}` while a series request is running
+  const [conflictGroups, setConflictGroups] = useState([]); // Pending requests competing for the same slot, ranked by priority rules
+  const [showConflictGroups, setShowConflictGroups] = useState(false);
+
+  // --- Role Capabilities (mirrors the server's role permissions; the server also limits scope) ---
+  const staffRole = localStorage.getItem("userRole");
+  const canDecide = staffRole !== "auditor"; // Auditors have read-only access
+  const canManage = staffRole === "admin" || staffRole === "venue-manager"; // Cancel, move and withdraw
+  const canConfirmCategory = canManage; // Coordinators cannot vouch for their own department's event category
 
   // --- Helpers ---
   /** Sets temporary feedback message and clears it after a duration. */
@@ -100,8 +122,8 @@ const ManageBookings = () => {
     const token = localStorage.getItem("authToken");
     const userRole = localStorage.getItem("userRole");
 
-    if (!token || userRole !== "admin") {
-      setFetchError("Access Denied: Admin privileges required.");
+    if (!token || !userRole || userRole === "user") {
+      setFetchError("Access Denied: Staff privileges required.");
       setIsLoading(false);
       return;
     }
@@ -201,13 +223,50 @@ const ManageBookings = () => {
     }
   }, []); // No dependencies
 
+  /** Fetches auditoriums so an approved booking can be moved to another venue. */
+  const fetchAuditoriums = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auditoriums`, { headers: { 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok || !data.success || !Array.isArray(data.data)) {
+        throw new Error(data.message || `Auditorium list fetch failed (${response.status})`);
+      }
+      setAuditoriums(data.data);
+    } catch (err) {
+      console.error("[Error] Fetch auditoriums failed (Admin):", err);
+      setAuditoriums([]);
+    }
+  }, []);
+
+  /** Fetches pending requests that compete for the same hall and time, with a recommended winner per group. */
+  const fetchConflictGroups = useCallback(async () => {
+    const token = localStorage.getItem("authToken");
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/bookings/admin/conflict-groups`, { headers: { Authorization: `Bearer ${token}`, Accept: "application/json" } });
+      const data = await response.json();
+      if (!response.ok || !data.success || !Array.isArray(data.data)) {
+        throw new Error(data.message || `Conflict group fetch failed (${response.status})`);
+      }
+      setConflictGroups(data.data);
+    } catch (err) {
+      console.error("[Error] Fetch conflict groups failed (Admin):", err);
+      setConflictGroups([]);
+    }
+  }, []);
+
+  // Resolves auditorium ids in the audit timeline to names
+  const auditoriumNames = useMemo(() => Object.fromEntries(auditoriums.map((a) => [a._id, a.name])), [auditoriums]);
+
   // --- Effect Hooks ---
 
   // Initial data fetch on component mount
   useEffect(() => {
     fetchAllBookings();
     fetchDepartments();
-  }, [fetchAllBookings, fetchDepartments]); // Dependencies are the stable callback functions
+    fetchAuditoriums();
+    fetchConflictGroups();
+  }, [fetchAllBookings, fetchDepartments, fetchAuditoriums, fetchConflictGroups]); // Dependencies are the stable callback functions
 
   // Filtering logic - runs when data or filter criteria change
   useEffect(() => {
@@ -288,6 +347,47 @@ const ManageBookings = () => {
     setRejectReasons((prev) => ({ ...prev, [bookingId]: value }));
   };
 
+  /** Toggles the cancellation reason input for an approved booking. */
+  const handleCancelClick = (bookingId) => {
+    if (approvingId || rejectingId || cancellingId || movingId) return;
+    setMoveForm(null);
+    setCancelPanelId((prev) => (prev === bookingId ? null : bookingId));
+    setCancelReason("");
+  };
+
+  /**
+   * Opens (or closes) the slot form prefilled with the booking's current slot:
+   * "move" relocates an approved booking, "propose" sends a counter-proposal for a pending one.
+   */
+  const handleMoveClick = (booking, mode = "move") => {
+    if (approvingId || rejectingId || cancellingId || movingId) return;
+    if (moveForm?.bookingId === booking._id && moveForm.mode === mode) {
+      setMoveForm(null);
+      return;
+    }
+    const initialStart = format(parseISO(booking.startTime), "yyyy-MM-dd'T'HH:mm");
+    const initialEnd = format(parseISO(booking.endTime), "yyyy-MM-dd'T'HH:mm");
+    setCancelPanelId(null);
+    setRejectingBookingId(null);
+    setMoveForm({
+      mode,
+      bookingId: booking._id,
+      auditoriumId: booking.auditorium?._id || "",
+      newStartTime: initialStart,
+      newEndTime: initialEnd,
+      initialStart,
+      initialEnd,
+      reason: "",
+      expiresInHours: "",
+      allowSmallerVenue: false,
+      capacityWarning: "",
+    });
+  };
+
+  const handleMoveFormChange = (field, value) => {
+    setMoveForm((prev) => (prev ? { ...prev, [field]: value, ...(field === "auditoriumId" ? { allowSmallerVenue: false, capacityWarning: "" } : {}) } : prev));
+  };
+
   /** Handles image loading errors for specific bookings. */
   const handleImageError = useCallback((bookingId) => {
     console.warn(`Image load error detected for booking ID: ${bookingId}`);
@@ -296,8 +396,32 @@ const ManageBookings = () => {
 
   // --- Action Handlers (API Calls) ---
 
+  /** Confirms (or corrects) a request's event category so it counts in the priority ranking. */
+  const handleConfirmCategory = async (bookingId, eventCategory) => {
+    const token = localStorage.getItem("authToken");
+    if (!token) {
+      showToast("error", "Authentication Error: Please log in again.");
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/bookings/${bookingId}/category`, {
+        method: "PUT",
+        headers: { Authorization: `Bearer ${token}`, Accept: "application/json", "Content-Type": "application/json" },
+        body: JSON.stringify({ eventCategory }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || `Category update failed (Status ${response.status})`);
+      showToast("success", data.message || "Event category confirmed.");
+      fetchConflictGroups(); // The ranking may change
+    } catch (err) {
+      console.error("[Error] Confirm event category failed (Admin):", err);
+      showToast("error", err.message || "Could not confirm the event category.");
+    }
+  };
+
   /** Approves a booking. */
-  const handleApprove = async (bookingId) => {
+  /** Approves a booking; with `rejectCompeting` the other pending requests for the same slot are rejected too. */
+  const handleApprove = async (bookingId, rejectCompeting = false) => {
     if (approvingId || rejectingId) return; // Prevent overlapping actions
 
     setApprovingId(bookingId); // Set loading state for this approval
@@ -315,7 +439,8 @@ const ManageBookings = () => {
     try {
       const response = await fetch(url, {
         method: "PUT",
-        headers: { Authorization: `Bearer ${token}`, Accept: "application/json" },
+        headers: { Authorization: `Bearer ${token}`, Accept: "application/json", "Content-Type": "application/json" },
+        body: JSON.stringify({ rejectCompeting }),
       });
       const data = await response.json(); // Assume JSON response for errors too
 
@@ -324,6 +449,11 @@ const ManageBookings = () => {
       }
 
       showToast("success", data.message || `Booking Approved!`);
+      fetchConflictGroups();
+      if (data.autoRejected?.length > 0) {
+        await fetchAllBookings(); // Several bookings changed status
+        return;
+      }
 
       // Update local state to reflect the change immediately
       // Backend should return the updated booking in data.data
@@ -356,6 +486,147 @@ const ManageBookings = () => {
     }
   };
 
+  /** Cancels an approved (possibly running) booking with a mandatory reason. */
+  const handleConfirmCancel = async (bookingId) => {
+    if (approvingId || rejectingId || cancellingId) return;
+
+    const reason = cancelReason.trim();
+    if (!reason) {
+      showToast("error", "Cancellation reason is required.");
+      document.getElementById(`cr-${bookingId}`)?.focus();
+      return;
+    }
+
+    const token = localStorage.getItem("authToken");
+    if (!token) {
+      showToast("error", "Authentication Error: Please log in again.");
+      return;
+    }
+
+    setCancellingId(bookingId);
+    const url = `${API_BASE_URL}/api/bookings/${bookingId}/cancel`;
+    console.log(`[API Call] Cancelling booking ${bookingId} (PUT ${url}) with reason.`);
+
+    try {
+      const response = await fetch(url, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ reason }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `Cancellation failed (Status ${response.status})`);
+      }
+
+      showToast("success", data.message || "Booking Cancelled.");
+      setAllBookings((prev) =>
+        prev.map((b) =>
+          b._id === bookingId
+            ? { ...b,
+                ...data.data,
+                id: data.data._id,
+                department: data.data.department || b.department,
+                user: data.data.user || b.user,
+                auditorium: data.data.auditorium || b.auditorium,
+              }
+            : b
+        )
+      );
+      setCancelPanelId(null);
+      setCancelReason("");
+    } catch (e) {
+      console.error(`[Error] Cancel booking ${bookingId} failed:`, e);
+      showToast("error", e.message || "Cancel action failed.");
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  /** Moves an approved booking, or counter-proposes a new time and/or auditorium for a pending one. */
+  const handleConfirmMove = async (booking) => {
+    if (!moveForm || approvingId || rejectingId || cancellingId || movingId) return;
+
+    const isProposal = moveForm.mode === "propose";
+    const reason = moveForm.reason.trim();
+    if (!reason && !isProposal) {
+      showToast("error", "A reason for the move is required.");
+      return;
+    }
+    const timesChanged = moveForm.newStartTime !== moveForm.initialStart || moveForm.newEndTime !== moveForm.initialEnd;
+    const venueChanged = moveForm.auditoriumId && moveForm.auditoriumId !== booking.auditorium?._id;
+    if (!timesChanged && !venueChanged) {
+      showToast("error", isProposal ? "Change the time or the auditorium, or approve the request as is." : "Change the time or the auditorium before moving.");
+      return;
+    }
+
+    const token = localStorage.getItem("authToken");
+    if (!token) {
+      showToast("error", "Authentication Error: Please log in again.");
+      return;
+    }
+
+    const payload = isProposal
+      ? { note: reason, ...(moveForm.expiresInHours ? { expiresInHours: Number(moveForm.expiresInHours) } : {}) }
+      : { reason, allowSmallerVenue: moveForm.allowSmallerVenue };
+    if (timesChanged) {
+      payload.newStartTime = moveForm.newStartTime;
+      payload.newEndTime = moveForm.newEndTime;
+    }
+    if (venueChanged) payload.auditoriumId = moveForm.auditoriumId;
+
+    setMovingId(booking._id);
+    const url = `${API_BASE_URL}/api/bookings/${booking._id}/${isProposal ? "propose" : "move"}`;
+    console.log(`[API Call] ${isProposal ? "Counter-proposing" : "Moving"} booking ${booking._id} (PUT ${url})`);
+
+    try {
+      const response = await fetch(url, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (response.status === 409 && data.capacity) {
+          // Smaller venue: ask the admin to confirm explicitly
+          setMoveForm((prev) => (prev ? { ...prev, capacityWarning: data.message } : prev));
+          return;
+        }
+        throw new Error(data.message || `${isProposal ? "Proposal" : "Move"} failed (Status ${response.status})`);
+      }
+
+      showToast("success", data.message || (isProposal ? "Counter-proposal sent." : "Booking moved."));
+      setAllBookings((prev) =>
+        prev.map((b) =>
+          b._id === booking._id
+            ? { ...b,
+                ...data.data,
+                id: data.data._id,
+                department: data.data.department || b.department,
+                user: data.data.user || b.user,
+                auditorium: data.data.auditorium || b.auditorium,
+              }
+            : b
+        )
+      );
+      setMoveForm(null);
+    } catch (e) {
+      console.error(`[Error] ${isProposal ? "Counter-propose" : "Move"} booking ${booking._id} failed:`, e);
+      showToast("error", e.message || `${isProposal ? "Proposal" : "Move"} action failed.`);
+    } finally {
+      setMovingId(null);
+    }
+  };
+
   /** Confirms and submits the rejection of a booking with a reason. */
   const handleConfirmReject = async (bookingId) => {
     if (approvingId || rejectingId) return; // Prevent overlap
@@ -430,6 +701,168 @@ const ManageBookings = () => {
     }
   };
 
+  /** Opens (or closes) the inline reason/confirmation panel for a series action. */
+  const toggleSeriesPanel = (bookingId, action) => {
+    if (approvingId || rejectingId || seriesActionKey) return;
+    setSeriesPanel((prev) => (prev?.bookingId === bookingId && prev?.action === action ? null : { bookingId, action }));
+    setSeriesReason("");
+  };
+
+  /** Approves, rejects or withdraws a whole series, or withdraws a single occurrence. */
+  const handleSeriesAction = async (action, booking) => {
+    if (approvingId || rejectingId || seriesActionKey) return;
+    const seriesId = booking.series?._id;
+    if (!seriesId) return;
+
+    const reason = seriesReason.trim();
+    if (action === "reject" && !reason) {
+      showToast("error", "Rejection reason is required.");
+      return;
+    }
+
+    const token = localStorage.getItem("authToken");
+    if (!token) {
+      showToast("error", "Authentication Error: Please log in again.");
+      return;
+    }
+
+    const requests = {
+      approve: { method: "PUT", path: `/api/bookings/series/${seriesId}/approve` },
+      reject: { method: "PUT", path: `/api/bookings/series/${seriesId}/reject`, body: { rejectionReason: reason } },
+      withdraw: { method: "DELETE", path: `/api/bookings/series/${seriesId}`, body: { reason } },
+      withdrawOccurrence: { method: "DELETE", path: `/api/bookings/series/${seriesId}/occurrences/${booking._id}`, body: { reason } },
+    };
+    const { method, path, body } = requests[action];
+    setSeriesActionKey(`${action}-${booking._id}`);
+    console.log(`[API Call] Series action '${action}' (${method} ${path})`);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: "application/json",
+          ...(body && { "Content-Type": "application/json" }),
+        },
+        ...(body && { body: JSON.stringify(body) }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `Series action failed (Status ${response.status})`);
+      }
+
+      showToast(data.message?.includes("left pending") ? "warning" : "success", data.message || "Series updated.");
+      setSeriesPanel(null);
+      setSeriesReason("");
+      // Several occurrences change at once, so reload the list instead of patching it locally
+      await fetchAllBookings();
+    } catch (e) {
+      console.error(`[Error] Series action '${action}' for series ${seriesId} failed:`, e);
+      showToast("error", e.message || "Series action failed.");
+    } finally {
+      setSeriesActionKey(null);
+    }
+  };
+
+  /** Slot form shared by "move" (approved bookings) and "propose" (pending bookings). */
+  const renderMoveForm = (booking, isAnyActionInProgress) => {
+    const isProposal = moveForm.mode === "propose";
+    return (
+      <div className="p-3 bg-amber-50 border border-amber-200 rounded-md shadow-sm space-y-2">
+        <p className="text-sm font-semibold text-amber-900">{isProposal ? "Propose an Alternative" : "Move Booking"}</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <label className="text-xs text-gray-700">
+            Auditorium
+            <select
+              value={moveForm.auditoriumId}
+              onChange={(e) => handleMoveFormChange("auditoriumId", e.target.value)}
+              disabled={isAnyActionInProgress}
+              className="mt-1 w-full p-1.5 border border-gray-300 rounded-md text-sm bg-white"
+            >
+              {auditoriums.map((audi) => (
+                <option key={audi._id} value={audi._id}>{audi.name} ({audi.capacity} seats)</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-gray-700">
+            Start
+            <input
+              type="datetime-local"
+              value={moveForm.newStartTime}
+              onChange={(e) => handleMoveFormChange("newStartTime", e.target.value)}
+              disabled={isAnyActionInProgress}
+              className="mt-1 w-full p-1.5 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <label className="text-xs text-gray-700">
+            End
+            <input
+              type="datetime-local"
+              value={moveForm.newEndTime}
+              onChange={(e) => handleMoveFormChange("newEndTime", e.target.value)}
+              disabled={isAnyActionInProgress}
+              className="mt-1 w-full p-1.5 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        </div>
+        <label htmlFor={`mr-${booking._id}`} className="block text-xs font-semibold text-amber-900">
+          {isProposal ? "Note to the requester (optional)" : <>Reason (sent to the requester) <span className="text-red-600">*</span></>}
+        </label>
+        <textarea
+          id={`mr-${booking._id}`}
+          className="w-full p-2 border border-amber-300 rounded-md text-sm shadow-sm disabled:bg-gray-100"
+          rows="2"
+          value={moveForm.reason}
+          onChange={(e) => handleMoveFormChange("reason", e.target.value)}
+          disabled={isAnyActionInProgress}
+        />
+        {isProposal && (
+          <label className="block text-xs text-gray-700">
+            Response deadline in hours (blank = policy default)
+            <input
+              type="number"
+              min="1"
+              max="336"
+              value={moveForm.expiresInHours}
+              onChange={(e) => handleMoveFormChange("expiresInHours", e.target.value)}
+              disabled={isAnyActionInProgress}
+              className="mt-1 w-32 p-1.5 border border-gray-300 rounded-md text-sm block"
+            />
+          </label>
+        )}
+        {moveForm.capacityWarning && (
+          <label className="flex items-start gap-2 text-xs text-amber-800 bg-amber-100 border border-amber-300 rounded p-2">
+            <input
+              type="checkbox"
+              checked={moveForm.allowSmallerVenue}
+              onChange={(e) => handleMoveFormChange("allowSmallerVenue", e.target.checked)}
+              className="mt-0.5"
+            />
+            <span>{moveForm.capacityWarning}</span>
+          </label>
+        )}
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={() => handleConfirmMove(booking)}
+            className="px-3 py-1.5 text-xs font-semibold rounded-md shadow-sm text-white bg-amber-600 hover:bg-amber-700 disabled:opacity-60 disabled:cursor-not-allowed transition"
+            disabled={(!isProposal && !moveForm.reason.trim()) || isAnyActionInProgress || (moveForm.capacityWarning && !moveForm.allowSmallerVenue)}
+          >
+            {movingId === booking._id ? (isProposal ? "Sending..." : "Moving...") : (isProposal ? "Send Proposal" : "Confirm Move")}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleMoveClick(booking, moveForm.mode)}
+            disabled={isAnyActionInProgress}
+            className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60 transition"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    );
+  };
+
   // --- Component Render ---
   return (
     <div className="min-h-screen bg-gradient-to-br from-red-50 via-white to-red-100">
@@ -509,6 +942,8 @@ const ManageBookings = () => {
                   <option value="approved">Approved</option>
                   <option value="pending">Pending</option>
                   <option value="rejected">Rejected</option>
+                  <option value="awaiting-requester">Awaiting Requester</option>
+                  <option value="cancelled">Cancelled</option>
                 </select>
                 {/* Auditorium Filter */}
                 <select
@@ -571,6 +1006,79 @@ const ManageBookings = () => {
             </div>
             {/* --- End Filter Bar --- */}
 
+            {/* --- Competing Request Groups (ranked by the auditorium's priority rules) --- */}
+            {conflictGroups.length > 0 && (
+              <div className="mb-8 bg-orange-50 border border-orange-200 rounded-lg p-4">
+                <div className="flex items-center justify-between gap-3">
+                  <h2 className="text-sm font-semibold text-orange-900">
+                    {conflictGroups.length} group{conflictGroups.length > 1 ? "s" : ""} of pending requests competing for the same slot
+                  </h2>
+                  <button
+                    type="button"
+                    onClick={() => setShowConflictGroups((prev) => !prev)}
+                    className="px-3 py-1 text-xs font-medium rounded-md border border-orange-300 bg-white text-orange-800 hover:bg-orange-100"
+                  >
+                    {showConflictGroups ? "Hide" : "Review"}
+                  </button>
+                </div>
+                {showConflictGroups && (
+                  <ul className="mt-3 space-y-4">
+                    {conflictGroups.map((group) => (
+                      <li key={group.recommended} className="bg-white rounded-md border border-orange-200 p-3">
+                        <p className="text-sm font-medium text-gray-800">
+                          {group.auditorium?.name} &middot; {format(parseISO(group.startTime), 'MMM d, h:mm a')} - {format(parseISO(group.endTime), 'MMM d, h:mm a')}
+                        </p>
+                        <ol className="mt-2 space-y-2">
+                          {group.requests.map((request) => (
+                            <li key={request._id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 text-xs">
+                              <div>
+                                <span className="font-semibold text-gray-800">#{request.rank} {request.eventName}</span>
+                                {request._id === group.recommended && (
+                                  <span className="ml-2 px-2 py-0.5 rounded-full bg-green-100 text-green-800 border border-green-200 font-semibold">Recommended</span>
+                                )}
+                                <span className="text-gray-600">
+                                  {" "}&middot; {request.department?.name || "No dept"} &middot;{" "}
+                                  {canConfirmCategory ? (
+                                    <select
+                                      value={request.eventCategory}
+                                      onChange={(e) => handleConfirmCategory(request._id, e.target.value)}
+                                      className="border border-gray-300 rounded px-1 py-0.5 text-xs bg-white"
+                                      title="Confirm or correct the requester's category"
+                                    >
+                                      {EVENT_CATEGORY_VALUES.map((category) => <option key={category} value={category}>{category}</option>)}
+                                    </select>
+                                  ) : request.eventCategory}
+                                  {!request.eventCategoryConfirmed && (
+                                    canConfirmCategory
+                                      ? <button type="button" onClick={() => handleConfirmCategory(request._id, request.eventCategory)} className="ml-1 text-orange-700 underline">confirm</button>
+                                      : <span className="ml-1 text-orange-700">(unconfirmed)</span>
+                                  )}
+                                  {request.expectedAttendance > 0 && ` · ${request.expectedAttendance} expected`}
+                                  {" "}&middot; {format(parseISO(request.startTime), 'MMM d, h:mm a')} - {format(parseISO(request.endTime), 'h:mm a')}
+                                </span>
+                                <p className="text-gray-500 italic">{request.priorityReason}</p>
+                              </div>
+                              {canDecide && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleApprove(request._id, true)}
+                                  disabled={!!(approvingId || rejectingId || cancellingId || movingId || seriesActionKey) || request.currentApprovers?.length > 0}
+                                  title={request.currentApprovers?.length > 0 ? "Awaiting an endorsement stage" : "Approve and reject the pending requests that overlap it"}
+                                  className={`flex-shrink-0 px-3 py-1 font-semibold rounded-md shadow-sm disabled:opacity-50 disabled:cursor-not-allowed ${request._id === group.recommended ? "text-white bg-green-600 hover:bg-green-700" : "border border-green-600 bg-white text-green-700 hover:bg-green-50"}`}
+                                >
+                                  {approvingId === request._id ? "Approving..." : "Approve & Reject Others"}
+                                </button>
+                              )}
+                            </li>
+                          ))}
+                        </ol>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             {/* --- Booking List / No Results Message --- */}
             {filteredBookings.length === 0 ? (
               <div className="text-center py-16">
@@ -599,7 +1107,9 @@ const ManageBookings = () => {
                   const imgHasError = imgErrors[booking._id] || false; // Check specific error state
 
                   // Determine if actions should be disabled
-                  const isAnyActionInProgress = !!(approvingId || rejectingId);
+                  const isAnyActionInProgress = !!(approvingId || rejectingId || cancellingId || movingId || seriesActionKey);
+                  const series = booking.series && typeof booking.series === "object" ? booking.series : null;
+                  const activeSeriesPanel = seriesPanel?.bookingId === booking._id ? seriesPanel.action : null;
                   // Disable buttons for THIS booking if its action is processing
                   const disableActionsForThisBooking = isAnyActionInProgress && (approvingId === booking._id || rejectingId === booking._id);
 
@@ -642,12 +1152,24 @@ const ManageBookings = () => {
                               className={`flex-shrink-0 mt-1 sm:mt-0 px-2.5 py-0.5 rounded-full text-xs font-semibold border whitespace-nowrap ${booking.status === "approved" ? "bg-green-100 text-green-800 border-green-200" :
                                 booking.status === "pending" ? "bg-yellow-100 text-yellow-800 border-yellow-200" :
                                   booking.status === "rejected" ? "bg-red-100 text-red-800 border-red-200" :
+                                    booking.status === "cancelled" ? "bg-gray-200 text-gray-700 border-gray-300" :
+                                    booking.status === "awaiting-requester" ? "bg-amber-100 text-amber-800 border-amber-200" :
                                     "bg-gray-100 text-gray-800 border-gray-200" // Default/Fallback
                                 }`}
                             >
                               {booking.status?.toUpperCase() || "N/A"}
                             </span>
                           </div>
+                          {series && (
+                            <span className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-800 border border-indigo-200" title="Part of a recurring booking series">
+                              Recurring &middot; #{booking.occurrenceIndex || "?"} of {series.occurrenceCount || "?"} ({series.recurrence?.frequency})
+                            </span>
+                          )}
+                          {booking.competingRequests?.length > 0 && (
+                            <span className="inline-block ml-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-orange-100 text-orange-800 border border-orange-200" title="Other open requests want the same hall and time">
+                              Competing &middot; {booking.competingRequests.length}
+                            </span>
+                          )}
 
                           {/* Description */}
                           <p className="text-sm text-gray-600 leading-relaxed line-clamp-3">
@@ -681,6 +1203,18 @@ const ManageBookings = () => {
                               <strong className="font-medium text-gray-700 w-20 inline-block">To:</strong>
                               {booking.endTime ? format(parseISO(booking.endTime), 'MMM d, yyyy h:mm a') : "N/A"}
                             </p>
+                            {booking.expectedAttendance > 0 && (
+                              <p>
+                                <strong className="font-medium text-gray-700 w-20 inline-block">Attendance:</strong>
+                                {booking.expectedAttendance} expected
+                              </p>
+                            )}
+                            {booking.equipment?.length > 0 && (
+                              <p>
+                                <strong className="font-medium text-gray-700 w-20 inline-block">Equipment:</strong>
+                                {booking.equipment.map((line) => `${line.quantity} × ${line.name}`).join(', ')}
+                              </p>
+                            )}
 
                             {/* Rejection Reason (only if rejected) */}
                             {booking.status === "rejected" && booking.rejectionReason && (
@@ -688,17 +1222,94 @@ const ManageBookings = () => {
                                 <strong className="not-italic font-medium text-red-900">Reason:</strong> {booking.rejectionReason}
                               </div>
                             )}
+
+                            {/* Counter-proposal (open or answered) */}
+                            {booking.counterProposal && (
+                              <div className="mt-2 pl-3 border-l-4 border-amber-300 bg-amber-50 text-amber-900 text-xs py-1">
+                                <strong className="font-medium">Counter-proposal ({booking.counterProposal.outcome}):</strong>{" "}
+                                {booking.counterProposal.auditorium?.name || "Same auditorium"},{" "}
+                                {format(parseISO(booking.counterProposal.startTime), 'MMM d, h:mm a')} - {format(parseISO(booking.counterProposal.endTime), 'h:mm a')}
+                                {booking.counterProposal.outcome === "open" && <> &middot; answer due {format(parseISO(booking.counterProposal.expiresAt), 'MMM d, h:mm a')}</>}
+                              </div>
+                            )}
+
+                            {/* Other open requests for the same hall and time - approving one blocks the rest */}
+                            {booking.competingRequests?.length > 0 && (
+                              <div className="mt-2 pl-3 border-l-4 border-orange-300 bg-orange-50 text-orange-900 text-xs py-1 space-y-0.5">
+                                <strong className="font-medium">
+                                  {booking.competingRequests.length} competing request{booking.competingRequests.length > 1 ? "s" : ""} for this time:
+                                </strong>
+                                {booking.competingRequests.map((rival) => (
+                                  <p key={rival._id}>
+                                    <span className="font-medium">{rival.eventName}</span>
+                                    {" "}({rival.department?.name || "No dept"}
+                                    {rival.expectedAttendance > 0 && `, ${rival.expectedAttendance} expected`})
+                                    {" "}&middot; {format(parseISO(rival.startTime), 'MMM d, h:mm a')} - {format(parseISO(rival.endTime), 'h:mm a')}
+                                    {" "}&middot; requested {format(parseISO(rival.createdAt), 'MMM d, h:mm a')}
+                                    {rival.status === "awaiting-requester" && " · awaiting requester"}
+                                  </p>
+                                ))}
+                              </div>
+                            )}
+
+                            {/* Admin moves (old -> new) */}
+                            {booking.moveHistory?.length > 0 && (
+                              <div className="mt-2 pl-3 border-l-4 border-amber-300 bg-amber-50 text-amber-900 text-xs py-1 space-y-0.5">
+                                {booking.moveHistory.map((move, i) => (
+                                  <p key={i}>
+                                    <strong className="font-medium">Moved {move.movedAt ? format(parseISO(move.movedAt), 'MMM d') : ""}:</strong>{" "}
+                                    {format(parseISO(move.previousStartTime), 'MMM d, h:mm a')} &rarr; {format(parseISO(move.newStartTime), 'MMM d, h:mm a')}
+                                    {move.previousAuditorium !== move.newAuditorium && " (venue changed)"} &middot; <span className="italic">{move.reason}</span>
+                                  </p>
+                                ))}
+                              </div>
+                            )}
+
+                            {/* Cancellation Reason (only if cancelled) */}
+                            {booking.status === "cancelled" && booking.cancellationReason && (
+                              <div className="mt-2 pl-3 border-l-4 border-gray-300 bg-gray-50 text-gray-700 text-xs italic py-1">
+                                <strong className="not-italic font-medium text-gray-900">Cancelled:</strong> {booking.cancellationReason}
+                                {booking.cancelledAt && <span className="not-italic"> ({format(parseISO(booking.cancelledAt), 'MMM d, yyyy h:mm a')})</span>}
+                              </div>
+                            )}
                           </div>
                           {/* --- End Detailed Info --- */}
 
+                          {/* --- Audit Timeline --- */}
+                          <div>
+                            <button
+                              type="button"
+                              onClick={() => setHistoryOpenId((prev) => (prev === booking._id ? null : booking._id))}
+                              className="text-xs font-medium text-gray-500 hover:text-red-700 underline-offset-2 hover:underline"
+                            >
+                              {historyOpenId === booking._id ? "Hide history" : "Show history"}
+                            </button>
+                            {historyOpenId === booking._id && (
+                              <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-md">
+                                <BookingTimeline bookingId={booking._id} auditoriumNames={auditoriumNames} />
+                              </div>
+                            )}
+                          </div>
+
                           {/* --- Admin Action Area (only for Pending) --- */}
                           {booking.status === "pending" && (
                             <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+                              <ApprovalProgress booking={booking} />
                               {isPastEvent(booking.startTime) ? (
                                 // Show message for past pending bookings
                                 <div className="text-sm text-amber-600 bg-amber-50 p-2 rounded border border-amber-200">
                                   Event deadline has passed - No action required
                                 </div>
+                              ) : booking.currentApprovers?.length > 0 ? (
+                                // Blocked at an endorsement stage that only its named approvers can decide
+                                <div className="text-sm text-blue-700 bg-blue-50 p-2 rounded border border-blue-200">
+                                  Awaiting <strong>{booking.approvalStages?.[booking.currentStage || 0]?.name}</strong> by{" "}
+                                  {booking.currentApprovers.map((a) => a.username || a.email).join(", ")}. Admin actions unlock at the venue stage.
+                                </div>
+                              ) : !canDecide ? (
+                                <div className="text-sm text-gray-600 bg-gray-50 p-2 rounded border border-gray-200">
+                                  Awaiting a venue decision. Your role has read-only access.
+                                </div>
                               ) : (
                                 // Show action buttons only for future/current pending bookings
                                 rejectingBookingId === booking._id ? (
@@ -736,6 +1347,8 @@ const ManageBookings = () => {
                                       </button>
                                     </div>
                                   </div>
+                                ) : moveForm?.bookingId === booking._id && moveForm.mode === "propose" ? (
+                                  renderMoveForm(booking, isAnyActionInProgress)
                                 ) : (
                                   // Default approve/reject buttons
                                   <div className="flex flex-wrap items-center gap-3">
@@ -756,6 +1369,16 @@ const ManageBookings = () => {
                                         "Approve"
                                       )}
                                     </button>
+                                    {booking.competingRequests?.some((rival) => rival.status === "pending") && (
+                                      <button
+                                        onClick={() => handleApprove(booking._id, true)}
+                                        className="px-4 py-2 text-sm font-semibold rounded-md shadow-sm border border-green-600 bg-white text-green-700 hover:bg-green-50 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                        disabled={isAnyActionInProgress}
+                                        title="Approve this request and reject the other pending requests for the same time, with a generated reason"
+                                      >
+                                        Approve &amp; Reject Competing
+                                      </button>
+                                    )}
                                     <button
                                       onClick={() => handleRejectClick(booking._id)}
                                       className="px-4 py-2 text-sm font-semibold rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-60 disabled:cursor-not-allowed transition"
@@ -763,6 +1386,15 @@ const ManageBookings = () => {
                                     >
                                       Reject
                                     </button>
+                                    {!(booking.segments?.length > 0) && (
+                                      <button
+                                        onClick={() => handleMoveClick(booking, "propose")}
+                                        className="px-4 py-2 text-sm font-semibold rounded-md shadow-sm border border-amber-300 bg-white text-amber-700 hover:bg-amber-50 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                        disabled={isAnyActionInProgress}
+                                      >
+                                        Propose Alternative
+                                      </button>
+                                    )}
                                   </div>
                                 )
                               )}
@@ -770,6 +1402,149 @@ const ManageBookings = () => {
                           )}
                           {/* --- End Admin Action Area --- */}
 
+                          {/* --- Move / Cancel Approved Booking (cancel allowed until the event ends, even while running) --- */}
+                          {canManage && booking.status === "approved" && booking.endTime && !isPastEvent(booking.endTime) && (
+                            <div className="mt-4 pt-4 border-t border-gray-200">
+                              {cancelPanelId === booking._id ? (
+                                <div className="p-3 bg-gray-50 border border-gray-300 rounded-md shadow-sm">
+                                  <label htmlFor={`cr-${booking._id}`} className="block text-sm font-semibold text-gray-800 mb-1.5">
+                                    Reason for Cancellation <span className="text-red-600">*</span>
+                                  </label>
+                                  {isPastEvent(booking.startTime) && (
+                                    <p className="text-xs text-amber-700 mb-1.5">This event is in progress. The requester will be notified immediately.</p>
+                                  )}
+                                  <textarea
+                                    id={`cr-${booking._id}`}
+                                    className="w-full p-2 border border-gray-300 rounded-md text-sm shadow-sm disabled:bg-gray-100 focus:ring-1 focus:ring-red-500 focus:border-red-500 transition"
+                                    rows="3"
+                                    value={cancelReason}
+                                    onChange={(e) => setCancelReason(e.target.value)}
+                                    required
+                                    autoFocus
+                                    disabled={isAnyActionInProgress}
+                                  />
+                                  <div className="flex justify-end space-x-2 mt-2">
+                                    <button
+                                      onClick={() => handleConfirmCancel(booking._id)}
+                                      className="px-3 py-1.5 text-xs font-semibold rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                      disabled={!cancelReason.trim() || isAnyActionInProgress}
+                                    >
+                                      {cancellingId === booking._id ? "Cancelling..." : "Confirm Cancellation"}
+                                    </button>
+                                    <button
+                                      type="button"
+                                      onClick={() => handleCancelClick(booking._id)}
+                                      disabled={isAnyActionInProgress}
+                                      className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60 transition"
+                                    >
+                                      Keep Booking
+                                    </button>
+                                  </div>
+                                </div>
+                              ) : moveForm?.bookingId === booking._id && moveForm.mode === "move" ? (
+                                renderMoveForm(booking, isAnyActionInProgress)
+                              ) : (
+                                <div className="flex flex-wrap items-center gap-3">
+                                  {!isPastEvent(booking.startTime) && !(booking.segments?.length > 0) && (
+                                    <button
+                                      onClick={() => handleMoveClick(booking)}
+                                      className="px-4 py-2 text-sm font-semibold rounded-md shadow-sm border border-amber-300 bg-white text-amber-700 hover:bg-amber-50 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                      disabled={isAnyActionInProgress}
+                                    >
+                                      Move / Relocate
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleCancelClick(booking._id)}
+                                    className="px-4 py-2 text-sm font-semibold rounded-md shadow-sm border border-red-300 bg-white text-red-700 hover:bg-red-50 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                    disabled={isAnyActionInProgress}
+                                  >
+                                    Cancel Booking
+                                  </button>
+                                </div>
+                              )}
+                            </div>
+                          )}
+
+                          {/* --- Recurring Series Actions --- */}
+                          {series && canDecide && !isPastEvent(booking.startTime) && (
+                            <div className="mt-3 pt-3 border-t border-dashed border-indigo-200 space-y-3">
+                              <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-xs font-semibold text-indigo-800 mr-1">Series:</span>
+                                <button
+                                  onClick={() => handleSeriesAction("approve", booking)}
+                                  disabled={isAnyActionInProgress}
+                                  className="px-3 py-1.5 text-xs font-semibold rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                >
+                                  {seriesActionKey === `approve-${booking._id}` ? "Approving..." : "Approve Series"}
+                                </button>
+                                <button
+                                  onClick={() => toggleSeriesPanel(booking._id, "reject")}
+                                  disabled={isAnyActionInProgress}
+                                  className="px-3 py-1.5 text-xs font-semibold rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                >
+                                  Reject Series
+                                </button>
+                                {canManage && (
+                                  <button
+                                    onClick={() => toggleSeriesPanel(booking._id, "withdraw")}
+                                    disabled={isAnyActionInProgress}
+                                    className="px-3 py-1.5 text-xs font-semibold rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                  >
+                                    Withdraw Series
+                                  </button>
+                                )}
+                                {canManage && ["pending", "approved"].includes(booking.status) && (
+                                  <button
+                                    onClick={() => toggleSeriesPanel(booking._id, "withdrawOccurrence")}
+                                    disabled={isAnyActionInProgress}
+                                    className="px-3 py-1.5 text-xs font-semibold rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                  >
+                                    Withdraw This Occurrence
+                                  </button>
+                                )}
+                              </div>
+
+                              {activeSeriesPanel && (
+                                <div className="p-3 bg-indigo-50 border border-indigo-200 rounded-md shadow-sm">
+                                  <label htmlFor={`sr-${booking._id}`} className="block text-sm font-semibold text-indigo-900 mb-1.5">
+                                    {activeSeriesPanel === "reject" ? "Reason for rejecting all pending occurrences" :
+                                      activeSeriesPanel === "withdraw" ? "Withdraw all upcoming occurrences - reason (optional)" :
+                                        "Withdraw this occurrence - reason (optional)"}
+                                    {activeSeriesPanel === "reject" && <span className="text-red-600"> *</span>}
+                                  </label>
+                                  <textarea
+                                    id={`sr-${booking._id}`}
+                                    className="w-full p-2 border border-indigo-300 rounded-md text-sm shadow-sm disabled:bg-gray-100 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 transition"
+                                    rows="2"
+                                    value={seriesReason}
+                                    onChange={(e) => setSeriesReason(e.target.value)}
+                                    disabled={isAnyActionInProgress}
+                                    autoFocus
+                                  />
+                                  <div className="flex justify-end space-x-2 mt-2">
+                                    <button
+                                      onClick={() => handleSeriesAction(activeSeriesPanel, booking)}
+                                      disabled={isAnyActionInProgress || (activeSeriesPanel === "reject" && !seriesReason.trim())}
+                                      className="px-3 py-1.5 text-xs font-semibold rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                                    >
+                                      {seriesActionKey === `${activeSeriesPanel}-${booking._id}` ? "Working..." : "Confirm"}
+                                    </button>
+                                    <button
+                                      type="button"
+                                      onClick={() => toggleSeriesPanel(booking._id, activeSeriesPanel)}
+                                      disabled={isAnyActionInProgress}
+                                      className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60 transition"
+                                    >
+                                      Cancel
+                                    </button>
+                                  </div>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                          {/* --- End Recurring Series Actions --- */}
+
                         </div>
                         {/* --- End Details Area --- */}
                       </div>
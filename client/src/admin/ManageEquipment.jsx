@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { format, parseISO } from 'date-fns';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const CATEGORY_OPTIONS = ["audio", "video", "lighting", "computing", "furniture", "other"];
+const EMPTY_FORM = { name: "", description: "", category: "audio", quantity: "1", auditorium: "" };
+
+const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json' });
+
+const ManageEquipment = () => {
+  const canManage = localStorage.getItem("userRole") === "admin"; // Other staff only see the pull list and stock
+
+  // --- State Definitions ---
+  const [equipment, setEquipment] = useState([]);
+  const [auditoriums, setAuditoriums] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null); // Item being edited, null when creating
+  const [isSaving, setIsSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null); // Item awaiting delete confirmation
+  const [pullDate, setPullDate] = useState(() => format(new Date(), 'yyyy-MM-dd'));
+  const [pullList, setPullList] = useState([]);
+  const [isLoadingPullList, setIsLoadingPullList] = useState(false);
+  const [pullListError, setPullListError] = useState("");
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  // --- Data Fetching ---
+  const fetchEquipment = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    if (!localStorage.getItem('authToken')) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    try {
+      const [equipmentRes, audiRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/equipment?includeInactive=true`, { headers: authHeaders() }),
+        fetch(`${API_BASE_URL}/api/auditoriums?includeInactive=true`, { headers: { 'Accept': 'application/json' } }),
+      ]);
+      const [equipmentData, audiData] = await Promise.all([equipmentRes.json(), audiRes.json()]);
+      if (!equipmentRes.ok || !equipmentData.success) throw new Error(equipmentData.message || `Equipment fetch failed (${equipmentRes.status})`);
+      setEquipment(equipmentData.data);
+      setAuditoriums(audiData.success && Array.isArray(audiData.data) ? audiData.data : []);
+    } catch (err) {
+      console.error("Equipment fetch error:", err);
+      setFetchError(err.message || "Could not load equipment.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const fetchPullList = useCallback(async (date) => {
+    if (!date) { setPullList([]); return; }
+    setIsLoadingPullList(true);
+    setPullListError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/equipment/pull-list?date=${date}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Pull list fetch failed (${response.status})`);
+      setPullList(data.data);
+    } catch (err) {
+      console.error("Pull list fetch error:", err);
+      setPullList([]);
+      setPullListError(err.message || "Could not load the pull list.");
+    } finally {
+      setIsLoadingPullList(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchEquipment(); }, [fetchEquipment]);
+  useEffect(() => { fetchPullList(pullDate); }, [fetchPullList, pullDate]);
+
+  // --- Form Handlers ---
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+  const startEdit = (item) => {
+    setEditingId(item._id);
+    setForm({
+      name: item.name,
+      description: item.description || "",
+      category: item.category || "other",
+      quantity: String(item.quantity),
+      auditorium: item.auditorium?._id || item.auditorium || "",
+    });
+  };
+  const cancelEdit = () => { setEditingId(null); setForm(EMPTY_FORM); };
+
+  const saveItem = async (id, body) => {
+    const response = await fetch(id ? `${API_BASE_URL}/api/equipment/${id}` : `${API_BASE_URL}/api/equipment`, {
+      method: id ? "PUT" : "POST",
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.message || `Save failed (${response.status})`);
+    return data;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || form.quantity === "") { showToast("error", "Name and quantity are required."); return; }
+    if (!Number.isInteger(Number(form.quantity)) || Number(form.quantity) < 0) { showToast("error", "Quantity must be a whole number of 0 or more."); return; }
+    setIsSaving(true);
+    try {
+      const data = await saveItem(editingId, { ...form, quantity: Number(form.quantity), auditorium: form.auditorium || null });
+      showToast("success", data.message || "Equipment saved.");
+      cancelEdit();
+      await fetchEquipment();
+    } catch (err) {
+      console.error("Equipment save error:", err);
+      showToast("error", err.message || "Could not save the equipment.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (item) => {
+    setIsSaving(true);
+    try {
+      const data = await saveItem(item._id, { isActive: !item.isActive });
+      showToast("success", item.isActive ? `'${item.name}' retired.` : `'${item.name}' is available again.`);
+      setEquipment((prev) => prev.map((existing) => (existing._id === item._id ? data.data : existing)));
+    } catch (err) {
+      console.error("Equipment toggle error:", err);
+      showToast("error", err.message || "Could not update the equipment.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/equipment/${id}`, { method: "DELETE", headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Delete failed (${response.status})`);
+      showToast("success", data.message || "Equipment deleted.");
+      if (editingId === id) cancelEdit();
+      await fetchEquipment();
+    } catch (err) {
+      console.error("Equipment delete error:", err);
+      showToast("error", err.message || "Could not delete the equipment.");
+    } finally {
+      setIsSaving(false);
+      setDeletingId(null);
+    }
+  };
+
+  const inputClass = "w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500";
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">Equipment</h1>
+        <p className="text-sm text-gray-500 mb-6">Stock fixed to each hall and the portable pool shared between halls, plus what to set out each day.</p>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-6">
+            {/* Create / Edit Form */}
+            {canManage && (
+              <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800">{editingId ? "Edit Item" : "Add Item"}</h2>
+                <input name="name" value={form.name} onChange={handleChange} placeholder="Name (e.g. Wireless microphone)" className={inputClass} disabled={isSaving} required />
+                <textarea name="description" value={form.description} onChange={handleChange} placeholder="Notes for requesters (optional)" rows={2} className={inputClass} disabled={isSaving} />
+                <div className="grid grid-cols-2 gap-3">
+                  <select name="category" value={form.category} onChange={handleChange} className={`${inputClass} bg-white capitalize`} disabled={isSaving}>
+                    {CATEGORY_OPTIONS.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                  <input type="number" name="quantity" min="0" value={form.quantity} onChange={handleChange} placeholder="Quantity" className={inputClass} disabled={isSaving} required />
+                </div>
+                <label className="block text-sm text-gray-700">Location
+                  <select name="auditorium" value={form.auditorium} onChange={handleChange} className={`${inputClass} bg-white`} disabled={isSaving}>
+                    <option value="">Portable (shared by all halls)</option>
+                    {auditoriums.map((a) => <option key={a._id} value={a._id}>Fixed in {a.name}</option>)}
+                  </select>
+                </label>
+                <div className="flex gap-2 justify-end">
+                  {editingId && <button type="button" onClick={cancelEdit} disabled={isSaving} className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>}
+                  <button type="submit" disabled={isSaving} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50">{isSaving ? "Saving..." : editingId ? "Update" : "Add Item"}</button>
+                </div>
+              </form>
+            )}
+
+            {/* Inventory */}
+            <div className="bg-white rounded-xl shadow border border-gray-200 p-5">
+              <h2 className="text-lg font-semibold text-gray-800 mb-4">Inventory</h2>
+              {isLoading && <p className="text-center text-gray-500 py-6">Loading...</p>}
+              {!isLoading && equipment.length === 0 && <p className="text-sm text-gray-500 italic text-center py-6">No equipment recorded yet.</p>}
+              <ul className="divide-y divide-gray-100">
+                {!isLoading && equipment.map((item) => (
+                  <li key={item._id} className={`py-3 ${item.isActive ? "" : "opacity-60"}`}>
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-gray-900 truncate">{item.name}</p>
+                      <span className="text-xs px-2 py-0.5 bg-gray-700 text-white rounded-full capitalize">{item.category}</span>
+                      {!item.isActive && <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full">Retired</span>}
+                    </div>
+                    <p className="text-xs text-gray-500">{item.quantity} in stock · {item.auditorium ? `Fixed in ${item.auditorium.name}` : "Portable"}</p>
+                    {canManage && (
+                      <div className="flex gap-2 mt-2">
+                        {deletingId === item._id ? (
+                          <>
+                            <button onClick={() => handleDelete(item._id)} disabled={isSaving} className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">Confirm Delete</button>
+                            <button onClick={() => setDeletingId(null)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>
+                          </>
+                        ) : (
+                          <>
+                            <button onClick={() => startEdit(item)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50">Edit</button>
+                            <button onClick={() => handleToggleActive(item)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{item.isActive ? "Retire" : "Reactivate"}</button>
+                            <button onClick={() => setDeletingId(item._id)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">Delete</button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          {/* Daily Pull List */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow border border-gray-200 p-5">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+              <h2 className="text-lg font-semibold text-gray-800">Pull List</h2>
+              <input type="date" value={pullDate} onChange={(e) => setPullDate(e.target.value)} className={`${inputClass} sm:w-48`} />
+            </div>
+            {pullListError && <div className="mb-4 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{pullListError}</div>}
+            {isLoadingPullList && <p className="text-center text-gray-500 py-10">Loading...</p>}
+            {!isLoadingPullList && !pullListError && pullList.length === 0 && <p className="text-sm text-gray-500 italic text-center py-10">No approved bookings need equipment on this day.</p>}
+            <div className="space-y-4">
+              {!isLoadingPullList && pullList.map((entry) => (
+                <div key={entry.item} className="border border-gray-200 rounded-lg">
+                  <div className="flex items-center justify-between px-4 py-2 bg-gray-50 rounded-t-lg">
+                    <p className="font-medium text-gray-900">
+                      {entry.name} <span className="text-xs text-gray-500 capitalize">({entry.category}{entry.portable ? ", portable" : ""})</span>
+                    </p>
+                    <span className="text-sm font-semibold text-red-700">{entry.totalQuantity} booked</span>
+                  </div>
+                  <ul className="divide-y divide-gray-100">
+                    {entry.bookings.map((b) => (
+                      <li key={`${entry.item}-${b.booking}`} className="px-4 py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 text-sm">
+                        <div className="min-w-0">
+                          <p className="text-gray-800 truncate">{b.eventName}</p>
+                          <p className="text-xs text-gray-500">{b.auditorium?.name || "Unknown venue"}{b.requester?.username ? ` · ${b.requester.username}` : ""}</p>
+                        </div>
+                        <div className="text-xs text-gray-600 sm:text-right flex-shrink-0">
+                          <p>{format(parseISO(b.startTime), 'h:mm a')} - {format(parseISO(b.endTime), 'h:mm a')}</p>
+                          <p className="font-semibold">× {b.quantity}</p>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageEquipment;
@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const GLOBAL_SCOPE = "global";
+
+// Weekday values follow the server's Luxon numbering (1 = Monday ... 7 = Sunday)
+const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Mon" }, { value: 2, label: "Tue" }, { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" }, { value: 5, label: "Fri" }, { value: 6, label: "Sat" }, { value: 7, label: "Sun" },
+];
+
+const NUMBER_FIELDS = [
+  { name: "openingHour", label: "Opening Hour (0-23, IST)", min: 0, max: 23 },
+  { name: "closingHour", label: "Closing Hour (1-24, IST)", min: 1, max: 24 },
+  { name: "leadTimeHours", label: "Minimum Lead Time (hours)", min: 0 },
+  { name: "maxAdvanceMonths", label: "Max Advance Window (months)", min: 1, max: 24 },
+  { name: "minDurationMinutes", label: "Minimum Duration (minutes)", min: 0 },
+  { name: "maxDurationMinutes", label: "Maximum Duration (minutes, blank = no limit)", min: 1, optional: true },
+  { name: "setupBufferMinutes", label: "Setup Buffer Before Events (minutes)", min: 0, max: 240 },
+  { name: "teardownBufferMinutes", label: "Teardown Buffer After Events (minutes)", min: 0, max: 240 },
+  { name: "counterProposalHours", label: "Counter-Proposal Response Deadline (hours)", min: 1, max: 336 },
+];
+
+// Rules that rank pending requests competing for the same slot; the order set here is the order they are applied
+const PRIORITY_RULE_OPTIONS = [
+  { value: "category", label: "Event category", hint: "Institution events before department events before club events (institution only once an approver confirms it)" },
+  { value: "quota", label: "Department quota", hint: "Departments that have used less of their quota first" },
+  { value: "firstCome", label: "First come, first served", hint: "Earlier requests first" },
+  { value: "attendance", label: "Expected attendance", hint: "Larger audiences first" },
+];
+const DEFAULT_PRIORITY_RULES = ["category", "quota", "firstCome"];
+
+/** Copies a stored policy into editable form state (quota departments may arrive populated). */
+const toFormState = (policy) => ({
+  openingHour: policy.openingHour ?? 9,
+  closingHour: policy.closingHour ?? 24,
+  leadTimeHours: policy.leadTimeHours ?? 2,
+  maxAdvanceMonths: policy.maxAdvanceMonths ?? 3,
+  minDurationMinutes: policy.minDurationMinutes ?? 0,
+  maxDurationMinutes: policy.maxDurationMinutes ?? "",
+  setupBufferMinutes: policy.setupBufferMinutes ?? 0,
+  teardownBufferMinutes: policy.teardownBufferMinutes ?? 0,
+  counterProposalHours: policy.counterProposalHours ?? 48,
+  blackoutWeekdays: policy.blackoutWeekdays || [],
+  priorityRules: policy.priorityRules || DEFAULT_PRIORITY_RULES,
+  departmentQuotas: (policy.departmentQuotas || []).map((q) => ({
+    department: q.department?._id || q.department || "",
+    maxBookings: q.maxBookings,
+    period: q.period || "month",
+  })),
+});
+
+/** The stored override for an auditorium, or null for the global scope / auditoriums without one. */
+const findOverride = (policyData, auditoriumId) => (auditoriumId === GLOBAL_SCOPE ? null : policyData.auditoriums.find((p) => p.auditorium?._id === auditoriumId) || null);
+
+const ManagePolicies = () => {
+  // --- State Definitions ---
+  const [policies, setPolicies] = useState({ defaults: null, global: null, auditoriums: [] });
+  const [auditoriums, setAuditoriums] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [scope, setScope] = useState(GLOBAL_SCOPE); // "global" or an auditorium ID
+  const [form, setForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [confirmingRemove, setConfirmingRemove] = useState(false);
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  // --- Data Fetching ---
+  const fetchPolicies = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    const token = localStorage.getItem('authToken');
+    if (!token) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    try {
+      const [policyRes, audiRes, deptRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/policies`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } }),
+        fetch(`${API_BASE_URL}/api/auditoriums`, { headers: { 'Accept': 'application/json' } }),
+        fetch(`${API_BASE_URL}/api/departments`, { headers: { 'Accept': 'application/json' } }),
+      ]);
+      const [policyData, audiData, deptData] = await Promise.all([policyRes.json(), audiRes.json(), deptRes.json()]);
+      if (!policyRes.ok || !policyData.success) throw new Error(policyData.message || `Policy fetch failed (${policyRes.status})`);
+      setPolicies(policyData.data);
+      setAuditoriums(audiData.success && Array.isArray(audiData.data) ? audiData.data : []);
+      setDepartments(deptData.success && Array.isArray(deptData.data) ? deptData.data : []);
+    } catch (err) {
+      console.error("Policy fetch error:", err);
+      setFetchError(err.message || "Could not load booking policies.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchPolicies(); }, [fetchPolicies]);
+
+  const override = findOverride(policies, scope);
+
+  // Reset the form whenever the scope or the loaded policies change; auditoriums without an override start from the global rules
+  useEffect(() => {
+    const globalPolicy = policies.global || policies.defaults;
+    if (!globalPolicy) return;
+    setForm(toFormState(findOverride(policies, scope) || globalPolicy));
+    setConfirmingRemove(false);
+  }, [scope, policies]);
+
+  // --- Form Handlers ---
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+  const toggleWeekday = (day) => {
+    setForm((prev) => ({
+      ...prev,
+      blackoutWeekdays: prev.blackoutWeekdays.includes(day) ? prev.blackoutWeekdays.filter((d) => d !== day) : [...prev.blackoutWeekdays, day].sort(),
+    }));
+  };
+  const handleQuotaChange = (index, field, value) => {
+    setForm((prev) => ({ ...prev, departmentQuotas: prev.departmentQuotas.map((q, i) => (i === index ? { ...q, [field]: value } : q)) }));
+  };
+  const addQuota = () => {
+    setForm((prev) => ({ ...prev, departmentQuotas: [...prev.departmentQuotas, { department: "", maxBookings: 4, period: "month" }] }));
+  };
+  const removeQuota = (index) => {
+    setForm((prev) => ({ ...prev, departmentQuotas: prev.departmentQuotas.filter((_, i) => i !== index) }));
+  };
+  const togglePriorityRule = (rule) => {
+    setForm((prev) => ({
+      ...prev,
+      priorityRules: prev.priorityRules.includes(rule) ? prev.priorityRules.filter((r) => r !== rule) : [...prev.priorityRules, rule],
+    }));
+  };
+  const movePriorityRule = (index, offset) => {
+    setForm((prev) => {
+      const rules = [...prev.priorityRules];
+      const target = index + offset;
+      if (target < 0 || target >= rules.length) return prev;
+      [rules[index], rules[target]] = [rules[target], rules[index]];
+      return { ...prev, priorityRules: rules };
+    });
+  };
+
+  // --- Save / Remove ---
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (form.departmentQuotas.some((q) => !q.department)) { showToast("error", "Select a department for every quota."); return; }
+    const token = localStorage.getItem('authToken');
+    if (!token) { showToast("error", "Authentication error. Please log in again."); return; }
+    setIsSaving(true);
+    const url = scope === GLOBAL_SCOPE ? `${API_BASE_URL}/api/policies/global` : `${API_BASE_URL}/api/policies/auditorium/${scope}`;
+    try {
+      const response = await fetch(url, {
+        method: "PUT",
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ ...form, maxDurationMinutes: form.maxDurationMinutes === "" ? null : form.maxDurationMinutes }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Save failed (${response.status})`);
+      showToast("success", data.message || "Policy saved.");
+      await fetchPolicies();
+    } catch (err) {
+      console.error("Policy save error:", err);
+      showToast("error", err.message || "Could not save the policy.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveOverride = async () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) { showToast("error", "Authentication error. Please log in again."); return; }
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/policies/auditorium/${scope}`, { method: "DELETE", headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Remove failed (${response.status})`);
+      showToast("success", data.message || "Override removed.");
+      await fetchPolicies();
+    } catch (err) {
+      console.error("Policy remove error:", err);
+      showToast("error", err.message || "Could not remove the override.");
+    } finally {
+      setIsSaving(false);
+      setConfirmingRemove(false);
+    }
+  };
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-4xl mx-auto">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6 gap-4">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Booking Policies</h1>
+            <p className="text-sm text-gray-500 mt-1">Global rules apply to every auditorium without its own override.</p>
+          </div>
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            disabled={isLoading || isSaving}
+            className="w-full sm:w-72 px-3 py-2 bg-white border border-gray-300 rounded-lg shadow-sm text-sm focus:ring-2 focus:ring-red-500 focus:border-red-500"
+          >
+            <option value={GLOBAL_SCOPE}>Global defaults</option>
+            {auditoriums.map((a) => (
+              <option key={a._id} value={a._id}>
+                {a.name}{policies.auditoriums.some((p) => p.auditorium?._id === a._id) ? " (override)" : ""}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {fetchError && (
+          <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>
+        )}
+        {isLoading && <p className="text-center text-gray-500 py-10">Loading policies...</p>}
+
+        {!isLoading && form && (
+          <form onSubmit={handleSave} className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 space-y-6">
+            {scope !== GLOBAL_SCOPE && (
+              <div className={`p-3 text-sm rounded-md border ${override ? "bg-red-50 border-red-200 text-red-800" : "bg-gray-50 border-gray-200 text-gray-600"}`}>
+                {override
+                  ? "This auditorium has its own policy. Removing it falls back to the global defaults."
+                  : "This auditorium currently follows the global policy. Saving creates an override for it."}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {NUMBER_FIELDS.map((field) => (
+                <div key={field.name}>
+                  <label htmlFor={field.name} className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                  <input
+                    id={field.name}
+                    name={field.name}
+                    type="number"
+                    min={field.min}
+                    max={field.max}
+                    value={form[field.name]}
+                    onChange={handleFieldChange}
+                    required={!field.optional}
+                    disabled={isSaving}
+                    className="w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Blackout Weekdays (no bookings)</span>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_OPTIONS.map((day) => (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(day.value)}
+                    disabled={isSaving}
+                    className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${form.blackoutWeekdays.includes(day.value) ? "bg-red-600 text-white border-red-600" : "bg-white text-gray-700 border-gray-300 hover:border-red-400"}`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-700">Department Quotas (active bookings per period)</span>
+                <button type="button" onClick={addQuota} disabled={isSaving} className="px-3 py-1 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">+ Add Quota</button>
+              </div>
+              {form.departmentQuotas.length === 0 && <p className="text-xs text-gray-500 italic">No quotas. Departments can book without limit.</p>}
+              <ul className="space-y-2">
+                {form.departmentQuotas.map((quota, index) => (
+                  <li key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_6rem_8rem_auto] gap-2 items-center">
+                    <select
+                      value={quota.department}
+                      onChange={(e) => handleQuotaChange(index, "department", e.target.value)}
+                      disabled={isSaving}
+                      className="border border-gray-300 px-2 py-1.5 rounded-md text-sm bg-white focus:outline-none focus:ring-1 focus:ring-red-500"
+                    >
+                      <option value="" disabled>-- Department --</option>
+                      {departments.map((d) => <option key={d._id} value={d._id}>{d.name}{d.code ? ` (${d.code})` : ""}</option>)}
+                    </select>
+                    <input
+                      type="number"
+                      min={1}
+                      value={quota.maxBookings}
+                      onChange={(e) => handleQuotaChange(index, "maxBookings", e.target.value)}
+                      disabled={isSaving}
+                      className="border border-gray-300 px-2 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500"
+                    />
+                    <select
+                      value={quota.period}
+                      onChange={(e) => handleQuotaChange(index, "period", e.target.value)}
+                      disabled={isSaving}
+                      className="border border-gray-300 px-2 py-1.5 rounded-md text-sm bg-white focus:outline-none focus:ring-1 focus:ring-red-500"
+                    >
+                      <option value="week">per week</option>
+                      <option value="month">per month</option>
+                    </select>
+                    <button type="button" onClick={() => removeQuota(index)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">Remove</button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div>
+              <span className="block text-sm font-medium text-gray-700">Priority Rules for Competing Requests</span>
+              <p className="text-xs text-gray-500 mb-2">Applied in order; the first rule that separates two pending requests for the same slot picks the recommended one.</p>
+              {form.priorityRules.length === 0 && <p className="text-xs text-gray-500 italic mb-2">No rules selected. The default order (category, quota, first come) is used.</p>}
+              <ol className="space-y-1.5 mb-2">
+                {form.priorityRules.map((rule, index) => {
+                  const option = PRIORITY_RULE_OPTIONS.find((o) => o.value === rule);
+                  return (
+                    <li key={rule} className="flex items-center gap-2 text-sm">
+                      <span className="w-5 text-right text-gray-500">{index + 1}.</span>
+                      <span className="flex-1">
+                        <span className="font-medium text-gray-800">{option?.label || rule}</span>
+                        {option && <span className="text-xs text-gray-500"> - {option.hint}</span>}
+                      </span>
+                      <button type="button" onClick={() => movePriorityRule(index, -1)} disabled={isSaving || index === 0} className="px-2 py-0.5 text-xs rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-40" aria-label="Move up">&uarr;</button>
+                      <button type="button" onClick={() => movePriorityRule(index, 1)} disabled={isSaving || index === form.priorityRules.length - 1} className="px-2 py-0.5 text-xs rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-40" aria-label="Move down">&darr;</button>
+                      <button type="button" onClick={() => togglePriorityRule(rule)} disabled={isSaving} className="px-2 py-0.5 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">Remove</button>
+                    </li>
+                  );
+                })}
+              </ol>
+              <div className="flex flex-wrap gap-2">
+                {PRIORITY_RULE_OPTIONS.filter((option) => !form.priorityRules.includes(option.value)).map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => togglePriorityRule(option.value)}
+                    disabled={isSaving}
+                    title={option.hint}
+                    className="px-3 py-1 rounded-full text-xs font-semibold border bg-white text-gray-700 border-gray-300 hover:border-red-400 disabled:opacity-50"
+                  >
+                    + {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-gray-200 flex flex-col sm:flex-row sm:justify-between gap-3">
+              {override ? (
+                confirmingRemove ? (
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-700">Remove this override?</span>
+                    <button type="button" onClick={handleRemoveOverride} disabled={isSaving} className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">Confirm</button>
+                    <button type="button" onClick={() => setConfirmingRemove(false)} disabled={isSaving} className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>
+                  </div>
+                ) : (
+                  <button type="button" onClick={() => setConfirmingRemove(true)} disabled={isSaving} className="px-4 py-2 text-sm font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">
+                    Remove Override
+                  </button>
+                )
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-6 py-2 text-sm font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+              >
+                {isSaving ? "Saving..." : scope === GLOBAL_SCOPE ? "Save Global Policy" : "Save Auditorium Policy"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManagePolicies;
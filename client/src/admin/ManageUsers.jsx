@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { format, parseISO } from 'date-fns';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const ROLE_OPTIONS = [
+  { value: "user", label: "User" },
+  { value: "coordinator", label: "Department Coordinator" },
+  { value: "venue-manager", label: "Venue Manager" },
+  { value: "auditor", label: "Auditor (read-only)" },
+  { value: "admin", label: "Admin" },
+];
+const ROLE_BADGES = {
+  admin: "bg-red-100 text-red-800",
+  coordinator: "bg-blue-100 text-blue-800",
+  "venue-manager": "bg-amber-100 text-amber-800",
+  auditor: "bg-purple-100 text-purple-800",
+  user: "bg-gray-100 text-gray-700",
+};
+const STATUS_STYLES = {
+  approved: "text-green-700",
+  pending: "text-yellow-700",
+  rejected: "text-red-700",
+  cancelled: "text-gray-500",
+  "awaiting-requester": "text-blue-700",
+};
+
+// Temporary lock from failed logins (expires on its own; admins can clear it early)
+const isLockedOut = (u) => !!u.lockUntil && new Date(u.lockUntil) > new Date();
+
+const ManageUsers = () => {
+  // --- State Definitions ---
+  const [users, setUsers] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [auditoriums, setAuditoriums] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [search, setSearch] = useState("");
+  const [filterRole, setFilterRole] = useState("");
+  const [filterStatus, setFilterStatus] = useState("");
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [roleForm, setRoleForm] = useState(null); // { userId, role, departments, auditoriums }
+  const [panel, setPanel] = useState(null); // { userId, type: "suspend" | "delete" } for inline confirmations
+  const [suspendReason, setSuspendReason] = useState("");
+  const [actingId, setActingId] = useState(null); // User with a request in flight
+  const [bookingsOpenId, setBookingsOpenId] = useState(null);
+  const [userBookings, setUserBookings] = useState([]);
+  const [isLoadingBookings, setIsLoadingBookings] = useState(false);
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json' });
+
+  // --- Data Fetching ---
+  const fetchUsers = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    const token = localStorage.getItem('authToken');
+    if (!token) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    const params = new URLSearchParams({ page: String(page), limit: "25" });
+    if (search.trim()) params.set("search", search.trim());
+    if (filterRole) params.set("role", filterRole);
+    if (filterStatus) params.set("status", filterStatus);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/users?${params}`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `User fetch failed (${response.status})`);
+      setUsers(data.data);
+      setPages(Math.max(data.pages, 1));
+      setTotal(data.total);
+    } catch (err) {
+      console.error("User fetch error:", err);
+      setFetchError(err.message || "Could not load users.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, search, filterRole, filterStatus]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchUsers, 300); // Debounce typing in the search box
+    return () => clearTimeout(timer);
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    Promise.all([
+      fetch(`${API_BASE_URL}/api/departments`, { headers: { 'Accept': 'application/json' } }).then((r) => r.json()),
+      fetch(`${API_BASE_URL}/api/auditoriums?includeInactive=true`, { headers: { 'Accept': 'application/json' } }).then((r) => r.json()),
+    ]).then(([deptData, audiData]) => {
+      setDepartments(deptData.success && Array.isArray(deptData.data) ? deptData.data : []);
+      setAuditoriums(audiData.success && Array.isArray(audiData.data) ? audiData.data : []);
+    }).catch((err) => console.error("Dropdown fetch error:", err));
+  }, []);
+
+  // --- Action Handlers ---
+  /** Runs a user action request, then refreshes the list. */
+  const runAction = async (userId, path, method, body, fallbackError) => {
+    setActingId(userId);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/users/${userId}${path}`, {
+        method,
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Request failed (${response.status})`);
+      showToast("success", data.message || "Done.");
+      setPanel(null);
+      setRoleForm(null);
+      setSuspendReason("");
+      await fetchUsers();
+      return true;
+    } catch (err) {
+      console.error(`User action ${method} ${path} error:`, err);
+      showToast("error", err.message || fallbackError);
+      return false;
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const startRoleEdit = (user) => {
+    setPanel(null);
+    setRoleForm({
+      userId: user._id,
+      role: user.role,
+      departments: (user.departments || []).map((d) => d._id || d),
+      auditoriums: (user.auditoriums || []).map((a) => a._id || a),
+    });
+  };
+
+  const toggleAssignment = (field, id) => {
+    setRoleForm((prev) => ({ ...prev, [field]: prev[field].includes(id) ? prev[field].filter((x) => x !== id) : [...prev[field], id] }));
+  };
+
+  const toggleBookings = async (userId) => {
+    if (bookingsOpenId === userId) { setBookingsOpenId(null); return; }
+    setBookingsOpenId(userId);
+    setUserBookings([]);
+    setIsLoadingBookings(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/users/${userId}/bookings`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Booking fetch failed (${response.status})`);
+      setUserBookings(data.data);
+    } catch (err) {
+      console.error("User bookings fetch error:", err);
+      showToast("error", err.message || "Could not load the user's bookings.");
+      setBookingsOpenId(null);
+    } finally {
+      setIsLoadingBookings(false);
+    }
+  };
+
+  // Department / auditorium chips used by the role form
+  const renderAssignmentPicker = (field, options) => (
+    <div className="flex flex-wrap gap-2">
+      {options.map((o) => (
+        <button
+          key={o._id}
+          type="button"
+          onClick={() => toggleAssignment(field, o._id)}
+          disabled={actingId !== null}
+          className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${roleForm[field].includes(o._id) ? "bg-red-600 text-white border-red-600" : "bg-white text-gray-700 border-gray-300 hover:border-red-400"}`}
+        >
+          {o.name}
+        </button>
+      ))}
+    </div>
+  );
+
+  const inputClass = "border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500";
+  const smallButton = "px-3 py-1.5 text-xs font-medium rounded-md disabled:opacity-50";
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">User Management</h1>
+        <p className="text-sm text-gray-500 mb-6">Search accounts, change roles, suspend access and send password reset links.</p>
+
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow border border-gray-200 p-4 mb-6 flex flex-col md:flex-row gap-3">
+          <input value={search} onChange={(e) => { setSearch(e.target.value); setPage(1); }} placeholder="Search username or email" className={`${inputClass} flex-1`} />
+          <select value={filterRole} onChange={(e) => { setFilterRole(e.target.value); setPage(1); }} className={`${inputClass} bg-white`}>
+            <option value="">All roles</option>
+            {ROLE_OPTIONS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+          <select value={filterStatus} onChange={(e) => { setFilterStatus(e.target.value); setPage(1); }} className={`${inputClass} bg-white`}>
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="suspended">Suspended</option>
+            <option value="locked">Locked out</option>
+          </select>
+        </div>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+
+        <div className="bg-white rounded-xl shadow border border-gray-200 p-5">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">Users <span className="text-sm font-normal text-gray-500">({total})</span></h2>
+            <div className="flex items-center gap-2 text-sm">
+              <button onClick={() => setPage((p) => p - 1)} disabled={page <= 1 || isLoading} className={`${smallButton} border border-gray-300 bg-white text-gray-700 hover:bg-gray-50`}>Previous</button>
+              <span className="text-gray-600">Page {page} of {pages}</span>
+              <button onClick={() => setPage((p) => p + 1)} disabled={page >= pages || isLoading} className={`${smallButton} border border-gray-300 bg-white text-gray-700 hover:bg-gray-50`}>Next</button>
+            </div>
+          </div>
+
+          {isLoading && <p className="text-center text-gray-500 py-10">Loading...</p>}
+          {!isLoading && users.length === 0 && <p className="text-sm text-gray-500 italic text-center py-10">No users match these filters.</p>}
+
+          <ul className="divide-y divide-gray-100">
+            {!isLoading && users.map((u) => (
+              <li key={u._id} className="py-4 space-y-3">
+                <div className="flex flex-col md:flex-row md:items-start gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <p className="font-medium text-gray-900 truncate">{u.username}</p>
+                      <span className={`text-xs px-2 py-0.5 rounded-full font-semibold ${ROLE_BADGES[u.role] || ROLE_BADGES.user}`}>{u.role}</span>
+                      {u.isSuspended && <span className="text-xs px-2 py-0.5 rounded-full font-semibold bg-gray-800 text-white">Suspended</span>}
+                      {isLockedOut(u) && <span className="text-xs px-2 py-0.5 rounded-full font-semibold bg-orange-100 text-orange-800">Locked</span>}
+                    </div>
+                    <p className="text-sm text-gray-600">{u.email}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Joined {u.createdAt ? format(parseISO(u.createdAt), 'MMM d, yyyy') : 'N/A'} · {u.bookingCount} booking(s)
+                      {u.departments?.length > 0 && ` · Departments: ${u.departments.map((d) => d.name).join(', ')}`}
+                      {u.auditoriums?.length > 0 && ` · Auditoriums: ${u.auditoriums.map((a) => a.name).join(', ')}`}
+                    </p>
+                    {u.isSuspended && (
+                      <p className="text-xs text-gray-700 mt-1">
+                        Suspended {u.suspendedAt ? format(parseISO(u.suspendedAt), 'MMM d, yyyy') : ''}{u.suspendedBy ? ` by ${u.suspendedBy.username}` : ''}: {u.suspensionReason}
+                      </p>
+                    )}
+                    {(isLockedOut(u) || u.failedLoginAttempts > 0) && (
+                      <p className="text-xs text-orange-800 mt-1">
+                        {isLockedOut(u) ? `Locked until ${format(parseISO(u.lockUntil), 'MMM d, h:mm a')} after repeated failed logins` : `${u.failedLoginAttempts} failed login attempt(s)`}
+                        {u.lastFailedLoginAt && ` · last ${format(parseISO(u.lastFailedLoginAt), 'MMM d, h:mm a')}`}{u.lastFailedLoginIp && ` from ${u.lastFailedLoginIp}`}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-2 flex-shrink-0">
+                    <button onClick={() => (roleForm?.userId === u._id ? setRoleForm(null) : startRoleEdit(u))} disabled={actingId !== null} className={`${smallButton} text-gray-700 bg-gray-100 hover:bg-gray-200`}>Change Role</button>
+                    {u.isSuspended ? (
+                      <button onClick={() => runAction(u._id, "/reactivate", "PUT", null, "Could not reactivate the user.")} disabled={actingId !== null} className={`${smallButton} text-green-700 bg-green-100 hover:bg-green-200`}>{actingId === u._id ? "Working..." : "Reactivate"}</button>
+                    ) : (
+                      <button onClick={() => { setRoleForm(null); setSuspendReason(""); setPanel({ userId: u._id, type: "suspend" }); }} disabled={actingId !== null} className={`${smallButton} text-amber-800 bg-amber-100 hover:bg-amber-200`}>Suspend</button>
+                    )}
+                    {(isLockedOut(u) || u.failedLoginAttempts > 0) && (
+                      <button onClick={() => runAction(u._id, "/unlock", "PUT", null, "Could not clear the lockout.")} disabled={actingId !== null} className={`${smallButton} text-orange-800 bg-orange-100 hover:bg-orange-200`}>{actingId === u._id ? "Working..." : "Clear Lockout"}</button>
+                    )}
+                    <button onClick={() => runAction(u._id, "/password-reset", "POST", null, "Could not send the reset link.")} disabled={actingId !== null} className={`${smallButton} text-gray-700 bg-gray-100 hover:bg-gray-200`}>Send Reset Link</button>
+                    <button onClick={() => toggleBookings(u._id)} disabled={actingId !== null} className={`${smallButton} text-blue-700 bg-blue-50 hover:bg-blue-100`}>{bookingsOpenId === u._id ? "Hide Bookings" : "Bookings"}</button>
+                    <button onClick={() => { setRoleForm(null); setPanel({ userId: u._id, type: "delete" }); }} disabled={actingId !== null} className={`${smallButton} text-red-700 bg-red-100 hover:bg-red-200`}>Delete</button>
+                  </div>
+                </div>
+
+                {/* Role form */}
+                {roleForm?.userId === u._id && (
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-md space-y-3">
+                    <select value={roleForm.role} onChange={(e) => setRoleForm((prev) => ({ ...prev, role: e.target.value }))} className={`${inputClass} bg-white`} disabled={actingId !== null}>
+                      {ROLE_OPTIONS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                    {roleForm.role === "coordinator" && (
+                      <div>
+                        <p className="text-xs font-medium text-gray-700 mb-1">Departments this coordinator oversees</p>
+                        {renderAssignmentPicker("departments", departments)}
+                      </div>
+                    )}
+                    {roleForm.role === "venue-manager" && (
+                      <div>
+                        <p className="text-xs font-medium text-gray-700 mb-1">Auditoriums this manager looks after</p>
+                        {renderAssignmentPicker("auditoriums", auditoriums)}
+                      </div>
+                    )}
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => runAction(u._id, "/role", "PUT", { role: roleForm.role, departments: roleForm.departments, auditoriums: roleForm.auditoriums }, "Could not change the role.")} disabled={actingId !== null} className={`${smallButton} font-semibold text-white bg-red-700 hover:bg-red-800`}>{actingId === u._id ? "Saving..." : "Save Role"}</button>
+                      <button onClick={() => setRoleForm(null)} disabled={actingId !== null} className={`${smallButton} border border-gray-300 bg-white text-gray-700 hover:bg-gray-50`}>Cancel</button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Suspend / delete confirmations */}
+                {panel?.userId === u._id && panel.type === "suspend" && (
+                  <div className="p-3 bg-amber-50 border border-amber-200 rounded-md space-y-2">
+                    <textarea value={suspendReason} onChange={(e) => setSuspendReason(e.target.value)} rows="2" placeholder="Reason for suspension (emailed to the user)" className={`${inputClass} w-full`} disabled={actingId !== null} autoFocus />
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => runAction(u._id, "/suspend", "PUT", { reason: suspendReason.trim() }, "Could not suspend the user.")} disabled={actingId !== null || !suspendReason.trim()} className={`${smallButton} font-semibold text-white bg-amber-600 hover:bg-amber-700`}>{actingId === u._id ? "Suspending..." : "Confirm Suspension"}</button>
+                      <button onClick={() => setPanel(null)} disabled={actingId !== null} className={`${smallButton} border border-gray-300 bg-white text-gray-700 hover:bg-gray-50`}>Cancel</button>
+                    </div>
+                  </div>
+                )}
+                {panel?.userId === u._id && panel.type === "delete" && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-md flex flex-col sm:flex-row sm:items-center gap-2">
+                    <p className="text-sm text-red-800 flex-1">Delete {u.username} permanently? Accounts with bookings must be suspended instead.</p>
+                    <div className="flex gap-2">
+                      <button onClick={() => runAction(u._id, "", "DELETE", null, "Could not delete the user.")} disabled={actingId !== null} className={`${smallButton} font-semibold text-white bg-red-600 hover:bg-red-700`}>{actingId === u._id ? "Deleting..." : "Confirm Delete"}</button>
+                      <button onClick={() => setPanel(null)} disabled={actingId !== null} className={`${smallButton} border border-gray-300 bg-white text-gray-700 hover:bg-gray-50`}>Cancel</button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Booking history */}
+                {bookingsOpenId === u._id && (
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-md">
+                    {isLoadingBookings && <p className="text-sm text-gray-500">Loading bookings...</p>}
+                    {!isLoadingBookings && userBookings.length === 0 && <p className="text-sm text-gray-500 italic">No bookings on record.</p>}
+                    {!isLoadingBookings && userBookings.length > 0 && (
+                      <ul className="space-y-1.5 text-xs sm:text-sm">
+                        {userBookings.map((b) => (
+                          <li key={b._id} className="flex flex-wrap gap-x-3">
+                            <span className="font-medium text-gray-800">{b.eventName}</span>
+                            <span className="text-gray-600">{format(parseISO(b.startTime), 'MMM d, yyyy h:mm a')}</span>
+                            <span className="text-gray-600">{b.auditorium?.name ?? "N/A"}</span>
+                            <span className={`font-semibold capitalize ${STATUS_STYLES[b.status] || "text-gray-600"}`}>{b.status}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageUsers;
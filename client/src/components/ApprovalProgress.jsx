@@ -0,0 +1,42 @@
+import React from 'react';
+
+const DECISION_STYLES = {
+  approved: 'bg-green-100 text-green-800 border-green-200',
+  rejected: 'bg-red-100 text-red-800 border-red-200',
+  current: 'bg-yellow-100 text-yellow-800 border-yellow-300 font-semibold',
+  upcoming: 'bg-gray-50 text-gray-500 border-gray-200',
+};
+
+/**
+ * Ordered approval stages of a booking with the decision taken on each.
+ * Renders nothing for bookings that only need a single admin approval.
+ */
+const ApprovalProgress = ({ booking }) => {
+  const stages = booking.approvalStages || [];
+  if (stages.length === 0) return null;
+  const current = booking.currentStage || 0;
+
+  return (
+    <ol className="flex flex-wrap items-center gap-1.5 text-xs" aria-label="Approval stages">
+      {stages.map((stage, index) => {
+        const state = stage.decision !== 'pending' ? stage.decision : (index === current && booking.status === 'pending' ? 'current' : 'upcoming');
+        const decidedBy = stage.decidedBy?.username || stage.decidedBy?.email;
+        return (
+          <li key={`${stage.name}-${index}`} className="flex items-center gap-1.5">
+            {index > 0 && <span className="text-gray-400">&rarr;</span>}
+            <span
+              className={`px-2 py-0.5 rounded-full border ${DECISION_STYLES[state]}`}
+              title={decidedBy ? `${stage.decision} by ${decidedBy}${stage.comment ? `: ${stage.comment}` : ''}` : undefined}
+            >
+              {index + 1}. {stage.name}
+              {state === 'approved' && ' ✓'}
+              {state === 'rejected' && ' ✕'}
+            </span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default ApprovalProgress;
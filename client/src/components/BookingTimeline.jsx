@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const ACTION_LABELS = {
+  'created': 'Request submitted',
+  'stage-approved': 'Approval stage passed',
+  'approved': 'Approved',
+  'rejected': 'Rejected',
+  'reschedule-requested': 'Reschedule requested',
+  'withdrawn': 'Withdrawn',
+  'cancelled': 'Cancelled by admin',
+  'moved': 'Moved by admin',
+  'counter-proposed': 'Alternative proposed',
+  'proposal-accepted': 'Proposal accepted',
+  'proposal-declined': 'Proposal declined',
+  'proposal-expired': 'Proposal expired',
+  'proposal-conflict': 'Proposal no longer available',
+  'category-confirmed': 'Event category confirmed',
+};
+
+const ACTION_DOTS = {
+  'approved': 'bg-green-500',
+  'stage-approved': 'bg-blue-500',
+  'proposal-accepted': 'bg-green-500',
+  'rejected': 'bg-red-500',
+  'cancelled': 'bg-red-500',
+  'withdrawn': 'bg-gray-400',
+  'proposal-declined': 'bg-gray-400',
+  'proposal-expired': 'bg-gray-400',
+};
+
+const FIELD_LABELS = {
+  status: 'Status',
+  approvalStage: 'Approval stage',
+  startTime: 'Start',
+  endTime: 'End',
+  auditorium: 'Auditorium',
+  rejectionReason: 'Rejection reason',
+  cancellationReason: 'Cancellation reason',
+  proposedStartTime: 'Proposed start',
+  proposedEndTime: 'Proposed end',
+  proposedAuditorium: 'Proposed auditorium',
+  eventCategory: 'Event category',
+};
+
+/** Formats an audited value; auditorium ids are resolved through the optional name map. */
+const formatValue = (field, value, auditoriumNames) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (/Time$/.test(field)) {
+    try { return format(parseISO(value), 'MMM d, yyyy h:mm a'); } catch { return String(value); }
+  }
+  if (/[aA]uditorium$/.test(field)) return auditoriumNames?.[value] || `#${String(value).slice(-6)}`;
+  return String(value);
+};
+
+/**
+ * Vertical timeline of a booking's audit history (who did what, when, and old/new values).
+ * Fetches GET /api/bookings/:id/history when mounted.
+ */
+const BookingTimeline = ({ bookingId, auditoriumNames }) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchHistory = async () => {
+      setIsLoading(true);
+      setError('');
+      const token = localStorage.getItem('authToken');
+      try {
+        const res = await fetch(`${API_BASE_URL}/api/bookings/${bookingId}/history`, {
+          headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+          signal: controller.signal,
+        });
+        const data = await res.json();
+        if (!res.ok || !data.success) throw new Error(data.message || `History fetch failed (${res.status})`);
+        setEntries(data.data);
+      } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.error('Fetch booking history err:', e);
+        setError(e.message || 'Could not load the history.');
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+    fetchHistory();
+    return () => controller.abort();
+  }, [bookingId]);
+
+  if (isLoading) return <p className="text-xs text-gray-500 italic">Loading history...</p>;
+  if (error) return <p className="text-xs text-red-600">{error}</p>;
+  if (entries.length === 0) return <p className="text-xs text-gray-500 italic">No history recorded for this booking yet.</p>;
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-3">
+      {entries.map((entry) => (
+        <li key={entry._id} className="ml-4">
+          <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border border-white ${ACTION_DOTS[entry.action] || 'bg-amber-400'}`} />
+          <p className="text-sm font-medium text-gray-800">
+            {ACTION_LABELS[entry.action] || entry.action}
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              {format(parseISO(entry.createdAt), 'MMM d, yyyy h:mm a')} &middot;{' '}
+              {entry.actor ? `${entry.actor.username || entry.actor.email}${entry.actorRole && entry.actorRole !== 'user' ? ` (${entry.actorRole})` : ''}` : 'System'}
+            </span>
+          </p>
+          {entry.changes?.length > 0 && (
+            <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+              {entry.changes.map((change) => (
+                <li key={change.field}>
+                  <span className="font-medium text-gray-700">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                  <span className="line-through text-gray-400">{formatValue(change.field, change.from, auditoriumNames)}</span>{' '}
+                  &rarr; {formatValue(change.field, change.to, auditoriumNames)}
+                </li>
+              ))}
+            </ul>
+          )}
+          {entry.note && <p className="mt-1 text-xs italic text-gray-500">{entry.note}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default BookingTimeline;
@@ -1,5 +1,6 @@
 import React from "react";
 import { NavLink, useLocation, useNavigate } from "react-router-dom";
+import { logout } from "../utils/authSession";
 
 const Navbar = ({ isLoggedIn, userRole, setIsLoggedIn, setUserRole, setUserEmail }) => {
     const location = useLocation();
@@ -7,10 +8,8 @@ const Navbar = ({ isLoggedIn, userRole, setIsLoggedIn, setUserRole, setUserEmail
     const isLoginPage = location.pathname.toLowerCase() === '/login';
     const isHomePage = location.pathname === '/'; // Check if the current page is the home page
 
-    const handleLogout = () => {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('userRole');
-        localStorage.removeItem('userEmail');
+    const handleLogout = async () => {
+        await logout(); // Revokes this device's refresh token on the server and clears localStorage
         console.log('[DEBUG] Cleared auth info from localStorage.');
 
         if (setIsLoggedIn) {
@@ -86,9 +85,14 @@ const Navbar = ({ isLoggedIn, userRole, setIsLoggedIn, setUserRole, setUserEmail
                                                 History
                                             </NavLink>
                                         </li>
+                                        <li>
+                                            <NavLink to="/my-approvals" className={getNavLinkClass}>
+                                                Approvals
+                                            </NavLink>
+                                        </li>
                                     </>
                                 )}
-                                {userRole === "admin" && (
+                                {userRole && userRole !== "user" && (
                                     <>
                                         <li>
                                             <NavLink to="/admin-dashboard" className={getNavLinkClass}>
@@ -97,7 +101,7 @@ const Navbar = ({ isLoggedIn, userRole, setIsLoggedIn, setUserRole, setUserEmail
                                         </li>
                                         <li>
                                             <NavLink to="/manage-bookings" className={getNavLinkClass}>
-                                                Manage
+                                                {userRole === "auditor" ? "Bookings" : "Manage"}
                                             </NavLink>
                                         </li>
                                         <li>
@@ -105,8 +109,47 @@ const Navbar = ({ isLoggedIn, userRole, setIsLoggedIn, setUserRole, setUserEmail
                                                 Schedule
                                             </NavLink>
                                         </li>
+                                        <li>
+                                            <NavLink to="/admin/equipment" className={getNavLinkClass}>
+                                                Equipment
+                                            </NavLink>
+                                        </li>
                                     </>
                                 )}
+                                {userRole === "admin" && (
+                                    <>
+                                        <li>
+                                            <NavLink to="/admin/policies" className={getNavLinkClass}>
+                                                Policies
+                                            </NavLink>
+                                        </li>
+                                        <li>
+                                            <NavLink to="/admin/auditoriums" className={getNavLinkClass}>
+                                                Venues
+                                            </NavLink>
+                                        </li>
+                                        <li>
+                                            <NavLink to="/admin/blackouts" className={getNavLinkClass}>
+                                                Blackouts
+                                            </NavLink>
+                                        </li>
+                                        <li>
+                                            <NavLink to="/admin/approval-workflows" className={getNavLinkClass}>
+                                                Workflows
+                                            </NavLink>
+                                        </li>
+                                        <li>
+                                            <NavLink to="/admin/users" className={getNavLinkClass}>
+                                                Users
+                                            </NavLink>
+                                        </li>
+                                    </>
+                                )}
+                                <li>
+                                    <NavLink to="/profile" className={getNavLinkClass}>
+                                        Profile
+                                    </NavLink>
+                                </li>
                                 <li>
                                     <button
                                         onClick={handleLogout}
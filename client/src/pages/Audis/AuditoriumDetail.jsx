@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import Slider from "react-slick";
+import "slick-carousel/slick/slick.css";
+import "slick-carousel/slick/slick-theme.css";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const AuditoriumDetail = () => {
+  const { slug } = useParams();
+  const [auditorium, setAuditorium] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [imageLoaded, setImageLoaded] = useState(false);
+
+  useEffect(() => {
+    const fetchAuditorium = async () => {
+      setIsLoading(true);
+      setFetchError("");
+      setImageLoaded(false);
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auditoriums/slug/${encodeURIComponent(slug)}`, { headers: { 'Accept': 'application/json' } });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(response.status === 404 ? 'This venue does not exist or is no longer listed.' : (data.message || 'Failed to load the venue.'));
+        setAuditorium(data.data);
+      } catch (err) {
+        console.error(`[Error] Fetch auditorium '${slug}' failed:`, err);
+        setAuditorium(null);
+        setFetchError(err.message || 'Failed to load the venue.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchAuditorium();
+  }, [slug]);
+
+  const settings = {
+    dots: true,
+    infinite: true,
+    speed: 300,
+    slidesToShow: 1,
+    slidesToScroll: 1,
+    autoplay: true,
+    autoplaySpeed: 2000,
+    arrows: true,
+    adaptiveHeight: true,
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-[#82001A]"></div>
+      </div>
+    );
+  }
+
+  if (fetchError || !auditorium) {
+    return (
+      <div className="max-w-2xl mx-auto px-6 py-20 text-center">
+        <h1 className="text-3xl font-semibold text-[#82001A] mb-4">Venue not found</h1>
+        <p className="text-gray-700 mb-8">{fetchError}</p>
+        <Link to="/auditoriums" className="inline-block px-6 py-3 bg-[#82001A] text-white rounded-lg font-medium hover:bg-red-800 transition-colors">
+          Browse all venues
+        </Link>
+      </div>
+    );
+  }
+
+  const photos = auditorium.photos || [];
+  const coverPhoto = photos[0];
+
+  return (
+    <div className="bg-white min-h-screen font-sans">
+      {/* Hero Section */}
+      <div className="relative w-full h-[400px] overflow-hidden bg-gradient-to-r from-[#82001A] to-pink-800">
+        {coverPhoto && (
+          <img
+            src={coverPhoto.url}
+            alt={`${auditorium.name} Hero`}
+            className={`w-full h-full object-cover transition-opacity duration-500 ${
+              imageLoaded ? 'opacity-60' : 'opacity-0'
+            }`}
+            onLoad={() => setImageLoaded(true)}
+            onError={(e) => {
+              console.error("Failed to load hero image");
+              e.target.style.display = 'none';
+            }}
+          />
+        )}
+        <div className="absolute inset-0 flex flex-col items-center justify-center text-center px-4">
+          <h1 className="text-white text-4xl md:text-5xl font-bold drop-shadow-xl z-10">
+            {auditorium.name}
+          </h1>
+          {auditorium.category && (
+            <span className="mt-4 text-sm font-semibold text-white/90 px-4 py-1 bg-black/40 rounded-full z-10">
+              {auditorium.category}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-6xl mx-auto px-6 py-12">
+        {/* About Section */}
+        <section className="mb-12">
+          <h2 className="text-3xl font-semibold text-[#82001A] border-b-2 border-[#82001A] inline-block pb-2 mb-4">
+            About the Venue
+          </h2>
+          <p className="text-gray-800 text-lg leading-relaxed whitespace-pre-line">
+            {auditorium.description || `${auditorium.name} is located at ${auditorium.location} and seats ${auditorium.capacity}.`}
+          </p>
+        </section>
+
+        {/* Features Section */}
+        <section className="grid grid-cols-1 md:grid-cols-2 gap-10 mb-12">
+          <div className="bg-[#f9f9f9] p-6 rounded-xl shadow-md border-l-4 border-[#82001A]">
+            <h3 className="text-xl font-bold text-[#82001A] mb-3">At a Glance</h3>
+            <ul className="list-disc pl-5 text-gray-800 space-y-2">
+              <li>Seating Capacity: {auditorium.capacity}</li>
+              <li>Location: {auditorium.location}</li>
+              {auditorium.category && <li>Venue Type: {auditorium.category}</li>}
+            </ul>
+          </div>
+
+          <div className="bg-[#f9f9f9] p-6 rounded-xl shadow-md border-l-4 border-[#82001A]">
+            <h3 className="text-xl font-bold text-[#82001A] mb-3">Key Facilities</h3>
+            {auditorium.features?.length > 0 ? (
+              <ul className="list-disc pl-5 text-gray-800 space-y-2">
+                {auditorium.features.map((feature) => (
+                  <li key={feature}>{feature}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-600">Contact the venue team for the facilities available.</p>
+            )}
+          </div>
+        </section>
+
+        {/* Gallery Section */}
+        {photos.length > 0 && (
+          <section className="mb-12">
+            <h2 className="text-2xl font-semibold text-[#82001A] mb-4">
+              Venue Gallery
+            </h2>
+            <div className="rounded-xl overflow-hidden shadow-md border">
+              <Slider {...settings} infinite={photos.length > 1}>
+                {photos.map((photo) => (
+                  <div key={photo.url}>
+                    <img
+                      src={photo.url}
+                      alt={photo.caption || auditorium.name}
+                      className="w-full h-[450px] object-cover"
+                    />
+                  </div>
+                ))}
+              </Slider>
+            </div>
+          </section>
+        )}
+
+        <div className="text-center">
+          <Link
+            to="/book-auditorium"
+            className="inline-block px-8 py-3 bg-[#82001A] text-white rounded-lg font-medium shadow-lg hover:bg-red-800 transition-colors"
+          >
+            Book this Venue
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditoriumDetail;
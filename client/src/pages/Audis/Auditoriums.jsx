@@ -1,67 +1,44 @@
 import { Link } from "react-router-dom";
 import { motion } from "framer-motion";
-import { useState, useEffect } from "react";
-import KSAudi from "../../assets/ksaudi/ksaudi1.jpg";
-import PEB from "../../assets/peb/PEB1.jpg";
-import bblock from "../../assets/bblock/bblock1.jpg";
-import apj from "../../assets/apj/apj1.jpg"; // Assuming you have an image for APJ Auditorium
+import { useState, useEffect, useMemo } from "react";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/** Size bucket used by the filter buttons, derived from seating capacity. */
+const getSizeCategory = (capacity) => {
+  if (capacity > 300) return "large";
+  if (capacity >= 200) return "medium";
+  return "small";
+};
 
 const Auditoriums = () => {
   const [activeFilter, setActiveFilter] = useState("all");
-  const [filteredAuditoriums, setFilteredAuditoriums] = useState([]);
+  const [auditoriums, setAuditoriums] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-
-  const auditoriums = [
-    {
-      name: "KS Auditorium",
-      description: "A large auditorium equipped with state-of-the-art sound and lighting systems. Perfect for conferences, cultural events, and large gatherings.",
-      capacity: "500 Seats",
-      link: "/ks-auditorium",
-      image: KSAudi,
-      category: "large",
-      features: ["Projector", "Sound System", "Air Conditioning", "Stage Lighting"]
-    },
-    {
-      name: "B Block Seminar Hall",
-      description: "A spacious seminar hall for academic talks and presentations. Ideal for workshops, training sessions, and department meetings.",
-      capacity: "200 Seats",
-      link: "/b-block-seminar-hall",
-      image: bblock,
-      category: "medium",
-      features: ["Projector", "Whiteboard", "Air Conditioning"]
-    },
-    {
-      name: "APJ Abdul Kalam Seminar Hall",
-      description: "Named after the former president, this hall hosts inspiring lectures and prestigious events. Perfect for special gatherings and VIP events.",
-      capacity: "300 Seats",
-      link: "/apj-auditorium",
-      image: apj,
-      category: "medium",
-      features: ["Projector", "Sound System", "Air Conditioning", "Multi-level Seating"]
-    },
-    {
-      name: "PEB Training Hall",
-      description: "A dedicated hall for training sessions and technical workshops. Equipped with modern facilities to enhance learning experience.",
-      capacity: "150 Seats",
-      link: "/peb-hall",
-      image: PEB,
-      category: "small",
-      features: ["Projector", "Computers", "Whiteboard"]
-    },
-  ];
+  const [fetchError, setFetchError] = useState("");
 
   useEffect(() => {
-    // Simulating data loading
-    setTimeout(() => {
-      setIsLoading(false);
-    }, 800);
-    
-    if (activeFilter === "all") {
-      setFilteredAuditoriums(auditoriums);
-    } else {
-      setFilteredAuditoriums(auditoriums.filter(audi => audi.category === activeFilter));
-    }
-  }, [activeFilter]);
+    const fetchAuditoriums = async () => {
+      setIsLoading(true);
+      setFetchError("");
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auditoriums`, { headers: { 'Accept': 'application/json' } });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message || 'Failed to load auditoriums.');
+        setAuditoriums(data.data);
+      } catch (err) {
+        console.error("[Error] Fetch auditoriums failed:", err);
+        setFetchError(err.message || 'Failed to load auditoriums.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchAuditoriums();
+  }, []);
+
+  const filteredAuditoriums = useMemo(() => (
+    activeFilter === "all" ? auditoriums : auditoriums.filter(audi => getSizeCategory(audi.capacity) === activeFilter)
+  ), [auditoriums, activeFilter]);
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -124,7 +101,7 @@ const Auditoriums = () => {
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.5, delay: 0.6 }}
           >
-            {filters.map((filter, index) => (
+            {filters.map((filter) => (
               <button
                 key={filter.value}
                 onClick={() => setActiveFilter(filter.value)}
@@ -144,6 +121,12 @@ const Auditoriums = () => {
           <div className="flex justify-center items-center h-64">
             <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-red-600"></div>
           </div>
+        ) : fetchError ? (
+          <div className="text-center p-8 backdrop-blur-sm bg-white/50 rounded-xl border border-red-200 text-red-700">{fetchError}</div>
+        ) : filteredAuditoriums.length === 0 ? (
+          <div className="text-center p-8 backdrop-blur-sm bg-white/50 rounded-xl border border-white/50 text-gray-600">
+            {auditoriums.length === 0 ? "No venues are listed yet." : "No venues match this size."}
+          </div>
         ) : (
           <motion.div 
             variants={containerVariants}
@@ -151,45 +134,51 @@ const Auditoriums = () => {
             animate="show"
             className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 gap-10"
           >
-            {filteredAuditoriums.map((auditorium, index) => (
+            {filteredAuditoriums.map((auditorium) => (
               <motion.div
-                key={index}
+                key={auditorium._id}
                 variants={itemVariants}
                 whileHover={{ scale: 1.03 }}
                 className="h-full"
               >
                 <Link 
-                  to={auditorium.link}
+                  to={`/auditoriums/${auditorium.slug}`}
                   className="group relative backdrop-blur-md bg-white/40 rounded-xl overflow-hidden shadow-lg hover:shadow-2xl transition-all duration-500 transform hover:-translate-y-2 border border-white/50 flex flex-col h-full"
                 >
                   <div className="relative h-80">
-                    <img
-                      src={auditorium.image}
-                      alt={auditorium.name}
-                      className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-110"
-                    />
+                    {auditorium.photos?.[0] ? (
+                      <img
+                        src={auditorium.photos[0].url}
+                        alt={auditorium.photos[0].caption || auditorium.name}
+                        className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-110"
+                      />
+                    ) : (
+                      <div className="w-full h-full bg-gradient-to-r from-[#82001A] to-pink-800" />
+                    )}
                     <div className="absolute inset-0 bg-gradient-to-t from-black/80 via-black/40 to-transparent transition-opacity group-hover:opacity-75" />
                     <div className="absolute bottom-0 left-0 right-0 p-6">
                       <h2 className="text-3xl font-bold mb-2 text-white text-shadow-lg">{auditorium.name}</h2>
                       <div className="flex items-center gap-2 mb-2">
                         <span className="text-sm font-semibold text-white/90 inline-block px-3 py-1 bg-red-600/80 rounded-full">
-                          {auditorium.capacity}
-                        </span>
-                        <span className="text-xs font-medium text-white/90 inline-block px-3 py-1 bg-black/50 backdrop-blur-sm rounded-full">
-                          {auditorium.category.charAt(0).toUpperCase() + auditorium.category.slice(1)} Venue
+                          {auditorium.capacity} Seats
                         </span>
+                        {auditorium.category && (
+                          <span className="text-xs font-medium text-white/90 inline-block px-3 py-1 bg-black/50 backdrop-blur-sm rounded-full">
+                            {auditorium.category}
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
                   <div className="p-6 backdrop-blur-sm bg-white/50 flex-grow flex flex-col">
                     <p className="text-gray-700 mb-4 flex-grow">
-                      {auditorium.description}
+                      {auditorium.description || `Located at ${auditorium.location}.`}
                     </p>
                     
                     {/* Feature pills */}
                     <div className="flex flex-wrap gap-2 mb-4">
-                      {auditorium.features.map((feature, i) => (
-                        <span key={i} className="bg-white/70 text-gray-700 text-xs px-2 py-1 rounded-full border border-gray-200">
+                      {(auditorium.features || []).map((feature) => (
+                        <span key={feature} className="bg-white/70 text-gray-700 text-xs px-2 py-1 rounded-full border border-gray-200">
                           {feature}
                         </span>
                       ))}
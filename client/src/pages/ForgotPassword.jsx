@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import clgss from "../assets/clgss.jpg";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Requests an emailed password reset link (/forgot-password). The link opens ResetPassword.
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.toLowerCase().endsWith('@vnrvjiet.in')) { setError("Please use a valid @vnrvjiet.in email address"); return; }
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/forgot-password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.toLowerCase() }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Request failed (${response.status})`);
+      setSuccess(data.message || "Check your inbox for a reset link.");
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      setError(err.message || "Could not request a password reset.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white/90 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500";
+
+  return (
+    <div className="flex justify-center items-center min-h-screen p-4 bg-gray-100 relative">
+      <div className="absolute inset-0 bg-cover bg-center z-0" style={{ backgroundImage: `url(${clgss})` }}>
+        <div className="absolute inset-0 bg-black opacity-50"></div>
+      </div>
+
+      <div className="w-full max-w-sm bg-white/70 backdrop-blur-md rounded-xl shadow-2xl p-6 sm:p-8 z-10">
+        <h2 className="text-xl sm:text-2xl font-bold text-center text-gray-900 mb-2">Forgot Password</h2>
+
+        {success ? (
+          <div className="p-3 text-sm text-green-800 bg-green-50 border-l-4 border-green-500 rounded-r-lg">
+            {success} The link expires in one hour.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-700 text-center">Enter your account email and we will send you a link to choose a new password.</p>
+            <div>
+              <label className="block text-sm font-medium text-gray-900 mb-1" htmlFor="forgotEmail">Email Address</label>
+              <input id="forgotEmail" type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="your.email@vnrvjiet.in" className={inputClass} required disabled={isLoading} autoFocus />
+            </div>
+            {error && <p className="text-sm text-red-700 bg-red-50 p-2 rounded border border-red-200">{error}</p>}
+            <button type="submit" disabled={isLoading} className="w-full py-2 px-4 rounded-md text-sm font-semibold text-white bg-red-800 hover:bg-red-900 disabled:opacity-60 transition">
+              {isLoading ? "Sending..." : "Send Reset Link"}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-4 text-center text-sm text-gray-700">
+          <Link to="/login" className="font-medium text-red-800 hover:underline">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,8 +1,6 @@
 import React from 'react';
 import Events from '../components/Events.jsx';
 import clg from '../assets/clg.jpg';
-import ksaudi from '../assets/ksaudi/ksaudi1.jpg';
-import bblock from '../assets/bblock/bblock1.jpg';
 import PEB from '../assets/peb/peb1.jpg';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom'; // Import Link if you prefer it over <a>
@@ -50,7 +48,7 @@ const HomePage = ({ isLoggedIn, userRole }) => {
               </motion.a>
 
               {/* Conditional "Book Now" Button */}
-              {!(isLoggedIn && userRole === 'admin') && (
+              {!(isLoggedIn && userRole !== 'user') && (
                   <motion.a
                     whileHover={{ scale: 1.05 }}
                     whileTap={{ scale: 0.95 }}
@@ -84,7 +82,7 @@ const HomePage = ({ isLoggedIn, userRole }) => {
 
       {/* --- MODIFIED: Conditional "How It Works" Section --- */}
       {/* Only render this section if the user is NOT an admin */}
-      {!(isLoggedIn && userRole === 'admin') && (
+      {!(isLoggedIn && userRole !== 'user') && (
           <section className="py-20 bg-gradient-to-br from-red-50 via-white to-red-50">
             <div className="container mx-auto px-4">
               <div className="text-center mb-16">
@@ -179,7 +177,7 @@ const HomePage = ({ isLoggedIn, userRole }) => {
          {/* ... Featured auditoriums content ... */}
          <div className="container mx-auto px-4">
             <div className="text-center mb-16"><motion.h2 initial={{ opacity: 0, y: 20 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.6 }} viewport={{ once: true }} className="text-4xl font-bold mb-4 text-[#82181A]"> Featured Auditoriums </motion.h2><p className="text-lg text-gray-600 max-w-2xl mx-auto"> Explore our premium facilities designed to accommodate various events </p><motion.div initial={{ width: 0 }} whileInView={{ width: "100px" }} transition={{ duration: 0.8, delay: 0.2 }} className="h-1 bg-red-400 mx-auto rounded-full mt-4" /></div>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">{/* Cards */} <motion.div initial={{ opacity: 0, y: 30 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.5, delay: 0.1 }} viewport={{ once: true }} whileHover={{ y: -8 }} className="bg-white rounded-xl overflow-hidden shadow-lg group"> <div className="h-64 overflow-hidden relative"> <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent z-10" /> <img src={ksaudi} alt="KS Auditorium" className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-700"/> <div className="absolute bottom-0 left-0 right-0 p-5 z-20"> <h3 className="text-2xl font-bold text-white">KS Auditorium</h3> <p className="text-white/80 text-sm">500 Seats</p> </div> </div> <div className="p-6"> <p className="text-gray-600 mb-4">Our flagship auditorium with state-of-the-art AV equipment and ample seating for large events.</p> <a href="/ks-auditorium" className="text-red-600 font-medium flex items-center group-hover:text-red-700"> View Details <svg className="w-4 h-4 ml-2 transform transition-transform group-hover:translate-x-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg> </a> </div> </motion.div> <motion.div initial={{ opacity: 0, y: 30 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.5, delay: 0.3 }} viewport={{ once: true }} whileHover={{ y: -8 }} className="bg-white rounded-xl overflow-hidden shadow-lg group"> <div className="h-64 overflow-hidden relative"> <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent z-10" /> <img src={bblock} alt="B Block Seminar Hall" className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-700"/> <div className="absolute bottom-0 left-0 right-0 p-5 z-20"> <h3 className="text-2xl font-bold text-white">B Block Seminar Hall</h3> <p className="text-white/80 text-sm">200 Seats</p> </div> </div> <div className="p-6"> <p className="text-gray-600 mb-4">A versatile space perfect for workshops, seminars and academic presentations.</p> <a href="/b-block-seminar-hall" className="text-red-600 font-medium flex items-center group-hover:text-red-700"> View Details <svg className="w-4 h-4 ml-2 transform transition-transform group-hover:translate-x-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg> </a> </div> </motion.div> <motion.div initial={{ opacity: 0, y: 30 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.5, delay: 0.5 }} viewport={{ once: true }} whileHover={{ y: -8 }} className="bg-white rounded-xl overflow-hidden shadow-lg group"> <div className="h-64 overflow-hidden relative"> <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent z-10" /> <img src={PEB} alt="PEB Training Hall" className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-700"/> <div className="absolute bottom-0 left-0 right-0 p-5 z-20"> <h3 className="text-2xl font-bold text-white">PEB Training Hall</h3> <p className="text-white/80 text-sm">150 Seats</p> </div> </div> <div className="p-6"> <p className="text-gray-600 mb-4">A dedicated hall for training sessions, technical workshops and small conferences.</p> <a href="/peb-hall" className="text-red-600 font-medium flex items-center group-hover:text-red-700"> View Details <svg className="w-4 h-4 ml-2 transform transition-transform group-hover:translate-x-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg> </a> </div> </motion.div> </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">{/* Cards */} <motion.div initial={{ opacity: 0, y: 30 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.5, delay: 0.1 }} viewport={{ once: true }} whileHover={{ y: -8 }} className="bg-white rounded-xl overflow-hidden shadow-lg group"> <div className="h-64 overflow-hidden relative"> <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent z-10" /> <img src="/auditoriums/ks-auditorium/ksaudi1.jpg" alt="KS Auditorium" className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-700"/> <div className="absolute bottom-0 left-0 right-0 p-5 z-20"> <h3 className="text-2xl font-bold text-white">KS Auditorium</h3> <p className="text-white/80 text-sm">500 Seats</p> </div> </div> <div className="p-6"> <p className="text-gray-600 mb-4">Our flagship auditorium with state-of-the-art AV equipment and ample seating for large events.</p> <a href="/auditoriums/ks-auditorium" className="text-red-600 font-medium flex items-center group-hover:text-red-700"> View Details <svg className="w-4 h-4 ml-2 transform transition-transform group-hover:translate-x-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg> </a> </div> </motion.div> <motion.div initial={{ opacity: 0, y: 30 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.5, delay: 0.3 }} viewport={{ once: true }} whileHover={{ y: -8 }} className="bg-white rounded-xl overflow-hidden shadow-lg group"> <div className="h-64 overflow-hidden relative"> <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent z-10" /> <img src="/auditoriums/b-block-seminar-hall/bblock1.jpg" alt="B Block Seminar Hall" className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-700"/> <div className="absolute bottom-0 left-0 right-0 p-5 z-20"> <h3 className="text-2xl font-bold text-white">B Block Seminar Hall</h3> <p className="text-white/80 text-sm">200 Seats</p> </div> </div> <div className="p-6"> <p className="text-gray-600 mb-4">A versatile space perfect for workshops, seminars and academic presentations.</p> <a href="/auditoriums/b-block-seminar-hall" className="text-red-600 font-medium flex items-center group-hover:text-red-700"> View Details <svg className="w-4 h-4 ml-2 transform transition-transform group-hover:translate-x-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg> </a> </div> </motion.div> <motion.div initial={{ opacity: 0, y: 30 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.5, delay: 0.5 }} viewport={{ once: true }} whileHover={{ y: -8 }} className="bg-white rounded-xl overflow-hidden shadow-lg group"> <div className="h-64 overflow-hidden relative"> <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent z-10" /> <img src={PEB} alt="PEB Training Hall" className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-700"/> <div className="absolute bottom-0 left-0 right-0 p-5 z-20"> <h3 className="text-2xl font-bold text-white">PEB Training Hall</h3> <p className="text-white/80 text-sm">150 Seats</p> </div> </div> <div className="p-6"> <p className="text-gray-600 mb-4">A dedicated hall for training sessions, technical workshops and small conferences.</p> <a href="/auditoriums/peb-training-hall" className="text-red-600 font-medium flex items-center group-hover:text-red-700"> View Details <svg className="w-4 h-4 ml-2 transform transition-transform group-hover:translate-x-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg> </a> </div> </motion.div> </div>
              <div className="text-center mt-12"><motion.a initial={{ opacity: 0 }} whileInView={{ opacity: 1 }} transition={{ duration: 0.5, delay: 0.6 }} viewport={{ once: true }} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }} href="/auditoriums" className="inline-flex items-center px-6 py-3 border-2 border-red-600 text-red-600 font-medium rounded-lg hover:bg-red-600 hover:text-white transition-colors"> View All Auditoriums <svg className="w-5 h-5 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 8l4 4m0 0l-4 4m4-4H3" /></svg> </motion.a></div>
          </div>
       </section>
@@ -195,7 +193,7 @@ const HomePage = ({ isLoggedIn, userRole }) => {
       <section className="py-20 bg-gradient-to-br from-red-700 to-red-900 relative overflow-hidden">
          {/* ... Final CTA content ... */}
          <div className="absolute top-0 left-0 w-full h-40 bg-[url('/src/assets/pattern.png')] opacity-5"></div><div className="absolute -bottom-20 -right-20 w-80 h-80 bg-red-800 rounded-full opacity-30"></div><div className="absolute -bottom-10 -left-10 w-40 h-40 bg-red-800 rounded-full opacity-30"></div>
-         <div className="container mx-auto px-4 relative z-10"><div className="max-w-4xl mx-auto text-center"><motion.h2 initial={{ opacity: 0, y: 20 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.6 }} viewport={{ once: true }} className="text-4xl md:text-5xl font-bold mb-6 text-white"> Ready to Host Your Next Event? </motion.h2><motion.p initial={{ opacity: 0, y: 20 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.6, delay: 0.2 }} viewport={{ once: true }} className="text-xl text-red-100 mb-10 max-w-3xl mx-auto"> From department seminars to cultural celebrations, our auditoriums provide the perfect setting for your campus events. Book now and make your event memorable! </motion.p><motion.div initial={{ opacity: 0, scale: 0.9 }} whileInView={{ opacity: 1, scale: 1 }} transition={{ duration: 0.6, delay: 0.4 }} viewport={{ once: true }} className="flex flex-wrap gap-6 justify-center">{!(isLoggedIn && userRole === 'admin') && (<motion.a whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }} href={isLoggedIn ? "/book-auditorium" : "/login"} className="px-8 py-4 bg-white text-red-800 rounded-lg font-bold text-lg shadow-lg hover:shadow-xl transition-all duration-300"> Book an Auditorium </motion.a>)} <motion.a whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }} href="/auditoriums" className="px-8 py-4 bg-transparent border-2 border-white text-white rounded-lg font-bold text-lg shadow-lg hover:bg-white/10 transition-all duration-300"> Explore Options </motion.a></motion.div></div></div>
+         <div className="container mx-auto px-4 relative z-10"><div className="max-w-4xl mx-auto text-center"><motion.h2 initial={{ opacity: 0, y: 20 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.6 }} viewport={{ once: true }} className="text-4xl md:text-5xl font-bold mb-6 text-white"> Ready to Host Your Next Event? </motion.h2><motion.p initial={{ opacity: 0, y: 20 }} whileInView={{ opacity: 1, y: 0 }} transition={{ duration: 0.6, delay: 0.2 }} viewport={{ once: true }} className="text-xl text-red-100 mb-10 max-w-3xl mx-auto"> From department seminars to cultural celebrations, our auditoriums provide the perfect setting for your campus events. Book now and make your event memorable! </motion.p><motion.div initial={{ opacity: 0, scale: 0.9 }} whileInView={{ opacity: 1, scale: 1 }} transition={{ duration: 0.6, delay: 0.4 }} viewport={{ once: true }} className="flex flex-wrap gap-6 justify-center">{!(isLoggedIn && userRole !== 'user') && (<motion.a whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }} href={isLoggedIn ? "/book-auditorium" : "/login"} className="px-8 py-4 bg-white text-red-800 rounded-lg font-bold text-lg shadow-lg hover:shadow-xl transition-all duration-300"> Book an Auditorium </motion.a>)} <motion.a whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }} href="/auditoriums" className="px-8 py-4 bg-transparent border-2 border-white text-white rounded-lg font-bold text-lg shadow-lg hover:bg-white/10 transition-all duration-300"> Explore Options </motion.a></motion.div></div></div>
       </section>
     </div>
   );
@@ -1,6 +1,7 @@
-import React, { useState, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useRef, useEffect } from "react";
+import { useNavigate, Link } from "react-router-dom";
 import clgss from "../assets/clgss.jpg"; // Ensure this path is correct
+import { storeSession } from "../utils/authSession";
 
 // Receive the state setters from App.jsx
 const Login = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
@@ -12,6 +13,15 @@ const Login = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
   const [isPasswordVisible, setIsPasswordVisible] = useState(false);
   const passwordTimeout = useRef(null);
   const navigate = useNavigate();
+  const [sso, setSso] = useState({ enabled: false, providerName: "" }); // Campus SSO button, shown when the server has it configured
+  const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+  useEffect(() => {
+    fetch(`${apiBaseUrl}/api/auth/oidc/config`, { headers: { 'Accept': 'application/json' } })
+      .then((response) => response.json())
+      .then((data) => { if (data.success && data.data?.enabled) setSso(data.data); })
+      .catch((err) => console.warn("[DEBUG] SSO config unavailable:", err));
+  }, [apiBaseUrl]);
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -48,9 +58,7 @@ const Login = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
 
       // --- Login Success ---
       console.log('[DEBUG] Login success:', data);
-      localStorage.setItem('authToken', data.token);
-      localStorage.setItem('userRole', data.user.role);
-      localStorage.setItem('userEmail', data.user.email);
+      storeSession(data); // Access token, refresh token, role and email
 
       // Update App state
       setIsLoggedIn(true);
@@ -58,7 +66,7 @@ const Login = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
       setUserEmail(data.user.email);
 
       // Navigate
-      if (data.user.role === "admin") navigate("/admin-dashboard");
+      if (data.user.role !== "user") navigate("/admin-dashboard"); // Admins and other staff roles
       else navigate("/book-auditorium");
 
     } catch (err) {
@@ -251,6 +259,10 @@ const Login = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
             </div>
           </div>
 
+          <div className="text-right -mt-2">
+            <Link to="/forgot-password" className="text-xs font-medium text-red-800 hover:underline">Forgot password?</Link>
+          </div>
+
           {/* Error Message Display */}
           {error && (
             <p className="text-sm text-red-700 bg-red-100 border border-red-200 p-3 rounded-lg text-center font-medium">
@@ -274,6 +286,24 @@ const Login = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
             ) : "Login"}
           </button>
         </form>
+
+        {sso.enabled && (
+          <>
+            <div className="flex items-center my-4">
+              <div className="flex-grow border-t border-gray-300"></div>
+              <span className="px-3 text-xs text-gray-600 uppercase">or</span>
+              <div className="flex-grow border-t border-gray-300"></div>
+            </div>
+            <button
+              type="button"
+              onClick={() => { setIsLoading(true); window.location.href = `${apiBaseUrl}/api/auth/oidc/login`; }}
+              className="w-full py-2.5 px-4 text-sm font-semibold rounded-lg text-red-900 bg-white border border-red-300 hover:bg-red-50 transition duration-200 shadow-sm disabled:opacity-60"
+              disabled={isLoading}
+            >
+              Sign in with {sso.providerName || "Campus SSO"}
+            </button>
+          </>
+        )}
       </div>
     </div>
   );
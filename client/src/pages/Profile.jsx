@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { format, parseISO } from 'date-fns';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { storeSession, clearSession } from '../utils/authSession';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const NOTIFICATION_OPTIONS = [
+  { key: "actionConfirmations", label: "Request receipts", hint: "Confirmation when you submit, withdraw or reschedule a booking request." },
+  { key: "approvalProgress", label: "Approval progress", hint: "When your request passes an approval stage and moves to the next one." },
+  { key: "approvalRequests", label: "Approval requests", hint: "When a booking is waiting on an approval stage assigned to you." },
+];
+const EMPTY_PASSWORD_FORM = { currentPassword: "", newPassword: "", confirmPassword: "" };
+
+/**
+ * Profile page for any logged-in account: contact details, default department, email preferences and password.
+ */
+const Profile = () => {
+  // --- State Definitions ---
+  const [profile, setProfile] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [form, setForm] = useState({ displayName: "", phone: "", defaultDepartment: "", notificationPreferences: {} });
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
+  const [isResendingVerification, setIsResendingVerification] = useState(false);
+  const [isConfirmingLogoutAll, setIsConfirmingLogoutAll] = useState(false);
+  const [isLoggingOutAll, setIsLoggingOutAll] = useState(false);
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json' });
+
+  /** Copies the saved profile into the editable form. */
+  const applyProfile = (data) => {
+    setProfile(data);
+    setForm({
+      displayName: data.displayName || "",
+      phone: data.phone || "",
+      defaultDepartment: data.defaultDepartment?._id || "",
+      notificationPreferences: { ...data.notificationPreferences },
+    });
+  };
+
+  // --- Data Fetching ---
+  const fetchProfile = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    const token = localStorage.getItem('authToken');
+    if (!token) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    try {
+      const [profileRes, deptRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/auth/me`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } }),
+        fetch(`${API_BASE_URL}/api/departments`, { headers: { 'Accept': 'application/json' } }),
+      ]);
+      const [profileData, deptData] = await Promise.all([profileRes.json(), deptRes.json()]);
+      if (!profileRes.ok || !profileData.success) throw new Error(profileData.message || `Profile fetch failed (${profileRes.status})`);
+      applyProfile(profileData.data);
+      setDepartments(deptData.success && Array.isArray(deptData.data) ? deptData.data : []);
+    } catch (err) {
+      console.error("Profile fetch error:", err);
+      setFetchError(err.message || "Could not load your profile.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchProfile(); }, [fetchProfile]);
+
+  // --- Form Handlers ---
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+  const togglePreference = (key) => {
+    setForm((prev) => ({ ...prev, notificationPreferences: { ...prev.notificationPreferences, [key]: prev.notificationPreferences[key] === false } }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/me`, {
+        method: "PUT",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Save failed (${response.status})`);
+      applyProfile(data.data);
+      showToast("success", data.message || "Profile updated.");
+    } catch (err) {
+      console.error("Profile save error:", err);
+      showToast("error", err.message || "Could not save your profile.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword.length < 6) { showToast("error", "The new password must be at least 6 characters."); return; }
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) { showToast("error", "New passwords do not match."); return; }
+    setIsChangingPassword(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/me/password`, {
+        method: "PUT",
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: passwordForm.currentPassword, newPassword: passwordForm.newPassword }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Password change failed (${response.status})`);
+      storeSession(data); // Other devices were signed out; this one continues on the new session
+      showToast("success", data.message || "Password changed.");
+      setPasswordForm(EMPTY_PASSWORD_FORM);
+    } catch (err) {
+      console.error("Password change error:", err);
+      showToast("error", err.message || "Could not change your password.");
+    } finally {
+      setIsChangingPassword(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setIsResendingVerification(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/resend-verification`, { method: "POST", headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Request failed (${response.status})`);
+      showToast("success", data.message || "Verification email sent.");
+    } catch (err) {
+      console.error("Resend verification error:", err);
+      showToast("error", err.message || "Could not send the verification email.");
+    } finally {
+      setIsResendingVerification(false);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    setIsLoggingOutAll(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/logout-all`, { method: "POST", headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Logout failed (${response.status})`);
+      clearSession(); // App sends this browser back to the login page as well
+    } catch (err) {
+      console.error("Logout all error:", err);
+      showToast("error", err.message || "Could not log out of all devices.");
+      setIsLoggingOutAll(false);
+      setIsConfirmingLogoutAll(false);
+    }
+  };
+
+  const inputClass = "w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500";
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">My Profile</h1>
+        <p className="text-sm text-gray-500 mb-6">Your contact details, booking defaults and email preferences.</p>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+        {isLoading && <p className="text-center text-gray-500 py-10">Loading...</p>}
+
+        {!isLoading && profile && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Account Summary */}
+            <div className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-2 text-sm">
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">Account</h2>
+              <p><strong className="font-medium text-gray-700">Username:</strong> {profile.username}</p>
+              <p><strong className="font-medium text-gray-700">Email:</strong> {profile.email}</p>
+              {profile.emailVerified === false && (
+                <div className="p-2 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md">
+                  Your email is not verified yet, so you cannot request bookings.
+                  <button type="button" onClick={handleResendVerification} disabled={isResendingVerification} className="block mt-1 font-semibold text-red-700 hover:underline disabled:opacity-50">
+                    {isResendingVerification ? "Sending..." : "Resend verification email"}
+                  </button>
+                </div>
+              )}
+              <p><strong className="font-medium text-gray-700">Role:</strong> <span className="capitalize">{profile.role}</span></p>
+              {profile.departments?.length > 0 && <p><strong className="font-medium text-gray-700">Departments:</strong> {profile.departments.map((d) => d.name).join(', ')}</p>}
+              {profile.auditoriums?.length > 0 && <p><strong className="font-medium text-gray-700">Auditoriums:</strong> {profile.auditoriums.map((a) => a.name).join(', ')}</p>}
+              <p className="text-xs text-gray-500 pt-2">Member since {profile.createdAt ? format(parseISO(profile.createdAt), 'MMM d, yyyy') : 'N/A'}</p>
+
+              <div className="pt-3 mt-3 border-t border-gray-200">
+                <p className="text-xs text-gray-500 mb-2">Lost a device or left yourself logged in somewhere? End every session, including this one.</p>
+                {isConfirmingLogoutAll ? (
+                  <div className="flex gap-2">
+                    <button type="button" onClick={handleLogoutAll} disabled={isLoggingOutAll} className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50">{isLoggingOutAll ? "Logging out..." : "Confirm"}</button>
+                    <button type="button" onClick={() => setIsConfirmingLogoutAll(false)} disabled={isLoggingOutAll} className="px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200">Cancel</button>
+                  </div>
+                ) : (
+                  <button type="button" onClick={() => setIsConfirmingLogoutAll(true)} className="px-3 py-1.5 text-xs font-semibold rounded-md text-red-700 border border-red-300 hover:bg-red-50">Log out of all devices</button>
+                )}
+              </div>
+            </div>
+
+            <div className="lg:col-span-2 space-y-6">
+              {/* Profile Form */}
+              <form onSubmit={handleSave} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800">Details</h2>
+                <label className="block text-sm text-gray-700">Display name
+                  <input name="displayName" value={form.displayName} onChange={handleChange} maxLength={80} placeholder={profile.username} className={inputClass} disabled={isSaving} />
+                </label>
+                <label className="block text-sm text-gray-700">Phone
+                  <input name="phone" type="tel" value={form.phone} onChange={handleChange} placeholder="+91 98765 43210" className={inputClass} disabled={isSaving} />
+                </label>
+                <label className="block text-sm text-gray-700">Default department <span className="text-xs text-gray-500">(prefilled on new booking requests)</span>
+                  <select name="defaultDepartment" value={form.defaultDepartment} onChange={handleChange} className={`${inputClass} bg-white`} disabled={isSaving}>
+                    <option value="">-- None --</option>
+                    {departments.map((d) => <option key={d._id} value={d._id}>{d.name} {d.code ? `(${d.code})` : ''}</option>)}
+                  </select>
+                </label>
+
+                <fieldset className="space-y-2">
+                  <legend className="text-sm font-medium text-gray-700 mb-1">Email notifications</legend>
+                  {NOTIFICATION_OPTIONS.map((option) => (
+                    <label key={option.key} className="flex items-start gap-2 text-sm text-gray-700">
+                      <input type="checkbox" checked={form.notificationPreferences[option.key] !== false} onChange={() => togglePreference(option.key)} disabled={isSaving} className="mt-1 h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500" />
+                      <span><span className="font-medium">{option.label}</span><span className="block text-xs text-gray-500">{option.hint}</span></span>
+                    </label>
+                  ))}
+                  <p className="text-xs text-gray-500">Decisions about your bookings (approval, rejection, cancellation or changes) are always emailed.</p>
+                </fieldset>
+
+                <div className="text-right">
+                  <button type="submit" disabled={isSaving} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-700 hover:bg-red-800 disabled:opacity-50">{isSaving ? "Saving..." : "Save Profile"}</button>
+                </div>
+              </form>
+
+              {/* Change Password */}
+              <form onSubmit={handleChangePassword} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800">Change Password</h2>
+                <input type="password" value={passwordForm.currentPassword} onChange={(e) => setPasswordForm((prev) => ({ ...prev, currentPassword: e.target.value }))} placeholder="Current password" autoComplete="current-password" className={inputClass} disabled={isChangingPassword} required />
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <input type="password" value={passwordForm.newPassword} onChange={(e) => setPasswordForm((prev) => ({ ...prev, newPassword: e.target.value }))} placeholder="New password" autoComplete="new-password" minLength={6} className={inputClass} disabled={isChangingPassword} required />
+                  <input type="password" value={passwordForm.confirmPassword} onChange={(e) => setPasswordForm((prev) => ({ ...prev, confirmPassword: e.target.value }))} placeholder="Confirm new password" autoComplete="new-password" minLength={6} className={inputClass} disabled={isChangingPassword} required />
+                </div>
+                <div className="text-right">
+                  <button type="submit" disabled={isChangingPassword} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-gray-800 hover:bg-gray-900 disabled:opacity-50">{isChangingPassword ? "Updating..." : "Change Password"}</button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { useParams, useNavigate, Link } from "react-router-dom";
+import clgss from "../assets/clgss.jpg";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Landing page for emailed password reset links (/reset-password/:token).
+ */
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < 6) { setError("Password must be at least 6 characters."); return; }
+    if (password !== confirmPassword) { setError("Passwords do not match."); return; }
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/reset-password/${token}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Reset failed (${response.status})`);
+      setSuccess(data.message || "Password updated.");
+      setTimeout(() => navigate("/login"), 2500);
+    } catch (err) {
+      console.error("Password reset error:", err);
+      setError(err.message || "Could not reset your password.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white/90 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500";
+
+  return (
+    <div className="flex justify-center items-center min-h-screen p-4 bg-gray-100 relative">
+      <div className="absolute inset-0 bg-cover bg-center z-0" style={{ backgroundImage: `url(${clgss})` }}>
+        <div className="absolute inset-0 bg-black opacity-50"></div>
+      </div>
+
+      <div className="w-full max-w-sm bg-white/70 backdrop-blur-md rounded-xl shadow-2xl p-6 sm:p-8 z-10">
+        <h2 className="text-xl sm:text-2xl font-bold text-center text-gray-900 mb-4">Choose a New Password</h2>
+
+        {success ? (
+          <div className="p-3 text-sm text-green-800 bg-green-50 border-l-4 border-green-500 rounded-r-lg">
+            {success} Redirecting to login...
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-900 mb-1" htmlFor="newPassword">New Password</label>
+              <input id="newPassword" type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} minLength={6} required disabled={isLoading} autoFocus />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-900 mb-1" htmlFor="confirmPassword">Confirm Password</label>
+              <input id="confirmPassword" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} minLength={6} required disabled={isLoading} />
+            </div>
+            {error && <p className="text-sm text-red-700 bg-red-50 p-2 rounded border border-red-200">{error}</p>}
+            <button type="submit" disabled={isLoading} className="w-full py-2 px-4 rounded-md text-sm font-semibold text-white bg-red-800 hover:bg-red-900 disabled:opacity-60 transition">
+              {isLoading ? "Saving..." : "Update Password"}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-4 text-center text-sm text-gray-700">
+          <Link to="/login" className="font-medium text-red-800 hover:underline">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
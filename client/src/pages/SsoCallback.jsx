@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import clgss from "../assets/clgss.jpg";
+import { storeSession } from "../utils/authSession";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Return page for campus SSO (/sso/callback). The server puts a one-time code (or an error) in the
+ * URL fragment; the code is traded for session tokens here, then the user continues like a normal login.
+ */
+const SsoCallback = ({ setIsLoggedIn, setUserRole, setUserEmail }) => {
+  const navigate = useNavigate();
+  const [error, setError] = useState("");
+  const hasSubmitted = useRef(false); // The code is single-use, so never send it twice (StrictMode runs effects twice)
+
+  useEffect(() => {
+    if (hasSubmitted.current) return;
+    hasSubmitted.current = true;
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    window.history.replaceState(null, "", window.location.pathname); // Keep the code out of the history
+    if (params.get("error") || !params.get("code")) { setError(params.get("error") || "Sign-in did not complete. Please try again."); return; }
+
+    const exchange = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/oidc/exchange`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ code: params.get("code") }),
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message || `Sign-in failed (${response.status})`);
+        storeSession(data);
+        setIsLoggedIn(true);
+        setUserRole(data.user.role);
+        setUserEmail(data.user.email);
+        navigate(data.user.role !== "user" ? "/admin-dashboard" : "/book-auditorium", { replace: true });
+      } catch (err) {
+        console.error("SSO exchange error:", err);
+        setError(err.message || "Could not complete sign-in.");
+      }
+    };
+    exchange();
+  }, [navigate, setIsLoggedIn, setUserRole, setUserEmail]);
+
+  return (
+    <div className="flex justify-center items-center min-h-screen p-4 bg-gray-100 relative">
+      <div className="absolute inset-0 bg-cover bg-center z-0" style={{ backgroundImage: `url(${clgss})` }}>
+        <div className="absolute inset-0 bg-black opacity-50"></div>
+      </div>
+
+      <div className="w-full max-w-sm bg-white/70 backdrop-blur-md rounded-xl shadow-2xl p-6 sm:p-8 z-10">
+        <h2 className="text-xl sm:text-2xl font-bold text-center text-gray-900 mb-4">Campus Sign-in</h2>
+        {error ? (
+          <div className="p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{error}</div>
+        ) : (
+          <p className="text-center text-sm text-gray-700">Completing sign-in...</p>
+        )}
+        <p className="mt-4 text-center text-sm text-gray-700">
+          <Link to="/login" className="font-medium text-red-800 hover:underline">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
@@ -0,0 +1,64 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useParams, Link } from "react-router-dom";
+import clgss from "../assets/clgss.jpg";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Landing page for emailed verification links (/verify-email/:token). Confirms the address on load.
+ */
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState("verifying"); // verifying | verified | failed
+  const [message, setMessage] = useState("");
+  const hasSubmitted = useRef(false); // The token is single-use, so never send it twice (StrictMode runs effects twice)
+
+  useEffect(() => {
+    if (hasSubmitted.current) return;
+    hasSubmitted.current = true;
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/verify-email/${token}`, { method: "POST", headers: { 'Accept': 'application/json' } });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message || `Verification failed (${response.status})`);
+        setStatus("verified");
+        setMessage(data.message || "Your email address has been verified.");
+      } catch (err) {
+        console.error("Email verification error:", err);
+        setStatus("failed");
+        setMessage(err.message || "Could not verify your email address.");
+      }
+    };
+    verify();
+  }, [token]);
+
+  const isLoggedIn = !!localStorage.getItem('authToken');
+
+  return (
+    <div className="flex justify-center items-center min-h-screen p-4 bg-gray-100 relative">
+      <div className="absolute inset-0 bg-cover bg-center z-0" style={{ backgroundImage: `url(${clgss})` }}>
+        <div className="absolute inset-0 bg-black opacity-50"></div>
+      </div>
+
+      <div className="w-full max-w-sm bg-white/70 backdrop-blur-md rounded-xl shadow-2xl p-6 sm:p-8 z-10">
+        <h2 className="text-xl sm:text-2xl font-bold text-center text-gray-900 mb-4">Email Verification</h2>
+
+        {status === "verifying" && <p className="text-center text-sm text-gray-700">Verifying your email address...</p>}
+        {status === "verified" && <div className="p-3 text-sm text-green-800 bg-green-50 border-l-4 border-green-500 rounded-r-lg">{message}</div>}
+        {status === "failed" && <div className="p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{message}</div>}
+
+        <p className="mt-4 text-center text-sm text-gray-700">
+          {isLoggedIn ? (
+            <Link to={status === "failed" ? "/profile" : "/book-auditorium"} className="font-medium text-red-800 hover:underline">
+              {status === "failed" ? "Request a new link from your profile" : "Book an auditorium"}
+            </Link>
+          ) : (
+            <Link to="/login" className="font-medium text-red-800 hover:underline">Go to login</Link>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
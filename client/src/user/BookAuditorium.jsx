@@ -86,6 +86,82 @@ const showToast = (type, message) => {
 };
 
 
+// --- Recurrence Options ---
+// Weekday values follow the server's Luxon numbering (1 = Monday ... 7 = Sunday)
+const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Mon" }, { value: 2, label: "Tue" }, { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" }, { value: 5, label: "Fri" }, { value: 6, label: "Sat" }, { value: 7, label: "Sun" },
+];
+const DEFAULT_RECURRENCE = { frequency: "weekly", interval: 1, daysOfWeek: [], endType: "count", endDate: "", count: 4 };
+
+/** Builds the recurrence rule sent to the API from the form state. */
+const buildRecurrencePayload = (recurrence) => ({
+  frequency: recurrence.frequency,
+  interval: Number(recurrence.interval) || 1,
+  ...(recurrence.frequency === "custom" && { daysOfWeek: recurrence.daysOfWeek }),
+  ...(recurrence.endType === "date" ? { endDate: recurrence.endDate } : { count: Number(recurrence.count) }),
+});
+
+// --- Multi-day Options ---
+const MAX_EVENT_DAYS = 14; // Mirrors the server's segment limit
+const EMPTY_DAY_SEGMENT = { date: "", startTime: "", endTime: "" };
+
+// --- Setup Time Options (minutes requested on top of the auditorium's own setup buffer) ---
+const EXTRA_SETUP_OPTIONS = [0, 15, 30, 45, 60, 90, 120, 180, 240];
+
+// --- Event Category (approvers favour institution events, then department, then club events for the same slot) ---
+const EVENT_CATEGORY_OPTIONS = [
+  { value: "institution", label: "Institution-wide event" },
+  { value: "department", label: "Department event" },
+  { value: "club", label: "Club / society event" },
+];
+
+// --- Capacity Fit ---
+/** Halls that seat the expected attendance come first, tightest fit first; halls that are too small go last. */
+const rankAuditoriumsByFit = (auditoriums, expectedAttendance) => {
+  const attendance = Number(expectedAttendance);
+  if (!attendance || attendance < 1) return auditoriums.map((audi) => ({ ...audi, tooSmall: false }));
+  return auditoriums
+    .map((audi) => ({ ...audi, tooSmall: (audi.capacity || 0) < attendance }))
+    .sort((a, b) => (a.tooSmall - b.tooSmall) || (a.tooSmall ? b.capacity - a.capacity : a.capacity - b.capacity));
+};
+
+// --- Alternative Slot Suggestions ---
+const MAX_ALTERNATIVES = 5;
+const ALTERNATIVE_DATE_FORMAT = { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+/** Value a datetime-local input expects for a Date (browser local time). */
+const toDateTimeLocalValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+/** "2 h later", "30 min earlier", "same time" relative to the requested start. */
+const describeOffset = (minutes) => {
+  if (!minutes) return "same time";
+  const abs = Math.abs(minutes);
+  const amount = abs >= 24 * 60 ? `${Math.round(abs / (24 * 60))} day(s)` : abs >= 60 ? `${Math.round((abs / 60) * 10) / 10} h` : `${abs} min`;
+  return `${amount} ${minutes > 0 ? "later" : "earlier"}`;
+};
+
+// --- Equipment Display ---
+const EQUIPMENT_CATEGORY_LABELS = { audio: 'Audio', video: 'Video', lighting: 'Lighting', computing: 'Computing', furniture: 'Furniture', other: 'Other' };
+
+/** Equipment line items for the API, skipping anything left at zero. */
+const buildEquipmentPayload = (quantities) => Object.entries(quantities)
+  .filter(([, quantity]) => Number(quantity) > 0)
+  .map(([item, quantity]) => ({ item, quantity: Number(quantity) }));
+
+// --- Blackout Display ---
+const BLACKOUT_DATE_FORMAT = { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+/** Converts the per-day rows into ISO segments for the API; returns null while any row is incomplete. */
+const buildSegmentsPayload = (daySegments) => {
+  if (daySegments.some((day) => !day.date || !day.startTime || !day.endTime)) return null;
+  return daySegments.map((day) => ({
+    startTime: new Date(`${day.date}T${day.startTime}`).toISOString(),
+    endTime: new Date(`${day.date}T${day.endTime}`).toISOString(),
+  }));
+};
+
+
 // --- Main Booking Component ---
 
 function BookAuditorium({ userEmail = "" }) {
@@ -99,6 +175,9 @@ function BookAuditorium({ userEmail = "" }) {
     endTime: "",
     auditoriumId: "",
     departmentId: "",
+    extraSetupMinutes: "0",
+    expectedAttendance: "",
+    eventCategory: "department",
     eventPoster: null,
   });
   const [auditoriums, setAuditoriums] = useState([]);
@@ -107,11 +186,31 @@ function BookAuditorium({ userEmail = "" }) {
   const [departments, setDepartments] = useState([]);
   const [isLoadingDepartments, setIsLoadingDepartments] = useState(false);
   const [departmentFetchError, setDepartmentFetchError] = useState("");
+  const [defaultDepartmentId, setDefaultDepartmentId] = useState(""); // From the user's profile; prefilled on new requests
+  const [isEmailUnverified, setIsEmailUnverified] = useState(false); // Booking requests are refused until the email is verified
 
   // Booking conflicts state
   const [conflicts, setConflicts] = useState([]);
   const [isCheckingConflicts, setIsCheckingConflicts] = useState(false);
   const [conflictError, setConflictError] = useState("");
+  const [blackoutNotice, setBlackoutNotice] = useState(null); // Blackout period overlapping the selected time
+  const [upcomingBlackouts, setUpcomingBlackouts] = useState([]); // Blocked dates for the selected auditorium
+  const [auditoriumBuffers, setAuditoriumBuffers] = useState(null); // Setup/teardown buffers reported by the availability check
+  const [isJoiningWaitlist, setIsJoiningWaitlist] = useState(false);
+  const [holdNotice, setHoldNotice] = useState(null); // Another requester is holding the selected time
+  const [slotHold, setSlotHold] = useState(null); // The slot held for this user while they fill in the form
+
+  // Equipment (fixed to the hall or from the portable pool) with what is still free at the selected time
+  const [equipmentOptions, setEquipmentOptions] = useState([]);
+  const [equipmentQuantities, setEquipmentQuantities] = useState({}); // Equipment ID -> requested quantity
+  const [isLoadingEquipment, setIsLoadingEquipment] = useState(false);
+
+  // Nearest free slots (any hall) shown when the chosen one is taken
+  const [alternatives, setAlternatives] = useState([]);
+  const [isLoadingAlternatives, setIsLoadingAlternatives] = useState(false);
+
+  const rankedAuditoriums = useMemo(() => rankAuditoriumsByFit(auditoriums, formData.expectedAttendance), [auditoriums, formData.expectedAttendance]);
+  const selectedAuditorium = rankedAuditoriums.find((audi) => audi._id === formData.auditoriumId) || null;
 
   // Submission/Feedback State
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -122,6 +221,15 @@ function BookAuditorium({ userEmail = "" }) {
   const [isSlotAvailable, setIsSlotAvailable] = useState(true);
   const [conflictingBookingDetails, setConflictingBookingDetails] = useState(null);
 
+  // Recurring booking state
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [recurrence, setRecurrence] = useState(DEFAULT_RECURRENCE);
+  const [occurrenceReport, setOccurrenceReport] = useState(null); // Per-occurrence result from a rejected series request
+
+  // Multi-day booking state (one row per day with its own time window)
+  const [isMultiDay, setIsMultiDay] = useState(false);
+  const [daySegments, setDaySegments] = useState([EMPTY_DAY_SEGMENT, EMPTY_DAY_SEGMENT]);
+
   // --- Helper: Show temporary feedback ---
   const showTemporaryFeedback = (setter, message, duration = 5000) => {
     setter(message);
@@ -160,6 +268,22 @@ function BookAuditorium({ userEmail = "" }) {
     finally { setIsLoadingDepartments(false); }
   }, []);
 
+  /** Loads the user's profile: prefills the default department if nothing is selected yet and notes an unverified email */
+  const fetchProfileDefaults = useCallback(async () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/auth/me`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (response.ok && data.success) setIsEmailUnverified(data.data?.emailVerified === false);
+      const departmentId = response.ok && data.success ? data.data?.defaultDepartment?._id : null;
+      if (departmentId) {
+        setDefaultDepartmentId(departmentId);
+        setFormData(prev => (prev.departmentId ? prev : { ...prev, departmentId }));
+      }
+    } catch (err) { console.warn("Profile defaults fetch error:", err); }
+  }, []);
+
   /** Fetches existing bookings to check for conflicts */
   const checkBookingConflicts = useCallback(async () => {
     setConflicts([]);
@@ -190,6 +314,7 @@ function BookAuditorium({ userEmail = "" }) {
             auditoriumId: formData.auditoriumId,
             startTime: startDate.toISOString(),
             endTime: endDate.toISOString(),
+            extraSetupMinutes: formData.extraSetupMinutes,
             year: startDate.getFullYear(),
             month: startDate.getMonth() + 1 // JavaScript months are 0-based
         });
@@ -209,6 +334,8 @@ function BookAuditorium({ userEmail = "" }) {
         
         if (data.success) {
             setIsSlotAvailable(!data.hasConflict);
+            setBlackoutNotice(data.blackout || null);
+            if (data.buffers) setAuditoriumBuffers(data.buffers);
             if (data.hasConflict && data.conflictingBooking) {
                 setConflicts([data.conflictingBooking]);
             } else {
@@ -224,7 +351,7 @@ function BookAuditorium({ userEmail = "" }) {
     } finally {
         setIsCheckingConflicts(false);
     }
-}, [formData.auditoriumId, formData.startTime, formData.endTime]);
+}, [formData.auditoriumId, formData.startTime, formData.endTime, formData.extraSetupMinutes]);
 
   // --- Effect Hooks ---
 
@@ -232,7 +359,8 @@ function BookAuditorium({ userEmail = "" }) {
   useEffect(() => {
     fetchAuditoriums();
     fetchDepartments();
-  }, [fetchAuditoriums, fetchDepartments]);
+    fetchProfileDefaults();
+  }, [fetchAuditoriums, fetchDepartments, fetchProfileDefaults]);
 
   // Check for conflicts when relevant form fields change
   useEffect(() => {
@@ -244,21 +372,153 @@ function BookAuditorium({ userEmail = "" }) {
     }, 500); // 500ms debounce
     
     return () => clearTimeout(debounceTimer);
-  }, [formData.auditoriumId, formData.startTime, formData.endTime, checkBookingConflicts]);
+  }, [formData.auditoriumId, formData.startTime, formData.endTime, formData.extraSetupMinutes, checkBookingConflicts]);
+
+  // Load upcoming blackout periods (holidays, exams, maintenance) for the selected auditorium
+  useEffect(() => {
+    setUpcomingBlackouts([]);
+    const token = localStorage.getItem('authToken');
+    if (!formData.auditoriumId || !token) return;
+    const controller = new AbortController();
+    const queryParams = new URLSearchParams({ auditoriumId: formData.auditoriumId, from: new Date().toISOString() });
+    fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/blackouts?${queryParams}`, {
+      headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' },
+      signal: controller.signal
+    })
+      .then((response) => response.json())
+      .then((data) => { if (data.success && Array.isArray(data.data)) setUpcomingBlackouts(data.data); })
+      .catch((err) => { if (err.name !== 'AbortError') console.warn("Blackout fetch error:", err); });
+    return () => controller.abort();
+  }, [formData.auditoriumId]);
+
+  // Load the equipment the selected auditorium can use, with availability for the chosen time(s)
+  useEffect(() => {
+    const token = localStorage.getItem('authToken');
+    const segments = isMultiDay ? buildSegmentsPayload(daySegments) : null;
+    const hasSingleTime = !isMultiDay && formData.startTime && formData.endTime && new Date(formData.startTime) < new Date(formData.endTime);
+    if (!formData.auditoriumId || !token || (!segments && !hasSingleTime)) {
+      setEquipmentOptions([]);
+      return;
+    }
+    const controller = new AbortController();
+    const queryParams = new URLSearchParams(segments
+      ? { auditoriumId: formData.auditoriumId, segments: JSON.stringify(segments) }
+      : { auditoriumId: formData.auditoriumId, startTime: new Date(formData.startTime).toISOString(), endTime: new Date(formData.endTime).toISOString() });
+    const debounceTimer = setTimeout(() => {
+      setIsLoadingEquipment(true);
+      fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/equipment/availability?${queryParams}`, {
+        headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' },
+        signal: controller.signal
+      })
+        .then((response) => response.json())
+        .then((data) => { if (data.success && Array.isArray(data.data)) setEquipmentOptions(data.data); })
+        .catch((err) => { if (err.name !== 'AbortError') console.warn("Equipment availability fetch error:", err); })
+        .finally(() => setIsLoadingEquipment(false));
+    }, 500);
+    return () => { clearTimeout(debounceTimer); controller.abort(); };
+  }, [isMultiDay, daySegments, formData.auditoriumId, formData.startTime, formData.endTime]);
+
+  // Look for the nearest alternatives when a single-slot request clashes with a booking, blackout or someone else's hold
+  useEffect(() => {
+    setAlternatives([]);
+    const token = localStorage.getItem('authToken');
+    const start = new Date(formData.startTime);
+    const end = new Date(formData.endTime);
+    const isTaken = conflicts.length > 0 || !!blackoutNotice || !!holdNotice;
+    if (isMultiDay || !isTaken || !token || !formData.auditoriumId || isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) return;
+    const controller = new AbortController();
+    const queryParams = new URLSearchParams({
+      durationMinutes: String(Math.round((end - start) / 60000)),
+      near: start.toISOString(),
+      auditoriumIds: formData.auditoriumId,
+      extraSetupMinutes: formData.extraSetupMinutes,
+      limit: String(MAX_ALTERNATIVES),
+      ...(Number(formData.expectedAttendance) > 0 && { attendance: formData.expectedAttendance }),
+    });
+    setIsLoadingAlternatives(true);
+    fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/bookings/find-slots?${queryParams}`, {
+      headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' },
+      signal: controller.signal
+    })
+      .then((response) => response.json())
+      .then((data) => { if (data.success && Array.isArray(data.data)) setAlternatives(data.data); })
+      .catch((err) => { if (err.name !== 'AbortError') console.warn("Alternative slot search error:", err); })
+      .finally(() => setIsLoadingAlternatives(false));
+    return () => controller.abort();
+  }, [isMultiDay, conflicts, blackoutNotice, holdNotice, formData.auditoriumId, formData.startTime, formData.endTime, formData.extraSetupMinutes, formData.expectedAttendance]);
+
+  /** Switches the form to a suggested hall and time; the availability check then runs again. */
+  function applyAlternative(slot) {
+    setFormData((prev) => ({
+      ...prev,
+      auditoriumId: slot.auditorium._id,
+      startTime: toDateTimeLocalValue(new Date(slot.startTime)),
+      endTime: toDateTimeLocalValue(new Date(slot.endTime)),
+    }));
+    if (slot.auditorium._id !== formData.auditoriumId) setEquipmentQuantities({}); // Fixed items belong to the previous hall
+    setConflicts([]);
+    setBlackoutNotice(null);
+    setHoldNotice(null);
+  }
+
+  function handleEquipmentQuantityChange(itemId, value, max) {
+    const quantity = Math.max(0, Math.min(Number(value) || 0, max));
+    setEquipmentQuantities((prev) => ({ ...prev, [itemId]: quantity }));
+  }
 
   // --- Form Input Handlers ---
   function handleChange(e) {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
+    if (name === 'auditoriumId') setEquipmentQuantities({}); // Fixed items belong to the previous hall
     
     // Clear any previous conflict messages when input changes
-    if (['auditoriumId', 'startTime', 'endTime'].includes(name)) {
+    if (['auditoriumId', 'startTime', 'endTime', 'extraSetupMinutes'].includes(name)) {
       setConflicts([]);
       setConflictError("");
+      setBlackoutNotice(null);
+      setHoldNotice(null);
+      if (name === 'auditoriumId') setAuditoriumBuffers(null);
       setSubmitError(""); 
       setSuccessMessage("");
+      setOccurrenceReport(null);
     }
   }
+  function handleRecurrenceChange(e) {
+    const { name, value } = e.target;
+    setRecurrence((prev) => ({ ...prev, [name]: value }));
+    setOccurrenceReport(null);
+  }
+  function toggleRecurrenceDay(day) {
+    setRecurrence((prev) => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day) ? prev.daysOfWeek.filter((d) => d !== day) : [...prev.daysOfWeek, day].sort(),
+    }));
+    setOccurrenceReport(null);
+  }
+  function toggleMultiDay(checked) {
+    setIsMultiDay(checked);
+    setDaySegments([EMPTY_DAY_SEGMENT, EMPTY_DAY_SEGMENT]);
+    setFormData((prev) => ({ ...prev, startTime: "", endTime: "" }));
+    if (checked) setIsRecurring(false); // A booking is either multi-day or recurring
+    setConflicts([]);
+    setConflictError("");
+    setBlackoutNotice(null);
+    setOccurrenceReport(null);
+  }
+  function handleDaySegmentChange(index, e) {
+    const { name, value } = e.target;
+    setDaySegments((prev) => prev.map((day, i) => (i === index ? { ...day, [name]: value } : day)));
+    setConflicts([]);
+    setConflictError("");
+    setBlackoutNotice(null);
+  }
+  function addDaySegment() {
+    setDaySegments((prev) => (prev.length >= MAX_EVENT_DAYS ? prev : [...prev, EMPTY_DAY_SEGMENT]));
+  }
+  function removeDaySegment(index) {
+    setDaySegments((prev) => (prev.length <= 2 ? prev : prev.filter((_, i) => i !== index)));
+  }
   function handleFileChange(e) {
     const file = e.target.files[0];
     setFormData((prev) => ({ ...prev, eventPoster: file || null }));
@@ -269,13 +529,62 @@ function BookAuditorium({ userEmail = "" }) {
     if (fileInput) fileInput.value = null;
   }
 
+  // --- Slot Hold Logic ---
+  // A free slot is held for this user for a few minutes so nobody else can request it meanwhile
+  const holdSlot = useCallback(async (auditoriumId, startTimeStr, endTimeStr, segments = null) => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/bookings/holds`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(segments
+          ? { auditoriumId, segments }
+          : { auditoriumId, startTime: new Date(startTimeStr).toISOString(), endTime: new Date(endTimeStr).toISOString() }),
+      });
+      const data = await response.json();
+      if (response.status === 409 && data.onHold) {
+        setSlotHold(null);
+        setHoldNotice({ message: data.message, heldUntil: data.heldUntil });
+        setIsSlotAvailable(false);
+        return;
+      }
+      if (!response.ok || !data.success) throw new Error(data.message || `Hold failed (${response.status})`);
+      setSlotHold(data.data);
+    } catch (err) {
+      // Holding is best-effort: the request is still checked when it is submitted
+      console.warn("Slot hold error:", err);
+      setSlotHold(null);
+    }
+  }, []);
+
+  // Leaving the page gives the held slot back straight away instead of waiting for it to expire
+  useEffect(() => () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+    fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/bookings/holds`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' },
+      keepalive: true,
+    }).catch((err) => console.warn("Slot hold release error:", err));
+  }, []);
+
+  // Mark the hold as lapsed once it expires so the user can take it again
+  useEffect(() => {
+    if (!slotHold || slotHold.expired) return;
+    const timer = setTimeout(() => setSlotHold((prev) => (prev ? { ...prev, expired: true } : prev)), Math.max(new Date(slotHold.expiresAt) - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [slotHold]);
+
   // --- Availability Check Logic ---
-  const checkSlotAvailability = useCallback(async (auditoriumId, startTimeStr, endTimeStr) => {
+  // `segments` (multi-day bookings) replaces the single start/end pair when provided
+  const checkSlotAvailability = useCallback(async (auditoriumId, startTimeStr, endTimeStr, segments = null, extraSetupMinutes = "0") => {
     setIsSlotAvailable(true);
     setConflictingBookingDetails(null);
     setAvailabilityError("");
+    setHoldNotice(null);
 
-    if (!auditoriumId || !startTimeStr || !endTimeStr) {
+    if (!auditoriumId || (!segments && (!startTimeStr || !endTimeStr))) {
         return;
     }
 
@@ -286,11 +595,9 @@ function BookAuditorium({ userEmail = "" }) {
         if (!token) throw new Error("Authentication required.");
 
         const apiUrl = `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/bookings/check-availability`;
-        const queryParams = new URLSearchParams({
-            auditoriumId,
-            startTime: startTimeStr,
-            endTime: endTimeStr
-        });
+        const queryParams = new URLSearchParams(segments
+            ? { auditoriumId, segments: JSON.stringify(segments), extraSetupMinutes }
+            : { auditoriumId, startTime: startTimeStr, endTime: endTimeStr, extraSetupMinutes });
 
         const response = await fetch(`${apiUrl}?${queryParams}`, {
             headers: {
@@ -306,6 +613,9 @@ function BookAuditorium({ userEmail = "" }) {
         }
 
         setIsSlotAvailable(data.available);
+        setBlackoutNotice(data.blackout || null);
+        setHoldNotice(data.onHold ? { message: data.message, heldUntil: data.heldUntil } : null);
+        if (data.buffers) setAuditoriumBuffers(data.buffers);
         if (data.hasConflict && data.conflictingBooking) {
             setConflictingBookingDetails(data.conflictingBooking);
             setConflicts([data.conflictingBooking]);
@@ -314,33 +624,47 @@ function BookAuditorium({ userEmail = "" }) {
             setConflicts([]);
         }
         setConflictError("");
+        if (data.available) await holdSlot(auditoriumId, startTimeStr, endTimeStr, segments);
+        else setSlotHold(null);
 
     } catch (err) {
         console.error("Availability check error:", err);
         setConflictError(err.message || "Could not check availability");
         setIsSlotAvailable(false);
+        setBlackoutNotice(null);
         setConflicts([]);
     } finally {
         setIsCheckingAvailability(false);
     }
-}, []);
+}, [holdSlot]);
 
   const debouncedCheckAvailability = useMemo(() => debounce(checkSlotAvailability, 750), [checkSlotAvailability]);
 
   useEffect(() => {
+    if (isMultiDay) return; // Multi-day rows are checked by the effect below
     if (formData.auditoriumId && formData.startTime && formData.endTime) {
       try {
         const start = new Date(formData.startTime); const end = new Date(formData.endTime);
-        if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && start < end) { debouncedCheckAvailability(formData.auditoriumId, formData.startTime, formData.endTime); }
+        if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && start < end) { debouncedCheckAvailability(formData.auditoriumId, formData.startTime, formData.endTime, null, formData.extraSetupMinutes); }
         else { setIsSlotAvailable(false); setAvailabilityError("Please select a valid start and end time."); setConflictingBookingDetails(null); setIsCheckingAvailability(false); }
       } catch (e) { console.warn("Date parse useEffect:", e); setIsSlotAvailable(false); setAvailabilityError("Invalid date format."); setConflictingBookingDetails(null); setIsCheckingAvailability(false); }
     } else { setIsSlotAvailable(true); setConflictingBookingDetails(null); setAvailabilityError(""); setIsCheckingAvailability(false); }
-  }, [formData.auditoriumId, formData.startTime, formData.endTime, debouncedCheckAvailability]);
+  }, [isMultiDay, formData.auditoriumId, formData.startTime, formData.endTime, formData.extraSetupMinutes, debouncedCheckAvailability]);
+
+  useEffect(() => {
+    if (!isMultiDay) return;
+    const segments = buildSegmentsPayload(daySegments);
+    if (formData.auditoriumId && segments) {
+      if (segments.every((seg) => new Date(seg.startTime) < new Date(seg.endTime))) { debouncedCheckAvailability(formData.auditoriumId, null, null, segments, formData.extraSetupMinutes); }
+      else { setIsSlotAvailable(false); setAvailabilityError("Each day's end time must be after its start time."); setConflictingBookingDetails(null); setIsCheckingAvailability(false); }
+    } else { setIsSlotAvailable(true); setConflictingBookingDetails(null); setAvailabilityError(""); setIsCheckingAvailability(false); }
+  }, [isMultiDay, daySegments, formData.auditoriumId, formData.extraSetupMinutes, debouncedCheckAvailability]);
 
 
   // --- Form Submission Handler ---
-  async function handleSubmit(e) {
-    e.preventDefault();
+  // allowPartial re-submits a recurring request with only the occurrences that passed validation
+  async function handleSubmit(e, allowPartial = false) {
+    e?.preventDefault();
     if (isCheckingAvailability) { 
       showToast("warning", "Please wait, checking availability..."); 
       return; 
@@ -349,20 +673,47 @@ function BookAuditorium({ userEmail = "" }) {
       showToast("error", "Cannot submit: Slot unavailable or input invalid."); 
       return; 
     }
-    if (!formData.eventName || !formData.startTime || !formData.endTime || !formData.auditoriumId || !formData.departmentId) { 
+    if (!formData.eventName || (!isMultiDay && (!formData.startTime || !formData.endTime)) || !formData.auditoriumId || !formData.departmentId || !formData.expectedAttendance) { 
       showToast("error", "Please fill all required fields (*)."); 
       return; 
     }
+    if (selectedAuditorium?.tooSmall) {
+      showToast("error", `${selectedAuditorium.name} seats only ${selectedAuditorium.capacity}. Choose a larger venue or lower the expected attendance.`);
+      return;
+    }
+    const segmentsPayload = isMultiDay ? buildSegmentsPayload(daySegments) : null;
     try { 
-      const start = new Date(formData.startTime); 
-      const end = new Date(formData.endTime); 
-      if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new Error("Invalid date."); 
-      if (start >= end) throw new Error("End time must be after start."); 
+      if (isMultiDay) {
+        if (!segmentsPayload) throw new Error("Fill in the date, start and end time for every day.");
+        segmentsPayload.forEach((seg, i) => {
+          if (new Date(seg.startTime) >= new Date(seg.endTime)) throw new Error(`Day ${i + 1}: end time must be after start.`);
+        });
+      } else {
+        const start = new Date(formData.startTime); 
+        const end = new Date(formData.endTime); 
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new Error("Invalid date."); 
+        if (start >= end) throw new Error("End time must be after start."); 
+      }
     }
     catch (validationError) { 
       showToast("error", validationError.message); 
       return; 
     }
+    if (isRecurring) {
+      if (recurrence.frequency === "custom" && recurrence.daysOfWeek.length === 0) {
+        showToast("error", "Select at least one weekday for the recurrence.");
+        return;
+      }
+      const startWeekday = new Date(formData.startTime).getDay() || 7; // JS Sunday (0) is 7 in the server's numbering
+      if (recurrence.frequency === "custom" && !recurrence.daysOfWeek.includes(startWeekday)) {
+        showToast("error", "The start date must fall on one of the selected weekdays.");
+        return;
+      }
+      if (recurrence.endType === "date" ? !recurrence.endDate : !(Number(recurrence.count) >= 2)) {
+        showToast("error", "Set a recurrence end date or at least 2 occurrences.");
+        return;
+      }
+    }
     setIsSubmitting(true); 
     console.log("[DEBUG] Submit initiated.");
     const token = localStorage.getItem('authToken'); 
@@ -374,13 +725,26 @@ function BookAuditorium({ userEmail = "" }) {
     const formDataToSend = new FormData(); 
     formDataToSend.append('eventName', formData.eventName); 
     formDataToSend.append('description', formData.description); 
-    formDataToSend.append('startTime', new Date(formData.startTime).toISOString()); 
-    formDataToSend.append('endTime', new Date(formData.endTime).toISOString()); 
+    if (isMultiDay) {
+      formDataToSend.append('segments', JSON.stringify(segmentsPayload));
+    } else {
+      formDataToSend.append('startTime', new Date(formData.startTime).toISOString()); 
+      formDataToSend.append('endTime', new Date(formData.endTime).toISOString()); 
+    }
     formDataToSend.append('auditorium', formData.auditoriumId); 
     formDataToSend.append('department', formData.departmentId); 
+    formDataToSend.append('extraSetupMinutes', formData.extraSetupMinutes);
+    formDataToSend.append('expectedAttendance', formData.expectedAttendance);
+    formDataToSend.append('eventCategory', formData.eventCategory);
+    const equipmentPayload = buildEquipmentPayload(equipmentQuantities);
+    if (equipmentPayload.length > 0) formDataToSend.append('equipment', JSON.stringify(equipmentPayload));
     if (formData.eventPoster) { 
       formDataToSend.append('eventPoster', formData.eventPoster, formData.eventPoster.name); 
     }
+    if (isRecurring) {
+      formDataToSend.append('recurrence', JSON.stringify(buildRecurrencePayload(recurrence)));
+      if (allowPartial) formDataToSend.append('allowPartial', 'true');
+    }
     const apiUrl = `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/bookings`; 
     console.log("[DEBUG] POST to", apiUrl);
     try {
@@ -394,14 +758,34 @@ function BookAuditorium({ userEmail = "" }) {
         if (!response.ok) throw new Error(text || `Server error ${response.status}`); 
         else responseData = { success: true, message: 'Success (non-JSON).', data: null }; 
       }
+      if (response.status === 409 && responseData.onHold) {
+        // Someone else started requesting this slot first
+        setHoldNotice({ message: responseData.message, heldUntil: responseData.heldUntil });
+        setIsSlotAvailable(false);
+        showToast("warning", responseData.message);
+        return;
+      }
+      if (response.status === 409 && Array.isArray(responseData.data?.occurrences)) {
+        // Recurring request blocked by some occurrences - show the per-occurrence report instead of failing outright
+        setOccurrenceReport(responseData.data.occurrences);
+        showToast("warning", responseData.message);
+        return;
+      }
       if (!response.ok || !responseData.success) throw new Error(responseData.message || `Submit failed.`);
       const successMsg = responseData.message || "Booking submitted!"; 
       showToast("success", successMsg);
-      setFormData({ eventName: "", description: "", startTime: "", endTime: "", auditoriumId: "", departmentId: "", eventPoster: null }); 
+      setFormData({ eventName: "", description: "", startTime: "", endTime: "", auditoriumId: "", departmentId: defaultDepartmentId, extraSetupMinutes: "0", expectedAttendance: "", eventCategory: "department", eventPoster: null }); 
       removePoster();
       setIsSlotAvailable(true); 
       setAvailabilityError(""); 
       setConflictingBookingDetails(null); // Reset check state
+      setIsRecurring(false);
+      setRecurrence(DEFAULT_RECURRENCE);
+      setOccurrenceReport(null);
+      setIsMultiDay(false);
+      setDaySegments([EMPTY_DAY_SEGMENT, EMPTY_DAY_SEGMENT]);
+      setEquipmentQuantities({});
+      setSlotHold(null); // The server releases the hold once the request exists
     } catch (err) {
       console.error("Submit error:", err);
       if (err.message?.toLowerCase().includes("conflict") || err.message?.toLowerCase().includes("overlaps")) { 
@@ -417,6 +801,43 @@ function BookAuditorium({ userEmail = "" }) {
     }
   }
 
+  /** Queues the current request behind the approved booking that occupies the slot */
+  async function handleJoinWaitlist() {
+    if (!formData.eventName || !formData.description || !formData.startTime || !formData.endTime || !formData.auditoriumId || !formData.departmentId || !formData.expectedAttendance) {
+      showToast("error", "Please fill all required fields (*) before joining the waitlist.");
+      return;
+    }
+    const token = localStorage.getItem('authToken');
+    if (!token) { showToast("error", "Authentication required. Please log in again."); return; }
+    setIsJoiningWaitlist(true);
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/bookings/waitlist`, {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${token}`, "Accept": "application/json", "Content-Type": "application/json" },
+        body: JSON.stringify({
+          eventName: formData.eventName,
+          description: formData.description,
+          startTime: new Date(formData.startTime).toISOString(),
+          endTime: new Date(formData.endTime).toISOString(),
+          auditorium: formData.auditoriumId,
+          department: formData.departmentId,
+          extraSetupMinutes: formData.extraSetupMinutes,
+          expectedAttendance: formData.expectedAttendance,
+          eventCategory: formData.eventCategory,
+          equipment: buildEquipmentPayload(equipmentQuantities),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Could not join the waitlist (${response.status}).`);
+      showToast("success", data.message || "Added to the waitlist.");
+    } catch (err) {
+      console.error("Join waitlist error:", err);
+      showToast("error", err.message || "Could not join the waitlist.");
+    } finally {
+      setIsJoiningWaitlist(false);
+    }
+  }
+
   const getMinDateTimeLocal = () => {
       const now = new Date(); const minDate = new Date(now.getTime() + (2 * 60 * 60 * 1000)); // 2 hours ahead
       const offset = minDate.getTimezoneOffset() * 60000; const localISOTime = new Date(minDate.getTime() - offset).toISOString().slice(0, 16); return localISOTime;
@@ -446,6 +867,12 @@ function BookAuditorium({ userEmail = "" }) {
           <div className="p-6 sm:p-10">
             {submitError && ( <div className="mb-6 p-3 text-center text-sm font-medium text-red-800 bg-red-100 rounded-md border border-red-200 shadow-sm" role="alert">{submitError}</div> )}
             {successMessage && ( <div className="mb-6 p-3 text-center text-sm font-medium text-green-800 bg-green-100 rounded-md border border-green-200 shadow-sm" role="alert">{successMessage}</div> )}
+            {isEmailUnverified && (
+              <div className="mb-6 p-3 text-center text-sm text-yellow-800 bg-yellow-50 rounded-md border border-yellow-200 shadow-sm" role="alert">
+                Please verify your email address before submitting a request. Check your inbox for the verification link, or{" "}
+                <button type="button" onClick={() => navigate("/profile")} className="font-semibold text-red-700 hover:underline">request a new one from your profile</button>.
+              </div>
+            )}
             <form onSubmit={handleSubmit} className="space-y-6">
               <InputField label="Event Name" name="eventName" value={formData.eventName} onChange={handleChange} disabled={isSubmitting} required={true} />
               <div> {/* Department Select */}
@@ -468,6 +895,21 @@ function BookAuditorium({ userEmail = "" }) {
                 </select>
                 {departmentFetchError && <p className="text-red-600 text-xs mt-1">{departmentFetchError}</p>}
               </div>
+              <div> {/* Event Category Select */}
+                <label htmlFor="eventCategory" className="block text-sm font-semibold text-gray-700 mb-1"> Event Category </label>
+                <select
+                  id="eventCategory"
+                  name="eventCategory"
+                  value={formData.eventCategory}
+                  onChange={handleChange}
+                  className="w-full border border-gray-300 px-3 py-2 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 disabled:bg-gray-50 disabled:cursor-not-allowed transition-colors hover:border-red-400"
+                  disabled={isSubmitting}
+                >
+                  {EVENT_CATEGORY_OPTIONS.map((option) => (<option key={option.value} value={option.value}>{option.label}</option>))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Used to prioritise requests competing for the same slot. An institution-wide event only gets priority once an approver confirms it.</p>
+              </div>
+              <InputField label="Expected Attendance" name="expectedAttendance" type="number" min="1" value={formData.expectedAttendance} onChange={handleChange} disabled={isSubmitting} required={true} />
               <div> {/* Auditorium Select */}
                 <label htmlFor="auditoriumId" className="block text-sm font-semibold text-gray-700 mb-1"> 
                   Auditorium <span className="text-red-500 ml-1">*</span> 
@@ -486,9 +928,81 @@ function BookAuditorium({ userEmail = "" }) {
                   disabled={isLoadingAuditoriums || !!auditoriumFetchError || auditoriums.length === 0 || isSubmitting}
                 >
                   <option value="" disabled> {isLoadingAuditoriums ? "Loading..." : auditoriumFetchError ? "Error Loading" : auditoriums.length === 0 ? "No Audis" : "-- Select --"} </option>
-                  {!isLoadingAuditoriums && !auditoriumFetchError && auditoriums.map((audi) => (<option key={audi._id} value={audi._id}>{audi.name} ({audi.location || 'N/A'}) - Cap: {audi.capacity || '?'}</option>))}
+                  {!isLoadingAuditoriums && !auditoriumFetchError && rankedAuditoriums.map((audi) => (<option key={audi._id} value={audi._id} disabled={audi.tooSmall && audi._id !== formData.auditoriumId}>{audi.name} ({audi.location || 'N/A'}) - Cap: {audi.capacity || '?'}{audi.tooSmall ? ' (too small)' : ''}</option>))}
                 </select>
                 {auditoriumFetchError && <p className="text-red-600 text-xs mt-1">{auditoriumFetchError}</p>}
+                {selectedAuditorium && Number(formData.expectedAttendance) > 0 && (
+                  selectedAuditorium.tooSmall
+                    ? <p className="text-red-600 text-xs mt-1">{selectedAuditorium.name} seats {selectedAuditorium.capacity}, fewer than your expected attendance. Choose a larger venue.</p>
+                    : <p className="text-xs text-gray-500 mt-1">About {Math.round((Number(formData.expectedAttendance) / selectedAuditorium.capacity) * 100)}% of the {selectedAuditorium.capacity} seats will be filled.</p>
+                )}
+                {upcomingBlackouts.length > 0 && (
+                  <div className="mt-2 bg-gray-50 border border-dashed border-gray-300 rounded-md p-2">
+                    <p className="text-xs font-semibold text-gray-700 mb-1">Blocked dates</p>
+                    <ul className="space-y-0.5">
+                      {upcomingBlackouts.slice(0, 5).map((b) => (
+                        <li key={b._id} className="text-xs text-gray-600">
+                          <span className="font-medium capitalize">{b.category}</span>: {b.title} &middot; {new Date(b.startTime).toLocaleString('en-US', BLACKOUT_DATE_FORMAT)} - {new Date(b.endTime).toLocaleString('en-US', BLACKOUT_DATE_FORMAT)}
+                        </li>
+                      ))}
+                    </ul>
+                    {upcomingBlackouts.length > 5 && <p className="text-xs text-gray-500 italic mt-1">...and {upcomingBlackouts.length - 5} more</p>}
+                  </div>
+                )}
+              </div>
+              <div> {/* Extra Setup Time Select */}
+                <label htmlFor="extraSetupMinutes" className="block text-sm font-semibold text-gray-700 mb-1">
+                  Extra Setup Time
+                </label>
+                <select
+                  id="extraSetupMinutes"
+                  name="extraSetupMinutes"
+                  value={formData.extraSetupMinutes}
+                  onChange={handleChange}
+                  disabled={isSubmitting}
+                  className="w-full border border-gray-300 px-3 py-2 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 disabled:bg-gray-50 disabled:cursor-not-allowed transition-colors hover:border-red-400"
+                >
+                  {EXTRA_SETUP_OPTIONS.map((minutes) => (<option key={minutes} value={String(minutes)}>{minutes === 0 ? "None" : `${minutes} minutes before the event`}</option>))}
+                </select>
+                {auditoriumBuffers && (auditoriumBuffers.setupBufferMinutes > 0 || auditoriumBuffers.teardownBufferMinutes > 0) && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    This auditorium keeps {auditoriumBuffers.setupBufferMinutes} min before and {auditoriumBuffers.teardownBufferMinutes} min after every event free for setup and teardown.
+                  </p>
+                )}
+              </div>
+              <div> {/* Equipment Picker */}
+                <span className="block text-sm font-semibold text-gray-700 mb-1">Equipment</span>
+                {!formData.auditoriumId || equipmentOptions.length === 0 ? (
+                  <p className="text-xs text-gray-500">
+                    {isLoadingEquipment ? "Checking equipment..." : formData.auditoriumId ? "Choose the event time to see which equipment is free." : "Select an auditorium to request equipment."}
+                  </p>
+                ) : (
+                  <div className="border border-gray-200 rounded-md divide-y divide-gray-100">
+                    {equipmentOptions.map((item) => {
+                      const requested = Number(equipmentQuantities[item._id]) || 0;
+                      return (
+                        <div key={item._id} className="flex items-center justify-between gap-3 px-3 py-2">
+                          <div className="min-w-0">
+                            <p className="text-sm text-gray-800 truncate">{item.name}</p>
+                            <p className="text-xs text-gray-500">
+                              {EQUIPMENT_CATEGORY_LABELS[item.category] || item.category} · {item.portable ? "Portable" : "In this hall"} · {item.available} of {item.quantity} free
+                            </p>
+                          </div>
+                          <input
+                            type="number"
+                            min="0"
+                            max={item.available}
+                            value={requested}
+                            onChange={(e) => handleEquipmentQuantityChange(item._id, e.target.value, item.available)}
+                            disabled={isSubmitting || item.available === 0}
+                            aria-label={`Quantity of ${item.name}`}
+                            className="w-20 border border-gray-300 px-2 py-1 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 disabled:bg-gray-50 disabled:cursor-not-allowed"
+                          />
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
               </div>
               <TextAreaField 
                 label="Event Description" 
@@ -498,6 +1012,49 @@ function BookAuditorium({ userEmail = "" }) {
                 disabled={isSubmitting} 
                 required={true} // Description is optional
               />
+              {/* Multi-day Settings */}
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isMultiDay}
+                  onChange={(e) => toggleMultiDay(e.target.checked)}
+                  disabled={isSubmitting}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                />
+                Multi-day event (different timings each day)
+              </label>
+
+              {isMultiDay ? (
+                <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-3">
+                  {daySegments.map((day, index) => (
+                    <div key={index} className="grid grid-cols-1 sm:grid-cols-[auto_1fr_1fr_1fr_auto] gap-3 items-end">
+                      <span className="text-sm font-semibold text-gray-700 sm:pb-2">Day {index + 1}</span>
+                      <InputField label="Date" name="date" type="date" value={day.date} onChange={(e) => handleDaySegmentChange(index, e)} disabled={isSubmitting} min={index > 0 ? daySegments[index - 1].date : getMinDateTimeLocal().slice(0, 10)} />
+                      <InputField label="Start" name="startTime" type="time" value={day.startTime} onChange={(e) => handleDaySegmentChange(index, e)} disabled={isSubmitting} />
+                      <InputField label="End" name="endTime" type="time" value={day.endTime} onChange={(e) => handleDaySegmentChange(index, e)} disabled={isSubmitting} />
+                      <button
+                        type="button"
+                        onClick={() => removeDaySegment(index)}
+                        disabled={isSubmitting || daySegments.length <= 2}
+                        className="px-3 py-1.5 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex items-center justify-between">
+                    <button
+                      type="button"
+                      onClick={addDaySegment}
+                      disabled={isSubmitting || daySegments.length >= MAX_EVENT_DAYS}
+                      className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      + Add Day
+                    </button>
+                    <p className="text-xs text-gray-500">Days must be in order, up to {MAX_EVENT_DAYS}. Only these windows are reserved.</p>
+                  </div>
+                </div>
+              ) : (
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6">
                 <InputField 
                   label="Start Date & Time" 
@@ -520,6 +1077,127 @@ function BookAuditorium({ userEmail = "" }) {
                   min={formData.startTime || getMinDateTimeLocal()} 
                 />
               </div>
+              )}
+
+              {/* Recurrence Settings */}
+              {!isMultiDay && (
+              <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+                <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isRecurring}
+                    onChange={(e) => { setIsRecurring(e.target.checked); setOccurrenceReport(null); }}
+                    disabled={isSubmitting}
+                    className="h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                  />
+                  Repeat this booking (e.g. weekly training sessions)
+                </label>
+
+                {isRecurring && (
+                  <div className="mt-4 space-y-4">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                        <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+                        <select
+                          id="frequency"
+                          name="frequency"
+                          value={recurrence.frequency}
+                          onChange={handleRecurrenceChange}
+                          disabled={isSubmitting}
+                          className="w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500 bg-white"
+                        >
+                          <option value="daily">Daily</option>
+                          <option value="weekly">Weekly (same weekday as start)</option>
+                          <option value="custom">Custom weekdays</option>
+                        </select>
+                      </div>
+                      <InputField
+                        label={recurrence.frequency === "daily" ? "Every N days" : "Every N weeks"}
+                        name="interval"
+                        type="number"
+                        value={recurrence.interval}
+                        onChange={handleRecurrenceChange}
+                        disabled={isSubmitting}
+                        min={1}
+                      />
+                    </div>
+
+                    {recurrence.frequency === "custom" && (
+                      <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-1">On these days</span>
+                        <div className="flex flex-wrap gap-2">
+                          {WEEKDAY_OPTIONS.map((day) => (
+                            <button
+                              key={day.value}
+                              type="button"
+                              onClick={() => toggleRecurrenceDay(day.value)}
+                              disabled={isSubmitting}
+                              className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${recurrence.daysOfWeek.includes(day.value) ? "bg-red-600 text-white border-red-600" : "bg-white text-gray-700 border-gray-300 hover:border-red-400"}`}
+                            >
+                              {day.label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+                      <div>
+                        <label htmlFor="endType" className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                        <select
+                          id="endType"
+                          name="endType"
+                          value={recurrence.endType}
+                          onChange={handleRecurrenceChange}
+                          disabled={isSubmitting}
+                          className="w-full border border-gray-300 px-3 py-1.5 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-red-500 focus:border-red-500 bg-white"
+                        >
+                          <option value="count">After a number of occurrences</option>
+                          <option value="date">On a date</option>
+                        </select>
+                      </div>
+                      {recurrence.endType === "date" ? (
+                        <InputField label="Last Date" name="endDate" type="date" value={recurrence.endDate} onChange={handleRecurrenceChange} disabled={isSubmitting} min={formData.startTime?.slice(0, 10)} />
+                      ) : (
+                        <InputField label="Occurrences" name="count" type="number" value={recurrence.count} onChange={handleRecurrenceChange} disabled={isSubmitting} min={2} />
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      The availability check below covers the first occurrence. Every occurrence is validated and checked for conflicts when you submit.
+                    </p>
+                  </div>
+                )}
+              </div>
+              )}
+
+              {/* Per-occurrence report for a blocked recurring request */}
+              {occurrenceReport && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                  <p className="text-sm font-semibold text-yellow-800 mb-2">
+                    {occurrenceReport.filter((o) => o.status === "ok").length} of {occurrenceReport.length} occurrences can be booked
+                  </p>
+                  <ul className="max-h-60 overflow-y-auto space-y-1 text-xs">
+                    {occurrenceReport.map((occ) => (
+                      <li key={occ.index} className={`flex flex-col sm:flex-row sm:justify-between gap-1 p-2 rounded border ${occ.status === "ok" ? "bg-green-50 border-green-200 text-green-800" : "bg-red-50 border-red-200 text-red-800"}`}>
+                        <span className="font-medium">
+                          #{occ.index} &middot; {new Date(occ.startTime).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                        </span>
+                        <span>{occ.status === "ok" ? "Available" : occ.message}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  {occurrenceReport.some((o) => o.status === "ok") && (
+                    <button
+                      type="button"
+                      onClick={() => handleSubmit(null, true)}
+                      disabled={isSubmitting}
+                      className="mt-3 px-4 py-2 text-sm font-semibold rounded-md text-white bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Submit available occurrences only
+                    </button>
+                  )}
+                </div>
+              )}
 
               {/* Booking Conflicts Warning */}
               {isCheckingConflicts && (
@@ -538,6 +1216,19 @@ function BookAuditorium({ userEmail = "" }) {
                 </div>
               )}
               
+              {blackoutNotice && (
+                <div className="bg-gray-100 border border-dashed border-gray-400 rounded-md p-4">
+                  <h4 className="font-medium text-gray-800">
+                    Unavailable: {blackoutNotice.title}
+                    <span className="ml-2 text-xs px-2 py-0.5 bg-gray-700 text-white rounded-full capitalize">{blackoutNotice.category}</span>
+                  </h4>
+                  <p className="text-sm text-gray-700 mt-1">{blackoutNotice.reason}</p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    Blocked {new Date(blackoutNotice.startTime).toLocaleString('en-US', BLACKOUT_DATE_FORMAT)} - {new Date(blackoutNotice.endTime).toLocaleString('en-US', BLACKOUT_DATE_FORMAT)}. Please choose dates outside this period.
+                  </p>
+                </div>
+              )}
+
               {conflicts.length > 0 && (
                 <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
                   <div className="flex items-center">
@@ -623,16 +1314,87 @@ function BookAuditorium({ userEmail = "" }) {
                   <p className="text-sm text-blue-700 mt-3">
                     Please select a different time slot to proceed with your booking.
                   </p>
+                  {!isMultiDay && !isRecurring && (
+                    <div className="mt-3 flex flex-col sm:flex-row sm:items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={handleJoinWaitlist}
+                        disabled={isJoiningWaitlist || isSubmitting}
+                        className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isJoiningWaitlist ? "Joining..." : "Join Waitlist"}
+                      </button>
+                      <span className="text-xs text-blue-700">
+                        If this slot frees up, your request becomes a pending booking automatically and you will be emailed.
+                      </span>
+                    </div>
+                  )}
                 </div>
               )}
               
-              {formData.auditoriumId && formData.startTime && formData.endTime && 
-               !isCheckingConflicts && !conflictError && conflicts.length === 0 && (
+              {holdNotice && (
+                <div className="bg-amber-50 border border-amber-300 rounded-md p-4">
+                  <h4 className="font-medium text-amber-800">On hold</h4>
+                  <p className="text-sm text-amber-700 mt-1">{holdNotice.message}</p>
+                </div>
+              )}
+
+              {!isMultiDay && (conflicts.length > 0 || blackoutNotice || holdNotice) && (isLoadingAlternatives || alternatives.length > 0) && (
+                <div className="bg-white border border-gray-200 rounded-md p-4">
+                  <h4 className="text-sm font-semibold text-gray-800">Nearest available alternatives</h4>
+                  {isLoadingAlternatives ? (
+                    <p className="text-xs text-gray-500 mt-2">Searching other times and venues...</p>
+                  ) : (
+                    <ul className="mt-2 divide-y divide-gray-100">
+                      {alternatives.map((slot) => (
+                        <li key={`${slot.auditorium._id}-${slot.startTime}`} className="py-2 flex items-center justify-between gap-3">
+                          <div className="min-w-0 text-sm">
+                            <p className="text-gray-800 truncate">
+                              {slot.auditorium.name}
+                              {slot.preferred && <span className="ml-2 text-xs px-2 py-0.5 bg-red-50 text-red-700 rounded-full">Your choice</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {new Date(slot.startTime).toLocaleString('en-US', ALTERNATIVE_DATE_FORMAT)} - {new Date(slot.endTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })} · {describeOffset(slot.minutesFromRequested)} · seats {slot.auditorium.capacity}
+                            </p>
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => applyAlternative(slot)}
+                            disabled={isSubmitting}
+                            className="px-3 py-1.5 text-xs font-semibold rounded-md text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50 flex-shrink-0"
+                          >
+                            Use this slot
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {formData.auditoriumId && (isMultiDay ? !!buildSegmentsPayload(daySegments) : formData.startTime && formData.endTime) && 
+               !isCheckingConflicts && !conflictError && !blackoutNotice && !holdNotice && conflicts.length === 0 && (
                 <div className="bg-green-50 border border-green-200 rounded-md p-2 flex items-center">
                   <svg className="h-5 w-5 text-green-500 mr-2" fill="none" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" viewBox="0 0 24 24" stroke="currentColor">
                     <path d="M5 13l4 4L19 7"></path>
                   </svg>
                   <span className="text-green-700 text-sm">Time slot available</span>
+                  {slotHold && !slotHold.expired && (
+                    <span className="ml-auto text-xs text-green-700">
+                      Held for you until {new Date(slotHold.expiresAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  )}
+                  {slotHold?.expired && (
+                    <button
+                      type="button"
+                      onClick={() => (isMultiDay
+                        ? holdSlot(formData.auditoriumId, null, null, buildSegmentsPayload(daySegments))
+                        : holdSlot(formData.auditoriumId, formData.startTime, formData.endTime))}
+                      className="ml-auto text-xs font-medium text-amber-700 hover:text-amber-900 underline"
+                    >
+                      Your hold expired - hold again
+                    </button>
+                  )}
                 </div>
               )}
 
@@ -3,6 +3,8 @@ import { useNavigate } from "react-router-dom"; // Import useNavigate
 import { format, parseISO } from 'date-fns';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import BookingTimeline from '../components/BookingTimeline';
+import ApprovalProgress from '../components/ApprovalProgress';
 
 // --- Placeholder/Error Icon Components ---
 const ImagePlaceholderIcon = () => (
@@ -62,6 +64,10 @@ function BookingHistory() {
   const [modalAvailabilityError, setModalAvailabilityError] = useState(""); // CHECK error
   const [isModalSlotAvailable, setIsModalSlotAvailable] = useState(true);
   const [modalConflictDetails, setModalConflictDetails] = useState(null); // Stores conflict info
+  const [waitlistEntries, setWaitlistEntries] = useState([]); // Slots the user is queued for
+  const [leavingWaitlistId, setLeavingWaitlistId] = useState(null);
+  const [historyOpenId, setHistoryOpenId] = useState(null); // Booking whose timeline is expanded
+  const [respondingProposal, setRespondingProposal] = useState(null); // `${decision}-${bookingId}` while answering a counter-proposal
 
   // --- Constants ---
   const bookingLeadTimeHours = 2; // Configurable lead time
@@ -143,6 +149,57 @@ function BookingHistory() {
     }
   }, []);
 
+  const fetchMyWaitlist = useCallback(async () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE_URL}/api/bookings/waitlist/my`, {headers: {"Authorization": `Bearer ${token}`, Accept: "application/json"}});
+      const data = await res.json();
+      if (!res.ok || !data.success || !Array.isArray(data.data)) throw new Error(data.message || `Waitlist fetch fail(${res.status})`);
+      setWaitlistEntries(data.data);
+    } catch (e) {
+      console.error("Fetch waitlist err:", e);
+      setWaitlistEntries([]); // The booking list still works without the waitlist
+    }
+  }, []);
+
+  const handleLeaveWaitlist = async (entryId) => {
+    const token = localStorage.getItem('authToken');
+    if (!token || leavingWaitlistId) return;
+    setLeavingWaitlistId(entryId);
+    try {
+      const res = await fetch(`${API_BASE_URL}/api/bookings/waitlist/${entryId}`, {method: "DELETE", headers: {"Authorization": `Bearer ${token}`, Accept: "application/json"}});
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || `Leave fail(${res.status})`);
+      showToast("success", data.message || "Left the waitlist.");
+      await fetchMyWaitlist();
+    } catch (e) {
+      console.error("Leave waitlist err:", e);
+      showToast("error", e.message || "Could not leave the waitlist.");
+    } finally {
+      setLeavingWaitlistId(null);
+    }
+  };
+
+  /** Accepts or declines an admin counter-proposal, then reloads the list. */
+  const handleProposalResponse = async (booking, decision) => {
+    const token = localStorage.getItem('authToken');
+    if (!token || respondingProposal) return;
+    setRespondingProposal(`${decision}-${booking._id}`);
+    try {
+      const res = await fetch(`${API_BASE_URL}/api/bookings/${booking._id}/proposal/${decision}`, {method: "PUT", headers: {"Authorization": `Bearer ${token}`, Accept: "application/json"}});
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || `Response fail(${res.status})`);
+      showToast("success", data.message || (decision === "accept" ? "Proposal accepted." : "Proposal declined."));
+    } catch (e) {
+      console.error("Counter-proposal response err:", e);
+      showToast("error", e.message || "Could not send your response.");
+    } finally {
+      setRespondingProposal(null);
+      await fetchMyBookings(); // Status may have changed even on failure (expired or slot taken)
+    }
+  };
+
   const fetchDepartments = useCallback(async () => {
     setIsLoadingDepartments(true);
     setDepartmentFetchError("");
@@ -195,13 +252,16 @@ function BookingHistory() {
   }, [bookingLeadTimeHours, getMinDateTimeLocalString]);
 
   // --- Effects ---
-  useEffect(() => { fetchMyBookings(); fetchDepartments(); }, [fetchMyBookings, fetchDepartments]); // Initial fetches
+  useEffect(() => { fetchMyBookings(); fetchDepartments(); fetchMyWaitlist(); }, [fetchMyBookings, fetchDepartments, fetchMyWaitlist]); // Initial fetches
 
   useEffect(() => { // Filtering Logic
      const filtered = bookings.filter(b => { const lT = searchTerm.toLowerCase(); const sM=!searchTerm || (b.eventName?.toLowerCase().includes(lT)) || (b.description?.toLowerCase().includes(lT)); const stM = filterStatus === "all" || b.status === filterStatus; const aM = filterAuditorium === "all" || b.auditorium?.name === filterAuditorium; const dM = filterDepartment === "all" || b.department?._id === filterDepartment; const dtM = !filterDate || (b.startTime && format(parseISO(b.startTime), 'yyyy-MM-dd') === filterDate); return sM&&stM&&aM&&dM&&dtM; }); setFilteredBookings(filtered);
    }, [bookings, searchTerm, filterStatus, filterAuditorium, filterDepartment, filterDate]);
 
   const debouncedModalCheck = useMemo(() => debounce(checkAvailability, 750), [checkAvailability]); // Debounced check
+  const auditoriumNames = useMemo(() => Object.fromEntries( // Resolves auditorium ids in timelines to names
+    bookings.flatMap(b => [b.auditorium, b.counterProposal?.auditorium]).filter(a => a?._id).map(a => [a._id, a.name])
+  ), [bookings]);
 
   useEffect(() => { // Trigger Modal Check
      let isActive=true; if (isRescheduleModalOpen && modalStartTime && modalEndTime && rescheduleBooking?._id && rescheduleBooking?.auditorium?._id) {
@@ -381,7 +441,7 @@ function BookingHistory() {
                  <input type="text" placeholder="🔍 Search Event..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="p-2 px-3 rounded-md border border-gray-300 shadow-sm w-full text-sm focus:ring-red-500 focus:border-red-500 transition"/>
                  {/* Status Filter */}
                  <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)} className="p-2 px-3 rounded-md border border-gray-300 shadow-sm w-full text-sm focus:ring-red-500 focus:border-red-500 transition">
-                   <option value="all">All Status</option><option value="approved">Approved</option><option value="pending">Pending</option><option value="rejected">Rejected</option>
+                   <option value="all">All Status</option><option value="approved">Approved</option><option value="pending">Pending</option><option value="rejected">Rejected</option><option value="awaiting-requester">Awaiting Your Response</option><option value="cancelled">Cancelled</option>
                  </select>
                  {/* Auditorium Filter */}
                  <select value={filterAuditorium} onChange={(e) => setFilterAuditorium(e.target.value)} className="p-2 px-3 rounded-md border border-gray-300 shadow-sm w-full text-sm focus:ring-red-500 focus:border-red-500 transition">
@@ -399,13 +459,48 @@ function BookingHistory() {
                {departmentFetchError && <p className="text-xs text-red-500 mt-2">Dept filter error: {departmentFetchError}</p>}
              </div>
 
+            {/* --- Waitlist --- */}
+            {waitlistEntries.length > 0 && (
+              <div className="mb-8 p-4 bg-white rounded-xl shadow border border-blue-100">
+                <h2 className="text-lg font-semibold text-blue-800 mb-3">My Waitlist</h2>
+                <ul className="divide-y divide-gray-100">
+                  {waitlistEntries.map((entry) => {
+                    const statusStyles = { waiting: "bg-blue-100 text-blue-800", promoted: "bg-green-100 text-green-800", expired: "bg-gray-100 text-gray-600", cancelled: "bg-gray-100 text-gray-600" };
+                    return (
+                      <li key={entry._id} className="py-3 flex flex-col sm:flex-row sm:items-center gap-2">
+                        <div className="flex-1 min-w-0 text-sm">
+                          <p className="font-medium text-gray-900 truncate">{entry.eventName}</p>
+                          <p className="text-xs text-gray-500">
+                            {entry.auditorium?.name ?? 'N/A'} &middot; {format(parseISO(entry.startTime), 'MMM d, yyyy, h:mm a')} - {format(parseISO(entry.endTime), 'h:mm a')}
+                          </p>
+                          {entry.status === 'promoted' && <p className="text-xs text-green-700">Slot freed up - your booking request is {entry.promotedBooking?.status ?? 'no longer available'}.</p>}
+                          {entry.status === 'expired' && entry.statusNote && <p className="text-xs text-gray-500 italic">{entry.statusNote}</p>}
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          {entry.status === 'waiting' && entry.position && (
+                            <span className="text-xs font-semibold text-blue-800">Position #{entry.position}</span>
+                          )}
+                          <span className={`px-2.5 py-0.5 text-xs font-semibold rounded-full capitalize ${statusStyles[entry.status] || "bg-gray-100 text-gray-600"}`}>{entry.status}</span>
+                          {entry.status === 'waiting' && (
+                            <button onClick={() => handleLeaveWaitlist(entry._id)} disabled={!!leavingWaitlistId} className="px-3 py-1 text-xs font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50">
+                              {leavingWaitlistId === entry._id ? "Leaving..." : "Leave"}
+                            </button>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+
             {/* --- Booking List / No Results --- */}
             {filteredBookings.length === 0 ? (
               <div className="text-center py-16"> <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true"><path vectorEffect="non-scaling-stroke" strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" /></svg> <h3 className="mt-2 text-sm font-medium text-gray-900">{bookings.length === 0 ? "No bookings found" : "No bookings match filters"}</h3> <p className="mt-1 text-sm text-gray-500">{bookings.length === 0 ? "No requests yet." : "Try adjusting filters."}</p> </div>
              ) : (
               <div className="space-y-6">
                 {filteredBookings.map((booking) => {
-                    const eventStart = booking.startTime ? parseISO(booking.startTime) : null; const now = new Date(); const minReqTime = new Date(now.getTime()+(bookingLeadTimeHours||2)*36e5); const canWdTime=eventStart&&eventStart>minReqTime; const wdAllowed = booking.status==='pending'||(booking.status==='approved'&&canWdTime); const rsAllowed = booking.status==='approved'&&eventStart&&eventStart>now;
+                    const eventStart = booking.startTime ? parseISO(booking.startTime) : null; const now = new Date(); const minReqTime = new Date(now.getTime()+(bookingLeadTimeHours||2)*36e5); const canWdTime=eventStart&&eventStart>minReqTime; const wdAllowed = booking.status==='pending'||booking.status==='awaiting-requester'||(booking.status==='approved'&&canWdTime); const isMultiDay = booking.segments?.length > 0; const rsAllowed = booking.status==='approved'&&eventStart&&eventStart>now&&!isMultiDay; // Multi-day bookings are withdrawn and re-booked instead
                     
                     // --- CORRECTED IMAGE URL LOGIC ---
                     const imagePath = booking.eventImages?.[0];
@@ -424,11 +519,45 @@ function BookingHistory() {
                                 {/* Details */}
                                 <div className="flex-1 min-w-0 space-y-2.5">
                                     {/* Header */}
-                                    <div className="flex flex-col sm:flex-row justify-between items-start gap-1"> <h2 className="text-xl font-semibold text-gray-800 truncate pr-2" title={booking.eventName}>{booking.eventName || <span className="italic text-gray-400">Untitled Event</span>}</h2> <span className={`flex-shrink-0 mt-1 sm:mt-0 px-2.5 py-0.5 rounded-full text-xs font-semibold border whitespace-nowrap ${booking.status==="approved"?"bg-green-100 text-green-800 border-green-200":booking.status==="pending"?"bg-yellow-100 text-yellow-800 border-yellow-200":booking.status==="rejected"?"bg-red-100 text-red-800 border-red-200":"bg-gray-100 text-gray-800 border-gray-200"}`}>{booking.status?.toUpperCase()||"N/A"}</span> </div>
+                                    <div className="flex flex-col sm:flex-row justify-between items-start gap-1"> <h2 className="text-xl font-semibold text-gray-800 truncate pr-2" title={booking.eventName}>{booking.eventName || <span className="italic text-gray-400">Untitled Event</span>}</h2> <span className={`flex-shrink-0 mt-1 sm:mt-0 px-2.5 py-0.5 rounded-full text-xs font-semibold border whitespace-nowrap ${booking.status==="approved"?"bg-green-100 text-green-800 border-green-200":booking.status==="pending"?"bg-yellow-100 text-yellow-800 border-yellow-200":booking.status==="rejected"?"bg-red-100 text-red-800 border-red-200":booking.status==="cancelled"?"bg-gray-200 text-gray-700 border-gray-300":booking.status==="awaiting-requester"?"bg-amber-100 text-amber-800 border-amber-200":"bg-gray-100 text-gray-800 border-gray-200"}`}>{booking.status?.toUpperCase()||"N/A"}</span> </div>
                                     {/* Description */}
                                     <p className="text-sm text-gray-600 leading-relaxed line-clamp-3">{booking.description || <span className="italic text-gray-400">No description provided.</span>}</p>
                                     {/* Info List */}
-                                    <div className="text-xs sm:text-sm text-gray-500 space-y-1.5 border-t border-gray-100 pt-2.5 mt-2.5"> <p><strong className="font-medium text-gray-700 w-20 inline-block">When:</strong> {booking.startTime ? format(parseISO(booking.startTime), 'MMM d, yyyy, h:mm a') : "N/A"} - {booking.endTime ? format(parseISO(booking.endTime), 'h:mm a') : "N/A"}</p> <p><strong className="font-medium text-gray-700 w-20 inline-block">Where:</strong> {booking.auditorium?.name ?? <span className="italic">N/A</span>}{booking.auditorium?.location && ` (${booking.auditorium.location})`}</p> <p><strong className="font-medium text-gray-700 w-20 inline-block">Dept:</strong> {booking.department?.name ?? <span className="italic">N/A</span>}{booking.department?.code && ` (${booking.department.code})`}</p> {booking.status==="rejected" && booking.rejectionReason && (<blockquote className="mt-2 pl-3 border-l-4 border-red-300 bg-red-50 text-red-800 text-xs italic py-1"><strong className="not-italic font-medium text-red-900">Reason:</strong> {booking.rejectionReason}</blockquote>)} </div>
+                                    <div className="text-xs sm:text-sm text-gray-500 space-y-1.5 border-t border-gray-100 pt-2.5 mt-2.5"> {isMultiDay ? (<div className="flex"><strong className="font-medium text-gray-700 w-20 inline-block flex-shrink-0">When:</strong> <ul className="space-y-0.5">{booking.segments.map((seg, i) => (<li key={i}><span className="font-medium text-gray-600">Day {i + 1}:</span> {format(parseISO(seg.startTime), 'EEE, MMM d, yyyy, h:mm a')} - {format(parseISO(seg.endTime), 'h:mm a')}</li>))}</ul></div>) : (<p><strong className="font-medium text-gray-700 w-20 inline-block">When:</strong> {booking.startTime ? format(parseISO(booking.startTime), 'MMM d, yyyy, h:mm a') : "N/A"} - {booking.endTime ? format(parseISO(booking.endTime), 'h:mm a') : "N/A"}</p>)} <p><strong className="font-medium text-gray-700 w-20 inline-block">Where:</strong> {booking.auditorium?.name ?? <span className="italic">N/A</span>}{booking.auditorium?.location && ` (${booking.auditorium.location})`}</p> <p><strong className="font-medium text-gray-700 w-20 inline-block">Dept:</strong> {booking.department?.name ?? <span className="italic">N/A</span>}{booking.department?.code && ` (${booking.department.code})`}</p> {booking.expectedAttendance > 0 && (<p><strong className="font-medium text-gray-700 w-20 inline-block">Attendance:</strong> {booking.expectedAttendance} expected{booking.auditorium?.capacity ? ` (${booking.auditorium.capacity} seats)` : ''}</p>)} {booking.equipment?.length > 0 && (<p><strong className="font-medium text-gray-700 w-20 inline-block">Equipment:</strong> {booking.equipment.map((line) => `${line.quantity} × ${line.name}`).join(', ')}</p>)} {booking.status==="rejected" && booking.rejectionReason && (<blockquote className="mt-2 pl-3 border-l-4 border-red-300 bg-red-50 text-red-800 text-xs italic py-1"><strong className="not-italic font-medium text-red-900">Reason:</strong> {booking.rejectionReason}</blockquote>)} {booking.status==="cancelled" && booking.cancellationReason && (<blockquote className="mt-2 pl-3 border-l-4 border-gray-300 bg-gray-50 text-gray-700 text-xs italic py-1"><strong className="not-italic font-medium text-gray-900">Cancelled by admin:</strong> {booking.cancellationReason}</blockquote>)} </div>
+                                    {['pending', 'rejected'].includes(booking.status) && booking.approvalStages?.length > 0 && (<div className="mt-2"><ApprovalProgress booking={booking} /></div>)}
+                                    {/* Counter-Proposal */}
+                                    {booking.status === 'awaiting-requester' && booking.counterProposal?.outcome === 'open' && (
+                                        <div className="p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-900 space-y-2">
+                                            <p className="font-semibold">The admins can approve this event with changes:</p>
+                                            <p><strong className="font-medium">Where:</strong> {booking.counterProposal.auditorium?.name ?? booking.auditorium?.name ?? "N/A"}</p>
+                                            <p><strong className="font-medium">When:</strong> {format(parseISO(booking.counterProposal.startTime), 'MMM d, yyyy, h:mm a')} - {format(parseISO(booking.counterProposal.endTime), 'h:mm a')}</p>
+                                            {booking.counterProposal.note && <p className="italic">"{booking.counterProposal.note}"</p>}
+                                            <p className="text-xs text-amber-700">Respond by {format(parseISO(booking.counterProposal.expiresAt), 'MMM d, yyyy, h:mm a')} or the request will be rejected.</p>
+                                            <div className="flex flex-wrap gap-2">
+                                                <button onClick={() => handleProposalResponse(booking, 'accept')} disabled={!!respondingProposal} className="px-3 py-1.5 text-xs font-semibold rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition">
+                                                    {respondingProposal === `accept-${booking._id}` ? "Accepting..." : "Accept Proposal"}
+                                                </button>
+                                                <button onClick={() => handleProposalResponse(booking, 'decline')} disabled={!!respondingProposal} className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition">
+                                                    {respondingProposal === `decline-${booking._id}` ? "Declining..." : "Decline"}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    )}
+                                    {/* Timeline */}
+                                    <div>
+                                        <button
+                                          type="button"
+                                          onClick={() => setHistoryOpenId((prev) => (prev === booking._id ? null : booking._id))}
+                                          className="text-xs font-medium text-gray-500 hover:text-red-700 underline-offset-2 hover:underline"
+                                        >
+                                          {historyOpenId === booking._id ? "Hide history" : "Show history"}
+                                        </button>
+                                        {historyOpenId === booking._id && (
+                                          <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-md">
+                                            <BookingTimeline bookingId={booking._id} auditoriumNames={auditoriumNames} />
+                                          </div>
+                                        )}
+                                    </div>
                                     {/* Action Buttons */}
                                     {(wdAllowed || rsAllowed) && (
                                         <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-gray-100 mt-3">
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { format, parseISO } from 'date-fns';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import ApprovalProgress from '../components/ApprovalProgress';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Queue for stage approvers (e.g. department heads): pending bookings waiting on a stage assigned to them.
+ */
+const MyApprovals = () => {
+  // --- State Definitions ---
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [actingId, setActingId] = useState(null); // Booking being approved/rejected
+  const [rejectingId, setRejectingId] = useState(null); // Booking with the reject reason box open
+  const [comment, setComment] = useState("");
+
+  const showToast = (type, message) => {
+    toast[type](message, {
+      position: "top-right",
+      autoClose: 5000,
+      hideProgressBar: false,
+      closeOnClick: true,
+      pauseOnHover: true,
+      draggable: true,
+    });
+  };
+
+  // --- Data Fetching ---
+  const fetchApprovals = useCallback(async () => {
+    setIsLoading(true);
+    setFetchError("");
+    const token = localStorage.getItem('authToken');
+    if (!token) { setFetchError("Authentication error. Please log in again."); setIsLoading(false); return; }
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/bookings/approvals/mine`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Fetch failed (${response.status})`);
+      setBookings(data.data);
+    } catch (err) {
+      console.error("Approvals fetch error:", err);
+      setFetchError(err.message || "Could not load bookings awaiting your approval.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchApprovals(); }, [fetchApprovals]);
+
+  // --- Action Handlers ---
+  const handleDecision = async (booking, decision) => {
+    if (decision === "reject" && !comment.trim()) { showToast("error", "Please give a reason for rejecting."); return; }
+    setActingId(booking._id);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/bookings/${booking._id}/${decision}`, {
+        method: "PUT",
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}`, 'Accept': 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(decision === "reject" ? { rejectionReason: comment.trim() } : {}),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.message || `Action failed (${response.status})`);
+      showToast("success", data.message || "Decision recorded.");
+      setRejectingId(null);
+      setComment("");
+      await fetchApprovals();
+    } catch (err) {
+      console.error(`Approval ${decision} error:`, err);
+      showToast("error", err.message || "Could not record your decision.");
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  // --- Render ---
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-white p-4 md:p-6">
+      <ToastContainer position="top-right" autoClose={5000} newestOnTop={false} closeOnClick pauseOnHover theme="light" />
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mb-1">My Approvals</h1>
+        <p className="text-sm text-gray-500 mb-6">Booking requests waiting on an approval stage assigned to you.</p>
+
+        {fetchError && <div className="mb-6 p-3 text-sm text-red-800 bg-red-50 border-l-4 border-red-500 rounded-r-lg">{fetchError}</div>}
+        {isLoading && <p className="text-center text-gray-500 py-10">Loading...</p>}
+        {!isLoading && !fetchError && bookings.length === 0 && <p className="text-sm text-gray-500 italic text-center py-10">Nothing is awaiting your approval.</p>}
+
+        <ul className="space-y-4">
+          {!isLoading && bookings.map((booking) => (
+            <li key={booking._id} className="bg-white rounded-xl shadow border border-gray-200 p-5 space-y-3">
+              <div>
+                <p className="font-semibold text-gray-900">{booking.eventName}</p>
+                <p className="text-sm text-gray-600">{booking.description}</p>
+              </div>
+              <div className="text-xs sm:text-sm text-gray-600 space-y-1">
+                <p><strong className="font-medium text-gray-700">When:</strong> {format(parseISO(booking.startTime), 'EEE, MMM d yyyy, h:mm a')} - {format(parseISO(booking.endTime), 'h:mm a')}{booking.series && ` (recurring, occurrence ${booking.occurrenceIndex})`}</p>
+                <p><strong className="font-medium text-gray-700">Where:</strong> {booking.auditorium?.name ?? "N/A"}</p>
+                <p><strong className="font-medium text-gray-700">Dept:</strong> {booking.department?.name ?? "N/A"}</p>
+                <p><strong className="font-medium text-gray-700">Requested by:</strong> {booking.user?.username} ({booking.user?.email})</p>
+              </div>
+              <ApprovalProgress booking={booking} />
+
+              {rejectingId === booking._id ? (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md space-y-2">
+                  <textarea value={comment} onChange={(e) => setComment(e.target.value)} rows="2" placeholder="Reason for rejection (shown to the requester)" className="w-full p-2 border border-red-300 rounded-md text-sm" disabled={actingId === booking._id} autoFocus />
+                  <div className="flex justify-end gap-2">
+                    <button onClick={() => handleDecision(booking, "reject")} disabled={actingId === booking._id || !comment.trim()} className="px-3 py-1.5 text-xs font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">{actingId === booking._id ? "Rejecting..." : "Confirm Reject"}</button>
+                    <button onClick={() => { setRejectingId(null); setComment(""); }} disabled={actingId === booking._id} className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50">Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex flex-wrap items-center gap-3">
+                  <button onClick={() => handleDecision(booking, "approve")} disabled={actingId !== null} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-60">{actingId === booking._id ? "Approving..." : "Approve"}</button>
+                  <button onClick={() => { setRejectingId(booking._id); setComment(""); }} disabled={actingId !== null} className="px-4 py-2 text-sm font-semibold rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-60">Reject</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default MyApprovals;
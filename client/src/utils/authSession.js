@@ -0,0 +1,94 @@
+// client/src/utils/authSession.js
+// Session storage plus a fetch wrapper that swaps an expired access token for a new one.
+// Access tokens are short-lived; the refresh token is rotated by the server on every use.
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+export const SESSION_EVENT = 'auth:session-changed'; // App re-reads the login state from localStorage on this event
+
+const originalFetch = window.fetch.bind(window);
+let refreshPromise = null; // Requests failing at the same time share one refresh call
+
+const notifySessionChange = () => window.dispatchEvent(new Event(SESSION_EVENT));
+
+/** Saves the tokens (and user details, when present) from a login, refresh or password change response. */
+export const storeSession = ({ token, refreshToken, user }) => {
+  if (token) localStorage.setItem('authToken', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  if (user) {
+    localStorage.setItem('userRole', user.role);
+    localStorage.setItem('userEmail', user.email);
+  }
+};
+
+/** Forgets the session on this browser and tells App to show the logged-out state. */
+export const clearSession = () => {
+  ['authToken', 'refreshToken', 'userRole', 'userEmail'].forEach((key) => localStorage.removeItem(key));
+  notifySessionChange();
+};
+
+/** Logs out this device: the server revokes the refresh token, then local state is cleared. */
+export const logout = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (refreshToken) {
+    try {
+      await originalFetch(`${API_BASE_URL}/api/auth/logout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (err) { console.warn("Logout request failed; clearing the local session anyway.", err); }
+  }
+  clearSession();
+};
+
+/**
+ * Gets a new access token with the stored refresh token.
+ * @returns {Promise<string|null>} The new access token, or null when the session is over (it is then cleared).
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) { clearSession(); return null; }
+      try {
+        const response = await originalFetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) { clearSession(); return null; }
+        const roleChanged = data.user && data.user.role !== localStorage.getItem('userRole');
+        storeSession(data);
+        if (roleChanged) notifySessionChange();
+        return data.token;
+      } catch (err) {
+        console.warn("Session refresh failed:", err); // Network trouble: keep the session, let the caller see the 401
+        return null;
+      }
+    })().finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Replaces window.fetch so API calls sent with a Bearer token retry once with a refreshed token after a 401.
+ * Pages keep calling fetch as before. Call once, before rendering.
+ */
+export const installAuthRefresh = () => {
+  if (window.fetch.authRefreshInstalled) return;
+  const fetchWithRefresh = async (input, init = {}) => {
+    const response = await originalFetch(input, init);
+    const url = typeof input === 'string' ? input : input.url;
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    const isApiCall = url.startsWith(API_BASE_URL) && !url.includes('/api/auth/refresh');
+    if (response.status !== 401 || !isApiCall || !headers.get('Authorization')?.startsWith('Bearer ')) return response;
+
+    const token = await refreshSession();
+    if (!token) return response;
+    headers.set('Authorization', `Bearer ${token}`);
+    return originalFetch(input, { ...init, headers });
+  };
+  fetchWithRefresh.authRefreshInstalled = true;
+  window.fetch = fetchWithRefresh;
+};
@@ -0,0 +1,134 @@
+// server/controllers/approvalWorkflowController.js
+const mongoose = require('mongoose');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const Auditorium = require('../models/Auditorium');
+const Department = require('../models/Department');
+const User = require('../models/User');
+
+const MAX_STAGES = 5;
+
+// --- Helper: Populate a workflow query for responses ---
+const populateWorkflow = (query) => query
+    .populate('department', 'name code')
+    .populate('auditorium', 'name location')
+    .populate('stages.approvers', 'username email role')
+    .populate('updatedBy', 'username email');
+
+// --- Helper: Validate a workflow payload; approvers may be given as user IDs or email addresses ---
+// An empty approver list makes the stage an admin stage.
+const buildWorkflowFields = async (body = {}) => {
+    const { name, department, auditorium, stages, isActive } = body;
+    if (!name || !name.trim()) { return { valid: false, message: 'Please provide a workflow name.' }; }
+    for (const [label, id] of [['Department', department], ['Auditorium', auditorium]]) {
+        if (id && !mongoose.Types.ObjectId.isValid(id)) { return { valid: false, message: `Invalid ${label} ID format.` }; }
+    }
+    if (department && !(await Department.exists({ _id: department }))) { return { valid: false, message: 'Department not found.' }; }
+    if (auditorium && !(await Auditorium.exists({ _id: auditorium }))) { return { valid: false, message: 'Auditorium not found.' }; }
+
+    if (!Array.isArray(stages) || stages.length === 0 || stages.length > MAX_STAGES) { return { valid: false, message: `A workflow needs between 1 and ${MAX_STAGES} stages.` }; }
+    const resolvedStages = [];
+    for (const [i, stage] of stages.entries()) {
+        if (!stage?.name || !stage.name.trim()) { return { valid: false, message: `Stage ${i + 1} needs a name.` }; }
+        const entries = [...new Set((stage.approvers || []).map(a => String(a).trim().toLowerCase()).filter(Boolean))];
+        const ids = entries.filter(e => mongoose.Types.ObjectId.isValid(e));
+        const emails = entries.filter(e => !mongoose.Types.ObjectId.isValid(e));
+        const users = await User.find({ $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] }).select('_id email');
+        const missing = entries.filter(e => !users.some(u => String(u._id) === e || u.email === e));
+        if (missing.length > 0) { return { valid: false, message: `Stage '${stage.name.trim()}': no user found for ${missing.join(', ')}.` }; }
+        resolvedStages.push({ name: stage.name.trim(), approvers: users.map(u => u._id) });
+    }
+
+    return {
+        valid: true,
+        fields: {
+            name: name.trim(),
+            department: department || null,
+            auditorium: auditorium || null,
+            stages: resolvedStages,
+            isActive: isActive === undefined ? true : isActive === true || isActive === 'true',
+        }
+    };
+};
+
+// --- Helper: Shared error response for create/update ---
+const handleSaveError = (error, res, action) => {
+    console.error(`[Error] ${action} approval workflow failed:`, error);
+    if (error.code === 11000) { return res.status(409).json({ success: false, message: 'A workflow already exists for this department and auditorium.' }); }
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ success: false, message: messages.join('. ') });
+    }
+    res.status(500).json({ success: false, message: `Server error while ${action.toLowerCase()} the approval workflow.` });
+};
+
+/**
+ * @desc    List approval workflows
+ * @route   GET /api/approval-workflows
+ * @access  Private/Admin
+ */
+exports.getWorkflows = async (req, res, next) => {
+    try {
+        const workflows = await populateWorkflow(ApprovalWorkflow.find()).sort({ name: 1 });
+        res.status(200).json({ success: true, count: workflows.length, data: workflows });
+    } catch (error) {
+        console.error('[Error] Fetching approval workflows failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving approval workflows.' });
+    }
+};
+
+/**
+ * @desc    Create an approval workflow for a department and/or auditorium (neither = global)
+ * @route   POST /api/approval-workflows
+ * @access  Private/Admin
+ */
+exports.createWorkflow = async (req, res, next) => {
+    try {
+        const built = await buildWorkflowFields(req.body);
+        if (!built.valid) { return res.status(400).json({ success: false, message: built.message }); }
+        const workflow = await ApprovalWorkflow.create({ ...built.fields, updatedBy: req.user._id });
+        const populated = await populateWorkflow(ApprovalWorkflow.findById(workflow._id));
+        res.status(201).json({ success: true, message: `Approval workflow '${workflow.name}' created. It applies to new booking requests.`, data: populated });
+    } catch (error) {
+        handleSaveError(error, res, 'Creating');
+    }
+};
+
+/**
+ * @desc    Update an approval workflow (requests already in progress keep their stages)
+ * @route   PUT /api/approval-workflows/:id
+ * @access  Private/Admin
+ */
+exports.updateWorkflow = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid workflow ID format.' }); }
+    try {
+        const workflow = await ApprovalWorkflow.findById(id);
+        if (!workflow) { return res.status(404).json({ success: false, message: `Approval workflow with ID ${id} not found.` }); }
+        const built = await buildWorkflowFields(req.body);
+        if (!built.valid) { return res.status(400).json({ success: false, message: built.message }); }
+        workflow.set({ ...built.fields, updatedBy: req.user._id });
+        await workflow.save();
+        const populated = await populateWorkflow(ApprovalWorkflow.findById(workflow._id));
+        res.status(200).json({ success: true, message: `Approval workflow '${workflow.name}' updated.`, data: populated });
+    } catch (error) {
+        handleSaveError(error, res, 'Updating');
+    }
+};
+
+/**
+ * @desc    Delete an approval workflow (requests already in progress keep their stages)
+ * @route   DELETE /api/approval-workflows/:id
+ * @access  Private/Admin
+ */
+exports.deleteWorkflow = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid workflow ID format.' }); }
+    try {
+        const workflow = await ApprovalWorkflow.findByIdAndDelete(id);
+        if (!workflow) { return res.status(404).json({ success: false, message: `Approval workflow with ID ${id} not found.` }); }
+        res.status(200).json({ success: true, message: `Approval workflow '${workflow.name}' deleted.` });
+    } catch (error) {
+        console.error(`[Error] Deleting approval workflow ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while deleting the approval workflow.' });
+    }
+};
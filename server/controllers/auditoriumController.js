@@ -2,13 +2,110 @@
 const mongoose = require('mongoose'); // Needed for ObjectId validation
 const Auditorium = require('../models/Auditorium'); // Import the Auditorium model
 const Booking = require('../models/Booking'); // Assuming you have a Booking model
+const BookingSeries = require('../models/BookingSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const BookingPolicy = require('../models/BookingPolicy');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+const Equipment = require('../models/Equipment');
+const User = require('../models/User');
+const { getEffectivePolicy } = require('../services/policyService');
+const { hasPermission } = require('../services/permissionService');
+const { findBlackoutForIntervals } = require('../services/blackoutService');
+const { getBookingIntervals, getConflictBuffers, findApprovedConflict } = require('../services/conflictService');
+const { findEquipmentShortage } = require('../services/equipmentService');
+const { snapshotBooking, recordBookingEvent } = require('../services/auditService');
+const { sendBookingMovedEmail } = require('../utils/emailService');
 const { DateTime } = require('luxon'); // Assuming you use Luxon for date handling
 
 // Define IST timezone if used in getAuditoriumSchedule
 const istTimezone = 'Asia/Kolkata';
+// Booking statuses that still hold (or may still hold) a slot
+const OPEN_STATUSES = ['pending', 'awaiting-requester', 'approved'];
+
+// --- Helper: Short booking description for delete/reassign responses ---
+const summarizeBooking = (booking) => ({
+  _id: booking._id,
+  eventName: booking.eventName,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  status: booking.status,
+});
+
+// --- Helper: Move upcoming bookings to another hall before their hall is deleted ---
+// No moveHistory entry is written: it would point at the deleted hall. The audit note keeps its name instead.
+const reassignBookings = async (bookings, from, to, actor) => {
+  const note = `Venue '${from.name}' was removed; booking reassigned to '${to.name}'.`;
+  const audited = [];
+  for (const booking of bookings) {
+    const before = snapshotBooking(booking);
+    booking.auditorium = to._id;
+    await booking.save();
+    audited.push({ booking, before });
+  }
+  await Promise.all(audited.map(({ booking, before }) => recordBookingEvent(booking, 'moved', { actor, before, note })));
+  await BookingSeries.updateMany({ auditorium: from._id }, { $set: { auditorium: to._id } });
+
+  for (const booking of bookings) {
+    try {
+      if (booking.user?.email) {
+        await sendBookingMovedEmail(booking.user.email, booking, { startTime: booking.startTime, endTime: booking.endTime, auditorium: from }, to, booking.department, note);
+      }
+    } catch (emailError) {
+      console.error(`[Non-critical Error] Sending reassignment notification for booking ${booking._id} failed:`, emailError);
+    }
+  }
+};
+
+// --- Helper: Drop settings that only make sense for a deleted hall ---
+// Its fixed equipment goes too: deleteAuditorium only gets here once no booking references those items.
+const removeAuditoriumReferences = async (auditorium, reassignedTo) => {
+  const id = auditorium._id;
+  const waitlistNote = reassignedTo
+    ? `Venue '${auditorium.name}' was removed. Join the waitlist for '${reassignedTo.name}' instead.`
+    : `Venue '${auditorium.name}' was removed.`;
+  await Promise.all([
+    WaitlistEntry.updateMany({ auditorium: id, status: 'waiting' }, { $set: { status: 'cancelled', statusNote: waitlistNote } }),
+    BookingPolicy.deleteMany({ auditorium: id }),
+    ApprovalWorkflow.deleteMany({ auditorium: id }),
+    Equipment.deleteMany({ auditorium: id }),
+    User.updateMany({ auditoriums: id }, { $pull: { auditoriums: id } }),
+    // A blackout scoped only to this hall would become campus-wide once the hall is pulled from it
+    BlackoutPeriod.deleteMany({ auditoriums: { $size: 1, $all: [id] } }),
+  ]);
+  await BlackoutPeriod.updateMany({ auditoriums: id }, { $pull: { auditoriums: id } });
+};
+
+// --- Helper: Normalizes catalog fields sent by the admin console ---
+// features may arrive as an array or a comma-separated string; photos as URLs or { url, caption } objects.
+const normalizeCatalogFields = (data) => {
+  const fields = { ...data };
+  if (typeof fields.features === 'string') {
+    fields.features = fields.features.split(',');
+  }
+  if (Array.isArray(fields.features)) {
+    fields.features = fields.features.map(feature => String(feature).trim()).filter(Boolean);
+  }
+  if (Array.isArray(fields.photos)) {
+    fields.photos = fields.photos
+      .map(photo => (typeof photo === 'string' ? { url: photo } : photo))
+      .filter(photo => photo && typeof photo.url === 'string' && photo.url.trim());
+  }
+  if (fields.slug === '' || fields.slug === null) {
+    delete fields.slug; // Generated from the name on create; left unchanged on update
+  } else if (typeof fields.slug === 'string') {
+    fields.slug = Auditorium.slugify(fields.slug);
+  }
+  return fields;
+};
+
+// --- Helper: Duplicate-key message naming the clashing field ---
+const duplicateMessage = (error, fields) => (error.keyPattern?.slug
+  ? `The URL slug '${fields.slug || Auditorium.slugify(fields.name)}' is already used by another auditorium.`
+  : `An auditorium with the name '${fields.name}' may already exist.`);
 
 exports.createAuditorium = async (req, res, next) => {
-  const { name, capacity, location, description, amenities, imageUrl } = req.body;
+  const { name, capacity, location, description, category, features, photos, slug, isActive } = normalizeCatalogFields(req.body);
 
   if (!name || !capacity || !location) {
     return res.status(400).json({
@@ -30,9 +127,12 @@ exports.createAuditorium = async (req, res, next) => {
       name,
       capacity,
       location,
+      slug,        // optional, generated from the name when omitted
       description, // optional
-      amenities,   // optional
-      imageUrl,    // optional
+      category,    // optional
+      features,    // optional
+      photos,      // optional
+      isActive,    // optional, defaults to true
     });
 
     res.status(201).json({
@@ -48,8 +148,7 @@ exports.createAuditorium = async (req, res, next) => {
       return res.status(400).json({ success: false, message: messages.join('. ') });
     }
     if (error.code === 11000) {
-      // More specific message if possible (e.g., based on error details)
-      return res.status(400).json({ success: false, message: `Duplicate field value entered. An auditorium with name '${name}' might already exist.` });
+      return res.status(400).json({ success: false, message: `Duplicate field value entered. ${duplicateMessage(error, { name, slug })}` });
     }
 
     res.status(500).json({ success: false, message: 'Server error while creating auditorium.' });
@@ -58,8 +157,11 @@ exports.createAuditorium = async (req, res, next) => {
 };
 
 exports.getAllAuditoriums = async (req, res, next) => {
+  // Deactivated halls are left out unless explicitly requested (e.g. schedule history, admin console)
+  const filter = req.query.includeInactive === 'true' ? {} : { isActive: { $ne: false } };
+
   try {
-    const auditoriums = await Auditorium.find().sort({ name: 1 }); // Sort alphabetically by name
+    const auditoriums = await Auditorium.find(filter).sort({ name: 1 }); // Sort alphabetically by name
 
     res.status(200).json({
       success: true,
@@ -107,9 +209,30 @@ exports.getAuditoriumById = async (req, res, next) => {
   }
 };
 
+exports.getAuditoriumBySlug = async (req, res, next) => {
+  const slug = String(req.params.slug || '').toLowerCase();
+
+  try {
+    const auditorium = await Auditorium.findOne({ slug, isActive: { $ne: false } });
+
+    if (!auditorium) {
+      return res.status(404).json({ success: false, message: `Auditorium not found: ${slug}` });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: auditorium,
+    });
+
+  } catch (error) {
+    console.error(`Error getting auditorium by slug ${slug}:`, error);
+    res.status(500).json({ success: false, message: 'Server error while retrieving auditorium.' });
+  }
+};
+
 exports.updateAuditorium = async (req, res, next) => {
   const auditoriumId = req.params.id;
-  const updateData = req.body;
+  const updateData = normalizeCatalogFields(req.body);
 
   // Validate ID format
   if (!mongoose.Types.ObjectId.isValid(auditoriumId)) {
@@ -121,6 +244,11 @@ exports.updateAuditorium = async (req, res, next) => {
      return res.status(400).json({ success: false, message: 'Name, capacity, and location cannot be empty.' });
   }
 
+  // Venue managers may edit the details of their halls, but only admins take a hall in or out of service
+  if (updateData.isActive !== undefined && !hasPermission(req.user, 'auditoriums:delete')) {
+    return res.status(403).json({ success: false, message: 'Only administrators can activate or deactivate an auditorium.' });
+  }
+
   try {
     // Prevent updating the name to one that already exists (excluding the current document itself)
     if (updateData.name) {
@@ -146,8 +274,19 @@ exports.updateAuditorium = async (req, res, next) => {
       return res.status(404).json({ success: false, message: `Auditorium not found with ID: ${auditoriumId}` });
     }
 
+    // Deactivating only stops new requests; bookings already made stay where they are
+    let message;
+    if (updateData.isActive === false) {
+      const upcomingCount = await Booking.countDocuments({ auditorium: auditoriumId, status: { $in: OPEN_STATUSES }, endTime: { $gt: new Date() } });
+      message = upcomingCount > 0
+        ? `'${updatedAuditorium.name}' deactivated. Its ${upcomingCount} upcoming booking(s) are unchanged; move or cancel them from Manage Bookings if needed.`
+        : `'${updatedAuditorium.name}' deactivated.`;
+      console.log(`[Admin] Auditorium '${updatedAuditorium.name}' (${auditoriumId}) deactivated by ${req.user._id}.`);
+    }
+
     res.status(200).json({
       success: true,
+      message,
       data: updatedAuditorium,
     });
 
@@ -159,8 +298,7 @@ exports.updateAuditorium = async (req, res, next) => {
       return res.status(400).json({ success: false, message: messages.join('. ') });
     }
     if (error.code === 11000) {
-       // More specific duplicate key error message
-      return res.status(400).json({ success: false, message: `Update failed: An auditorium with the name '${updateData.name}' may already exist.` });
+      return res.status(400).json({ success: false, message: `Update failed: ${duplicateMessage(error, updateData)}` });
     }
     if (error.name === 'CastError') {
       return res.status(400).json({ success: false, message: `Invalid ID format during update: ${auditoriumId}` });
@@ -171,36 +309,132 @@ exports.updateAuditorium = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Delete an auditorium that has no booking history
+ * @route   DELETE /api/auditoriums/:id  (body: reassignTo?, allowSmallerVenue?)
+ * @access  Private (Admin)
+ * Halls with past or closed bookings cannot be deleted - deactivate them instead so history and statistics keep
+ * their venue. Upcoming bookings must be reassigned to another active hall (`reassignTo`); the move is all-or-nothing.
+ * Equipment fixed to the hall is deleted with it, so none of it may still be reserved on a booking.
+ */
 exports.deleteAuditorium = async (req, res, next) => {
   const auditoriumId = req.params.id;
+  const reassignTo = req.body?.reassignTo || req.query.reassignTo || null;
+  const allowSmallerVenue = req.body?.allowSmallerVenue === true;
 
   // Validate ID format
   if (!mongoose.Types.ObjectId.isValid(auditoriumId)) {
     return res.status(400).json({ success: false, message: `Invalid ID format: ${auditoriumId}` });
   }
+  if (reassignTo && !mongoose.Types.ObjectId.isValid(reassignTo)) {
+    return res.status(400).json({ success: false, message: `Invalid reassignment auditorium ID: ${reassignTo}` });
+  }
 
   try {
-    // Optional: Check for associated bookings before deleting
-    // const relatedBookings = await Booking.countDocuments({ auditorium: auditoriumId });
-    // if (relatedBookings > 0) {
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: `Cannot delete auditorium: It has ${relatedBookings} associated bookings. Please resolve them first.`
-    //   });
-    // }
-
-    const deletedAuditorium = await Auditorium.findByIdAndDelete(auditoriumId);
-
-    // If no auditorium was found with that ID to delete
-    if (!deletedAuditorium) {
+    const auditorium = await Auditorium.findById(auditoriumId);
+    if (!auditorium) {
       return res.status(404).json({ success: false, message: `Auditorium not found with ID: ${auditoriumId}` });
     }
 
+    const upcomingFilter = { status: { $in: OPEN_STATUSES }, endTime: { $gt: new Date() } };
+    const [historyCount, openProposals, upcomingBookings, fixedEquipment] = await Promise.all([
+      Booking.countDocuments({
+        $or: [
+          { auditorium: auditoriumId, $nor: [upcomingFilter] },
+          { 'moveHistory.previousAuditorium': auditoriumId },
+          { 'moveHistory.newAuditorium': auditoriumId },
+        ],
+      }),
+      Booking.countDocuments({ status: 'awaiting-requester', 'counterProposal.auditorium': auditoriumId, auditorium: { $ne: auditoriumId } }),
+      Booking.find({ auditorium: auditoriumId, ...upcomingFilter }).populate('user', 'email username').populate('department', 'name').sort({ startTime: 1 }),
+      Equipment.find({ auditorium: auditoriumId }).select('name'),
+    ]);
+
+    if (historyCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `'${auditorium.name}' has ${historyCount} past or closed booking(s). Deactivate it instead so booking history and statistics keep their venue.`,
+        historyCount,
+      });
+    }
+    if (openProposals > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `'${auditorium.name}' is offered in ${openProposals} open counter-proposal(s). Wait for the requesters to answer or let the proposals expire first.`,
+      });
+    }
+    // Fixed equipment would be stranded on bookings that keep it; making it portable lets it move with them
+    const reservedFixedIds = fixedEquipment.length > 0
+      ? (await Booking.distinct('equipment.item', { 'equipment.item': { $in: fixedEquipment.map(item => item._id) } })).map(String)
+      : [];
+    if (reservedFixedIds.length > 0) {
+      const reservedFixed = fixedEquipment.filter(item => reservedFixedIds.includes(String(item._id)));
+      return res.status(409).json({
+        success: false,
+        message: `Equipment fixed to '${auditorium.name}' appears on bookings: ${reservedFixed.map(item => `'${item.name}'`).join(', ')}. Make these items portable in the equipment inventory before deleting the hall.`,
+        reservedEquipment: reservedFixed.map(item => ({ _id: item._id, name: item.name })),
+      });
+    }
+    if (upcomingBookings.length > 0 && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `'${auditorium.name}' has ${upcomingBookings.length} upcoming booking(s). Choose another auditorium to reassign them to before deleting it.`,
+        requiresReassignment: true,
+        upcomingBookings: upcomingBookings.map(summarizeBooking),
+      });
+    }
+
+    let target = null;
+    if (upcomingBookings.length > 0) {
+      target = await Auditorium.findById(reassignTo);
+      if (!target || target._id.equals(auditorium._id)) {
+        return res.status(400).json({ success: false, message: 'Choose a different, existing auditorium to reassign the bookings to.' });
+      }
+      if (target.isActive === false) {
+        return res.status(400).json({ success: false, message: `'${target.name}' is deactivated and cannot receive bookings.` });
+      }
+      if (target.capacity < auditorium.capacity && !allowSmallerVenue) {
+        return res.status(409).json({
+          success: false,
+          message: `'${target.name}' seats ${target.capacity}, fewer than '${auditorium.name}' (${auditorium.capacity}). Confirm with allowSmallerVenue to reassign anyway.`,
+          capacity: { previous: auditorium.capacity, target: target.capacity },
+        });
+      }
+
+      // Nothing is moved unless every approved booking fits in the target hall
+      const policy = await getEffectivePolicy(target._id);
+      const clashes = [];
+      for (const booking of upcomingBookings.filter(b => b.status === 'approved')) {
+        const intervals = getBookingIntervals(booking);
+        const blackout = await findBlackoutForIntervals(target._id, intervals);
+        const conflict = blackout ? null : await findApprovedConflict(target._id, intervals, booking._id, getConflictBuffers(policy, booking.extraSetupMinutes)).select('eventName');
+        const shortage = blackout || conflict ? null : await findEquipmentShortage(booking.equipment, target._id, intervals, booking._id);
+        if (blackout || conflict || shortage) {
+          const reason = blackout ? `Blackout: ${blackout.title}` : conflict ? `Conflicts with '${conflict.eventName}'` : shortage.message;
+          clashes.push({ ...summarizeBooking(booking), reason });
+        }
+      }
+      if (clashes.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${clashes.length} approved booking(s) cannot move to '${target.name}'. Pick another auditorium or resolve them first.`,
+          conflicts: clashes,
+        });
+      }
+
+      await reassignBookings(upcomingBookings, auditorium, target, req.user);
+    }
+
+    await removeAuditoriumReferences(auditorium, target);
+    await auditorium.deleteOne();
+
+    console.log(`[Admin] Auditorium '${auditorium.name}' (${auditoriumId}) deleted by ${req.user._id}${target ? `; ${upcomingBookings.length} booking(s) reassigned to '${target.name}'` : ''}.`);
     res.status(200).json({
       success: true,
-      message: `Auditorium '${deletedAuditorium.name}' deleted successfully.`,
-      // Optionally return the deleted object ID or limited data
-      // data: { _id: deletedAuditorium._id }
+      message: target
+        ? `Auditorium '${auditorium.name}' deleted. ${upcomingBookings.length} upcoming booking(s) moved to '${target.name}'.`
+        : `Auditorium '${auditorium.name}' deleted successfully.`,
+      reassignedCount: target ? upcomingBookings.length : 0,
     });
 
   } catch (error) {
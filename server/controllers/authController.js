@@ -1,24 +1,45 @@
 // server/controllers/authController.js
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
 const Department = require('../models/Department'); // Fetch Departments on registration - adjust if needed
 const Auditorium = require('../models/Auditorium'); // Fetch Auditoriums on registration - adjust if needed
-
-// --- Helper: Generate JWT Token ---
-const generateToken = (id) => {
-    // Use environment variables for secret and expiration
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '30d', // Use env var or default
-    });
+const { STAFF_ROLES } = require('../services/permissionService');
+const { issueSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/tokenService');
+const { isLocked, minutesUntil, getIpRetryAfter, recordFailedLogin, recordSuccessfulLogin } = require('../services/loginProtectionService');
+const { sendPasswordResetEmail, sendEmailVerificationEmail } = require('../utils/emailService');
+
+const SUSPENDED_MESSAGE = 'Your account has been suspended. Please contact the administration.';
+const LOCKED_MESSAGE = 'This account is temporarily locked after too many failed login attempts.';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const RESET_LINK_MINUTES = 60; // Self-service reset links; admin-triggered links last longer (see userController)
+const VERIFICATION_LINK_HOURS = 48;
+// Same answer whether or not the address has an account, so the endpoint cannot be used to discover users
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent to it.';
+
+// Sessions: a short-lived access JWT plus a rotating refresh token stored server-side (see services/tokenService.js)
+
+// --- Helper: Issue and email a fresh verification link (replaces any earlier one). Returns Nodemailer info or undefined. ---
+const sendVerificationLink = async (user) => {
+    const rawToken = user.createEmailVerificationToken(VERIFICATION_LINK_HOURS);
+    await user.save({ validateBeforeSave: false });
+    return sendEmailVerificationEmail(user.email, user.username, `${FRONTEND_URL}/verify-email/${rawToken}`, user.emailVerificationExpires);
 };
 
 // --- Helper: Find User and Verify Password ---
 // This checks credentials but doesn't enforce role here. Role check happens in specific login controllers.
-const findAndVerifyUser = async (identifier, password) => {
+// Failed attempts are tracked per account and per IP: repeated failures get slower answers and lock the account for a while.
+const findAndVerifyUser = async (identifier, password, ip) => {
     if (!identifier || !password) {
         return { error: 'Identifier and password required', user: null };
     }
 
+    const ipRetryAfter = getIpRetryAfter(ip);
+    if (ipRetryAfter > 0) {
+        console.warn(`Login check: IP ${ip} is blocked after too many failed attempts.`);
+        return { error: 'Too many failed login attempts from your network. Please try again later.', user: null, status: 429, retryAfter: ipRetryAfter };
+    }
+
     let user;
     // Case-insensitive search for email or username
     if (identifier.includes('@')) {
@@ -33,21 +54,39 @@ const findAndVerifyUser = async (identifier, password) => {
     // User not found
     if (!user) {
         console.log(`Login check: User not found with identifier "${identifier}"`);
+        await recordFailedLogin(null, ip);
         return { error: 'Invalid credentials', user: null }; // Consistent error message
     }
 
+    // Locked accounts are refused without checking the password, so guessing cannot continue during the lock
+    if (isLocked(user)) {
+        console.log(`Login check: Account ${user._id} is locked until ${user.lockUntil.toISOString()}.`);
+        return { error: `${LOCKED_MESSAGE} Try again in ${minutesUntil(user.lockUntil)} minute(s) or reset your password.`, user: null, status: 423, retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000) };
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
         console.log(`Login check: Password mismatch for identifier "${identifier}" (User ID: ${user._id})`);
+        const { lockedUntil } = await recordFailedLogin(user, ip);
+        if (lockedUntil) {
+            return { error: `${LOCKED_MESSAGE} Try again in ${minutesUntil(lockedUntil)} minute(s) or reset your password.`, user: null, status: 423, retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000) };
+        }
         return { error: 'Invalid credentials', user: null }; // Consistent error message
     }
 
     // Credentials are valid
+    await recordSuccessfulLogin(user);
     console.log(`Login check: Credentials VALID for identifier "${identifier}" (User ID: ${user._id})`);
     return { error: null, user }; // Return the user object (with password still selected)
 };
 
+// --- Helper: Send a failed credential check (401 for bad credentials, 423 locked, 429 IP blocked) ---
+const sendLoginFailure = (res, { error, status, retryAfter }) => {
+    if (retryAfter) { res.set('Retry-After', String(retryAfter)); }
+    return res.status(status || 401).json({ success: false, message: status ? error : 'Invalid credentials' });
+};
+
 
 // --- Register User ---
 exports.registerUser = async (req, res, next) => {
@@ -78,26 +117,33 @@ exports.registerUser = async (req, res, next) => {
             username,
             email, // Schema handles lowercase
             password, // Schema pre-save hook handles hashing
-            role: 'user' // Hardcode role to 'user' for public registration for security
+            role: 'user', // Hardcode role to 'user' for public registration for security
              // If admins need to create other admins, use a separate admin endpoint/tool
+            emailVerified: false // Booking requests stay blocked until the emailed link is opened
         });
 
+        // The account exists either way; a failed email can be retried from the profile page
+        const verificationInfo = await sendVerificationLink(newUser);
+        if (!verificationInfo) { console.error(`[Non-critical Error] Verification email for new user ${newUser._id} could not be sent.`); }
+
         // Don't send password back, even hashed
         const userResponse = {
            _id: newUser._id,
             username: newUser.username,
             email: newUser.email,
-            role: newUser.role
+            role: newUser.role,
+            emailVerified: false
         };
 
-        // Generate token for immediate login after registration
-        const token = generateToken(newUser._id);
+        // Start a session for immediate login after registration
+        const { token, refreshToken } = await issueSession(newUser, req);
 
-        // Respond with success, token, and user info
+        // Respond with success, tokens, and user info
         res.status(201).json({
             success: true,
-            message: 'User registered successfully.',
+            message: 'User registered successfully. Please check your email to verify your address before booking.',
             token,
+            refreshToken,
             user: userResponse,
             // Optionally include initial dropdown data if useful after registration
             // initialData: { auditoriums: /* fetch data */, departments: /* fetch data */ }
@@ -128,11 +174,18 @@ exports.loginUserSpecific = async (req, res, next) => {
     }
 
     try {
-        const { error, user } = await findAndVerifyUser(identifier, password);
+        const result = await findAndVerifyUser(identifier, password, req.ip);
+        const { error, user } = result;
 
         if (error || !user) {
              console.log(`Login failed for "${identifier}": ${error || 'User not found'}`);
-            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+            return sendLoginFailure(res, result);
+        }
+
+        // Suspended accounts are refused once the password is known to be right, so the message leaks nothing
+        if (user.isSuspended) {
+            console.log(`User login DENIED: User ${user._id} (${user.username}) is suspended.`);
+            return res.status(403).json({ success: false, message: SUSPENDED_MESSAGE });
         }
 
         // --- *** ROLE CHECK *** ---
@@ -145,14 +198,15 @@ exports.loginUserSpecific = async (req, res, next) => {
 
         // Credentials are valid AND user has the 'user' role
         console.log(`User login successful for ID: ${user._id}, Role: ${user.role}`);
-        const token = generateToken(user._id);
+        const { token, refreshToken } = await issueSession(user, req);
 
         // Exclude password from user object sent back
-        const userResponse = { _id: user._id, username: user.username, email: user.email, role: user.role };
+        const userResponse = { _id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.hasVerifiedEmail() };
 
         res.status(200).json({
             success: true,
             token,
+            refreshToken,
             user: userResponse
         });
         console.log("User login response sent for:", user._id);
@@ -166,7 +220,7 @@ exports.loginUserSpecific = async (req, res, next) => {
 };
 
 
-// --- Login Admin (Admin Role Enforced) ---
+// --- Login Admin (Staff Roles Enforced) ---
 exports.loginAdminSpecific = async (req, res, next) => {
     const { identifier, password } = req.body;
     console.log("Attempting ADMIN login for identifier:", identifier);
@@ -176,31 +230,38 @@ exports.loginAdminSpecific = async (req, res, next) => {
     }
 
     try {
-        const { error, user } = await findAndVerifyUser(identifier, password);
+        const result = await findAndVerifyUser(identifier, password, req.ip);
+        const { error, user } = result;
 
          if (error || !user) {
              console.log(`Login failed for "${identifier}": ${error || 'User not found'}`);
-             return res.status(401).json({ success: false, message: 'Invalid credentials' });
+             return sendLoginFailure(res, result);
          }
 
+        if (user.isSuspended) {
+            console.log(`Admin login DENIED: User ${user._id} (${user.username}) is suspended.`);
+            return res.status(403).json({ success: false, message: SUSPENDED_MESSAGE });
+        }
+
         // *** ROLE CHECK ***
-        // Ensure the user has the 'admin' role for this endpoint
-        if (user.role !== 'admin') {
-            console.log(`Admin login DENIED: User ${user._id} (${user.username}) attempted login via /admin-login endpoint but is not an admin (Role: ${user.role}).`);
+        // Ensure the user has a staff role (admin, coordinator, venue manager or auditor) for this endpoint
+        if (!STAFF_ROLES.includes(user.role)) {
+            console.log(`Admin login DENIED: User ${user._id} (${user.username}) attempted login via /admin-login endpoint but is not staff (Role: ${user.role}).`);
             return res.status(403).json({ success: false, message: 'Access Denied: User is not an administrator.' });
         }
         // *** End Admin check ***
 
-       // Credentials are valid AND user has the 'admin' role
+       // Credentials are valid AND user has a staff role
         console.log(`Admin login successful for ID: ${user._id}, Role: ${user.role}`);
-       const token = generateToken(user._id);
+       const { token, refreshToken } = await issueSession(user, req);
 
        // Exclude password from user object sent back
-        const userResponse = { _id: user._id, username: user.username, email: user.email, role: user.role };
+        const userResponse = { _id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.hasVerifiedEmail() };
 
         res.status(200).json({
             success: true,
             token,
+            refreshToken,
             user: userResponse
         });
         console.log("Admin login response sent for:", user._id);
@@ -211,4 +272,290 @@ exports.loginAdminSpecific = async (req, res, next) => {
              res.status(500).json({ success: false, message: 'Server error during login' });
         }
     }
-};
\ No newline at end of file
+};
+
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token (the old one stops working)
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token in body)
+ */
+exports.refreshSession = async (req, res, next) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ success: false, message: 'Refresh token is required.' });
+    }
+
+    try {
+        const result = await rotateSession(refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({ success: false, message: result.error });
+        }
+        const { user, token, refreshToken: newRefreshToken } = result;
+        res.status(200).json({
+            success: true,
+            token,
+            refreshToken: newRefreshToken,
+            user: { _id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.hasVerifiedEmail() }
+        });
+    } catch (error) {
+        console.error("[Error] Refreshing session failed:", error);
+        res.status(500).json({ success: false, message: 'Server error while refreshing the session.' });
+    }
+};
+
+/**
+ * @desc    Log out this device by revoking its refresh token (the access token lapses on its own shortly)
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token in body)
+ */
+exports.logout = async (req, res, next) => {
+    const { refreshToken } = req.body || {};
+    try {
+        if (refreshToken && typeof refreshToken === 'string') { await revokeSession(refreshToken); }
+        res.status(200).json({ success: true, message: 'Logged out.' });
+    } catch (error) {
+        console.error("[Error] Logout failed:", error);
+        res.status(500).json({ success: false, message: 'Server error during logout.' });
+    }
+};
+
+/**
+ * @desc    Log out every device: revokes all refresh tokens and invalidates outstanding access tokens
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = async (req, res, next) => {
+    try {
+        await revokeAllSessions(req.user._id, 'logout-all');
+        console.log(`All sessions revoked for user ${req.user._id}.`);
+        res.status(200).json({ success: true, message: 'You have been logged out on all devices.' });
+    } catch (error) {
+        console.error(`[Error] Logging out all sessions for user ${req.user._id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while logging out all devices.' });
+    }
+};
+
+
+/**
+ * @desc    Email a single-use password reset link to the account with this address
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ success: false, message: 'Please provide your email address.' });
+    }
+
+    try {
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        if (!user || user.isSuspended) {
+            console.log(`Password reset requested for "${email}": no active account, nothing sent.`);
+            return res.status(200).json({ success: true, message: FORGOT_PASSWORD_MESSAGE });
+        }
+
+        const rawToken = user.createPasswordResetToken(RESET_LINK_MINUTES);
+        await user.save({ validateBeforeSave: false });
+        const info = await sendPasswordResetEmail(user.email, user.username, `${FRONTEND_URL}/reset-password/${rawToken}`, user.passwordResetExpires);
+        if (!info) {
+            // Drop the unusable token; the response stays the same so it reveals nothing about the account
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+            console.error(`[Non-critical Error] Password reset email for user ${user._id} could not be sent.`);
+        } else {
+            console.log(`Password reset link sent to user ${user._id}.`);
+        }
+        res.status(200).json({ success: true, message: FORGOT_PASSWORD_MESSAGE });
+    } catch (error) {
+        console.error("[Error] Forgot password request failed:", error);
+        res.status(500).json({ success: false, message: 'Server error while requesting a password reset.' });
+    }
+};
+
+
+/**
+ * @desc    Set a new password using the single-use token from a reset email
+ * @route   PUT /api/auth/reset-password/:token
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+    const { password } = req.body;
+    if (!password || password.length < 6) {
+        return res.status(400).json({ success: false, message: 'Please provide a new password of at least 6 characters.' });
+    }
+
+    try {
+        const hashedToken = crypto.createHash('sha256').update(req.params.token || '').digest('hex');
+        const user = await User.findOne({ passwordResetToken: hashedToken, passwordResetExpires: { $gt: new Date() } });
+        if (!user) {
+            return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired. Please request a new one.' });
+        }
+
+        user.password = password; // Pre-save hook hashes it
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        if (user.emailVerified === false) { user.emailVerified = true; } // Opening the emailed link proves the address
+        // The owner proved access to the mailbox, so a brute-force lock no longer needs to hold them out
+        user.failedLoginAttempts = 0;
+        user.lockoutCount = 0;
+        user.lockUntil = undefined;
+        await user.save();
+        await revokeAllSessions(user._id, 'password-change'); // Whoever knew the old password is signed out
+        console.log(`Password reset completed for user ${user._id}.`);
+
+        res.status(200).json({ success: true, message: 'Your password has been updated. You can now log in.' });
+    } catch (error) {
+        console.error("[Error] Password reset failed:", error);
+        res.status(500).json({ success: false, message: 'Server error while resetting the password.' });
+    }
+};
+
+
+/**
+ * @desc    Confirm an email address using the single-use token from the verification email
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+    try {
+        const hashedToken = crypto.createHash('sha256').update(req.params.token || '').digest('hex');
+        const user = await User.findOne({ emailVerificationToken: hashedToken, emailVerificationExpires: { $gt: new Date() } });
+        if (!user) {
+            return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired. Log in and request a new one from your profile.' });
+        }
+
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        console.log(`Email verified for user ${user._id}.`);
+
+        res.status(200).json({ success: true, message: 'Your email address has been verified. You can now request bookings.' });
+    } catch (error) {
+        console.error("[Error] Email verification failed:", error);
+        res.status(500).json({ success: false, message: 'Server error while verifying the email address.' });
+    }
+};
+
+/**
+ * @desc    Send the logged-in user a new verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+exports.resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (user.hasVerifiedEmail()) {
+            return res.status(400).json({ success: false, message: 'Your email address is already verified.' });
+        }
+        const info = await sendVerificationLink(user);
+        if (!info) {
+            return res.status(502).json({ success: false, message: 'The verification email could not be sent. Please try again later.' });
+        }
+        console.log(`Verification link re-sent to user ${user._id}.`);
+        res.status(200).json({ success: true, message: `A new verification link was emailed to ${user.email}.` });
+    } catch (error) {
+        console.error(`[Error] Resending verification for user ${req.user._id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while sending the verification email.' });
+    }
+};
+
+
+// --- Helper: Profile fields editable through PUT /me, and the populated profile sent back ---
+const PROFILE_FIELDS = ['displayName', 'phone', 'defaultDepartment'];
+const NOTIFICATION_PREFERENCE_KEYS = ['actionConfirmations', 'approvalProgress', 'approvalRequests'];
+const findProfile = (userId) => User.findById(userId)
+    .populate('defaultDepartment', 'name code')
+    .populate('departments', 'name code')
+    .populate('auditoriums', 'name location');
+
+/**
+ * @desc    Get the logged-in user's profile
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+exports.getMe = async (req, res, next) => {
+    try {
+        const user = await findProfile(req.user._id);
+        res.status(200).json({ success: true, data: user });
+    } catch (error) {
+        console.error(`[Error] Fetching profile for user ${req.user._id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving your profile.' });
+    }
+};
+
+/**
+ * @desc    Update display name, phone, default department and notification preferences
+ * @route   PUT /api/auth/me
+ * @access  Private
+ */
+exports.updateMe = async (req, res, next) => {
+    const body = req.body || {};
+    try {
+        const user = await User.findById(req.user._id);
+        for (const field of PROFILE_FIELDS) {
+            if (body[field] === undefined) { continue; }
+            // Empty values clear optional fields
+            user[field] = body[field] === '' || body[field] === null ? undefined : body[field];
+        }
+        if (body.defaultDepartment) {
+            if (!mongoose.Types.ObjectId.isValid(body.defaultDepartment)) { return res.status(400).json({ success: false, message: 'Invalid Department ID format.' }); }
+            if (!(await Department.exists({ _id: body.defaultDepartment }))) { return res.status(404).json({ success: false, message: 'Department not found.' }); }
+        }
+        if (body.notificationPreferences && typeof body.notificationPreferences === 'object') {
+            for (const key of NOTIFICATION_PREFERENCE_KEYS) {
+                if (body.notificationPreferences[key] !== undefined) { user.notificationPreferences[key] = body.notificationPreferences[key] === true; }
+            }
+        }
+        await user.save();
+        const profile = await findProfile(user._id);
+        res.status(200).json({ success: true, message: 'Profile updated.', data: profile });
+    } catch (error) {
+        console.error(`[Error] Updating profile for user ${req.user._id} failed:`, error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while updating your profile.' });
+    }
+};
+
+/**
+ * @desc    Change the logged-in user's password after verifying the current one
+ * @route   PUT /api/auth/me/password
+ * @access  Private
+ */
+exports.changePassword = async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ success: false, message: 'Please provide your current and new password.' });
+    }
+    if (newPassword.length < 6) {
+        return res.status(400).json({ success: false, message: 'The new password must be at least 6 characters.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.matchPassword(currentPassword))) {
+            return res.status(401).json({ success: false, message: 'Your current password is incorrect.' });
+        }
+        if (await user.matchPassword(newPassword)) {
+            return res.status(400).json({ success: false, message: 'The new password must be different from the current one.' });
+        }
+
+        user.password = newPassword; // Pre-save hook hashes it
+        user.passwordResetToken = undefined; // Any outstanding reset link is no longer needed
+        user.passwordResetExpires = undefined;
+        await user.save();
+        // Sign out every other device and hand this one a fresh session
+        const updatedUser = await revokeAllSessions(user._id, 'password-change');
+        const { token, refreshToken } = await issueSession(updatedUser, req);
+        console.log(`Password changed for user ${user._id}.`);
+        res.status(200).json({ success: true, message: 'Password changed. You have been signed out on other devices.', token, refreshToken });
+    } catch (error) {
+        console.error(`[Error] Changing password for user ${req.user._id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while changing your password.' });
+    }
+};
@@ -0,0 +1,208 @@
+// server/controllers/blackoutController.js
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+const Auditorium = require('../models/Auditorium');
+const { parseIcsEvents } = require('../utils/icsParser');
+
+const istTimezone = 'Asia/Kolkata';
+const BLACKOUT_CATEGORIES = ['holiday', 'exam', 'maintenance', 'other'];
+
+// --- Helper: Validate an auditorium scope (array or JSON string; empty = campus-wide) ---
+const parseAuditoriumScope = async (raw) => {
+    let ids = raw;
+    if (ids === undefined || ids === null || ids === '') { return { valid: true, auditoriums: [] }; }
+    if (typeof ids === 'string') {
+        try { ids = JSON.parse(ids); } catch (e) { return { valid: false, message: 'auditoriums must be a JSON array of auditorium IDs.' }; }
+    }
+    if (!Array.isArray(ids)) { return { valid: false, message: 'auditoriums must be an array of auditorium IDs.' }; }
+    const unique = [...new Set(ids.map(String))];
+    if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) { return { valid: false, message: 'Invalid Auditorium ID format in auditoriums.' }; }
+    const found = await Auditorium.countDocuments({ _id: { $in: unique } });
+    if (found !== unique.length) { return { valid: false, message: 'One or more auditoriums do not exist.' }; }
+    return { valid: true, auditoriums: unique };
+};
+
+// --- Helper: Parse a start/end pair (IST wall-clock unless an offset is given) ---
+const parseRange = (startTime, endTime) => {
+    const start = DateTime.fromISO(startTime || '', { zone: istTimezone });
+    const end = DateTime.fromISO(endTime || '', { zone: istTimezone });
+    if (!start.isValid || !end.isValid) { return { valid: false, message: 'Invalid startTime or endTime format. Use ISO 8601.' }; }
+    if (start >= end) { return { valid: false, message: 'End time must be strictly after start time.' }; }
+    return { valid: true, start: start.toUTC().toJSDate(), end: end.toUTC().toJSDate() };
+};
+
+/**
+ * @desc    List blackout periods, optionally for one auditorium and/or a date range
+ * @route   GET /api/blackouts?auditoriumId=&from=&to=
+ * @access  Private
+ */
+exports.getBlackouts = async (req, res, next) => {
+    const { auditoriumId, from, to } = req.query;
+    const query = {};
+    if (auditoriumId) {
+        if (!mongoose.Types.ObjectId.isValid(auditoriumId)) { return res.status(400).json({ success: false, message: 'Invalid Auditorium ID format.' }); }
+        query.$or = [{ auditoriums: { $size: 0 } }, { auditoriums: auditoriumId }];
+    }
+    if (from) {
+        const fromDt = DateTime.fromISO(from, { zone: istTimezone });
+        if (!fromDt.isValid) { return res.status(400).json({ success: false, message: 'Invalid from date.' }); }
+        query.endTime = { $gt: fromDt.toUTC().toJSDate() };
+    }
+    if (to) {
+        const toDt = DateTime.fromISO(to, { zone: istTimezone });
+        if (!toDt.isValid) { return res.status(400).json({ success: false, message: 'Invalid to date.' }); }
+        query.startTime = { $lt: toDt.toUTC().toJSDate() };
+    }
+    try {
+        const blackouts = await BlackoutPeriod.find(query).populate('auditoriums', 'name').sort({ startTime: 1 });
+        res.status(200).json({ success: true, count: blackouts.length, data: blackouts });
+    } catch (error) {
+        console.error('[Error] Fetching blackout periods failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving blackout periods.' });
+    }
+};
+
+/**
+ * @desc    Create a blackout period
+ * @route   POST /api/blackouts
+ * @access  Private/Admin
+ */
+exports.createBlackout = async (req, res, next) => {
+    const { title, reason, category, startTime, endTime, auditoriums } = req.body;
+    if (!title || !reason || !startTime || !endTime) { return res.status(400).json({ success: false, message: 'Title, reason, startTime and endTime are required.' }); }
+    if (category && !BLACKOUT_CATEGORIES.includes(category)) { return res.status(400).json({ success: false, message: `Category must be one of: ${BLACKOUT_CATEGORIES.join(', ')}.` }); }
+    const range = parseRange(startTime, endTime);
+    if (!range.valid) { return res.status(400).json({ success: false, message: range.message }); }
+    try {
+        const scope = await parseAuditoriumScope(auditoriums);
+        if (!scope.valid) { return res.status(400).json({ success: false, message: scope.message }); }
+        const blackout = await BlackoutPeriod.create({
+            title, reason, category, startTime: range.start, endTime: range.end, auditoriums: scope.auditoriums, source: 'manual', createdBy: req.user._id
+        });
+        const populated = await blackout.populate('auditoriums', 'name');
+        res.status(201).json({ success: true, message: `Blackout period '${blackout.title}' created.`, data: populated });
+    } catch (error) {
+        console.error('[Error] Creating blackout period failed:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while creating the blackout period.' });
+    }
+};
+
+/**
+ * @desc    Update a blackout period
+ * @route   PUT /api/blackouts/:id
+ * @access  Private/Admin
+ */
+exports.updateBlackout = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid blackout ID format.' }); }
+    const { title, reason, category, startTime, endTime, auditoriums } = req.body;
+    if (category && !BLACKOUT_CATEGORIES.includes(category)) { return res.status(400).json({ success: false, message: `Category must be one of: ${BLACKOUT_CATEGORIES.join(', ')}.` }); }
+    try {
+        const blackout = await BlackoutPeriod.findById(id);
+        if (!blackout) { return res.status(404).json({ success: false, message: `Blackout period with ID ${id} not found.` }); }
+        if (startTime || endTime) {
+            const range = parseRange(startTime || blackout.startTime.toISOString(), endTime || blackout.endTime.toISOString());
+            if (!range.valid) { return res.status(400).json({ success: false, message: range.message }); }
+            blackout.startTime = range.start;
+            blackout.endTime = range.end;
+        }
+        if (auditoriums !== undefined) {
+            const scope = await parseAuditoriumScope(auditoriums);
+            if (!scope.valid) { return res.status(400).json({ success: false, message: scope.message }); }
+            blackout.auditoriums = scope.auditoriums;
+        }
+        if (title !== undefined) blackout.title = title;
+        if (reason !== undefined) blackout.reason = reason;
+        if (category !== undefined) blackout.category = category;
+        await blackout.save();
+        const populated = await blackout.populate('auditoriums', 'name');
+        res.status(200).json({ success: true, message: `Blackout period '${blackout.title}' updated.`, data: populated });
+    } catch (error) {
+        console.error(`[Error] Updating blackout period ${id} failed:`, error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while updating the blackout period.' });
+    }
+};
+
+/**
+ * @desc    Delete a blackout period
+ * @route   DELETE /api/blackouts/:id
+ * @access  Private/Admin
+ */
+exports.deleteBlackout = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid blackout ID format.' }); }
+    try {
+        const blackout = await BlackoutPeriod.findByIdAndDelete(id);
+        if (!blackout) { return res.status(404).json({ success: false, message: `Blackout period with ID ${id} not found.` }); }
+        res.status(200).json({ success: true, message: `Blackout period '${blackout.title}' deleted.` });
+    } catch (error) {
+        console.error(`[Error] Deleting blackout period ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while deleting the blackout period.' });
+    }
+};
+
+/**
+ * @desc    Bulk import blackout periods from an iCalendar (.ics) file
+ * @route   POST /api/blackouts/import (multipart: icsFile, optional auditoriums, category, reason)
+ * @access  Private/Admin
+ * Events are matched on their UID, so importing the same calendar again updates existing periods.
+ */
+exports.importBlackouts = async (req, res, next) => {
+    if (!req.file) { return res.status(400).json({ success: false, message: 'Please upload an .ics file (field name: icsFile).' }); }
+    const category = req.body.category || 'holiday';
+    if (!BLACKOUT_CATEGORIES.includes(category)) { return res.status(400).json({ success: false, message: `Category must be one of: ${BLACKOUT_CATEGORIES.join(', ')}.` }); }
+
+    const { events, skipped } = parseIcsEvents(req.file.buffer.toString('utf8'));
+    if (events.length === 0) { return res.status(400).json({ success: false, message: `No importable events found in the calendar (${skipped} skipped).` }); }
+
+    try {
+        const scope = await parseAuditoriumScope(req.body.auditoriums);
+        if (!scope.valid) { return res.status(400).json({ success: false, message: scope.message }); }
+
+        let created = 0;
+        let updated = 0;
+        for (const event of events) {
+            const fields = {
+                title: event.summary.slice(0, 150),
+                reason: (event.description || req.body.reason || event.summary).slice(0, 500),
+                category,
+                startTime: event.start,
+                endTime: event.end,
+                auditoriums: scope.auditoriums,
+                source: 'ics'
+            };
+            const existing = event.uid ? await BlackoutPeriod.findOne({ icsUid: event.uid }) : null;
+            if (existing) {
+                existing.set(fields);
+                await existing.save();
+                updated++;
+            } else {
+                await BlackoutPeriod.create({ ...fields, icsUid: event.uid, createdBy: req.user._id });
+                created++;
+            }
+        }
+
+        console.log(`[Blackout Import] ${created} created, ${updated} updated, ${skipped} skipped by ${req.user._id}.`);
+        res.status(200).json({
+            success: true,
+            message: `Imported ${created + updated} blackout period(s): ${created} new, ${updated} updated, ${skipped} skipped.`,
+            data: { created, updated, skipped }
+        });
+    } catch (error) {
+        console.error('[Error] Importing blackout periods failed:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while importing the calendar.' });
+    }
+};
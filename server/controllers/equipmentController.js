@@ -0,0 +1,240 @@
+// server/controllers/equipmentController.js
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const Equipment = require('../models/Equipment');
+const Auditorium = require('../models/Auditorium');
+const Booking = require('../models/Booking');
+const { getEquipmentAvailability } = require('../services/equipmentService');
+const { getBookingIntervals, overlapFilter } = require('../services/conflictService');
+const { getBookingScopeFilter } = require('../services/permissionService');
+
+const istTimezone = 'Asia/Kolkata';
+const OPEN_STATUSES = ['pending', 'awaiting-requester', 'approved'];
+const MAX_AVAILABILITY_WINDOWS = 14;
+
+// --- Helper: Validate the hall an item is fixed to (empty = portable) ---
+const parseAuditoriumField = async (raw) => {
+    if (raw === undefined || raw === null || raw === '') { return { valid: true, auditorium: null }; }
+    if (!mongoose.Types.ObjectId.isValid(raw)) { return { valid: false, message: 'Invalid Auditorium ID format.' }; }
+    const exists = await Auditorium.exists({ _id: raw });
+    if (!exists) { return { valid: false, message: 'The selected auditorium does not exist.' }; }
+    return { valid: true, auditorium: raw };
+};
+
+// --- Helper: Parse the time windows to check (IST wall-clock unless an offset is given) ---
+// Accepts either startTime/endTime or `segments` as a JSON array of { startTime, endTime } for multi-day requests.
+const parseWindows = ({ startTime, endTime, segments }) => {
+    let pairs = [{ startTime, endTime }];
+    if (segments) {
+        try { pairs = JSON.parse(segments); } catch (e) { return { valid: false, message: 'segments must be a JSON array of { startTime, endTime }.' }; }
+        if (!Array.isArray(pairs) || pairs.length === 0) { return { valid: false, message: 'segments must be a JSON array of { startTime, endTime }.' }; }
+        if (pairs.length > MAX_AVAILABILITY_WINDOWS) { return { valid: false, message: `At most ${MAX_AVAILABILITY_WINDOWS} segments can be checked at once.` }; }
+    }
+    const intervals = [];
+    for (const pair of pairs) {
+        const start = DateTime.fromISO(pair?.startTime || '', { zone: istTimezone });
+        const end = DateTime.fromISO(pair?.endTime || '', { zone: istTimezone });
+        if (!start.isValid || !end.isValid) { return { valid: false, message: 'Invalid startTime or endTime format. Use ISO 8601.' }; }
+        if (start >= end) { return { valid: false, message: 'End time must be strictly after start time.' }; }
+        intervals.push({ start: start.toUTC().toJSDate(), end: end.toUTC().toJSDate() });
+    }
+    return { valid: true, intervals };
+};
+
+const sendValidationError = (res, error) => {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ success: false, message: messages.join('. ') });
+};
+
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+/**
+ * @desc    List equipment, optionally only what one hall can use (its fixed items plus the portable pool)
+ * @route   GET /api/equipment?auditoriumId=&includeInactive=true
+ * @access  Private
+ */
+exports.getEquipment = async (req, res, next) => {
+    const { auditoriumId, includeInactive } = req.query;
+    const query = {};
+    if (auditoriumId) {
+        if (!mongoose.Types.ObjectId.isValid(auditoriumId)) { return res.status(400).json({ success: false, message: 'Invalid Auditorium ID format.' }); }
+        query.$or = [{ auditorium: null }, { auditorium: auditoriumId }];
+    }
+    if (includeInactive !== 'true') { query.isActive = true; }
+    try {
+        const equipment = await Equipment.find(query).populate('auditorium', 'name').sort({ category: 1, name: 1 });
+        res.status(200).json({ success: true, count: equipment.length, data: equipment });
+    } catch (error) {
+        console.error('[Error] Fetching equipment failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving equipment.' });
+    }
+};
+
+/**
+ * @desc    How many units of each item a hall can still reserve for a time window
+ * @route   GET /api/equipment/availability?auditoriumId=&startTime=&endTime= (or &segments=[...])
+ * @access  Private
+ */
+exports.getAvailability = async (req, res, next) => {
+    const { auditoriumId, excludeBookingId } = req.query;
+    if (!auditoriumId || !mongoose.Types.ObjectId.isValid(auditoriumId)) { return res.status(400).json({ success: false, message: 'A valid auditoriumId is required.' }); }
+    if (excludeBookingId && !mongoose.Types.ObjectId.isValid(excludeBookingId)) { return res.status(400).json({ success: false, message: 'Invalid booking ID format.' }); }
+    const windows = parseWindows(req.query);
+    if (!windows.valid) { return res.status(400).json({ success: false, message: windows.message }); }
+    try {
+        const equipment = await getEquipmentAvailability(auditoriumId, windows.intervals, excludeBookingId || null);
+        res.status(200).json({ success: true, count: equipment.length, data: equipment });
+    } catch (error) {
+        console.error('[Error] Checking equipment availability failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while checking equipment availability.' });
+    }
+};
+
+/**
+ * @desc    Equipment to pull for one day: approved bookings grouped by item
+ * @route   GET /api/equipment/pull-list?date=YYYY-MM-DD
+ * @access  Private (bookings:read - coordinators / venue managers see their own scope)
+ */
+exports.getPullList = async (req, res, next) => {
+    const day = DateTime.fromISO(req.query.date || '', { zone: istTimezone });
+    if (!day.isValid) { return res.status(400).json({ success: false, message: 'A valid date (YYYY-MM-DD) is required.' }); }
+    const dayStart = day.startOf('day').toUTC().toJSDate();
+    const dayEnd = day.endOf('day').toUTC().toJSDate();
+    try {
+        const bookings = await Booking.find({
+            $and: [
+                { status: 'approved', 'equipment.0': { $exists: true } },
+                overlapFilter(dayStart, dayEnd),
+                getBookingScopeFilter(req.user)
+            ]
+        })
+            .populate('auditorium', 'name location')
+            .populate('user', 'username email')
+            .populate('equipment.item', 'name category auditorium')
+            .sort({ startTime: 1 });
+
+        const items = new Map();
+        for (const booking of bookings) {
+            // Multi-day bookings only need their equipment during today's segment
+            const window = getBookingIntervals(booking).find(({ start, end }) => start <= dayEnd && end > dayStart);
+            if (!window) { continue; }
+            for (const line of booking.equipment) {
+                const id = String(line.item?._id || line.item);
+                if (!items.has(id)) {
+                    items.set(id, {
+                        item: id,
+                        name: line.item?.name || line.name,
+                        category: line.item?.category || 'other',
+                        portable: !line.item?.auditorium,
+                        totalQuantity: 0,
+                        bookings: []
+                    });
+                }
+                const entry = items.get(id);
+                entry.totalQuantity += line.quantity;
+                entry.bookings.push({
+                    booking: booking._id,
+                    eventName: booking.eventName,
+                    auditorium: booking.auditorium,
+                    requester: booking.user,
+                    startTime: window.start,
+                    endTime: window.end,
+                    quantity: line.quantity
+                });
+            }
+        }
+        const data = [...items.values()].sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+        res.status(200).json({ success: true, date: day.toISODate(), count: data.length, data });
+    } catch (error) {
+        console.error('[Error] Building equipment pull list failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while building the pull list.' });
+    }
+};
+
+/**
+ * @desc    Add an equipment item
+ * @route   POST /api/equipment
+ * @access  Private (equipment:manage)
+ */
+exports.createEquipment = async (req, res, next) => {
+    const { name, description, category, quantity, auditorium } = req.body;
+    if (!name || quantity === undefined || quantity === '') { return res.status(400).json({ success: false, message: 'Name and quantity are required.' }); }
+    try {
+        const scope = await parseAuditoriumField(auditorium);
+        if (!scope.valid) { return res.status(400).json({ success: false, message: scope.message }); }
+        const item = await Equipment.create({ name, description, category, quantity: Number(quantity), auditorium: scope.auditorium });
+        const populated = await item.populate('auditorium', 'name');
+        console.log(`[Admin] Equipment '${item.name}' (${item.quantity}) added by ${req.user.email}.`);
+        res.status(201).json({ success: true, message: `Equipment '${item.name}' added.`, data: populated });
+    } catch (error) {
+        console.error('[Error] Creating equipment failed:', error);
+        if (error.name === 'ValidationError') { return sendValidationError(res, error); }
+        if (isDuplicateKeyError(error)) { return res.status(409).json({ success: false, message: `An item named '${name}' already exists ${auditorium ? 'in that hall' : 'in the portable pool'}.` }); }
+        res.status(500).json({ success: false, message: 'Server error while adding equipment.' });
+    }
+};
+
+/**
+ * @desc    Update an equipment item (name, stock, hall, retire / reactivate)
+ * @route   PUT /api/equipment/:id
+ * @access  Private (equipment:manage)
+ */
+exports.updateEquipment = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid equipment ID format.' }); }
+    const { name, description, category, quantity, auditorium, isActive } = req.body;
+    try {
+        const item = await Equipment.findById(id);
+        if (!item) { return res.status(404).json({ success: false, message: `Equipment with ID ${id} not found.` }); }
+
+        if (auditorium !== undefined) {
+            const scope = await parseAuditoriumField(auditorium);
+            if (!scope.valid) { return res.status(400).json({ success: false, message: scope.message }); }
+            // Fixing an item to a hall must not strand reservations made for other halls
+            if (scope.auditorium && String(scope.auditorium) !== String(item.auditorium)) {
+                const elsewhere = await Booking.countDocuments({ 'equipment.item': item._id, auditorium: { $ne: scope.auditorium }, status: { $in: OPEN_STATUSES }, endTime: { $gt: new Date() } });
+                if (elsewhere > 0) {
+                    return res.status(409).json({ success: false, message: `${elsewhere} upcoming booking(s) in other halls have reserved '${item.name}'. It cannot be fixed to one hall until they are over or changed.`, upcomingBookings: elsewhere });
+                }
+            }
+            item.auditorium = scope.auditorium;
+        }
+        if (name !== undefined) item.name = name;
+        if (description !== undefined) item.description = description;
+        if (category !== undefined) item.category = category;
+        if (quantity !== undefined && quantity !== '') item.quantity = Number(quantity);
+        if (isActive !== undefined) item.isActive = isActive === true || isActive === 'true';
+        await item.save();
+        const populated = await item.populate('auditorium', 'name');
+        res.status(200).json({ success: true, message: `Equipment '${item.name}' updated.`, data: populated });
+    } catch (error) {
+        console.error(`[Error] Updating equipment ${id} failed:`, error);
+        if (error.name === 'ValidationError') { return sendValidationError(res, error); }
+        if (isDuplicateKeyError(error)) { return res.status(409).json({ success: false, message: 'Another item with that name already exists in the same hall or pool.' }); }
+        res.status(500).json({ success: false, message: 'Server error while updating equipment.' });
+    }
+};
+
+/**
+ * @desc    Delete an equipment item that no booking has ever reserved (retire it otherwise)
+ * @route   DELETE /api/equipment/:id
+ * @access  Private (equipment:manage)
+ */
+exports.deleteEquipment = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid equipment ID format.' }); }
+    try {
+        const item = await Equipment.findById(id);
+        if (!item) { return res.status(404).json({ success: false, message: `Equipment with ID ${id} not found.` }); }
+        const historyCount = await Booking.countDocuments({ 'equipment.item': item._id });
+        if (historyCount > 0) {
+            return res.status(409).json({ success: false, message: `'${item.name}' appears on ${historyCount} booking(s). Retire it instead so those records stay intact.`, historyCount });
+        }
+        await item.deleteOne();
+        console.log(`[Admin] Equipment '${item.name}' deleted by ${req.user.email}.`);
+        res.status(200).json({ success: true, message: `Equipment '${item.name}' deleted.` });
+    } catch (error) {
+        console.error(`[Error] Deleting equipment ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while deleting equipment.' });
+    }
+};
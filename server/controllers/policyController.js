@@ -0,0 +1,181 @@
+// server/controllers/policyController.js
+const mongoose = require('mongoose');
+const BookingPolicy = require('../models/BookingPolicy');
+const Auditorium = require('../models/Auditorium');
+const Department = require('../models/Department');
+const { DEFAULT_POLICY, getEffectivePolicy } = require('../services/policyService');
+
+// Fields an admin may edit; anything else in the request body is ignored
+const NUMERIC_FIELDS = ['openingHour', 'closingHour', 'leadTimeHours', 'maxAdvanceMonths', 'minDurationMinutes', 'maxDurationMinutes', 'setupBufferMinutes', 'teardownBufferMinutes', 'counterProposalHours'];
+
+// --- Helper: Normalize and cross-check a policy payload ---
+const buildPolicyUpdate = async (body = {}) => {
+    const update = {};
+    for (const field of NUMERIC_FIELDS) {
+        if (body[field] === undefined) continue;
+        // An empty max duration means "no limit"
+        if (field === 'maxDurationMinutes' && (body[field] === null || body[field] === '')) { update[field] = null; continue; }
+        const value = Number(body[field]);
+        if (!Number.isFinite(value)) { return { valid: false, message: `${field} must be a number.` }; }
+        update[field] = value;
+    }
+
+    if (body.blackoutWeekdays !== undefined) {
+        if (!Array.isArray(body.blackoutWeekdays)) { return { valid: false, message: 'blackoutWeekdays must be an array.' }; }
+        update.blackoutWeekdays = [...new Set(body.blackoutWeekdays.map(Number))].sort((a, b) => a - b);
+    }
+
+    if (body.departmentQuotas !== undefined) {
+        if (!Array.isArray(body.departmentQuotas)) { return { valid: false, message: 'departmentQuotas must be an array.' }; }
+        const departmentIds = body.departmentQuotas.map(q => q?.department);
+        if (departmentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) { return { valid: false, message: 'Each quota needs a valid department ID.' }; }
+        if (new Set(departmentIds.map(String)).size !== departmentIds.length) { return { valid: false, message: 'Each department can only have one quota.' }; }
+        const found = await Department.countDocuments({ _id: { $in: departmentIds } });
+        if (found !== departmentIds.length) { return { valid: false, message: 'One or more quota departments do not exist.' }; }
+        update.departmentQuotas = body.departmentQuotas.map(q => ({ department: q.department, maxBookings: Number(q.maxBookings), period: q.period || 'month' }));
+    }
+
+    if (body.priorityRules !== undefined) {
+        if (!Array.isArray(body.priorityRules)) { return { valid: false, message: 'priorityRules must be an array.' }; }
+        update.priorityRules = body.priorityRules.map(String);
+    }
+
+    return { valid: true, update };
+};
+
+// --- Helper: Cross-field checks on the merged result (schema validators cover single fields) ---
+const checkPolicyConsistency = (policy) => {
+    if (policy.openingHour >= policy.closingHour) { return 'Closing hour must be after opening hour.'; }
+    if (policy.maxDurationMinutes && policy.minDurationMinutes > policy.maxDurationMinutes) { return 'Minimum duration cannot exceed maximum duration.'; }
+    return null;
+};
+
+// --- Helper: Shared upsert for global and auditorium policies ---
+const savePolicy = async (auditoriumId, req, res) => {
+    const built = await buildPolicyUpdate(req.body);
+    if (!built.valid) { return res.status(400).json({ success: false, message: built.message }); }
+
+    const existing = await BookingPolicy.findOne({ auditorium: auditoriumId });
+    // A new auditorium override starts from the current effective (global) rules
+    const base = existing ? existing.toObject() : await getEffectivePolicy(null);
+    const consistencyError = checkPolicyConsistency({ ...DEFAULT_POLICY, ...base, ...built.update });
+    if (consistencyError) { return res.status(400).json({ success: false, message: consistencyError }); }
+
+    let policy = existing;
+    if (!policy) {
+        const { _id, __v, createdAt, updatedAt, source, ...inherited } = base;
+        policy = new BookingPolicy({ ...inherited, auditorium: auditoriumId });
+    }
+    policy.set({ ...built.update, updatedBy: req.user._id });
+    await policy.save();
+
+    const populated = await BookingPolicy.findById(policy._id).populate('auditorium', 'name location').populate('departmentQuotas.department', 'name code');
+    return res.status(existing ? 200 : 201).json({
+        success: true,
+        message: auditoriumId ? `Booking policy for '${populated.auditorium?.name || 'auditorium'}' saved.` : 'Global booking policy saved.',
+        data: populated
+    });
+};
+
+/**
+ * @desc    List the global policy and every auditorium override
+ * @route   GET /api/policies
+ * @access  Private/Admin
+ */
+exports.getPolicies = async (req, res, next) => {
+    try {
+        const policies = await BookingPolicy.find()
+            .populate('auditorium', 'name location')
+            .populate('departmentQuotas.department', 'name code')
+            .populate('updatedBy', 'username email')
+            .lean();
+        const globalPolicy = policies.find(p => !p.auditorium) || null;
+        res.status(200).json({
+            success: true,
+            count: policies.length,
+            data: {
+                defaults: DEFAULT_POLICY,
+                global: globalPolicy,
+                auditoriums: policies.filter(p => p.auditorium)
+            }
+        });
+    } catch (error) {
+        console.error('[Error] Fetching booking policies failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving booking policies.' });
+    }
+};
+
+/**
+ * @desc    Get the rules that currently apply to an auditorium
+ * @route   GET /api/policies/effective/:auditoriumId
+ * @access  Private
+ */
+exports.getEffectivePolicyForAuditorium = async (req, res, next) => {
+    const { auditoriumId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(auditoriumId)) { return res.status(400).json({ success: false, message: 'Invalid Auditorium ID format.' }); }
+    try {
+        const policy = await getEffectivePolicy(auditoriumId);
+        res.status(200).json({ success: true, data: policy });
+    } catch (error) {
+        console.error(`[Error] Resolving policy for auditorium ${auditoriumId} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while resolving the booking policy.' });
+    }
+};
+
+/**
+ * @desc    Create or update the global default policy
+ * @route   PUT /api/policies/global
+ * @access  Private/Admin
+ */
+exports.updateGlobalPolicy = async (req, res, next) => {
+    try {
+        return await savePolicy(null, req, res);
+    } catch (error) {
+        console.error('[Error] Saving global booking policy failed:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while saving the global policy.' });
+    }
+};
+
+/**
+ * @desc    Create or update an auditorium's policy override
+ * @route   PUT /api/policies/auditorium/:auditoriumId
+ * @access  Private/Admin
+ */
+exports.updateAuditoriumPolicy = async (req, res, next) => {
+    const { auditoriumId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(auditoriumId)) { return res.status(400).json({ success: false, message: 'Invalid Auditorium ID format.' }); }
+    try {
+        const auditorium = await Auditorium.findById(auditoriumId).select('_id');
+        if (!auditorium) { return res.status(404).json({ success: false, message: `Auditorium with ID ${auditoriumId} not found.` }); }
+        return await savePolicy(auditorium._id, req, res);
+    } catch (error) {
+        console.error(`[Error] Saving policy for auditorium ${auditoriumId} failed:`, error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while saving the auditorium policy.' });
+    }
+};
+
+/**
+ * @desc    Remove an auditorium override so it falls back to the global policy
+ * @route   DELETE /api/policies/auditorium/:auditoriumId
+ * @access  Private/Admin
+ */
+exports.deleteAuditoriumPolicy = async (req, res, next) => {
+    const { auditoriumId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(auditoriumId)) { return res.status(400).json({ success: false, message: 'Invalid Auditorium ID format.' }); }
+    try {
+        const result = await BookingPolicy.deleteOne({ auditorium: auditoriumId });
+        if (result.deletedCount === 0) { return res.status(404).json({ success: false, message: 'This auditorium has no policy override.' }); }
+        res.status(200).json({ success: true, message: 'Auditorium policy removed. The global policy now applies.' });
+    } catch (error) {
+        console.error(`[Error] Removing policy for auditorium ${auditoriumId} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while removing the auditorium policy.' });
+    }
+};
@@ -0,0 +1,96 @@
+// server/controllers/ssoController.js
+const User = require('../models/User');
+const { issueSession } = require('../services/tokenService');
+const {
+    OIDC_PROVIDER_NAME,
+    isOidcEnabled,
+    buildAuthorizationUrl,
+    completeAuthorization,
+    provisionUser,
+    createExchangeCode,
+    redeemExchangeCode
+} = require('../services/oidcService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const SSO_DISABLED_MESSAGE = 'Campus SSO is not configured on this server.';
+
+// --- Helper: Send the browser back to the frontend callback page (results travel in the URL fragment) ---
+const redirectToFrontend = (res, params) => res.redirect(`${FRONTEND_URL}/sso/callback#${new URLSearchParams(params).toString()}`);
+
+/**
+ * @desc    Whether SSO login is available, and the label for the login button
+ * @route   GET /api/auth/oidc/config
+ * @access  Public
+ */
+exports.getSsoConfig = (req, res, next) => {
+    res.status(200).json({ success: true, data: { enabled: isOidcEnabled(), providerName: OIDC_PROVIDER_NAME } });
+};
+
+/**
+ * @desc    Start SSO login by redirecting to the identity provider
+ * @route   GET /api/auth/oidc/login
+ * @access  Public
+ */
+exports.startSsoLogin = async (req, res, next) => {
+    if (!isOidcEnabled()) { return res.status(404).json({ success: false, message: SSO_DISABLED_MESSAGE }); }
+    try {
+        res.redirect(await buildAuthorizationUrl());
+    } catch (error) {
+        console.error('[Error] Starting SSO login failed:', error);
+        redirectToFrontend(res, { error: 'The campus identity provider could not be reached. Please try again later.' });
+    }
+};
+
+/**
+ * @desc    Identity provider redirect target: verifies the login, provisions or links the user and
+ *          hands the frontend a one-time code for the session tokens
+ * @route   GET /api/auth/oidc/callback
+ * @access  Public
+ */
+exports.ssoCallback = async (req, res, next) => {
+    if (!isOidcEnabled()) { return res.status(404).json({ success: false, message: SSO_DISABLED_MESSAGE }); }
+    const { code, state, error, error_description: errorDescription } = req.query;
+    if (error) {
+        console.warn(`[SSO] Identity provider returned an error: ${error} ${errorDescription || ''}`);
+        return redirectToFrontend(res, { error: errorDescription || 'Sign-in was cancelled or refused by the identity provider.' });
+    }
+
+    try {
+        const claims = await completeAuthorization({ code, state });
+        const { user, error: provisionError } = await provisionUser(claims);
+        if (provisionError) { return redirectToFrontend(res, { error: provisionError }); }
+        if (user.isSuspended) {
+            console.log(`[SSO] Login DENIED: User ${user._id} (${user.username}) is suspended.`);
+            return redirectToFrontend(res, { error: 'Your account has been suspended. Please contact the administration.' });
+        }
+        console.log(`[SSO] Login successful for ID: ${user._id}, Role: ${user.role}`);
+        redirectToFrontend(res, { code: createExchangeCode(String(user._id)) });
+    } catch (err) {
+        console.error('[Error] SSO callback failed:', err);
+        redirectToFrontend(res, { error: err.isUserFacing ? err.message : 'Campus sign-in failed. Please try again.' });
+    }
+};
+
+/**
+ * @desc    Trade the one-time code from the SSO callback for an access token and refresh token
+ * @route   POST /api/auth/oidc/exchange
+ * @access  Public (one-time code in body)
+ */
+exports.exchangeSsoCode = async (req, res, next) => {
+    const userId = redeemExchangeCode(req.body?.code);
+    if (!userId) { return res.status(400).json({ success: false, message: 'This sign-in link has expired. Please sign in again.' }); }
+    try {
+        const user = await User.findById(userId);
+        if (!user || user.isSuspended) { return res.status(403).json({ success: false, message: 'This account cannot sign in.' }); }
+        const { token, refreshToken } = await issueSession(user, req);
+        res.status(200).json({
+            success: true,
+            token,
+            refreshToken,
+            user: { _id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.hasVerifiedEmail() }
+        });
+    } catch (error) {
+        console.error('[Error] SSO code exchange failed:', error);
+        res.status(500).json({ success: false, message: 'Server error during sign-in.' });
+    }
+};
@@ -0,0 +1,303 @@
+// server/controllers/userController.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Department = require('../models/Department');
+const Auditorium = require('../models/Auditorium');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const RefreshToken = require('../models/RefreshToken');
+const { ROLE_PERMISSIONS } = require('../services/permissionService');
+const { revokeAllSessions } = require('../services/tokenService');
+const { clearLockout, isLocked } = require('../services/loginProtectionService');
+const { sendPasswordResetEmail, sendAccountStatusEmail } = require('../utils/emailService');
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const ADMIN_RESET_LINK_MINUTES = 24 * 60; // Admin-triggered links last a day so the user has time to see the email
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// --- Helper: Escape user input before using it in a $regex ---
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Helper: Populate a user query for responses ---
+const populateUser = (query) => query
+    .populate('departments', 'name code')
+    .populate('auditoriums', 'name location')
+    .populate('suspendedBy', 'username email');
+
+// --- Helper: Refuse changes that would leave the system without an active admin ---
+const isLastActiveAdmin = async (user) => user.role === 'admin' && !user.isSuspended
+    && (await User.countDocuments({ role: 'admin', isSuspended: { $ne: true }, _id: { $ne: user._id } })) === 0;
+
+// --- Helper: Validate a list of referenced IDs ---
+const resolveIds = async (Model, ids, label) => {
+    const list = [...new Set((Array.isArray(ids) ? ids : []).map(String))];
+    if (list.some(id => !mongoose.Types.ObjectId.isValid(id))) { return { error: `Invalid ${label} ID format.` }; }
+    const found = await Model.countDocuments({ _id: { $in: list } });
+    if (found !== list.length) { return { error: `One or more ${label}s were not found.` }; }
+    return { ids: list };
+};
+
+/**
+ * @desc    List users with optional search (username/email), role and status filters
+ * @route   GET /api/users?search=&role=&status=active|suspended|locked&page=&limit=
+ * @access  Private/Admin
+ */
+exports.getUsers = async (req, res, next) => {
+    const { search, role, status } = req.query;
+    const pageParam = parseInt(req.query.page, 10);
+    const limitParam = parseInt(req.query.limit, 10);
+    const page = (!isNaN(pageParam) && pageParam > 0) ? pageParam : 1;
+    const limit = (!isNaN(limitParam) && limitParam > 0) ? Math.min(limitParam, 100) : 25;
+    const query = {};
+    if (search && search.trim()) {
+        const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+        query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+        if (!ROLES.includes(role)) { return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}.` }); }
+        query.role = role;
+    }
+    if (status) {
+        if (!['active', 'suspended', 'locked'].includes(status)) { return res.status(400).json({ success: false, message: "status must be 'active', 'suspended' or 'locked'." }); }
+        if (status === 'locked') { query.lockUntil = { $gt: new Date() }; } // Temporary brute-force lockouts
+        else { query.isSuspended = status === 'suspended' ? true : { $ne: true }; }
+    }
+    try {
+        const [total, users] = await Promise.all([
+            User.countDocuments(query),
+            populateUser(User.find(query)).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean()
+        ]);
+        const counts = await Booking.aggregate([
+            { $match: { user: { $in: users.map(u => u._id) } } },
+            { $group: { _id: '$user', count: { $sum: 1 } } }
+        ]);
+        const countByUser = new Map(counts.map(c => [String(c._id), c.count]));
+        const data = users.map(u => ({ ...u, bookingCount: countByUser.get(String(u._id)) || 0 }));
+        res.status(200).json({ success: true, count: data.length, total, page, pages: Math.ceil(total / limit), data });
+    } catch (error) {
+        console.error('[Error] Fetching users failed:', error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving users.' });
+    }
+};
+
+/**
+ * @desc    Get a single user
+ * @route   GET /api/users/:id
+ * @access  Private/Admin
+ */
+exports.getUserById = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    try {
+        const user = await populateUser(User.findById(id));
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        res.status(200).json({ success: true, data: user });
+    } catch (error) {
+        console.error(`[Error] Fetching user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while retrieving the user.' });
+    }
+};
+
+/**
+ * @desc    Change a user's role and, for coordinators / venue managers, their department or auditorium assignments
+ * @route   PUT /api/users/:id/role
+ * @access  Private/Admin
+ */
+exports.updateUserRole = async (req, res, next) => {
+    const { id } = req.params;
+    const { role, departments, auditoriums } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    if (!ROLES.includes(role)) { return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}.` }); }
+    try {
+        const user = await User.findById(id);
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        if (role !== 'admin' && await isLastActiveAdmin(user)) { return res.status(409).json({ success: false, message: 'This is the last active admin. Promote someone else first.' }); }
+
+        const deptResult = role === 'coordinator' ? await resolveIds(Department, departments, 'department') : { ids: [] };
+        if (deptResult.error) { return res.status(400).json({ success: false, message: deptResult.error }); }
+        const audiResult = role === 'venue-manager' ? await resolveIds(Auditorium, auditoriums, 'auditorium') : { ids: [] };
+        if (audiResult.error) { return res.status(400).json({ success: false, message: audiResult.error }); }
+        if (role === 'coordinator' && deptResult.ids.length === 0) { return res.status(400).json({ success: false, message: 'Assign at least one department to a coordinator.' }); }
+        if (role === 'venue-manager' && audiResult.ids.length === 0) { return res.status(400).json({ success: false, message: 'Assign at least one auditorium to a venue manager.' }); }
+
+        const previousRole = user.role;
+        user.role = role;
+        user.departments = deptResult.ids;
+        user.auditoriums = audiResult.ids;
+        user.roleManagedByIdp = false; // SSO logins must not undo a role set here
+        await user.save();
+        // A changed role signs the user out everywhere so no session keeps the old role's access
+        if (previousRole !== role) { await revokeAllSessions(user._id, 'account-change'); }
+        console.log(`[Admin] ${req.user.email} changed role of ${user.email}: ${previousRole} -> ${role}.`);
+        const populated = await populateUser(User.findById(user._id));
+        res.status(200).json({ success: true, message: `${user.username} is now ${role === 'admin' || role === 'auditor' ? 'an' : 'a'} ${role}.`, data: populated });
+    } catch (error) {
+        console.error(`[Error] Updating role of user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while updating the user role.' });
+    }
+};
+
+/**
+ * @desc    Suspend a user: they can no longer log in and their existing sessions stop working
+ * @route   PUT /api/users/:id/suspend
+ * @access  Private/Admin
+ */
+exports.suspendUser = async (req, res, next) => {
+    const { id } = req.params;
+    const reason = req.body?.reason?.trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    if (!reason) { return res.status(400).json({ success: false, message: 'A suspension reason is required.' }); }
+    if (req.user._id.equals(id)) { return res.status(400).json({ success: false, message: 'You cannot suspend your own account.' }); }
+    try {
+        const user = await User.findById(id);
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        if (user.isSuspended) { return res.status(400).json({ success: false, message: `${user.username} is already suspended.` }); }
+        if (await isLastActiveAdmin(user)) { return res.status(409).json({ success: false, message: 'This is the last active admin and cannot be suspended.' }); }
+
+        user.isSuspended = true;
+        user.suspendedAt = new Date();
+        user.suspensionReason = reason;
+        user.suspendedBy = req.user._id;
+        await user.save();
+        await revokeAllSessions(user._id, 'account-change');
+        console.log(`[Admin] ${req.user.email} suspended ${user.email}.`);
+        try {
+            await sendAccountStatusEmail(user.email, user.username, true, reason);
+        } catch (e) { console.error('[Non-critical Error] Sending suspension email failed:', e); }
+        const populated = await populateUser(User.findById(user._id));
+        res.status(200).json({ success: true, message: `${user.username} has been suspended.`, data: populated });
+    } catch (error) {
+        console.error(`[Error] Suspending user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while suspending the user.' });
+    }
+};
+
+/**
+ * @desc    Lift a user's suspension
+ * @route   PUT /api/users/:id/reactivate
+ * @access  Private/Admin
+ */
+exports.reactivateUser = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    try {
+        const user = await User.findById(id);
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        if (!user.isSuspended) { return res.status(400).json({ success: false, message: `${user.username} is not suspended.` }); }
+
+        user.isSuspended = false;
+        user.suspendedAt = undefined;
+        user.suspensionReason = undefined;
+        user.suspendedBy = undefined;
+        await user.save();
+        console.log(`[Admin] ${req.user.email} reactivated ${user.email}.`);
+        try {
+            await sendAccountStatusEmail(user.email, user.username, false);
+        } catch (e) { console.error('[Non-critical Error] Sending reactivation email failed:', e); }
+        const populated = await populateUser(User.findById(user._id));
+        res.status(200).json({ success: true, message: `${user.username} has been reactivated.`, data: populated });
+    } catch (error) {
+        console.error(`[Error] Reactivating user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while reactivating the user.' });
+    }
+};
+
+/**
+ * @desc    Clear a temporary lockout from failed logins so the user can try again straight away
+ * @route   PUT /api/users/:id/unlock
+ * @access  Private/Admin
+ */
+exports.unlockUser = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    try {
+        const user = await User.findById(id);
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        if (!isLocked(user) && !user.failedLoginAttempts) { return res.status(400).json({ success: false, message: `${user.username} is not locked out.` }); }
+
+        await clearLockout(user._id);
+        console.log(`[Admin] ${req.user.email} cleared the login lockout of ${user.email}.`);
+        const populated = await populateUser(User.findById(user._id));
+        res.status(200).json({ success: true, message: `${user.username} can log in again.`, data: populated });
+    } catch (error) {
+        console.error(`[Error] Clearing lockout of user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while clearing the lockout.' });
+    }
+};
+
+/**
+ * @desc    Email the user a link to choose a new password (the current password keeps working until then)
+ * @route   POST /api/users/:id/password-reset
+ * @access  Private/Admin
+ */
+exports.triggerPasswordReset = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    try {
+        const user = await User.findById(id);
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        const rawToken = user.createPasswordResetToken(ADMIN_RESET_LINK_MINUTES);
+        await user.save({ validateBeforeSave: false });
+
+        const info = await sendPasswordResetEmail(user.email, user.username, `${FRONTEND_URL}/reset-password/${rawToken}`, user.passwordResetExpires, true);
+        if (!info) {
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+            return res.status(502).json({ success: false, message: 'The reset email could not be sent. Please try again later.' });
+        }
+        console.log(`[Admin] ${req.user.email} sent a password reset link to ${user.email}.`);
+        res.status(200).json({ success: true, message: `A password reset link was emailed to ${user.email}.` });
+    } catch (error) {
+        console.error(`[Error] Triggering password reset for user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while starting the password reset.' });
+    }
+};
+
+/**
+ * @desc    A user's booking history, newest first
+ * @route   GET /api/users/:id/bookings
+ * @access  Private/Admin
+ */
+exports.getUserBookings = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    try {
+        if (!(await User.exists({ _id: id }))) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        const bookings = await Booking.find({ user: id })
+            .populate('auditorium', 'name location')
+            .populate('department', 'name code')
+            .sort({ startTime: -1 });
+        res.status(200).json({ success: true, count: bookings.length, data: bookings });
+    } catch (error) {
+        console.error(`[Error] Fetching bookings of user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: "Server error while retrieving the user's bookings." });
+    }
+};
+
+/**
+ * @desc    Delete a user who has never made a booking (users with bookings should be suspended instead)
+ * @route   DELETE /api/users/:id
+ * @access  Private/Admin
+ */
+exports.deleteUser = async (req, res, next) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) { return res.status(400).json({ success: false, message: 'Invalid user ID format.' }); }
+    if (req.user._id.equals(id)) { return res.status(400).json({ success: false, message: 'You cannot delete your own account.' }); }
+    try {
+        const user = await User.findById(id);
+        if (!user) { return res.status(404).json({ success: false, message: `User with ID ${id} not found.` }); }
+        if (await isLastActiveAdmin(user)) { return res.status(409).json({ success: false, message: 'This is the last active admin and cannot be deleted.' }); }
+        const bookingCount = await Booking.countDocuments({ user: id });
+        if (bookingCount > 0) { return res.status(409).json({ success: false, message: `${user.username} has ${bookingCount} booking(s) on record. Suspend the account instead to keep the history intact.` }); }
+        if (await ApprovalWorkflow.exists({ 'stages.approvers': user._id })) { return res.status(409).json({ success: false, message: `${user.username} is an approver in an approval workflow. Remove them from it first.` }); }
+
+        await user.deleteOne();
+        await RefreshToken.deleteMany({ user: user._id });
+        console.log(`[Admin] ${req.user.email} deleted user ${user.email}.`);
+        res.status(200).json({ success: true, message: `User ${user.username} deleted.` });
+    } catch (error) {
+        console.error(`[Error] Deleting user ${id} failed:`, error);
+        res.status(500).json({ success: false, message: 'Server error while deleting the user.' });
+    }
+};
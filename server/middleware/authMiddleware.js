@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User'); 
+const { hasPermission, canAccessAuditorium, canAccessDepartment } = require('../services/permissionService');
 const protect = async (req, res, next) => {
     let token;
 
@@ -19,6 +20,16 @@ const protect = async (req, res, next) => {
                  return res.status(401).json({ success: false, message: 'Not authorized, user not found' });
             }
 
+            // Tokens issued before a logout-all, password change or role change carry an old version
+            if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+                 return res.status(401).json({ success: false, message: 'Not authorized, session revoked' });
+            }
+
+            if (req.user.isSuspended) {
+                 console.warn(`Authentication Warning: Suspended user ${req.user._id} attempted access.`);
+                 return res.status(403).json({ success: false, message: 'Your account has been suspended. Please contact the administration.' });
+            }
+
             next();
 
         } catch (error) {
@@ -45,4 +56,36 @@ const admin = (req, res, next) => {
     }
 };
 
-module.exports = { protect, admin }; 
\ No newline at end of file
+// Role-based guard: passes when the user's role grants the permission (see ROLE_PERMISSIONS in permissionService)
+const authorize = (permission) => (req, res, next) => {
+    if (req.user && hasPermission(req.user, permission)) {
+        next();
+    } else {
+        console.warn(`Authorization Failed: User ${req.user?._id} (Role: ${req.user?.role}) lacks '${permission}' permission.`);
+        res.status(403).json({ success: false, message: 'Forbidden: User is not authorized for this action' });
+    }
+};
+
+// Scope guard for a route parameter: coordinators only reach their departments, venue managers their auditoriums
+const requireScope = (field, param = 'id') => (req, res, next) => {
+    const id = req.params[param];
+    const allowed = field === 'auditorium' ? canAccessAuditorium(req.user, id) : canAccessDepartment(req.user, id);
+    if (allowed) {
+        next();
+    } else {
+        console.warn(`Authorization Failed: User ${req.user?._id} (Role: ${req.user?.role}) is not assigned to ${field} ${id}.`);
+        res.status(403).json({ success: false, message: `Forbidden: This ${field} is not assigned to you` });
+    }
+};
+
+// Blocks actions that need a confirmed email address (booking requests) until the verification link is opened
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user && req.user.hasVerifiedEmail()) {
+        next();
+    } else {
+        console.warn(`Verification Required: User ${req.user?._id} attempted a booking action with an unverified email.`);
+        res.status(403).json({ success: false, emailVerificationRequired: true, message: 'Please verify your email address before requesting a booking. Check your inbox for the verification link or request a new one from your profile.' });
+    }
+};
+
+module.exports = { protect, admin, authorize, requireScope, requireVerifiedEmail }; 
\ No newline at end of file
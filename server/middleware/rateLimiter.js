@@ -0,0 +1,31 @@
+// server/middleware/rateLimiter.js
+const { createWindowCounter } = require('../services/rateLimitService');
+
+/**
+ * Limits how often a client may hit a route. Responds 429 with a Retry-After header once `max`
+ * requests were made within `windowMs`.
+ * @param {object} options
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {number} options.max - Requests allowed per window.
+ * @param {Function} [options.keyBy] - Request -> key; defaults to the user ID after `protect`, else the IP.
+ * @param {string} [options.message] - Error message sent with the 429.
+ */
+const rateLimit = ({ windowMs, max, keyBy, message = 'Too many requests. Please try again later.' }) => {
+    const counter = createWindowCounter(windowMs);
+    const getKey = keyBy || ((req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`));
+
+    return (req, res, next) => {
+        const key = getKey(req);
+        const waitMs = counter.retryAfterMs(key, max);
+        if (waitMs > 0) {
+            const retryAfter = Math.ceil(waitMs / 1000);
+            console.warn(`[Rate Limit] ${key} exceeded ${max} requests on ${req.method} ${req.originalUrl}.`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ success: false, message, retryAfter });
+        }
+        counter.hit(key);
+        next();
+    };
+};
+
+module.exports = { rateLimit };
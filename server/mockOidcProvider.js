@@ -0,0 +1,141 @@
+// server/mockOidcProvider.js
+// Local OpenID Connect provider for testing campus SSO without the real identity provider.
+//
+//   npm run mock-oidc          (listens on http://localhost:4000 by default)
+//
+// Then start the API with:
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=audi-management
+//   OIDC_CLIENT_SECRET=mock-secret
+//
+// The sign-in page lists the test identities below; pick one to log in as it. Their groups exercise
+// the default role mapping (OIDC_ROLE_GROUPS) and department groups ("dept-<CODE>").
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// --- Configuration ---
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'audi-management';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const REDIRECT_URIS = (process.env.MOCK_OIDC_REDIRECT_URIS || 'http://localhost:5001/api/auth/oidc/callback').split(',').map(uri => uri.trim());
+
+const TEST_IDENTITIES = [
+    { sub: 'mock-student-001', email: 'sso.student@vnrvjiet.in', name: 'SSO Student', preferred_username: 'sso.student', groups: ['students', 'dept-CSE'] },
+    { sub: 'mock-coordinator-001', email: 'sso.coordinator@vnrvjiet.in', name: 'SSO Coordinator', preferred_username: 'sso.coordinator', groups: ['department-coordinators', 'dept-CSE', 'dept-ECE'] },
+    { sub: 'mock-venue-001', email: 'sso.venue@vnrvjiet.in', name: 'SSO Venue Manager', preferred_username: 'sso.venue', groups: ['venue-managers'] },
+    { sub: 'mock-auditor-001', email: 'sso.auditor@vnrvjiet.in', name: 'SSO Auditor', preferred_username: 'sso.auditor', groups: ['auditors'] },
+    { sub: 'mock-admin-001', email: 'sso.admin@vnrvjiet.in', name: 'SSO Admin', preferred_username: 'sso.admin', groups: ['auditorium-admins'] },
+    { sub: 'mock-unverified-001', email: 'sso.unverified@vnrvjiet.in', name: 'SSO Unverified', preferred_username: 'sso.unverified', groups: ['students'], email_verified: false },
+];
+
+// --- Keys (regenerated on every start; the API refetches the JWKS when it sees a new key) ---
+// The key ID is the key's RFC 7638 thumbprint, so every restart publishes a kid the API has not cached yet
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { e, kty, n } = publicKey.export({ format: 'jwk' });
+const KEY_ID = crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+const publicJwk = { e, kty, n, kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+const authorizationCodes = new Map(); // code -> { identity, clientId, redirectUri, nonce, codeChallenge, createdAt }
+const accessTokens = new Map();       // access token -> identity
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const toClaims = ({ email_verified: emailVerified, ...identity }) => ({ ...identity, email_verified: emailVerified !== false });
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'email', 'profile', 'groups'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name', 'preferred_username', 'groups'],
+    });
+});
+
+app.get('/jwks', (req, res) => res.json({ keys: [publicJwk] }));
+
+// Sign-in page: one button per test identity
+app.get('/authorize', (req, res) => {
+    const { response_type: responseType, client_id: clientId, redirect_uri: redirectUri, code_challenge_method: challengeMethod } = req.query;
+    if (responseType !== 'code' || clientId !== CLIENT_ID || !REDIRECT_URIS.includes(redirectUri)) {
+        return res.status(400).send('Invalid authorization request: check response_type, client_id and redirect_uri.');
+    }
+    if (!req.query.code_challenge || challengeMethod !== 'S256') { return res.status(400).send('PKCE with S256 is required.'); }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`).join('');
+    const buttons = TEST_IDENTITIES.map(identity => `
+        <button name="sub" value="${escapeHtml(identity.sub)}" style="display:block;width:100%;margin:8px 0;padding:10px;text-align:left;border:1px solid #ccc;border-radius:6px;background:#fff;cursor:pointer">
+          <strong>${escapeHtml(identity.name)}</strong> &lt;${escapeHtml(identity.email)}&gt;<br><small>groups: ${escapeHtml(identity.groups.join(', '))}</small>
+        </button>`).join('');
+    res.send(`<!doctype html><html><head><title>Mock Campus SSO</title></head>
+      <body style="font-family:Arial,sans-serif;max-width:480px;margin:40px auto">
+        <h2>Mock Campus SSO</h2><p>Choose a test identity to sign in as.</p>
+        <form method="post" action="/authorize">${hidden}${buttons}
+          <button name="deny" value="1" style="margin-top:12px">Cancel sign-in</button>
+        </form>
+      </body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.body;
+    if (!REDIRECT_URIS.includes(redirectUri)) { return res.status(400).send('Invalid redirect_uri.'); }
+    const back = new URL(redirectUri);
+    if (state) { back.searchParams.set('state', state); }
+    const identity = TEST_IDENTITIES.find(candidate => candidate.sub === req.body.sub);
+    if (req.body.deny || !identity) {
+        back.searchParams.set('error', 'access_denied');
+        back.searchParams.set('error_description', 'Sign-in was cancelled.');
+        return res.redirect(back.toString());
+    }
+    const code = base64url(crypto.randomBytes(24));
+    authorizationCodes.set(code, { identity, clientId: req.body.client_id, redirectUri, nonce: req.body.nonce, codeChallenge: req.body.code_challenge, createdAt: Date.now() });
+    back.searchParams.set('code', code);
+    res.redirect(back.toString());
+});
+
+app.post('/token', (req, res) => {
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const basic = req.get('authorization');
+    if (basic?.startsWith('Basic ')) { [clientId, clientSecret] = Buffer.from(basic.slice(6), 'base64').toString().split(':').map(decodeURIComponent); }
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) { return res.status(401).json({ error: 'invalid_client' }); }
+    if (req.body.grant_type !== 'authorization_code') { return res.status(400).json({ error: 'unsupported_grant_type' }); }
+
+    const entry = authorizationCodes.get(req.body.code);
+    authorizationCodes.delete(req.body.code); // Codes are single-use
+    if (!entry || Date.now() - entry.createdAt > 60 * 1000 || entry.clientId !== clientId || entry.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown, expired or mismatched authorization code.' });
+    }
+    const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+    if (challenge !== entry.codeChallenge) { return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed.' }); }
+
+    const claims = toClaims(entry.identity);
+    const idToken = jwt.sign({ ...claims, nonce: entry.nonce }, privateKey, { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' });
+    const accessToken = base64url(crypto.randomBytes(24));
+    accessTokens.set(accessToken, claims);
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) { return res.status(401).json({ error: 'invalid_token' }); }
+    res.json(claims);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OIDC provider running at ${ISSUER}`);
+    console.log(`  client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+    console.log(`  allowed redirect URIs: ${REDIRECT_URIS.join(', ')}`);
+});
@@ -0,0 +1,63 @@
+// server/models/ApprovalWorkflow.js
+const mongoose = require('mongoose');
+
+/**
+ * One step of an approval chain. A stage without approvers is handled by the venue admins.
+ */
+const ApprovalStageSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Each stage needs a name'],
+        trim: true,
+        maxlength: [80, 'Stage name cannot exceed 80 characters']
+    },
+    approvers: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    }],
+}, { _id: false });
+
+/**
+ * Ordered approval stages for bookings of a department and/or auditorium.
+ * The most specific active workflow applies: department + auditorium, then auditorium, then department,
+ * then the global one (both null). Bookings without a workflow only need admin approval.
+ */
+const ApprovalWorkflowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a workflow name'],
+        trim: true,
+        maxlength: [100, 'Workflow name cannot exceed 100 characters']
+    },
+    department: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Department',
+        default: null,
+    },
+    auditorium: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Auditorium',
+        default: null,
+    },
+    stages: {
+        type: [ApprovalStageSchema],
+        validate: {
+            validator: (stages) => stages.length >= 1 && stages.length <= 5,
+            message: 'A workflow needs between 1 and 5 stages'
+        },
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    updatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+});
+
+ApprovalWorkflowSchema.index({ department: 1, auditorium: 1 }, { unique: true }); // One workflow per scope
+
+module.exports = mongoose.model('ApprovalWorkflow', ApprovalWorkflowSchema);
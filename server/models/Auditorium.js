@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// --- Helper: URL-safe slug from a hall name ("KS Auditorium" -> "ks-auditorium") ---
+const slugify = (value) => String(value || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const PhotoSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Photo URL is required'],
+        trim: true,
+    },
+    caption: {
+        type: String,
+        trim: true,
+        maxlength: [120, 'Photo caption cannot exceed 120 characters'],
+    },
+}, { _id: false });
+
 const AuditoriumSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -7,6 +27,15 @@ const AuditoriumSchema = new mongoose.Schema({
         unique: true, // Ensure auditorium names are unique
         trim: true,
     },
+    // Public URL segment for /auditoriums/:slug; generated from the name when not provided
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true, // Halls created before slugs existed have none until they are saved again
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single hyphens'],
+    },
     capacity: {
         type: Number,
         required: [true, 'Please provide the capacity'],
@@ -17,6 +46,32 @@ const AuditoriumSchema = new mongoose.Schema({
         required: [true, 'Please provide the location'],
         trim: true,
     },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    // Free-form venue type shown on the catalog, e.g. "Auditorium", "Seminar Hall", "Training Hall"
+    category: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Category cannot exceed 50 characters'],
+    },
+    features: [{ type: String, trim: true }], // Amenities, e.g. "Projector", "Sound System"
+    photos: [PhotoSchema], // First photo is used as the cover image
+    // Inactive halls stay on record (bookings keep their reference) but are hidden from the public catalog and cannot be booked
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
 });
 
+AuditoriumSchema.pre('validate', function (next) {
+    if (!this.slug && this.name) { this.slug = slugify(this.name); }
+    if (this.features) { this.features = [...new Set(this.features.filter(Boolean))]; }
+    next();
+});
+
+AuditoriumSchema.statics.slugify = slugify;
+
 module.exports = mongoose.model('Auditorium', AuditoriumSchema);
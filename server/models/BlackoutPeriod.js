@@ -0,0 +1,68 @@
+// server/models/BlackoutPeriod.js
+const mongoose = require('mongoose');
+
+/**
+ * A date/time range in which bookings are not allowed (holidays, exams, maintenance).
+ * An empty `auditoriums` list means the blackout applies campus-wide.
+ */
+const BlackoutPeriodSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Please provide a title for the blackout period'],
+        trim: true,
+        maxlength: [150, 'Title cannot exceed 150 characters']
+    },
+    reason: {
+        type: String,
+        required: [true, 'Please provide a reason for the blackout period'],
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    category: {
+        type: String,
+        enum: {
+            values: ['holiday', 'exam', 'maintenance', 'other'],
+            message: 'Category must be one of: holiday, exam, maintenance, other'
+        },
+        default: 'other',
+    },
+    startTime: {
+        type: Date,
+        required: [true, 'Please provide a start time'],
+    },
+    endTime: {
+        type: Date,
+        required: [true, 'Please provide an end time'],
+        validate: {
+            validator: function (value) { return this.startTime < value; },
+            message: 'End time must be after start time'
+        }
+    },
+    auditoriums: {
+        type: [{ type: mongoose.Schema.ObjectId, ref: 'Auditorium' }],
+        default: [], // Empty = campus-wide
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'ics'],
+        default: 'manual',
+    },
+    /**
+     * UID of the VEVENT this period was imported from, so re-importing a calendar updates instead of duplicating.
+     */
+    icsUid: {
+        type: String,
+        trim: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+});
+
+BlackoutPeriodSchema.index({ startTime: 1, endTime: 1 });
+BlackoutPeriodSchema.index({ icsUid: 1 }, { sparse: true });
+
+module.exports = mongoose.model('BlackoutPeriod', BlackoutPeriodSchema);
@@ -1,6 +1,79 @@
 // server/models/Booking.js
 const mongoose = require('mongoose');
 
+/**
+ * One day's time window within a multi-day booking.
+ */
+const BookingSegmentSchema = new mongoose.Schema({
+    startTime: {
+        type: Date,
+        required: [true, 'Each day segment needs a start time'],
+    },
+    endTime: {
+        type: Date,
+        required: [true, 'Each day segment needs an end time'],
+    },
+}, { _id: false });
+
+/**
+ * One equipment line item on a booking.
+ */
+const BookingEquipmentSchema = new mongoose.Schema({
+    item: { type: mongoose.Schema.ObjectId, ref: 'Equipment', required: true },
+    name: { type: String, trim: true, required: true },
+    quantity: { type: Number, required: true, min: [1, 'Equipment quantity must be at least 1'] },
+}, { _id: false });
+
+/**
+ * Old/new snapshot recorded when an admin moves a booking to another time and/or auditorium.
+ */
+const BookingMoveSchema = new mongoose.Schema({
+    previousStartTime: { type: Date, required: true },
+    previousEndTime: { type: Date, required: true },
+    previousAuditorium: { type: mongoose.Schema.ObjectId, ref: 'Auditorium', required: true },
+    newStartTime: { type: Date, required: true },
+    newEndTime: { type: Date, required: true },
+    newAuditorium: { type: mongoose.Schema.ObjectId, ref: 'Auditorium', required: true },
+    reason: { type: String, trim: true, required: [true, 'A reason is required when moving a booking'] },
+    movedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    movedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+/**
+ * An admin's alternative to a pending request. While it is open the booking is 'awaiting-requester'.
+ */
+const CounterProposalSchema = new mongoose.Schema({
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    auditorium: { type: mongoose.Schema.ObjectId, ref: 'Auditorium', required: true },
+    note: { type: String, trim: true, maxlength: [500, 'Proposal note cannot exceed 500 characters'] },
+    proposedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    proposedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    outcome: {
+        type: String,
+        enum: ['open', 'accepted', 'declined', 'expired', 'conflict'],
+        default: 'open',
+    },
+    respondedAt: { type: Date },
+}, { _id: false });
+
+/**
+ * A booking's copy of one approval workflow stage, with the decision taken on it.
+ */
+const BookingApprovalStageSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    approvers: [{ type: mongoose.Schema.ObjectId, ref: 'User' }], // Empty = venue admins
+    decision: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+    },
+    decidedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    comment: { type: String, trim: true, maxlength: [500, 'Stage comment cannot exceed 500 characters'] },
+}, { _id: false });
+
 /**
  * Represents a booking request for an auditorium.
  */
@@ -29,6 +102,41 @@ const BookingSchema = new mongoose.Schema({
             message: 'End time must be after start time'
         }
     },
+    /**
+     * Per-day time windows for multi-day events, in chronological order.
+     * Empty for single-slot bookings. When present, startTime/endTime span the
+     * first segment's start to the last segment's end and only the segments are occupied.
+     */
+    segments: {
+        type: [BookingSegmentSchema],
+        default: [],
+    },
+    /**
+     * Extra setup time requested ahead of each time window, on top of the
+     * auditorium's setup buffer. Kept clear in conflict checks like the buffers.
+     */
+    extraSetupMinutes: {
+        type: Number,
+        min: [0, 'Extra setup time cannot be negative'],
+        max: [240, 'Extra setup time cannot exceed 240 minutes'],
+        default: 0,
+    },
+    /**
+     * Number of people the requester expects, checked against the auditorium's capacity.
+     * Optional here so records created before it was collected stay valid.
+     */
+    expectedAttendance: {
+        type: Number,
+        min: [1, 'Expected attendance must be at least 1'],
+        validate: { validator: Number.isInteger, message: 'Expected attendance must be a whole number' }
+    },
+    /**
+     * Equipment reserved with the booking. `name` is a snapshot so history reads correctly after an item is renamed or retired.
+     */
+    equipment: {
+        type: [BookingEquipmentSchema],
+        default: [],
+    },
     user: {
         type: mongoose.Schema.ObjectId,
         ref: 'User',
@@ -44,11 +152,30 @@ const BookingSchema = new mongoose.Schema({
         ref: 'Department',
         required: [true, 'Please specify the associated department'],
     },
+    /**
+     * Who the event is for. Used by the priority rules when several open requests want the same slot.
+     */
+    eventCategory: {
+        type: String,
+        enum: {
+            values: ['institution', 'department', 'club'],
+            message: 'Event category must be one of: institution, department, club'
+        },
+        default: 'department',
+    },
+    /**
+     * Set once an approver has confirmed or corrected the requester's category. Until then a category above
+     * 'department' does not raise the request's priority (see services/priorityService.js).
+     */
+    eventCategoryConfirmed: {
+        type: Boolean,
+        default: false,
+    },
     status: {
         type: String,
         enum: {
-            values: ['pending', 'approved', 'rejected'],
-            message: 'Status must be one of: pending, approved, rejected'
+            values: ['pending', 'awaiting-requester', 'approved', 'rejected', 'cancelled'],
+            message: 'Status must be one of: pending, awaiting-requester, approved, rejected, cancelled'
         },
         default: 'pending',
     },
@@ -56,6 +183,20 @@ const BookingSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
+    /**
+     * Set when an admin cancels an approved booking (possibly while it is running).
+     */
+    cancellationReason: {
+        type: String,
+        trim: true,
+    },
+    cancelledAt: {
+        type: Date,
+    },
+    cancelledBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    },
     eventImages: {
         type: [String], // Array of Azure Blob Storage URLs
         default: [],
@@ -69,6 +210,57 @@ const BookingSchema = new mongoose.Schema({
         default: false,
     },
     // --- END NEW FIELD ---
+    /**
+     * Parent series for recurring bookings (null for one-off bookings).
+     */
+    series: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'BookingSeries',
+        default: null,
+    },
+    /**
+     * 1-based position of this occurrence within its series.
+     */
+    occurrenceIndex: {
+        type: Number,
+    },
+    /**
+     * Admin-initiated reschedules/relocations, oldest first.
+     */
+    moveHistory: {
+        type: [BookingMoveSchema],
+        default: [],
+    },
+    /**
+     * The latest admin counter-proposal, kept after it is answered for reference.
+     */
+    counterProposal: {
+        type: CounterProposalSchema,
+        default: null,
+    },
+    /**
+     * Approval chain copied from the matching workflow when the request is made, in order.
+     * Empty when no workflow applies (a single admin approval).
+     */
+    approvalStages: {
+        type: [BookingApprovalStageSchema],
+        default: [],
+    },
+    /**
+     * Index of the stage a pending booking is waiting on.
+     */
+    currentStage: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    /**
+     * Approvers of the current stage (empty = venue admins), kept in sync for approver queues and reminders.
+     */
+    currentApprovers: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    }],
 }, {
     timestamps: true // Automatically adds createdAt and updatedAt fields
 });
@@ -82,5 +274,9 @@ BookingSchema.index({ department: 1 });
 // --- NEW INDEX ---
 BookingSchema.index({ status: 1, reminderSent: 1, startTime: 1 }); // For pending reminder query
 // --- END NEW INDEX ---
+BookingSchema.index({ series: 1, startTime: 1 }); // For series-level actions
+BookingSchema.index({ status: 1, 'counterProposal.expiresAt': 1 }); // For expiring counter-proposals
+BookingSchema.index({ status: 1, currentApprovers: 1, startTime: 1 }); // For stage approver queues
+BookingSchema.index({ 'equipment.item': 1, status: 1, startTime: 1 }); // For equipment availability and pull lists
 
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
@@ -0,0 +1,99 @@
+// server/models/BookingAuditLog.js
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+    'created',
+    'stage-approved',
+    'approved',
+    'rejected',
+    'reschedule-requested',
+    'withdrawn',
+    'cancelled',
+    'moved',
+    'counter-proposed',
+    'proposal-accepted',
+    'proposal-declined',
+    'proposal-expired',
+    'proposal-conflict',
+    'category-confirmed',
+];
+
+/**
+ * One old/new value pair within an audit entry.
+ */
+const AuditChangeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+/**
+ * Append-only record of something that happened to a booking.
+ * Kept in its own collection so the history survives withdrawals (which delete the booking).
+ */
+const BookingAuditLogSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking',
+        required: true,
+    },
+    /**
+     * Booking owner at the time of the event, used to let requesters read their own history.
+     */
+    owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    },
+    eventName: {
+        type: String,
+        trim: true,
+    },
+    action: {
+        type: String,
+        enum: {
+            values: AUDIT_ACTIONS,
+            message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`
+        },
+        required: true,
+    },
+    /**
+     * Who did it; null for system actions (scheduler, waitlist promotion).
+     */
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    actorRole: {
+        type: String,
+        enum: ['user', 'admin', 'coordinator', 'venue-manager', 'auditor', 'system'],
+        default: 'system',
+    },
+    changes: {
+        type: [AuditChangeSchema],
+        default: [],
+    },
+    note: {
+        type: String,
+        trim: true,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+BookingAuditLogSchema.index({ booking: 1, createdAt: 1 });
+BookingAuditLogSchema.index({ owner: 1, createdAt: -1 });
+BookingAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never edited or removed once written
+BookingAuditLogSchema.pre('save', function (next) {
+    if (!this.isNew) { return next(new Error('Booking audit log entries are append-only.')); }
+    next();
+});
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    BookingAuditLogSchema.pre(op, function (next) {
+        next(new Error('Booking audit log entries are append-only.'));
+    });
+}
+
+module.exports = mongoose.model('BookingAuditLog', BookingAuditLogSchema);
@@ -0,0 +1,139 @@
+// server/models/BookingPolicy.js
+const mongoose = require('mongoose');
+
+/**
+ * Cap on how many active (pending or approved) bookings a department may hold
+ * in one auditorium within a calendar week or month.
+ */
+const DepartmentQuotaSchema = new mongoose.Schema({
+    department: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Department',
+        required: [true, 'A quota must reference a department'],
+    },
+    maxBookings: {
+        type: Number,
+        required: [true, 'Please provide the maximum number of bookings'],
+        min: [1, 'Quota must allow at least 1 booking'],
+    },
+    period: {
+        type: String,
+        enum: {
+            values: ['week', 'month'],
+            message: 'Quota period must be one of: week, month'
+        },
+        default: 'month',
+    },
+}, { _id: false });
+
+/**
+ * Booking rules for one auditorium, or the global defaults when `auditorium` is null.
+ * Hours are IST wall-clock hours; weekdays use Luxon numbering (1 = Monday ... 7 = Sunday).
+ */
+const BookingPolicySchema = new mongoose.Schema({
+    auditorium: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Auditorium',
+        default: null,
+        unique: true, // One override per auditorium, and a single global (null) policy
+    },
+    openingHour: {
+        type: Number,
+        min: [0, 'Opening hour must be between 0 and 23'],
+        max: [23, 'Opening hour must be between 0 and 23'],
+        default: 9,
+    },
+    closingHour: {
+        type: Number,
+        min: [1, 'Closing hour must be between 1 and 24'],
+        max: [24, 'Closing hour must be between 1 and 24'],
+        default: 24, // 24 = bookings may run until midnight
+    },
+    leadTimeHours: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative'],
+        default: 2,
+    },
+    maxAdvanceMonths: {
+        type: Number,
+        min: [1, 'Advance window must be at least 1 month'],
+        max: [24, 'Advance window cannot exceed 24 months'],
+        default: 3,
+    },
+    minDurationMinutes: {
+        type: Number,
+        min: [0, 'Minimum duration cannot be negative'],
+        default: 0,
+    },
+    /**
+     * Longest allowed booking in minutes; null means no limit.
+     */
+    maxDurationMinutes: {
+        type: Number,
+        min: [1, 'Maximum duration must be at least 1 minute'],
+        default: null,
+    },
+    /**
+     * Buffers kept clear before and after every approved booking (stage changes, cleaning).
+     * They take part in conflict checks but are not bookable time.
+     */
+    setupBufferMinutes: {
+        type: Number,
+        min: [0, 'Setup buffer cannot be negative'],
+        max: [240, 'Setup buffer cannot exceed 240 minutes'],
+        default: 0,
+    },
+    teardownBufferMinutes: {
+        type: Number,
+        min: [0, 'Teardown buffer cannot be negative'],
+        max: [240, 'Teardown buffer cannot exceed 240 minutes'],
+        default: 0,
+    },
+    /**
+     * How long a requester has to answer an admin counter-proposal before it expires.
+     */
+    counterProposalHours: {
+        type: Number,
+        min: [1, 'Counter-proposal deadline must be at least 1 hour'],
+        max: [336, 'Counter-proposal deadline cannot exceed 336 hours (14 days)'],
+        default: 48,
+    },
+    blackoutWeekdays: {
+        type: [Number],
+        validate: {
+            validator: (days) => days.every(d => Number.isInteger(d) && d >= 1 && d <= 7),
+            message: 'Blackout weekdays must be numbers from 1 (Monday) to 7 (Sunday)'
+        },
+        default: [],
+    },
+    departmentQuotas: {
+        type: [DepartmentQuotaSchema],
+        default: [],
+    },
+    /**
+     * Order in which rules pick the recommended request among open requests competing for the same slot.
+     * Rules not listed are ignored; the first rule that tells two requests apart decides.
+     */
+    priorityRules: {
+        type: [{
+            type: String,
+            enum: {
+                values: ['category', 'quota', 'firstCome', 'attendance'],
+                message: 'Priority rules must be from: category, quota, firstCome, attendance'
+            }
+        }],
+        validate: {
+            validator: (rules) => new Set(rules).size === rules.length,
+            message: 'Each priority rule can only be listed once'
+        },
+        default: ['category', 'quota', 'firstCome'],
+    },
+    updatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('BookingPolicy', BookingPolicySchema);
@@ -0,0 +1,87 @@
+// server/models/BookingSeries.js
+const mongoose = require('mongoose');
+
+/**
+ * The rule a recurring booking was generated from.
+ * Weekdays use Luxon numbering (1 = Monday ... 7 = Sunday).
+ */
+const RecurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: {
+            values: ['daily', 'weekly', 'custom'],
+            message: 'Frequency must be one of: daily, weekly, custom'
+        },
+        required: true,
+    },
+    interval: {
+        type: Number,
+        min: 1,
+        default: 1,
+    },
+    daysOfWeek: {
+        type: [Number],
+        default: [],
+    },
+    endDate: {
+        type: Date,
+    },
+    count: {
+        type: Number,
+        min: 2,
+    },
+}, { _id: false });
+
+/**
+ * Parent record for a recurring booking. Each occurrence is stored as its own
+ * Booking document pointing back here, so approval and conflicts stay per-slot.
+ */
+const BookingSeriesSchema = new mongoose.Schema({
+    eventName: {
+        type: String,
+        required: [true, 'Please provide an event name'],
+        trim: true,
+        maxlength: [150, 'Event name cannot exceed 150 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    auditorium: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Auditorium',
+        required: true,
+    },
+    department: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Department',
+        required: true,
+    },
+    recurrence: {
+        type: RecurrenceSchema,
+        required: true,
+    },
+    /**
+     * Number of occurrences created for the series (rule occurrences minus any skipped on creation).
+     */
+    occurrenceCount: {
+        type: Number,
+        default: 0,
+    },
+    eventImages: {
+        type: [String], // Shared poster URLs; removed only when the last occurrence is withdrawn
+        default: [],
+    },
+}, {
+    timestamps: true
+});
+
+BookingSeriesSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BookingSeries', BookingSeriesSchema);
@@ -0,0 +1,54 @@
+// server/models/Equipment.js
+const mongoose = require('mongoose');
+
+/**
+ * A reservable piece of equipment (wireless mic, projector, extra chairs...).
+ * Items with an `auditorium` are fixed to that hall; items without one are portable and shared across halls,
+ * so their `quantity` is split between every booking that overlaps in time.
+ */
+const EquipmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide an equipment name'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    category: {
+        type: String,
+        enum: {
+            values: ['audio', 'video', 'lighting', 'computing', 'furniture', 'other'],
+            message: 'Category must be one of: audio, video, lighting, computing, furniture, other'
+        },
+        default: 'other',
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Please provide the quantity in stock'],
+        min: [0, 'Quantity cannot be negative'],
+        validate: { validator: Number.isInteger, message: 'Quantity must be a whole number' }
+    },
+    auditorium: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Auditorium',
+        default: null, // null = portable
+    },
+    /**
+     * Retired items stay on record for existing bookings but cannot be requested.
+     */
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true
+});
+
+// One item of a given name per hall (or in the portable pool)
+EquipmentSchema.index({ name: 1, auditorium: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Equipment', EquipmentSchema);
@@ -0,0 +1,58 @@
+// server/models/RefreshToken.js
+const mongoose = require('mongoose');
+
+/**
+ * A server-side record of one issued refresh token. Only the SHA-256 of the token is stored.
+ * Each refresh rotates the token: the old record is revoked and points at its replacement, and
+ * all tokens descending from one login share a `family` so a replayed (already rotated) token
+ * can revoke the whole chain.
+ */
+const RefreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    family: { // Shared by every token rotated from the same login
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'password-change', 'account-change'],
+    },
+    replacedByHash: { // Set when the token was rotated
+        type: String,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+    },
+    ip: {
+        type: String,
+        trim: true,
+    },
+}, {
+    timestamps: true
+});
+
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired records
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
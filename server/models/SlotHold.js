@@ -0,0 +1,45 @@
+// server/models/SlotHold.js
+const mongoose = require('mongoose');
+
+/**
+ * A short-lived claim on an auditorium slot while a user fills in the request form, so two people
+ * cannot both pass the availability check for the same time. Each user holds at most one slot;
+ * picking another time replaces it, submitting the request releases it, and MongoDB removes it
+ * once `expiresAt` has passed.
+ */
+const SlotHoldSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true, // One hold per user
+    },
+    auditorium: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Auditorium',
+        required: true,
+    },
+    intervals: { // One window for single bookings, one per day for multi-day requests
+        type: [{
+            _id: false,
+            startTime: { type: Date, required: true },
+            endTime: { type: Date, required: true },
+        }],
+        validate: { validator: (list) => list.length > 0, message: 'A hold needs at least one time window' }
+    },
+    heldAt: { // When the current slot was claimed (refreshing the same slot keeps it; earlier holds win ties)
+        type: Date,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true
+});
+
+SlotHoldSchema.index({ auditorium: 1, expiresAt: 1 });
+SlotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired holds
+
+module.exports = mongoose.model('SlotHold', SlotHoldSchema);
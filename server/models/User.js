@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const UserSchema = new mongoose.Schema({
     username: {
@@ -27,9 +28,94 @@ const UserSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['user', 'admin'], // Allowed roles
+        enum: ['user', 'admin', 'coordinator', 'venue-manager', 'auditor'], // Allowed roles (permissions in services/permissionService.js)
         default: 'user', // Default role is 'user'
     },
+    departments: [{ // Departments a coordinator oversees
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+    }],
+    auditoriums: [{ // Auditoriums a venue manager looks after
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auditorium',
+    }],
+    displayName: { // Name shown instead of the username, set from the profile page
+        type: String,
+        trim: true,
+        maxlength: [80, 'Display name cannot exceed 80 characters'],
+    },
+    phone: {
+        type: String,
+        trim: true,
+        match: [/^\+?[0-9][0-9\s-]{6,18}$/, 'Please add a valid phone number'],
+    },
+    defaultDepartment: { // Prefills the department on new booking requests
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+    },
+    notificationPreferences: { // Optional emails; decisions on a user's own bookings are always sent
+        actionConfirmations: { type: Boolean, default: true }, // Receipts for requests, withdrawals and reschedules
+        approvalProgress: { type: Boolean, default: true },    // A request passed one approval stage
+        approvalRequests: { type: Boolean, default: true },    // A booking awaits the user's approval stage
+    },
+    oidcSubject: { // Campus identity provider subject ('sub') once the account has signed in through SSO
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    lastSsoLoginAt: Date,
+    roleManagedByIdp: { // Role follows the IdP groups on every SSO login; cleared once an admin sets the role by hand
+        type: Boolean,
+        default: false,
+    },
+    tokenVersion: { // Carried in access tokens; bumping it signs the user out everywhere (see services/tokenService.js)
+        type: Number,
+        default: 0,
+    },
+    failedLoginAttempts: { // Consecutive wrong passwords; reset on success or when a lock starts
+        type: Number,
+        default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lastFailedLoginIp: String,
+    lockUntil: Date, // Temporary lockout after too many failures (see services/loginProtectionService.js)
+    lockoutCount: { // Locks since the last successful login; each one doubles the next lock
+        type: Number,
+        default: 0,
+    },
+    isSuspended: { // Suspended accounts cannot log in or use existing tokens
+        type: Boolean,
+        default: false,
+    },
+    suspendedAt: Date,
+    suspensionReason: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+    },
+    suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    emailVerified: { // Set to false at registration until the emailed link is opened; unset on accounts that predate verification
+        type: Boolean,
+    },
+    emailVerificationToken: { // SHA-256 of the emailed verification token; cleared once used
+        type: String,
+        select: false,
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false,
+    },
+    passwordResetToken: { // SHA-256 of the emailed reset token; cleared once used
+        type: String,
+        select: false,
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false,
+    },
     createdAt: { // Keep track of when the user registered
         type: Date,
         default: Date.now,
@@ -52,4 +138,30 @@ UserSchema.methods.matchPassword = async function(enteredPassword){
     return await bcrypt.compare(enteredPassword, this.password);
 }
 
+// Whether the user wants an optional email category (missing preferences count as opted in)
+UserSchema.methods.wantsEmail = function(preference){
+    return this.notificationPreferences?.[preference] !== false;
+}
+
+// Issues a single-use reset token: the raw value goes in the emailed link, only its hash is stored. Does not save.
+UserSchema.methods.createPasswordResetToken = function(validForMinutes = 60){
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = crypto.createHash('sha256').update(rawToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + validForMinutes * 60 * 1000);
+    return rawToken;
+}
+
+// Accounts created before email verification existed have no flag and count as verified
+UserSchema.methods.hasVerifiedEmail = function(){
+    return this.emailVerified !== false;
+}
+
+// Issues a single-use email verification token, stored hashed like reset tokens. Does not save.
+UserSchema.methods.createEmailVerificationToken = function(validForHours = 48){
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = crypto.createHash('sha256').update(rawToken).digest('hex');
+    this.emailVerificationExpires = new Date(Date.now() + validForHours * 60 * 60 * 1000);
+    return rawToken;
+}
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
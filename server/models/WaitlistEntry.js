@@ -0,0 +1,116 @@
+// server/models/WaitlistEntry.js
+const mongoose = require('mongoose');
+
+/**
+ * One equipment line item carried over to the booking on promotion (same shape as a booking's).
+ */
+const WaitlistEquipmentSchema = new mongoose.Schema({
+    item: { type: mongoose.Schema.ObjectId, ref: 'Equipment', required: true },
+    name: { type: String, trim: true, required: true },
+    quantity: { type: Number, required: true, min: [1, 'Equipment quantity must be at least 1'] },
+}, { _id: false });
+
+/**
+ * A request to book a slot that is currently taken by an approved booking.
+ * When the slot frees up, the oldest waiting entry is turned into a pending booking.
+ */
+const WaitlistEntrySchema = new mongoose.Schema({
+    eventName: {
+        type: String,
+        required: [true, 'Please provide an event name'],
+        trim: true,
+        maxlength: [150, 'Event name cannot exceed 150 characters']
+    },
+    description: {
+        type: String,
+        required: [true, 'Please provide an event description'],
+        trim: true,
+    },
+    startTime: {
+        type: Date,
+        required: [true, 'Please provide a start time'],
+    },
+    endTime: {
+        type: Date,
+        required: [true, 'Please provide an end time'],
+        validate: {
+            validator: function (value) { return this.startTime < value; },
+            message: 'End time must be after start time'
+        }
+    },
+    extraSetupMinutes: {
+        type: Number,
+        min: [0, 'Extra setup time cannot be negative'],
+        max: [240, 'Extra setup time cannot exceed 240 minutes'],
+        default: 0,
+    },
+    /**
+     * Number of people the requester expects, checked against the auditorium's capacity.
+     * Optional here so records created before it was collected stay valid.
+     */
+    expectedAttendance: {
+        type: Number,
+        min: [1, 'Expected attendance must be at least 1'],
+        validate: { validator: Number.isInteger, message: 'Expected attendance must be a whole number' }
+    },
+    /**
+     * Category and equipment the requester asked for; the promoted booking gets both.
+     */
+    eventCategory: {
+        type: String,
+        enum: {
+            values: ['institution', 'department', 'club'],
+            message: 'Event category must be one of: institution, department, club'
+        },
+        default: 'department',
+    },
+    equipment: {
+        type: [WaitlistEquipmentSchema],
+        default: [],
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    auditorium: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Auditorium',
+        required: true,
+    },
+    department: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Department',
+        required: [true, 'Please specify the associated department'],
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['waiting', 'promoted', 'expired', 'cancelled'],
+            message: 'Status must be one of: waiting, promoted, expired, cancelled'
+        },
+        default: 'waiting',
+    },
+    /**
+     * The pending booking created when this entry was promoted.
+     */
+    promotedBooking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking',
+        default: null,
+    },
+    /**
+     * Why a waiting entry could not be promoted (set when it expires).
+     */
+    statusNote: {
+        type: String,
+        trim: true,
+    },
+}, {
+    timestamps: true // createdAt doubles as the queue order
+});
+
+WaitlistEntrySchema.index({ auditorium: 1, status: 1, startTime: 1, endTime: 1 });
+WaitlistEntrySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
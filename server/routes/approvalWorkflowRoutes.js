@@ -0,0 +1,23 @@
+// server/routes/approvalWorkflowRoutes.js
+const express = require('express');
+const {
+    getWorkflows,
+    createWorkflow,
+    updateWorkflow,
+    deleteWorkflow
+} = require('../controllers/approvalWorkflowController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// GET / POST /api/approval-workflows (Admin)
+router.route('/')
+    .get(protect, admin, getWorkflows)
+    .post(protect, admin, createWorkflow);
+
+// PUT / DELETE /api/approval-workflows/:id (Admin)
+router.route('/:id')
+    .put(protect, admin, updateWorkflow)
+    .delete(protect, admin, deleteWorkflow);
+
+module.exports = router;
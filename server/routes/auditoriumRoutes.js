@@ -3,19 +3,23 @@ const {
     createAuditorium,
     getAllAuditoriums,
     getAuditoriumById,
+    getAuditoriumBySlug,
     updateAuditorium,
     deleteAuditorium
 } = require('../controllers/auditoriumController'); 
-const { protect, admin } = require('../middleware/authMiddleware'); 
+const { protect, authorize, requireScope } = require('../middleware/authMiddleware'); 
 
 const router = express.Router();
 
 router.route('/')
-    .post(protect, admin, createAuditorium) 
+    .post(protect, authorize('auditoriums:create'), createAuditorium) 
     .get(getAllAuditoriums);
 
+// GET /api/auditoriums/slug/:slug (Public detail page)
+router.get('/slug/:slug', getAuditoriumBySlug);
+
 router.route('/:id')
     .get(getAuditoriumById)
-    .put(protect, admin, updateAuditorium) 
-    .delete(protect, admin, deleteAuditorium); 
+    .put(protect, authorize('auditoriums:update'), requireScope('auditorium'), updateAuditorium) // Venue managers: assigned auditoriums only
+    .delete(protect, authorize('auditoriums:delete'), deleteAuditorium); 
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,41 @@
 // server/routes/auth.js
 const express = require('express');
 // We'll need two new controller functions
-const { registerUser, loginUserSpecific, loginAdminSpecific } = require('../controllers/authController');
+const { registerUser, loginUserSpecific, loginAdminSpecific, refreshSession, logout, logoutAll, forgotPassword, resetPassword, verifyEmail, resendVerification, getMe, updateMe, changePassword } = require('../controllers/authController');
+const { getSsoConfig, startSsoLogin, ssoCallback, exchangeSsoCode } = require('../controllers/ssoController');
+const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-router.post('/register', registerUser);         // Keep registration as is
+// Per-IP limits on endpoints that create accounts or send email (failed logins are tracked separately in loginProtectionService)
+const registrationLimiter = rateLimit({ windowMs: 60 * 60 * 1000, max: 10, message: 'Too many registrations from your network. Please try again later.' });
+const emailLinkLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5, keyBy: (req) => `ip:${req.ip}`, message: 'Too many email requests. Please wait a few minutes and try again.' });
+
+router.post('/register', registrationLimiter, registerUser); // Keep registration as is
 router.post('/user-login', loginUserSpecific); // New route for regular users
 router.post('/admin-login', loginAdminSpecific);// New route specifically for admins
 
+// Campus SSO (OpenID Connect) - runs alongside the password logins above
+router.get('/oidc/config', getSsoConfig);
+router.get('/oidc/login', startSsoLogin);
+router.get('/oidc/callback', ssoCallback);
+router.post('/oidc/exchange', exchangeSsoCode);
+
+// Sessions: refresh rotates the refresh token; logout revokes this device, logout-all every device
+router.post('/refresh', refreshSession);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+
+router.post('/forgot-password', emailLinkLimiter, forgotPassword); // Email a reset link (same response whether or not the account exists)
+router.put('/reset-password/:token', resetPassword); // Finish a password reset from the emailed link
+router.post('/verify-email/:token', verifyEmail);    // Confirm the address from the registration email
+router.post('/resend-verification', protect, emailLinkLimiter, resendVerification);
+
+// Profile of the logged-in user
+router.route('/me')
+    .get(protect, getMe)
+    .put(protect, updateMe);
+router.put('/me/password', protect, changePassword); // Requires the current password
+
 module.exports = router;
\ No newline at end of file
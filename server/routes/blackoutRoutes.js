@@ -0,0 +1,45 @@
+// server/routes/blackoutRoutes.js
+const express = require('express');
+const multer = require('multer');
+const {
+    getBlackouts,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+    importBlackouts
+} = require('../controllers/blackoutController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// --- Multer Config (.ics calendars, kept in memory) ---
+const icsUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'text/calendar' || file.originalname.toLowerCase().endsWith('.ics')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only iCalendar (.ics) files allowed.'), false);
+        }
+    },
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB
+        files: 1
+    }
+});
+
+// GET /api/blackouts (List - any logged-in user, used to grey out the booking form)
+// POST /api/blackouts (Create - Admin)
+router.route('/')
+    .get(protect, getBlackouts)
+    .post(protect, admin, createBlackout);
+
+// POST /api/blackouts/import (Bulk import from .ics - Admin)
+router.post('/import', protect, admin, icsUpload.single('icsFile'), importBlackouts);
+
+// PUT / DELETE /api/blackouts/:id (Admin)
+router.route('/:id')
+    .put(protect, admin, updateBlackout)
+    .delete(protect, admin, deleteBlackout);
+
+module.exports = router;
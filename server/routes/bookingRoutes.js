@@ -11,6 +11,14 @@ const {
     getAllBookings,
     approveBooking,
     rejectBooking,
+    setEventCategory,
+    cancelBooking,
+    moveBooking,
+    proposeAlternative,
+    acceptCounterProposal,
+    declineCounterProposal,
+    getBookingHistory,
+    getAuditTrail,
     getBookingStats,
     withdrawBooking,
     requestReschedule,
@@ -18,15 +26,29 @@ const {
     getRecentPendingBookings,
     getUpcomingBookings,
     getBookingTrends,
+    getSeatUtilisation,
     getAuditoriumAvailability,
     getPublicEvents,
     checkAvailability,
+    findSlots,
+    placeSlotHold,
+    releaseSlotHold,
     checkBookingConflicts, // Assuming you added this controller function based on previous context
-    getPendingUpcomingBookings
+    getPendingUpcomingBookings,
+    getConflictGroups,
+    getMyApprovals,
+    approveBookingSeries,
+    rejectBookingSeries,
+    withdrawBookingSeries,
+    withdrawSeriesOccurrence,
+    joinWaitlist,
+    getMyWaitlist,
+    leaveWaitlist
 } = require('../controllers/bookingController'); // Verify this path is correct
 
 // Import middleware
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize, requireScope, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -60,9 +82,16 @@ const upload = multer({
 // GET /api/bookings/public/events (Public)
 router.get('/public/events', getPublicEvents);
 
-// POST /api/bookings/ (Create Booking - User, uses multer)
+// Per-user cap on new booking and waitlist requests, to stop request spam
+const bookingRequestLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: Number(process.env.BOOKING_REQUESTS_PER_HOUR) || 10,
+    message: 'You have submitted too many booking requests in the last hour. Please try again later.'
+});
+
+// POST /api/bookings/ (Create Booking - User with a verified email, uses multer)
 router.route('/')
-    .post(protect, upload.single('eventPoster'), createBooking); // 'eventPoster' is the field name in the form
+    .post(protect, requireVerifiedEmail, bookingRequestLimiter, upload.single('eventPoster'), createBooking); // 'eventPoster' is the field name in the form
 
 // GET /api/bookings/mybookings (Get User's Bookings - User)
 router.route('/mybookings')
@@ -75,36 +104,70 @@ router.route('/check-availability')
 // POST /api/bookings/conflicts (Check Conflicts via POST - User)
 router.post('/conflicts', protect, checkBookingConflicts); // Assuming this controller exists
 
+// GET /api/bookings/find-slots (Free slots across auditoriums - User)
+router.get('/find-slots', protect, findSlots);
+
+// POST /api/bookings/holds (Hold a slot while filling in the request form - User)
+// DELETE /api/bookings/holds (Release the user's hold - User)
+router.route('/holds')
+    .post(protect, placeSlotHold)
+    .delete(protect, releaseSlotHold);
+
 // GET /api/bookings/availability/:auditoriumId (Get monthly slots - User)
 router.route('/availability/:auditoriumId')
     .get(protect, getAuditoriumAvailability);
 
+// POST /api/bookings/waitlist (Join waitlist for an occupied slot - User with a verified email)
+router.post('/waitlist', protect, requireVerifiedEmail, bookingRequestLimiter, joinWaitlist);
+
+// GET /api/bookings/waitlist/my (User's waitlist entries with positions - User)
+router.get('/waitlist/my', protect, getMyWaitlist);
+
+// DELETE /api/bookings/waitlist/:id (Leave waitlist - User)
+router.delete('/waitlist/:id', protect, leaveWaitlist);
 
-// --- Admin Routes ---
+// GET /api/bookings/approvals/mine (Bookings awaiting the user's approval stage - Stage approver)
+router.get('/approvals/mine', protect, getMyApprovals);
 
-// GET /api/bookings/admin/all (Get All Bookings - Admin)
+
+// --- Staff Routes ---
+// Coordinators and venue managers only see bookings of their assigned departments / auditoriums
+
+// GET /api/bookings/admin/all (Get All Bookings - Staff)
 router.route('/admin/all')
-    .get(protect, admin, getAllBookings);
+    .get(protect, authorize('bookings:read'), getAllBookings);
 
-// GET /api/bookings/admin/stats (Get Booking Stats - Admin)
+// GET /api/bookings/admin/stats (Get Booking Stats - Staff)
 router.route('/admin/stats')
-    .get(protect, admin, getBookingStats);
+    .get(protect, authorize('reports:read'), getBookingStats);
 
-// GET /api/bookings/admin/recent-pending (Get Recent Pending - Admin)
+// GET /api/bookings/admin/recent-pending (Get Recent Pending - Staff)
 router.route('/admin/recent-pending')
-    .get(protect, admin, getRecentPendingBookings);
+    .get(protect, authorize('reports:read'), getRecentPendingBookings);
 
-// GET /api/bookings/admin/upcoming (Get Upcoming Bookings - Admin)
+// GET /api/bookings/admin/upcoming (Get Upcoming Bookings - Staff)
 router.route('/admin/upcoming')
-    .get(protect, admin, getUpcomingBookings);
+    .get(protect, authorize('reports:read'), getUpcomingBookings);
 
-// GET /api/bookings/admin/trends (Get Booking Trends - Admin)
+// GET /api/bookings/admin/trends (Get Booking Trends - Staff)
 router.route('/admin/trends')
-    .get(protect, admin, getBookingTrends);
+    .get(protect, authorize('reports:read'), getBookingTrends);
+
+// GET /api/bookings/admin/seat-utilisation (Expected attendance vs. capacity per auditorium - Staff)
+router.route('/admin/seat-utilisation')
+    .get(protect, authorize('reports:read'), getSeatUtilisation);
 
-// GET /api/bookings/admin/pending-upcoming (Get Pending Bookings Needing Action - Admin)
+// GET /api/bookings/admin/pending-upcoming (Get Pending Bookings Needing Action - Staff)
 router.route('/admin/pending-upcoming')
-    .get(protect, admin, getPendingUpcomingBookings);
+    .get(protect, authorize('reports:read'), getPendingUpcomingBookings);
+
+// GET /api/bookings/admin/conflict-groups (Competing pending requests with a recommended winner - Staff)
+router.route('/admin/conflict-groups')
+    .get(protect, authorize('bookings:read'), getConflictGroups);
+
+// GET /api/bookings/admin/audit (Audit trail across bookings - Admin or Auditor)
+router.route('/admin/audit')
+    .get(protect, authorize('audit:read'), getAuditTrail);
 
 
 // --- Specific Booking Actions by ID ---
@@ -117,20 +180,66 @@ router.route('/:id')
 router.route('/:id/reschedule') // Separate route for reschedule PUT request
     .put(protect, requestReschedule);
 
-// GET /api/bookings/schedule/:auditoriumId (Admin Schedule Viewer)
+// GET /api/bookings/:id/history (Audit timeline - Owner or Staff)
+router.route('/:id/history')
+    .get(protect, getBookingHistory);
+
+// GET /api/bookings/schedule/:auditoriumId (Schedule Viewer - Staff)
 router.route('/schedule/:auditoriumId')
-    .get(protect, admin, getAuditoriumSchedule);
+    .get(protect, authorize('bookings:read'), requireScope('auditorium', 'auditoriumId'), getAuditoriumSchedule);
 
 
-// --- Admin Approve/Reject Actions ---
+// --- Approve/Reject Actions ---
+// Open to any logged-in user: the controller only lets in-scope staff or the current stage's approvers decide
 
-// PUT /api/bookings/:id/approve (Approve - Admin)
+// PUT /api/bookings/:id/approve (Approve current stage - Staff or stage approver)
 router.route('/:id/approve')
-    .put(protect, admin, approveBooking);
+    .put(protect, approveBooking);
 
-// PUT /api/bookings/:id/reject (Reject - Admin)
+// PUT /api/bookings/:id/reject (Reject - Staff or stage approver)
 router.route('/:id/reject')
-    .put(protect, admin, rejectBooking);
+    .put(protect, rejectBooking);
+
+// PUT /api/bookings/:id/category (Confirm the event category used by the priority rules - Admin or Venue manager)
+router.route('/:id/category')
+    .put(protect, authorize('bookings:decide'), setEventCategory);
+
+// PUT /api/bookings/:id/cancel (Cancel approved or in-progress booking - Admin or Venue manager)
+router.route('/:id/cancel')
+    .put(protect, authorize('bookings:manage'), cancelBooking);
+
+// PUT /api/bookings/:id/move (Reschedule and/or relocate an approved booking - Admin or Venue manager)
+router.route('/:id/move')
+    .put(protect, authorize('bookings:manage'), moveBooking);
+
+// PUT /api/bookings/:id/propose (Counter-propose another time/auditorium - Staff)
+router.route('/:id/propose')
+    .put(protect, authorize('bookings:decide'), proposeAlternative);
+
+// PUT /api/bookings/:id/proposal/accept | decline (Answer a counter-proposal - Owner)
+router.route('/:id/proposal/accept')
+    .put(protect, acceptCounterProposal);
+router.route('/:id/proposal/decline')
+    .put(protect, declineCounterProposal);
+
+
+// --- Recurring Series Actions ---
+
+// PUT /api/bookings/series/:seriesId/approve (Approve Series stage - Staff or stage approver)
+router.route('/series/:seriesId/approve')
+    .put(protect, approveBookingSeries);
+
+// PUT /api/bookings/series/:seriesId/reject (Reject Series - Staff or stage approver)
+router.route('/series/:seriesId/reject')
+    .put(protect, rejectBookingSeries);
+
+// DELETE /api/bookings/series/:seriesId (Withdraw Series - Admin or Venue manager)
+router.route('/series/:seriesId')
+    .delete(protect, authorize('bookings:manage'), withdrawBookingSeries);
+
+// DELETE /api/bookings/series/:seriesId/occurrences/:id (Withdraw Single Occurrence - Admin or Venue manager)
+router.route('/series/:seriesId/occurrences/:id')
+    .delete(protect, authorize('bookings:manage'), withdrawSeriesOccurrence);
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+// server/routes/equipmentRoutes.js
+const express = require('express');
+const {
+    getEquipment,
+    getAvailability,
+    getPullList,
+    createEquipment,
+    updateEquipment,
+    deleteEquipment
+} = require('../controllers/equipmentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// GET /api/equipment (List - any logged-in user, used by the booking form)
+// POST /api/equipment (Create)
+router.route('/')
+    .get(protect, getEquipment)
+    .post(protect, authorize('equipment:manage'), createEquipment);
+
+// GET /api/equipment/availability (Units still free for a hall and time - any logged-in user)
+router.get('/availability', protect, getAvailability);
+
+// GET /api/equipment/pull-list?date= (What to set out that day - scoped like the booking list)
+router.get('/pull-list', protect, authorize('bookings:read'), getPullList);
+
+// PUT / DELETE /api/equipment/:id
+router.route('/:id')
+    .put(protect, authorize('equipment:manage'), updateEquipment)
+    .delete(protect, authorize('equipment:manage'), deleteEquipment);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// server/routes/policyRoutes.js
+const express = require('express');
+const {
+    getPolicies,
+    getEffectivePolicyForAuditorium,
+    updateGlobalPolicy,
+    updateAuditoriumPolicy,
+    deleteAuditoriumPolicy
+} = require('../controllers/policyController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', protect, admin, getPolicies);
+router.get('/effective/:auditoriumId', protect, getEffectivePolicyForAuditorium); // Booking form shows the applicable rules
+router.put('/global', protect, admin, updateGlobalPolicy);
+
+router.route('/auditorium/:auditoriumId')
+    .put(protect, admin, updateAuditoriumPolicy)
+    .delete(protect, admin, deleteAuditoriumPolicy);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// server/routes/userRoutes.js
+const express = require('express');
+const {
+    getUsers,
+    getUserById,
+    updateUserRole,
+    suspendUser,
+    reactivateUser,
+    unlockUser,
+    triggerPasswordReset,
+    getUserBookings,
+    deleteUser
+} = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every user management route is admin-only
+router.use(protect, authorize('users:manage'));
+
+// GET /api/users (List/search users - Admin)
+router.get('/', getUsers);
+
+// GET / DELETE /api/users/:id (Admin)
+router.route('/:id')
+    .get(getUserById)
+    .delete(deleteUser);
+
+// PUT /api/users/:id/role (Change role and scope assignments - Admin)
+router.put('/:id/role', updateUserRole);
+
+// PUT /api/users/:id/suspend | reactivate (Account suspension - Admin)
+router.put('/:id/suspend', suspendUser);
+router.put('/:id/reactivate', reactivateUser);
+
+// PUT /api/users/:id/unlock (Clear a failed-login lockout - Admin)
+router.put('/:id/unlock', unlockUser);
+
+// POST /api/users/:id/password-reset (Email a reset link - Admin)
+router.post('/:id/password-reset', triggerPasswordReset);
+
+// GET /api/users/:id/bookings (User's booking history - Admin)
+router.get('/:id/bookings', getUserBookings);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+// server/seedAuditoriums.js
+// Backfills catalog details (slug, description, category, features, photos) for the halls that used to have
+// hard-coded pages in the client, and gives every other auditorium a slug so it can be opened at /auditoriums/:slug.
+//
+//   node seedAuditoriums.js
+//
+// Existing halls are matched by slug or name. Fields an admin has already filled in are never overwritten,
+// and capacity/location always stay as recorded. Photo URLs point at client/public/auditoriums/<slug>/.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// --- Load Environment Variables ---
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const Auditorium = require('./models/Auditorium');
+
+// --- Catalog content carried over from the former static pages ---
+const CATALOG = [
+    {
+        slug: 'ks-auditorium',
+        names: ['KS Auditorium', 'Kode Satyanarayana Auditorium'],
+        category: 'Auditorium',
+        description: 'The KS Auditorium, also known as Kode Satyanarayana Auditorium, is a modern, state-of-the-art facility designed to host a variety of events including seminars, cultural programs, and academic gatherings. It offers a spacious and professional setting supported by top-notch infrastructure, with advanced sound and lighting systems for national seminars, cultural festivals, guest lectures and college celebrations.',
+        features: ['Projector', 'Sound System', 'Air Conditioning', 'Stage Lighting', 'Modern Stage Equipment'],
+        photos: [
+            { url: '/auditoriums/ks-auditorium/ksaudi1.jpg', caption: 'KS Auditorium Main' },
+            { url: '/auditoriums/ks-auditorium/ksaudi2.jpg', caption: 'KS Auditorium Interior' },
+            { url: '/auditoriums/ks-auditorium/ksaudi3.jpg', caption: 'KS Auditorium Stage' },
+            { url: '/auditoriums/ks-auditorium/ksaudi4.jpg', caption: 'KS Auditorium Seating' },
+        ],
+    },
+    {
+        slug: 'b-block-seminar-hall',
+        names: ['B Block Seminar Hall', 'B-Block Seminar Hall'],
+        category: 'Seminar Hall',
+        description: 'The B Block Seminar Hall is a spacious and well-equipped venue designed for academic talks, presentations, and workshops. It provides a professional environment for students and faculty to engage in knowledge-sharing activities, faculty development programs and cultural events.',
+        features: ['Projector', 'Whiteboard', 'Air Conditioning', 'Audio-Visual Equipment', 'Flexible Seating'],
+        photos: [
+            { url: '/auditoriums/b-block-seminar-hall/bblock1.jpg', caption: 'B Block Hall Exterior' },
+            { url: '/auditoriums/b-block-seminar-hall/bblock2.jpg', caption: 'B Block Hall Stage' },
+            { url: '/auditoriums/b-block-seminar-hall/bblock3.jpg', caption: 'B Block Hall Seating' },
+            { url: '/auditoriums/b-block-seminar-hall/bblock4.jpg', caption: 'B Block Hall Overview' },
+        ],
+    },
+    {
+        slug: 'apj-abdul-kalam-auditorium',
+        names: ['APJ Abdul Kalam Auditorium', 'APJ Abdul Kalam Seminar Hall', 'APJ Auditorium'],
+        category: 'Auditorium',
+        description: "The APJ Abdul Kalam Auditorium is a modern facility designed to host a variety of events, including conferences, seminars, and cultural programs. Named after India's beloved former President, it hosts inspiring lectures and prestigious events and represents excellence and innovation in academic facilities.",
+        features: ['Projector', 'Sound System', 'Air Conditioning', 'Multi-level Seating', 'Stage Lighting'],
+        photos: [
+            { url: '/auditoriums/apj-abdul-kalam-auditorium/apj1.jpg', caption: 'APJ Auditorium Main' },
+            { url: '/auditoriums/apj-abdul-kalam-auditorium/apj2.jpg', caption: 'APJ Auditorium Interior' },
+            { url: '/auditoriums/apj-abdul-kalam-auditorium/apj3.jpg', caption: 'APJ Auditorium Stage' },
+        ],
+    },
+    {
+        slug: 'peb-training-hall',
+        names: ['PEB Training Hall', 'PEB Hall'],
+        category: 'Training Hall',
+        description: 'The PEB Training Hall is a versatile space designed for training sessions, workshops, and small-scale events. It is equipped with modern training facilities to ensure a productive and comfortable environment for group discussions and professional development.',
+        features: ['Projector', 'Computers', 'Whiteboard', 'Air Conditioning', 'Flexible Seating'],
+        photos: [], // No photos were bundled for this hall; add them from the admin console
+    },
+];
+
+// --- Database Connection ---
+const connectDB = async () => {
+    const MONGODB_URI = process.env.MONGODB_URI;
+    if (!MONGODB_URI) { console.error('FATAL: MONGODB_URI not defined.'); process.exit(1); }
+    try { await mongoose.connect(MONGODB_URI); console.log('MongoDB connected for seeding the auditorium catalog...'); }
+    catch (err) { console.error('MongoDB connection error:', err.message); process.exit(1); }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Fill in only what is still empty on an existing hall ---
+const applyCatalogEntry = (auditorium, entry) => {
+    const changed = [];
+    if (!auditorium.slug) { auditorium.slug = entry.slug; changed.push('slug'); }
+    if (!auditorium.description) { auditorium.description = entry.description; changed.push('description'); }
+    if (!auditorium.category) { auditorium.category = entry.category; changed.push('category'); }
+    if (!auditorium.features?.length && entry.features.length) { auditorium.features = entry.features; changed.push('features'); }
+    if (!auditorium.photos?.length && entry.photos.length) { auditorium.photos = entry.photos; changed.push('photos'); }
+    return changed;
+};
+
+const seedCatalog = async () => {
+    await connectDB();
+    try {
+        console.log('\nApplying catalog details...');
+        for (const entry of CATALOG) {
+            const namePatterns = entry.names.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+            const auditorium = await Auditorium.findOne({ $or: [{ slug: entry.slug }, { name: { $in: namePatterns } }] });
+            if (!auditorium) {
+                console.warn(`  ! No auditorium matches "${entry.names[0]}" - create it from the admin console first.`);
+                continue;
+            }
+            const changed = applyCatalogEntry(auditorium, entry);
+            if (changed.length === 0) { console.log(`  - ${auditorium.name}: already complete`); continue; }
+            await auditorium.save();
+            console.log(`  ✓ ${auditorium.name}: set ${changed.join(', ')}`);
+        }
+
+        console.log('\nGenerating missing slugs...');
+        const withoutSlug = await Auditorium.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] });
+        for (const auditorium of withoutSlug) {
+            auditorium.slug = undefined; // Regenerated from the name by the model's pre-validate hook
+            await auditorium.save();
+            console.log(`  ✓ ${auditorium.name} -> /auditoriums/${auditorium.slug}`);
+        }
+        if (withoutSlug.length === 0) { console.log('  - Every auditorium already has a slug.'); }
+
+        console.log('\nAuditorium catalog seeding complete.');
+    } catch (error) {
+        console.error('--- ERROR DURING CATALOG SEEDING ---');
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('MongoDB connection closed.');
+    }
+};
+
+// --- Run the Seeder ---
+seedCatalog();
@@ -11,9 +11,15 @@ const authRoutes = require('./routes/auth');
 const auditoriumRoutes = require('./routes/auditoriumRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const departmentRoutes = require('./routes/departmentRoutes');
+const policyRoutes = require('./routes/policyRoutes');
+const blackoutRoutes = require('./routes/blackoutRoutes');
+const approvalWorkflowRoutes = require('./routes/approvalWorkflowRoutes');
+const userRoutes = require('./routes/userRoutes');
+const equipmentRoutes = require('./routes/equipmentRoutes');
 
 // --- Service Imports ---
 const { startReminderScheduler } = require('./services/reminderScheduler'); // <-- ADDED Import
+const { startProposalExpiryScheduler } = require('./services/proposalExpiryScheduler');
 
 // --- App Initialization ---
 const app = express();
@@ -33,6 +39,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/auditoriums', auditoriumRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/departments', departmentRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/blackouts', blackoutRoutes);
+app.use('/api/approval-workflows', approvalWorkflowRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/equipment', equipmentRoutes);
 
 // --- Root Route (Simple Check) ---
 app.get('/api', (req, res) => {
@@ -62,6 +73,7 @@ const startServer = async () => {
 
     // --- Start the Reminder Scheduler AFTER DB connection ---
     startReminderScheduler(); // <-- ADDED Scheduler Start
+    startProposalExpiryScheduler();
     // ----------------------------------------------------
 
     // Start listening for HTTP requests
@@ -0,0 +1,147 @@
+// server/services/approvalService.js
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { hasPermission, isBookingInScope } = require('./permissionService');
+
+// Bookings without a workflow have one implicit stage handled by the venue admins
+const ADMIN_STAGE_NAME = 'Venue admin approval';
+
+/** Booking filter for pending requests currently blocked on the venue admins. */
+const ADMIN_STAGE_FILTER = { 'currentApprovers.0': { $exists: false } };
+
+/**
+ * Finds the active workflow for a booking's scope: department + auditorium, then auditorium,
+ * then department, then the global workflow.
+ * @returns {Promise<object|null>} Lean workflow, or null when none applies.
+ */
+const findApplicableWorkflow = async (auditoriumId, departmentId) => {
+    const candidates = await ApprovalWorkflow.find({
+        isActive: true,
+        auditorium: { $in: [auditoriumId, null] },
+        department: { $in: [departmentId, null] },
+    }).lean();
+    const specificity = (w) => (w.auditorium ? 2 : 0) + (w.department ? 1 : 0);
+    return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * Approval fields for a new pending booking: a copy of the applicable stages, starting at the first.
+ * @returns {Promise<{ approvalStages: Array, currentStage: number, currentApprovers: Array }>}
+ */
+const buildApprovalFields = async (auditoriumId, departmentId) => {
+    const workflow = await findApplicableWorkflow(auditoriumId, departmentId);
+    const approvalStages = (workflow?.stages || []).map(stage => ({ name: stage.name, approvers: stage.approvers, decision: 'pending' }));
+    return { approvalStages, currentStage: 0, currentApprovers: approvalStages[0]?.approvers || [] };
+};
+
+/** The stage a pending booking is waiting on. */
+const getCurrentStage = (booking) => booking.approvalStages?.[booking.currentStage || 0] || { name: ADMIN_STAGE_NAME, approvers: [] };
+
+const isAdminStage = (stage) => !stage.approvers || stage.approvers.length === 0;
+
+const isFinalStage = (booking) => (booking.currentStage || 0) >= (booking.approvalStages?.length || 1) - 1;
+
+/**
+ * Staff who may decide bookings (admins, plus coordinators / venue managers within their assignments)
+ * act on stages without named approvers; a named stage only accepts its own approvers,
+ * so an endorsement cannot be skipped.
+ */
+const canActOnStage = (user, stage, booking) => (isAdminStage(stage)
+    ? hasPermission(user, 'bookings:decide') && isBookingInScope(user, booking)
+    : stage.approvers.some(approver => String(approver._id || approver) === String(user?._id)));
+
+/** Human-readable position, e.g. "'HOD endorsement' (stage 1 of 2)". */
+const describeStage = (booking) => {
+    const total = booking.approvalStages?.length || 1;
+    return `'${getCurrentStage(booking).name}' (stage ${(booking.currentStage || 0) + 1} of ${total})`;
+};
+
+// Points the booking at another stage; reminders start over for the new approvers
+const moveToStage = (booking, index) => {
+    booking.currentStage = index;
+    booking.currentApprovers = booking.approvalStages[index]?.approvers || [];
+    booking.reminderSent = false;
+};
+
+/**
+ * Records a decision on the current stage (no-op for the implicit admin stage). Does not save.
+ * @param {'approved'|'rejected'} decision
+ */
+const recordStageDecision = (booking, decision, actor, comment) => {
+    const stage = booking.approvalStages?.[booking.currentStage || 0];
+    if (!stage) { return; }
+    stage.decision = decision;
+    stage.decidedBy = actor?._id;
+    stage.decidedAt = new Date();
+    stage.comment = comment || undefined;
+};
+
+/**
+ * Approves a non-final stage and moves the booking on to the next one. Does not save.
+ * @returns {object} The stage now blocking the booking.
+ */
+const advanceStage = (booking, actor, comment) => {
+    recordStageDecision(booking, 'approved', actor, comment);
+    moveToStage(booking, (booking.currentStage || 0) + 1);
+    return getCurrentStage(booking);
+};
+
+/**
+ * Sends a booking back to its final stage, e.g. when an approved booking asks for a new time.
+ * Earlier endorsements stay valid. Does not save.
+ */
+const reopenFinalStage = (booking) => {
+    if (!booking.approvalStages || booking.approvalStages.length === 0) { return; }
+    const last = booking.approvalStages.length - 1;
+    booking.approvalStages[last].decision = 'pending';
+    booking.approvalStages[last].decidedBy = undefined;
+    booking.approvalStages[last].decidedAt = undefined;
+    moveToStage(booking, last);
+};
+
+/**
+ * Email addresses to notify for a booking's current stage: its active approvers who accept approval
+ * request emails, or ADMIN_EMAIL for admin stages.
+ * @returns {Promise<string[]>}
+ */
+const getStageRecipients = async (booking) => {
+    const stage = getCurrentStage(booking);
+    if (isAdminStage(stage)) { return process.env.ADMIN_EMAIL ? [process.env.ADMIN_EMAIL] : []; }
+    const approvers = await User.find({ _id: { $in: stage.approvers }, isSuspended: { $ne: true } }).select('email notificationPreferences');
+    return approvers.filter(u => u.wantsEmail('approvalRequests')).map(u => u.email).filter(Boolean);
+};
+
+/**
+ * Counts pending bookings by the stage blocking them, optionally within a staff member's scope.
+ * @returns {Promise<Array<{ stage: string, awaitingAdmin: boolean, count: number }>>}
+ */
+const getPendingStageBreakdown = (scopeFilter = {}) => Booking.aggregate([
+    { $match: { ...scopeFilter, status: 'pending' } },
+    {
+        $group: {
+            _id: {
+                stage: { $ifNull: [{ $arrayElemAt: ['$approvalStages.name', { $ifNull: ['$currentStage', 0] }] }, ADMIN_STAGE_NAME] },
+                awaitingAdmin: { $eq: [{ $size: { $ifNull: ['$currentApprovers', []] } }, 0] }
+            },
+            count: { $sum: 1 }
+        }
+    },
+    { $project: { _id: 0, stage: '$_id.stage', awaitingAdmin: '$_id.awaitingAdmin', count: 1 } },
+    { $sort: { awaitingAdmin: -1, count: -1 } }
+]);
+
+module.exports = {
+    ADMIN_STAGE_FILTER,
+    buildApprovalFields,
+    getCurrentStage,
+    isAdminStage,
+    isFinalStage,
+    canActOnStage,
+    describeStage,
+    recordStageDecision,
+    advanceStage,
+    reopenFinalStage,
+    getStageRecipients,
+    getPendingStageBreakdown
+};
@@ -0,0 +1,78 @@
+// server/services/auditService.js
+const BookingAuditLog = require('../models/BookingAuditLog');
+
+/** Booking fields whose old/new values are captured in the audit trail. */
+const AUDITED_FIELDS = ['status', 'startTime', 'endTime', 'auditorium', 'rejectionReason', 'cancellationReason'];
+
+// Populated refs are stored by id; missing values as null
+const toAuditValue = (value) => (value && value._id ? value._id : value ?? null);
+
+const isSameValue = (a, b) => {
+    const normalize = (v) => (v instanceof Date ? v.toISOString() : v == null ? '' : String(v));
+    return normalize(a) === normalize(b);
+};
+
+/**
+ * Captures the audited fields of a booking, e.g. before modifying it.
+ * @param {object} booking - Booking document or plain object.
+ * @returns {object} Field -> value map.
+ */
+const snapshotBooking = (booking) => Object.fromEntries(AUDITED_FIELDS.map(field => [field, toAuditValue(booking[field])]));
+
+/**
+ * Lists the audited fields that differ between two snapshots.
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+const diffSnapshots = (before, after) => AUDITED_FIELDS
+    .filter(field => !isSameValue(before[field], after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+const toActorRole = (actor) => (!actor ? 'system' : actor.role || 'user');
+
+const buildEntry = (booking, action, { actor = null, before = null, changes = null, note } = {}) => ({
+    booking: booking._id,
+    owner: toAuditValue(booking.user),
+    eventName: booking.eventName,
+    action,
+    actor: actor?._id || null,
+    actorRole: toActorRole(actor),
+    changes: changes || (before ? diffSnapshots(before, snapshotBooking(booking)) : []),
+    note,
+});
+
+/**
+ * Appends one entry to a booking's history. Never throws: a failed audit write is logged
+ * but must not undo the action that was already applied.
+ * @param {object} booking - The booking after the action (or just before deletion).
+ * @param {string} action - One of the BookingAuditLog actions.
+ * @param {object} [options]
+ * @param {object} [options.actor] - req.user, or null for system actions.
+ * @param {object} [options.before] - snapshotBooking() taken before the change; old/new values are derived from it.
+ * @param {Array} [options.changes] - Explicit changes, used instead of `before`.
+ * @param {string} [options.note] - Free text such as a reason.
+ */
+const recordBookingEvent = async (booking, action, options) => {
+    try {
+        await BookingAuditLog.create(buildEntry(booking, action, options));
+    } catch (error) {
+        console.error(`[Audit Error] Failed to record '${action}' for booking ${booking?._id}:`, error.message || error);
+    }
+};
+
+/**
+ * Same as recordBookingEvent for many bookings at once (series actions); options apply to every entry.
+ */
+const recordBookingEvents = async (bookings, action, options) => {
+    if (!bookings || bookings.length === 0) { return; }
+    try {
+        await BookingAuditLog.insertMany(bookings.map(b => buildEntry(b, action, options)));
+    } catch (error) {
+        console.error(`[Audit Error] Failed to record '${action}' for ${bookings.length} bookings:`, error.message || error);
+    }
+};
+
+module.exports = {
+    snapshotBooking,
+    recordBookingEvent,
+    recordBookingEvents,
+};
@@ -0,0 +1,43 @@
+// server/services/blackoutService.js
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+const { formatDateTimeIST } = require('../utils/emailService');
+
+// Campus-wide blackouts have no auditoriums; scoped ones list the auditoriums they block
+const scopeFilter = (auditoriumId) => ({ $or: [{ auditoriums: { $size: 0 } }, { auditoriums: auditoriumId }] });
+
+/**
+ * Blackout periods affecting an auditorium that overlap [start, end).
+ * @returns {Promise<Array<object>>} Lean documents sorted by start time.
+ */
+const findBlackouts = (auditoriumId, start, end) => BlackoutPeriod.find({
+    ...scopeFilter(auditoriumId),
+    startTime: { $lt: end },
+    endTime: { $gt: start }
+}).select('title reason category startTime endTime auditoriums').sort({ startTime: 1 }).lean();
+
+/**
+ * First blackout period overlapping any of the given intervals, or null.
+ * @param {string} auditoriumId
+ * @param {Array<{ start: Date, end: Date }>} intervals
+ */
+const findBlackoutForIntervals = (auditoriumId, intervals) => BlackoutPeriod.findOne({
+    $and: [
+        scopeFilter(auditoriumId),
+        { $or: intervals.map(({ start, end }) => ({ startTime: { $lt: end }, endTime: { $gt: start } })) }
+    ]
+}).select('title reason category startTime endTime').lean();
+
+/**
+ * Structured violation for a blackout, in the same shape as booking policy violations.
+ */
+const toBlackoutViolation = (blackout) => ({
+    code: 'BLACKOUT_PERIOD',
+    message: `The requested time falls within the blackout period '${blackout.title}' (${formatDateTimeIST(blackout.startTime)} - ${formatDateTimeIST(blackout.endTime)}): ${blackout.reason}`,
+    blackout
+});
+
+module.exports = {
+    findBlackouts,
+    findBlackoutForIntervals,
+    toBlackoutViolation
+};
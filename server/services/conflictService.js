@@ -0,0 +1,103 @@
+// server/services/conflictService.js
+// Overlap and conflict checks shared by booking requests, moves, waitlist promotion and auditorium reassignment.
+const Booking = require('../models/Booking');
+const { DEFAULT_POLICY } = require('./policyService');
+
+const MAX_EXTRA_SETUP_MINUTES = 240; // Mirrors the Booking model limit on requested setup time
+const MINUTE_MS = 60 * 1000;
+const OPEN_REQUEST_STATUSES = ['pending', 'awaiting-requester'];
+
+// --- Helper: Time windows a booking actually occupies ---
+const getBookingIntervals = (booking) => (booking.segments && booking.segments.length > 0)
+    ? booking.segments.map(seg => ({ start: seg.startTime, end: seg.endTime }))
+    : [{ start: booking.startTime, end: booking.endTime }];
+
+// --- Helper: Overlap filter that respects multi-day segments ---
+// A segmented booking only occupies its day windows, not the nights between them.
+const overlapFilter = (start, end) => ({
+    $or: [
+        { 'segments.0': { $exists: false }, startTime: { $lt: end }, endTime: { $gt: start } },
+        { segments: { $elemMatch: { startTime: { $lt: end }, endTime: { $gt: start } } } }
+    ]
+});
+
+// --- Helper: Buffers for a conflict check (auditorium policy + the requester's extra setup time) ---
+const getConflictBuffers = (policy, extraSetupMinutes = 0) => ({
+    setupBufferMinutes: policy.setupBufferMinutes || 0,
+    teardownBufferMinutes: policy.teardownBufferMinutes || 0,
+    extraSetupMinutes: extraSetupMinutes || 0
+});
+
+// --- Helper: Start of a booking's setup window (aggregation expression, uses the document's own extra setup) ---
+const setupStartExpr = (startField) => ({ $subtract: [startField, { $multiply: [{ $ifNull: ['$extraSetupMinutes', 0] }, MINUTE_MS] }] });
+
+// --- Helper: First approved booking clashing with any of the given intervals (returns a Query) ---
+// Every booking blocks [start - setup buffer - its extra setup, end + teardown buffer], so two bookings
+// clash when the gap between them is shorter than one's teardown plus the other's setup.
+const findApprovedConflict = (auditoriumId, intervals, excludeBookingId = null, buffers = getConflictBuffers(DEFAULT_POLICY)) => {
+    const gapMs = (buffers.setupBufferMinutes + buffers.teardownBufferMinutes) * MINUTE_MS;
+    const windows = intervals.map(({ start, end }) => ({
+        lower: new Date(start.getTime() - gapMs - buffers.extraSetupMinutes * MINUTE_MS),
+        upper: new Date(end.getTime() + gapMs)
+    }));
+    const clashes = (startField, endField) => ({
+        $or: windows.map(({ lower, upper }) => ({ $and: [{ $lt: [setupStartExpr(startField), upper] }, { $gt: [endField, lower] }] }))
+    });
+    const query = {
+        auditorium: auditoriumId,
+        status: 'approved',
+        // Index-friendly pre-filter; $expr then applies each booking's own extra setup (per day for multi-day events)
+        $or: windows.map(({ lower, upper }) => ({ startTime: { $lt: new Date(upper.getTime() + MAX_EXTRA_SETUP_MINUTES * MINUTE_MS) }, endTime: { $gt: lower } })),
+        $expr: {
+            $cond: [
+                { $gt: [{ $size: { $ifNull: ['$segments', []] } }, 0] },
+                { $anyElementTrue: [{ $map: { input: '$segments', as: 'seg', in: clashes('$$seg.startTime', '$$seg.endTime') } }] },
+                clashes('$startTime', '$endTime')
+            ]
+        }
+    };
+    if (excludeBookingId) { query._id = { $ne: excludeBookingId }; }
+    return Booking.findOne(query);
+};
+
+// --- Helper: Other open requests for the same auditorium and overlapping time, keyed by booking ID ---
+// Open requests never block each other, so approvers see who else wants the slot before approving one of them.
+const findCompetingRequests = async (bookings, scopeFilter = {}) => {
+    const competing = new Map();
+    const open = bookings.filter(b => OPEN_REQUEST_STATUSES.includes(b.status) && b.auditorium); // A deleted hall populates to null
+    if (open.length === 0) { return competing; }
+    const hallOf = (booking) => String(booking.auditorium?._id || booking.auditorium);
+    const rangeStart = new Date(Math.min(...open.map(b => b.startTime.getTime())));
+    const rangeEnd = new Date(Math.max(...open.map(b => b.endTime.getTime())));
+    const candidates = await Booking.find({
+        $and: [
+            { auditorium: { $in: [...new Set(open.map(hallOf))] }, status: { $in: OPEN_REQUEST_STATUSES }, startTime: { $lt: rangeEnd }, endTime: { $gt: rangeStart } },
+            scopeFilter
+        ]
+    })
+        .select('eventName startTime endTime segments status auditorium department user expectedAttendance createdAt')
+        .populate('department', 'name')
+        .populate('user', 'username email')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    for (const booking of open) {
+        const windows = getBookingIntervals(booking);
+        const rivals = candidates.filter(other => String(other._id) !== String(booking._id)
+            && hallOf(other) === hallOf(booking)
+            && getBookingIntervals(other).some(w => windows.some(({ start, end }) => w.start < end && w.end > start)));
+        if (rivals.length > 0) {
+            competing.set(String(booking._id), rivals.map(({ segments, auditorium, ...rival }) => rival));
+        }
+    }
+    return competing;
+};
+
+module.exports = {
+    MAX_EXTRA_SETUP_MINUTES,
+    getBookingIntervals,
+    overlapFilter,
+    getConflictBuffers,
+    findApprovedConflict,
+    findCompetingRequests
+};
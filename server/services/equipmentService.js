@@ -0,0 +1,146 @@
+// server/services/equipmentService.js
+const mongoose = require('mongoose');
+const Equipment = require('../models/Equipment');
+const Booking = require('../models/Booking');
+const { getBookingIntervals, overlapFilter } = require('./conflictService');
+
+const MAX_LINE_ITEMS = 20;
+
+const idOf = (value) => String(value?._id || value);
+
+// Fixed items only serve their own hall; portable items serve every hall
+const servesAuditorium = (item, auditoriumId) => !item.auditorium || idOf(item.auditorium) === idOf(auditoriumId);
+
+/**
+ * Validates requested equipment line items for a booking in an auditorium.
+ * @param {Array|string|undefined} raw - `[{ item, quantity }]` or its JSON string (multipart forms); empty = no equipment.
+ * @param {string} auditoriumId
+ * @returns {Promise<{ valid: boolean, message?: string, items?: Array<{ item, name, quantity }> }>}
+ */
+const parseEquipmentRequest = async (raw, auditoriumId) => {
+    let lines = raw;
+    if (lines === undefined || lines === null || lines === '') { return { valid: true, items: [] }; }
+    if (typeof lines === 'string') {
+        try { lines = JSON.parse(lines); } catch (e) { return { valid: false, message: 'equipment must be a JSON array of { item, quantity }.' }; }
+    }
+    if (!Array.isArray(lines)) { return { valid: false, message: 'equipment must be an array of { item, quantity }.' }; }
+
+    // Merge repeated items so each appears once
+    const requested = new Map();
+    for (const line of lines) {
+        const id = String(line?.item || '');
+        const quantity = Number(line?.quantity);
+        if (!mongoose.Types.ObjectId.isValid(id)) { return { valid: false, message: 'Invalid equipment ID format.' }; }
+        if (!Number.isInteger(quantity) || quantity < 1) { return { valid: false, message: 'Equipment quantities must be whole numbers of at least 1.' }; }
+        requested.set(id, (requested.get(id) || 0) + quantity);
+    }
+    if (requested.size > MAX_LINE_ITEMS) { return { valid: false, message: `A booking can reserve at most ${MAX_LINE_ITEMS} different equipment items.` }; }
+    if (requested.size === 0) { return { valid: true, items: [] }; }
+
+    const found = await Equipment.find({ _id: { $in: [...requested.keys()] } }).select('name quantity auditorium isActive');
+    const byId = new Map(found.map(item => [String(item._id), item]));
+    const items = [];
+    for (const [id, quantity] of requested) {
+        const item = byId.get(id);
+        if (!item || item.isActive === false) { return { valid: false, message: 'One or more equipment items do not exist or are retired.' }; }
+        if (!servesAuditorium(item, auditoriumId)) { return { valid: false, message: `'${item.name}' belongs to another hall and cannot be reserved here.` }; }
+        if (quantity > item.quantity) { return { valid: false, message: `Only ${item.quantity} × '${item.name}' exist in total.` }; }
+        items.push({ item: item._id, name: item.name, quantity });
+    }
+    return { valid: true, items };
+};
+
+/**
+ * Peak number of units of each item reserved by approved bookings at any moment inside the given intervals.
+ * Bookings that overlap the intervals but not each other are not added together.
+ * @param {Array<string>} itemIds
+ * @param {Array<{ start: Date, end: Date }>} intervals
+ * @param {string|null} excludeBookingId - Booking being re-checked (its own reservation does not count).
+ * @returns {Promise<Map<string, number>>}
+ */
+const getPeakUsage = async (itemIds, intervals, excludeBookingId = null) => {
+    const usage = new Map(itemIds.map(id => [String(id), 0]));
+    if (itemIds.length === 0 || intervals.length === 0) { return usage; }
+    const query = {
+        status: 'approved',
+        'equipment.item': { $in: itemIds },
+        $or: intervals.flatMap(({ start, end }) => overlapFilter(start, end).$or)
+    };
+    if (excludeBookingId) { query._id = { $ne: excludeBookingId }; }
+    const bookings = await Booking.find(query).select('startTime endTime segments equipment').lean();
+
+    for (const id of usage.keys()) {
+        // Sweep the start/end points of every reservation of this item that falls inside a requested interval
+        for (const { start, end } of intervals) {
+            const points = [];
+            for (const booking of bookings) {
+                const line = booking.equipment.find(e => String(e.item) === id);
+                if (!line) { continue; }
+                for (const window of getBookingIntervals(booking)) {
+                    if (window.start < end && window.end > start) {
+                        points.push({ at: Math.max(window.start.getTime(), start.getTime()), delta: line.quantity });
+                        points.push({ at: Math.min(window.end.getTime(), end.getTime()), delta: -line.quantity });
+                    }
+                }
+            }
+            // Releases sort before acquisitions at the same instant (back-to-back bookings can share a unit)
+            points.sort((a, b) => a.at - b.at || a.delta - b.delta);
+            let current = 0;
+            for (const point of points) {
+                current += point.delta;
+                if (current > usage.get(id)) { usage.set(id, current); }
+            }
+        }
+    }
+    return usage;
+};
+
+/**
+ * Checks that a booking's equipment is still available for the given hall and time.
+ * @param {Array<{ item, name, quantity }>} lineItems
+ * @param {string} auditoriumId
+ * @param {Array<{ start: Date, end: Date }>} intervals
+ * @param {string|null} excludeBookingId
+ * @returns {Promise<null|{ message: string, shortages: Array<{ item, name, requested, available }> }>} null when everything fits.
+ */
+const findEquipmentShortage = async (lineItems, auditoriumId, intervals, excludeBookingId = null) => {
+    if (!lineItems || lineItems.length === 0) { return null; }
+    const ids = lineItems.map(line => idOf(line.item));
+    const [items, usage] = await Promise.all([
+        Equipment.find({ _id: { $in: ids } }).select('name quantity auditorium isActive'),
+        getPeakUsage(ids, intervals, excludeBookingId)
+    ]);
+    const byId = new Map(items.map(item => [String(item._id), item]));
+    const shortages = [];
+    for (const line of lineItems) {
+        const id = idOf(line.item);
+        const item = byId.get(id);
+        const usable = item && item.isActive !== false && servesAuditorium(item, auditoriumId);
+        const available = usable ? Math.max(item.quantity - usage.get(id), 0) : 0;
+        if (line.quantity > available) { shortages.push({ item: id, name: item?.name || line.name, requested: line.quantity, available }); }
+    }
+    if (shortages.length === 0) { return null; }
+    const summary = shortages.map(s => `'${s.name}' (${s.available} of ${s.requested} available)`).join(', ');
+    return { message: `Not enough equipment for this time: ${summary}.`, shortages };
+};
+
+/**
+ * Active equipment a hall can use, with how many units are free during the given intervals.
+ * @returns {Promise<Array<object>>} Plain objects with `available` and `reserved` added.
+ */
+const getEquipmentAvailability = async (auditoriumId, intervals, excludeBookingId = null) => {
+    const items = await Equipment.find({ isActive: true, $or: [{ auditorium: null }, { auditorium: auditoriumId }] })
+        .select('name description category quantity auditorium').sort({ category: 1, name: 1 }).lean();
+    const usage = await getPeakUsage(items.map(item => String(item._id)), intervals, excludeBookingId);
+    return items.map(item => {
+        const reserved = usage.get(String(item._id)) || 0;
+        return { ...item, portable: !item.auditorium, reserved, available: Math.max(item.quantity - reserved, 0) };
+    });
+};
+
+module.exports = {
+    parseEquipmentRequest,
+    getPeakUsage,
+    findEquipmentShortage,
+    getEquipmentAvailability
+};
@@ -0,0 +1,81 @@
+// server/services/holdService.js
+// Short-lived slot holds taken while a user fills in the booking form. Pending requests never block
+// each other, so without a hold two users can both pass the availability check for the same time.
+const SlotHold = require('../models/SlotHold');
+
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES) || 10;
+const MINUTE_MS = 60 * 1000;
+
+// --- Helper: Live holds of other users overlapping any of the intervals ---
+const competingHoldFilter = (auditoriumId, intervals, userId) => ({
+    auditorium: auditoriumId,
+    user: { $ne: userId },
+    expiresAt: { $gt: new Date() },
+    intervals: { $elemMatch: { $or: intervals.map(({ start, end }) => ({ startTime: { $lt: end }, endTime: { $gt: start } })) } }
+});
+
+const isSameSlot = (hold, auditoriumId, intervals) => String(hold.auditorium) === String(auditoriumId)
+    && hold.intervals.length === intervals.length
+    && hold.intervals.every((w, i) => w.startTime.getTime() === intervals[i].start.getTime() && w.endTime.getTime() === intervals[i].end.getTime());
+
+/**
+ * The oldest live hold another user has on any of the intervals.
+ * @param {string} auditoriumId
+ * @param {Array<{ start: Date, end: Date }>} intervals
+ * @param {string} userId - The requester; their own hold never competes.
+ * @returns {Promise<object|null>}
+ */
+const findCompetingHold = (auditoriumId, intervals, userId) => SlotHold.findOne(competingHoldFilter(auditoriumId, intervals, userId))
+    .sort({ heldAt: 1 })
+    .select('intervals heldAt expiresAt');
+
+/**
+ * Holds a slot for the user for HOLD_MINUTES, replacing any other slot they held.
+ * Holding the same slot again extends it without losing its place.
+ * @returns {Promise<{ hold: object|null, competing: object|null }>} `competing` is set when someone else holds the slot.
+ */
+const placeHold = async (userId, auditoriumId, intervals) => {
+    const competing = await findCompetingHold(auditoriumId, intervals, userId);
+    if (competing) { return { hold: null, competing }; }
+
+    const now = new Date();
+    const existing = await SlotHold.findOne({ user: userId });
+    const keepPlace = existing && existing.expiresAt > now && isSameSlot(existing, auditoriumId, intervals);
+    const hold = await SlotHold.findOneAndUpdate(
+        { user: userId },
+        {
+            auditorium: auditoriumId,
+            intervals: intervals.map(({ start, end }) => ({ startTime: start, endTime: end })),
+            heldAt: keepPlace ? existing.heldAt : now,
+            expiresAt: new Date(now.getTime() + HOLD_MINUTES * MINUTE_MS)
+        },
+        { upsert: true, new: true, runValidators: true }
+    );
+
+    // Two users can pass the check above at the same moment; the earlier claim keeps the slot
+    const earlier = await SlotHold.findOne({
+        ...competingHoldFilter(auditoriumId, intervals, userId),
+        $or: [{ heldAt: { $lt: hold.heldAt } }, { heldAt: hold.heldAt, _id: { $lt: hold._id } }]
+    }).select('intervals heldAt expiresAt');
+    if (earlier) {
+        await hold.deleteOne();
+        return { hold: null, competing: earlier };
+    }
+    return { hold, competing: null };
+};
+
+/**
+ * Drops the user's hold (after submitting, or when they leave the form).
+ * @returns {Promise<number>} Number of holds removed.
+ */
+const releaseHold = async (userId) => {
+    const result = await SlotHold.deleteMany({ user: userId });
+    return result.deletedCount || 0;
+};
+
+module.exports = {
+    HOLD_MINUTES,
+    findCompetingHold,
+    placeHold,
+    releaseHold
+};
@@ -0,0 +1,89 @@
+// server/services/loginProtectionService.js
+const User = require('../models/User');
+const { createWindowCounter } = require('./rateLimitService');
+const { STAFF_ROLES } = require('./permissionService');
+const { sendAccountLockoutAlertEmail } = require('../utils/emailService');
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;   // Per account, before a temporary lock
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;  // First lock; each repeat lock doubles it
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;  // Per IP across all accounts, per window
+const MAX_DELAY_MS = 8000;
+
+const ipFailures = createWindowCounter(IP_WINDOW_MS);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Progressive delay before answering a failed login: none for the first two failures, then doubling up to 8s. */
+const getFailureDelayMs = (failures) => (failures <= 2 ? 0 : Math.min(500 * 2 ** (failures - 3), MAX_DELAY_MS));
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 60000));
+
+const isLocked = (user) => !!user?.lockUntil && user.lockUntil > new Date();
+
+/**
+ * Whether this IP has failed too often recently.
+ * @returns {number} Seconds until it may try again (0 when not blocked).
+ */
+const getIpRetryAfter = (ip) => Math.ceil(ipFailures.retryAfterMs(ip, IP_MAX_FAILURES) / 1000);
+
+/**
+ * Records a failed login for the IP and, when the account exists, for the account. Locks the account
+ * after MAX_FAILED_ATTEMPTS and alerts ADMIN_EMAIL when a staff account gets locked. Waits the
+ * progressive delay before returning so repeated guesses slow down.
+ * @returns {Promise<{ lockedUntil: Date|null }>}
+ */
+const recordFailedLogin = async (user, ip) => {
+    const ipCount = ipFailures.hit(ip);
+    if (!user) {
+        await sleep(getFailureDelayMs(ipCount));
+        return { lockedUntil: null };
+    }
+
+    let updated = await User.findByIdAndUpdate(user._id, {
+        $inc: { failedLoginAttempts: 1 },
+        $set: { lastFailedLoginAt: new Date(), lastFailedLoginIp: ip }
+    }, { new: true });
+
+    let lockedUntil = null;
+    if (updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+        const lockMinutes = Math.min(LOCKOUT_MINUTES * 2 ** (updated.lockoutCount || 0), MAX_LOCKOUT_MINUTES);
+        lockedUntil = new Date(Date.now() + lockMinutes * 60000);
+        const attempts = updated.failedLoginAttempts;
+        // The counter starts over so the next lock comes after another full set of failures
+        updated = await User.findByIdAndUpdate(user._id, { $set: { lockUntil: lockedUntil, failedLoginAttempts: 0 }, $inc: { lockoutCount: 1 } }, { new: true });
+        console.warn(`[Security] Account ${updated._id} (${updated.email}) locked for ${lockMinutes} minutes after ${attempts} failed logins (last from ${ip}).`);
+        if (STAFF_ROLES.includes(updated.role)) {
+            if (process.env.ADMIN_EMAIL) {
+                try { await sendAccountLockoutAlertEmail(process.env.ADMIN_EMAIL, updated, { attempts, ip, lockedUntil }); }
+                catch (emailError) { console.error('[Non-critical Error] Sending lockout alert failed:', emailError); }
+            } else { console.warn('[Warning] ADMIN_EMAIL not configured; staff lockout alert not sent.'); }
+        }
+    }
+
+    await sleep(getFailureDelayMs(Math.max(updated.failedLoginAttempts, ipCount)));
+    return { lockedUntil };
+};
+
+const RESET_LOCKOUT_UPDATE = { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } };
+
+/** Clears the failure and escalation counters after a successful login. */
+const recordSuccessfulLogin = async (user) => {
+    if (user.failedLoginAttempts > 0 || user.lockoutCount > 0 || user.lockUntil) {
+        await User.updateOne({ _id: user._id }, RESET_LOCKOUT_UPDATE);
+    }
+};
+
+/** Admin action: lifts a lock early and resets the counters. */
+const clearLockout = (userId) => User.findByIdAndUpdate(userId, RESET_LOCKOUT_UPDATE, { new: true });
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS,
+    isLocked,
+    minutesUntil,
+    getIpRetryAfter,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    clearLockout
+};
@@ -0,0 +1,260 @@
+// server/services/oidcService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { revokeAllSessions } = require('./tokenService');
+
+/**
+ * OpenID Connect login against the campus identity provider (authorization code flow with PKCE).
+ * Enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set. For local testing run `npm run mock-oidc`
+ * (see mockOidcProvider.js) and point OIDC_ISSUER at it.
+ */
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 5001}/api/auth/oidc/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile groups';
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Campus SSO';
+// Groups named <prefix><DEPARTMENT CODE>, e.g. "dept-CSE", link the user to that department
+const DEPARTMENT_GROUP_PREFIX = process.env.OIDC_DEPARTMENT_GROUP_PREFIX || 'dept-';
+// "role=group|group,role=group" - which IdP groups grant which role. Users in none of them get 'user'.
+const ROLE_GROUPS = process.env.OIDC_ROLE_GROUPS || 'admin=auditorium-admins,venue-manager=venue-managers,coordinator=department-coordinators,auditor=auditors';
+const ROLE_PRIORITY = ['admin', 'venue-manager', 'coordinator', 'auditor']; // Highest wins when a user is in several groups
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const EXCHANGE_CODE_TTL_MS = 60 * 1000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const pendingLogins = new Map();  // state -> { nonce, codeVerifier, createdAt }
+const exchangeCodes = new Map();  // one-time code handed to the frontend -> { userId, createdAt }
+let metadataCache = null;         // { discovery, keys, fetchedAt }
+
+const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [state, entry] of pendingLogins) { if (now - entry.createdAt > LOGIN_STATE_TTL_MS) { pendingLogins.delete(state); } }
+    for (const [code, entry] of exchangeCodes) { if (now - entry.createdAt > EXCHANGE_CODE_TTL_MS) { exchangeCodes.delete(code); } }
+}, 60 * 1000);
+sweep.unref();
+
+// Errors whose message is safe to show the person signing in (others get a generic message)
+const loginError = (message) => Object.assign(new Error(message), { isUserFacing: true });
+
+const isOidcEnabled = () => !!(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const parseRoleGroups = () => {
+    const map = new Map(); // group -> role
+    for (const pair of ROLE_GROUPS.split(',')) {
+        const [role, groups] = pair.split('=').map(part => part && part.trim());
+        if (!ROLE_PRIORITY.includes(role) || !groups) { continue; }
+        groups.split('|').map(g => g.trim()).filter(Boolean).forEach(group => map.set(group, role));
+    }
+    return map;
+};
+const roleByGroup = parseRoleGroups();
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) { throw new Error(`${url} responded ${response.status}: ${data.error_description || data.error || 'request failed'}`); }
+    return data;
+};
+
+/** Discovery document and signing keys, cached for an hour (refetched early when an unknown key ID shows up). */
+const getProviderMetadata = async (forceRefresh = false) => {
+    if (!forceRefresh && metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS) { return metadataCache; }
+    const discovery = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+    const jwks = await fetchJson(discovery.jwks_uri);
+    metadataCache = { discovery, keys: jwks.keys || [], fetchedAt: Date.now() };
+    return metadataCache;
+};
+
+const getSigningKey = async (kid) => {
+    let metadata = await getProviderMetadata();
+    let jwk = metadata.keys.find(key => key.kid === kid) || (!kid && metadata.keys[0]);
+    if (!jwk) {
+        metadata = await getProviderMetadata(true); // The provider may have rotated its keys
+        jwk = metadata.keys.find(key => key.kid === kid);
+    }
+    if (!jwk) { throw new Error(`No signing key found for key ID "${kid}".`); }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Starts a login: remembers state, nonce and PKCE verifier, and returns the provider URL to redirect to.
+ * @returns {Promise<string>}
+ */
+const buildAuthorizationUrl = async () => {
+    const { discovery } = await getProviderMetadata();
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    pendingLogins.set(state, { nonce, codeVerifier, createdAt: Date.now() });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: OIDC_CLIENT_ID,
+        redirect_uri: OIDC_REDIRECT_URI,
+        scope: OIDC_SCOPES,
+        state,
+        nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+        code_challenge_method: 'S256',
+    }).toString();
+    return url.toString();
+};
+
+/**
+ * Finishes a login from the provider's redirect: exchanges the code, verifies the ID token and
+ * returns its claims (merged with userinfo when the groups claim is missing).
+ * @returns {Promise<object>} Verified claims.
+ */
+const completeAuthorization = async ({ code, state }) => {
+    const pending = state && pendingLogins.get(state);
+    pendingLogins.delete(state);
+    if (!pending || Date.now() - pending.createdAt > LOGIN_STATE_TTL_MS) { throw loginError('The sign-in attempt expired or was not started here. Please try again.'); }
+    if (!code) { throw loginError('The identity provider did not return an authorization code.'); }
+
+    const { discovery } = await getProviderMetadata();
+    const tokens = await fetchJson(discovery.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: OIDC_REDIRECT_URI,
+            client_id: OIDC_CLIENT_ID,
+            ...(OIDC_CLIENT_SECRET ? { client_secret: OIDC_CLIENT_SECRET } : {}),
+            code_verifier: pending.codeVerifier,
+        }).toString(),
+    });
+    if (!tokens.id_token) { throw loginError('The identity provider did not return an ID token.'); }
+
+    const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+    const key = await getSigningKey(header?.kid);
+    const claims = jwt.verify(tokens.id_token, key, { algorithms: ['RS256', 'ES256'], issuer: discovery.issuer, audience: OIDC_CLIENT_ID });
+    if (claims.nonce !== pending.nonce) { throw new Error('ID token nonce mismatch.'); }
+
+    if (claims[OIDC_GROUPS_CLAIM] === undefined && discovery.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(discovery.userinfo_endpoint, { headers: { 'Authorization': `Bearer ${tokens.access_token}`, 'Accept': 'application/json' } });
+        if (userinfo.sub === claims.sub) { return { ...userinfo, ...claims, [OIDC_GROUPS_CLAIM]: userinfo[OIDC_GROUPS_CLAIM] }; }
+    }
+    return claims;
+};
+
+/**
+ * Translates IdP groups into a role and department codes.
+ * @returns {{ role: string, departmentCodes: string[] }}
+ */
+const mapGroups = (groups) => {
+    const list = Array.isArray(groups) ? groups.map(String) : [];
+    const roles = list.map(group => roleByGroup.get(group)).filter(Boolean);
+    const role = ROLE_PRIORITY.find(candidate => roles.includes(candidate)) || 'user';
+    const departmentCodes = list
+        .filter(group => group.startsWith(DEPARTMENT_GROUP_PREFIX))
+        .map(group => group.slice(DEPARTMENT_GROUP_PREFIX.length).trim().toUpperCase())
+        .filter(Boolean);
+    return { role, departmentCodes };
+};
+
+const uniqueUsername = async (claims) => {
+    const base = String(claims.preferred_username || claims.email.split('@')[0]).replace(/[^\w.-]/g, '').slice(0, 30) || 'user';
+    if (!(await User.exists({ username: base }))) { return base; }
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+        if (!(await User.exists({ username: candidate }))) { return candidate; }
+    }
+    return `${base}${Date.now()}`;
+};
+
+/**
+ * Finds the account for a verified identity (by subject, then by email), creating it when missing.
+ * Accounts created here take their role from the IdP groups on every login (coordinator departments follow the
+ * department groups); roles of local accounts, or ones an admin has since set by hand, are left alone.
+ * @returns {Promise<{ user?: object, error?: string }>}
+ */
+const provisionUser = async (claims) => {
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+    if (!claims.sub || !email) { return { error: 'The identity provider did not share an email address for this account.' }; }
+
+    const { role, departmentCodes } = mapGroups(claims[OIDC_GROUPS_CLAIM]);
+    const departments = departmentCodes.length ? await Department.find({ code: { $in: departmentCodes } }).select('_id') : [];
+    const departmentIds = departments.map(d => d._id);
+
+    let user = await User.findOne({ oidcSubject: claims.sub }) || await User.findOne({ email });
+    if (user && user.oidcSubject && user.oidcSubject !== claims.sub) {
+        return { error: 'This email is already linked to a different campus identity. Please contact the administration.' };
+    }
+    if (user && !user.oidcSubject && claims.email_verified !== true) {
+        return { error: 'Your campus account email is not verified, so it cannot be linked to an existing account.' };
+    }
+
+    if (!user) {
+        user = await User.create({
+            username: await uniqueUsername({ ...claims, email }),
+            email,
+            password: crypto.randomBytes(32).toString('hex'), // Unused; the owner can set one through forgot-password
+            role,
+            departments: role === 'coordinator' ? departmentIds : [],
+            defaultDepartment: departmentIds[0],
+            displayName: typeof claims.name === 'string' ? claims.name.slice(0, 80) : undefined,
+            emailVerified: claims.email_verified === true,
+            oidcSubject: claims.sub,
+            lastSsoLoginAt: new Date(),
+            roleManagedByIdp: true,
+        });
+        console.log(`[SSO] Provisioned user ${user._id} (${email}) with role '${role}'.`);
+        return { user };
+    }
+
+    const previousRole = user.role;
+    let nextRole = user.roleManagedByIdp ? role : previousRole;
+    if (user.roleManagedByIdp && previousRole === 'admin' && role !== 'admin' && !user.isSuspended
+        && (await User.countDocuments({ role: 'admin', isSuspended: { $ne: true }, _id: { $ne: user._id } })) === 0) {
+        console.warn(`[SSO] Kept admin role for ${email}: the IdP groups would demote the last active admin.`);
+        nextRole = 'admin';
+    }
+    user.oidcSubject = claims.sub;
+    user.lastSsoLoginAt = new Date();
+    user.role = nextRole;
+    if (user.roleManagedByIdp && nextRole === 'coordinator' && departmentIds.length) { user.departments = departmentIds; }
+    if (!user.defaultDepartment && departmentIds.length) { user.defaultDepartment = departmentIds[0]; }
+    if (claims.email_verified === true && user.emailVerified === false) { user.emailVerified = true; }
+    await user.save({ validateBeforeSave: false });
+    if (previousRole !== nextRole) {
+        // Sessions from before the IdP changed the role must not keep the old access
+        user = await revokeAllSessions(user._id, 'account-change');
+        console.log(`[SSO] Role of ${email} synced from IdP groups: ${previousRole} -> ${nextRole}.`);
+    }
+    return { user };
+};
+
+/** One-time code the frontend trades for tokens, so tokens never appear in a redirect URL. */
+const createExchangeCode = (userId) => {
+    const code = base64url(crypto.randomBytes(32));
+    exchangeCodes.set(code, { userId, createdAt: Date.now() });
+    return code;
+};
+
+/** @returns {string|null} The user ID, or null when the code is unknown, used or expired. */
+const redeemExchangeCode = (code) => {
+    const entry = code && exchangeCodes.get(code);
+    exchangeCodes.delete(code);
+    if (!entry || Date.now() - entry.createdAt > EXCHANGE_CODE_TTL_MS) { return null; }
+    return entry.userId;
+};
+
+module.exports = {
+    OIDC_PROVIDER_NAME,
+    isOidcEnabled,
+    buildAuthorizationUrl,
+    completeAuthorization,
+    mapGroups,
+    provisionUser,
+    createExchangeCode,
+    redeemExchangeCode
+};
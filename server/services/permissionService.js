@@ -0,0 +1,70 @@
+// server/services/permissionService.js
+
+/**
+ * What each role may do. Coordinators and venue managers only exercise their permissions inside the
+ * departments / auditoriums assigned to them on their user record; admins and auditors see everything.
+ */
+const ROLE_PERMISSIONS = {
+    admin: [
+        'bookings:read', 'bookings:decide', 'bookings:manage', 'reports:read', 'audit:read',
+        'auditoriums:create', 'auditoriums:update', 'auditoriums:delete',
+        'departments:read', 'departments:manage', 'users:manage', 'equipment:manage'
+    ],
+    coordinator: ['bookings:read', 'bookings:decide', 'reports:read', 'departments:read'],
+    'venue-manager': ['bookings:read', 'bookings:decide', 'bookings:manage', 'reports:read', 'auditoriums:update'],
+    auditor: ['bookings:read', 'reports:read', 'audit:read', 'departments:read'],
+    user: [],
+};
+
+/** Roles that sign in through the staff (admin) login and use the admin pages. */
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => role !== 'user');
+
+const hasPermission = (user, permission) => (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+
+const idOf = (value) => String(value?._id || value);
+
+/**
+ * The booking field a user's permissions are limited to, with the allowed IDs.
+ * @returns {{ field: 'department'|'auditorium', ids: Array }|null} null when the user is not scoped.
+ */
+const getScope = (user) => {
+    if (user?.role === 'coordinator') { return { field: 'department', ids: [...(user.departments || [])] }; }
+    if (user?.role === 'venue-manager') { return { field: 'auditorium', ids: [...(user.auditoriums || [])] }; }
+    return null;
+};
+
+/** Booking query filter limiting results to the user's scope ({} for unscoped roles). Safe to use in aggregations. */
+const getBookingScopeFilter = (user) => {
+    const scope = getScope(user);
+    return scope ? { [scope.field]: { $in: scope.ids } } : {};
+};
+
+const isIdInScope = (user, field, id) => {
+    const scope = getScope(user);
+    if (!scope || scope.field !== field) { return true; }
+    return scope.ids.some(allowed => idOf(allowed) === idOf(id));
+};
+
+/** Whether a booking (populated or not) falls inside the user's department / auditorium assignments. */
+const isBookingInScope = (user, booking) => {
+    const scope = getScope(user);
+    if (!scope) { return true; }
+    return isIdInScope(user, scope.field, booking?.[scope.field]);
+};
+
+/** Venue managers are limited to their auditoriums; other roles are not restricted by auditorium. */
+const canAccessAuditorium = (user, auditoriumId) => isIdInScope(user, 'auditorium', auditoriumId);
+
+/** Coordinators are limited to their departments; other roles are not restricted by department. */
+const canAccessDepartment = (user, departmentId) => isIdInScope(user, 'department', departmentId);
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    STAFF_ROLES,
+    hasPermission,
+    getScope,
+    getBookingScopeFilter,
+    isBookingInScope,
+    canAccessAuditorium,
+    canAccessDepartment
+};
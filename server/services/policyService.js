@@ -0,0 +1,141 @@
+// server/services/policyService.js
+const { DateTime } = require('luxon');
+const BookingPolicy = require('../models/BookingPolicy');
+const Booking = require('../models/Booking');
+
+const istTimezone = 'Asia/Kolkata';
+
+// Built-in rules used when no global policy has been saved yet (the original hard-coded limits)
+const DEFAULT_POLICY = Object.freeze({
+    openingHour: 9,
+    closingHour: 24,
+    leadTimeHours: 2,
+    maxAdvanceMonths: 3,
+    minDurationMinutes: 0,
+    maxDurationMinutes: null,
+    setupBufferMinutes: 0,
+    teardownBufferMinutes: 0,
+    counterProposalHours: 48,
+    blackoutWeekdays: [],
+    departmentQuotas: [],
+    priorityRules: ['category', 'quota', 'firstCome'],
+});
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const formatHour = (hour) => {
+    if (hour === 0 || hour === 24) return 'midnight';
+    return DateTime.fromObject({ hour }, { zone: istTimezone }).toFormat('h:mm a');
+};
+
+const formatMinutes = (minutes) => (minutes % 60 === 0 ? `${minutes / 60} hour(s)` : `${minutes} minutes`);
+
+/**
+ * Resolves the rules that apply to an auditorium: its own override if one exists,
+ * otherwise the global policy, otherwise the built-in defaults.
+ * @param {string|null} auditoriumId
+ * @returns {Promise<object>} Plain policy object with a `source` of 'auditorium', 'global' or 'default'.
+ */
+const getEffectivePolicy = async (auditoriumId) => {
+    const [auditoriumPolicy, globalPolicy] = await Promise.all([
+        auditoriumId ? BookingPolicy.findOne({ auditorium: auditoriumId }).lean() : null,
+        BookingPolicy.findOne({ auditorium: null }).lean()
+    ]);
+    const stored = auditoriumPolicy || globalPolicy;
+    return {
+        ...DEFAULT_POLICY,
+        ...(stored || {}),
+        source: auditoriumPolicy ? 'auditorium' : globalPolicy ? 'global' : 'default'
+    };
+};
+
+/**
+ * Checks a time range against the time-based rules of a policy.
+ * @param {DateTime} start - Start in IST.
+ * @param {DateTime} end - End in IST.
+ * @param {object} policy - An effective policy (see getEffectivePolicy).
+ * @returns {Array<{ code: string, message: string }>} Empty when the range is allowed.
+ */
+const evaluateTimePolicy = (start, end, policy) => {
+    const violations = [];
+    const nowIST = DateTime.now().setZone(istTimezone);
+
+    if (start.hour < policy.openingHour) {
+        violations.push({ code: 'BEFORE_OPENING', message: `Booking cannot start before ${formatHour(policy.openingHour)} IST.` });
+    }
+    // Measured from the start day, so a booking running past midnight breaks any closing hour before 24
+    if (end > start.startOf('day').plus({ hours: policy.closingHour })) {
+        violations.push({ code: 'AFTER_CLOSING', message: `Booking must end by ${formatHour(policy.closingHour)} IST.` });
+    }
+
+    const durationMinutes = end.diff(start, 'minutes').minutes;
+    if (policy.minDurationMinutes && durationMinutes < policy.minDurationMinutes) {
+        violations.push({ code: 'TOO_SHORT', message: `Booking must last at least ${formatMinutes(policy.minDurationMinutes)}.` });
+    }
+    if (policy.maxDurationMinutes && durationMinutes > policy.maxDurationMinutes) {
+        violations.push({ code: 'TOO_LONG', message: `Booking cannot last longer than ${formatMinutes(policy.maxDurationMinutes)}.` });
+    }
+
+    if (policy.blackoutWeekdays?.length > 0) {
+        const lastDay = end.minus({ milliseconds: 1 }).startOf('day');
+        for (let day = start.startOf('day'); day <= lastDay; day = day.plus({ days: 1 })) {
+            if (policy.blackoutWeekdays.includes(day.weekday)) {
+                violations.push({ code: 'BLACKOUT_WEEKDAY', message: `Bookings are not allowed on ${WEEKDAY_NAMES[day.weekday - 1]}s.` });
+                break;
+            }
+        }
+    }
+
+    if (start < nowIST.plus({ hours: policy.leadTimeHours })) {
+        violations.push({ code: 'LEAD_TIME', message: `Booking must be made at least ${policy.leadTimeHours} hours in advance of the start time in ${istTimezone}.` });
+    }
+    const maxAdvanceDateIST = nowIST.plus({ months: policy.maxAdvanceMonths }).endOf('day');
+    if (start > maxAdvanceDateIST) {
+        violations.push({ code: 'MAX_ADVANCE', message: `Booking cannot be made more than ${policy.maxAdvanceMonths} months in advance. Please select a date before ${maxAdvanceDateIST.toLocaleString(DateTime.DATE_MED)}.` });
+    }
+
+    return violations;
+};
+
+/**
+ * Checks the department's quota for the period containing `start`.
+ * @param {object} policy - An effective policy.
+ * @param {object} params
+ * @param {string} params.auditoriumId
+ * @param {string} params.departmentId
+ * @param {Date} params.start - Start of the requested booking.
+ * @param {string} [params.excludeBookingId] - Booking being moved (not counted against the quota).
+ * @param {number} [params.alreadyRequested=0] - Bookings in the same request already counted for this period.
+ * @returns {Promise<{ code: string, message: string }|null>} A violation, or null when within quota.
+ */
+const checkDepartmentQuota = async (policy, { auditoriumId, departmentId, start, excludeBookingId = null, alreadyRequested = 0 }) => {
+    const quota = (policy.departmentQuotas || []).find(q => String(q.department) === String(departmentId));
+    if (!quota) return null;
+
+    const startIST = DateTime.fromJSDate(start).setZone(istTimezone);
+    const periodStart = startIST.startOf(quota.period);
+    const periodEnd = startIST.endOf(quota.period);
+    const query = {
+        auditorium: auditoriumId,
+        department: departmentId,
+        status: { $in: ['pending', 'approved'] },
+        startTime: { $gte: periodStart.toUTC().toJSDate(), $lte: periodEnd.toUTC().toJSDate() }
+    };
+    if (excludeBookingId) { query._id = { $ne: excludeBookingId }; }
+
+    const used = await Booking.countDocuments(query) + alreadyRequested;
+    if (used >= quota.maxBookings) {
+        return {
+            code: 'DEPARTMENT_QUOTA',
+            message: `Department quota reached: at most ${quota.maxBookings} active booking(s) per ${quota.period} in this auditorium (the ${quota.period} of ${periodStart.toFormat('d LLL yyyy')} already has ${used}).`
+        };
+    }
+    return null;
+};
+
+module.exports = {
+    DEFAULT_POLICY,
+    getEffectivePolicy,
+    evaluateTimePolicy,
+    checkDepartmentQuota
+};
@@ -0,0 +1,157 @@
+// server/services/priorityService.js
+// Groups open requests that want the same hall and time, and ranks each group with the auditorium's
+// priority rules so approvers see a recommended winner (and losers get a reason when they are turned down).
+const { DateTime } = require('luxon');
+const Booking = require('../models/Booking');
+const { DEFAULT_POLICY } = require('./policyService');
+const { getBookingIntervals } = require('./conflictService');
+
+const istTimezone = 'Asia/Kolkata';
+const EVENT_CATEGORY_RANK = Object.freeze({ institution: 0, department: 1, club: 2 });
+const EVENT_CATEGORIES = Object.keys(EVENT_CATEGORY_RANK);
+const DEFAULT_EVENT_CATEGORY = 'department';
+
+const idOf = (value) => String(value?._id || value);
+
+// Requesters pick their own category, so an unconfirmed pick can only lower their priority, never raise it
+const getRankedCategory = (request) => {
+    const category = request.eventCategory in EVENT_CATEGORY_RANK ? request.eventCategory : DEFAULT_EVENT_CATEGORY;
+    if (request.eventCategoryConfirmed) { return category; }
+    return EVENT_CATEGORY_RANK[category] < EVENT_CATEGORY_RANK[DEFAULT_EVENT_CATEGORY] ? DEFAULT_EVENT_CATEGORY : category;
+};
+
+const overlaps = (a, b) => getBookingIntervals(a).some(x => getBookingIntervals(b).some(y => x.start < y.end && x.end > y.start));
+
+const describeQuota = (quota) => (quota.max ? `${quota.used} of ${quota.max} per ${quota.period} used` : 'no quota');
+
+/**
+ * Each rule compares two ranking entries ({ request, quota }): negative when `a` should win.
+ * `explain` says why the winner beat the loser under that rule.
+ */
+const PRIORITY_RULES = Object.freeze({
+    category: {
+        label: 'Event category (institution > department > club, once confirmed by an approver)',
+        compare: (a, b) => EVENT_CATEGORY_RANK[getRankedCategory(a.request)] - EVENT_CATEGORY_RANK[getRankedCategory(b.request)],
+        explain: (w, l) => `${getRankedCategory(w.request)} event outranks a ${getRankedCategory(l.request)} event`
+    },
+    quota: {
+        label: 'Department with more quota left',
+        compare: (a, b) => a.quota.share - b.quota.share,
+        explain: (w, l) => `its department has more quota left (${describeQuota(w.quota)} vs ${describeQuota(l.quota)})`
+    },
+    firstCome: {
+        label: 'First come, first served',
+        compare: (a, b) => new Date(a.request.createdAt) - new Date(b.request.createdAt),
+        explain: (w) => `it was requested first (${DateTime.fromJSDate(new Date(w.request.createdAt)).setZone(istTimezone).toFormat('d LLL, h:mm a')} IST)`
+    },
+    attendance: {
+        label: 'Larger expected attendance',
+        compare: (a, b) => (b.request.expectedAttendance || 0) - (a.request.expectedAttendance || 0),
+        explain: (w, l) => `it expects a larger audience (${w.request.expectedAttendance || 0} vs ${l.request.expectedAttendance || 0})`
+    }
+});
+
+// --- Helper: Share of its quota a department has already used with approved bookings (0 without a quota) ---
+// `excludeBookingId` leaves out a booking that was only just approved, so it is not counted against itself.
+const getQuotaUsage = async (policy, request, excludeBookingId = null) => {
+    const quota = (policy.departmentQuotas || []).find(q => idOf(q.department) === idOf(request.department));
+    if (!quota) { return { share: 0, used: 0, max: null, period: null }; }
+    const startIST = DateTime.fromJSDate(new Date(request.startTime)).setZone(istTimezone);
+    const query = {
+        auditorium: idOf(request.auditorium),
+        department: idOf(request.department),
+        status: 'approved',
+        startTime: { $gte: startIST.startOf(quota.period).toUTC().toJSDate(), $lte: startIST.endOf(quota.period).toUTC().toJSDate() }
+    };
+    if (excludeBookingId) { query._id = { $ne: excludeBookingId }; }
+    const used = await Booking.countDocuments(query);
+    return { share: used / quota.maxBookings, used, max: quota.maxBookings, period: quota.period };
+};
+
+const getActiveRules = (policy) => (policy.priorityRules?.length ? policy.priorityRules : DEFAULT_POLICY.priorityRules).filter(rule => PRIORITY_RULES[rule]);
+
+// First rule that tells two entries apart
+const compareEntries = (rules, a, b) => {
+    for (const rule of rules) {
+        const difference = PRIORITY_RULES[rule].compare(a, b);
+        if (difference !== 0) { return { rule, difference }; }
+    }
+    return { rule: null, difference: 0 };
+};
+
+/**
+ * Clusters requests that overlap in the same auditorium, directly or through a chain of overlaps.
+ * @param {Array<object>} requests - Bookings with auditorium, startTime/endTime and segments.
+ * @returns {Array<Array<object>>} Groups of two or more requests, earliest group first.
+ */
+const groupConflictingRequests = (requests) => {
+    const parent = requests.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < requests.length; i++) {
+        for (let j = i + 1; j < requests.length; j++) {
+            if (idOf(requests[i].auditorium) === idOf(requests[j].auditorium) && overlaps(requests[i], requests[j])) { parent[find(j)] = find(i); }
+        }
+    }
+    const groups = new Map();
+    requests.forEach((request, i) => {
+        const root = find(i);
+        if (!groups.has(root)) { groups.set(root, []); }
+        groups.get(root).push(request);
+    });
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => group.sort((a, b) => new Date(a.startTime) - new Date(b.startTime)))
+        .sort((a, b) => new Date(a[0].startTime) - new Date(b[0].startTime));
+};
+
+/**
+ * Orders competing requests by the policy's priority rules; the first entry is the recommended winner.
+ * @param {Array<object>} requests
+ * @param {object} policy - An effective policy (see getEffectivePolicy).
+ * @returns {Promise<Array<{ request: object, rank: number, decidedBy: string|null, reason: string }>>}
+ */
+const rankRequests = async (requests, policy) => {
+    const rules = getActiveRules(policy);
+    const entries = await Promise.all(requests.map(async request => ({
+        request,
+        quota: rules.includes('quota') ? await getQuotaUsage(policy, request) : null
+    })));
+    entries.sort((a, b) => compareEntries(rules, a, b).difference || idOf(a.request).localeCompare(idOf(b.request)));
+
+    const [winner] = entries;
+    return entries.map((entry, i) => {
+        // The winner is explained against the runner-up, everyone else against the winner
+        const [w, l] = i === 0 ? [entry, entries[1]] : [winner, entry];
+        const { rule } = l ? compareEntries(rules, w, l) : { rule: null };
+        const because = rule ? PRIORITY_RULES[rule].explain(w, l) : 'no priority rule separates these requests';
+        return {
+            request: entry.request,
+            rank: i + 1,
+            decidedBy: rule,
+            reason: i === 0 ? `Recommended: ${because}.` : `Ranked below '${winner.request.eventName}': ${because}.`
+        };
+    });
+};
+
+/**
+ * Why `winner` had priority over `loser`, or null when the rules favour the loser (an approver overrode them).
+ * The winner may already be approved; it is not counted against its own department's quota.
+ * @returns {Promise<string|null>}
+ */
+const explainPriority = async (winner, loser, policy) => {
+    const rules = getActiveRules(policy);
+    const [w, l] = await Promise.all([winner, loser].map(async request => ({
+        request,
+        quota: rules.includes('quota') ? await getQuotaUsage(policy, request, winner._id) : null
+    })));
+    const { rule, difference } = compareEntries(rules, w, l);
+    return rule && difference < 0 ? PRIORITY_RULES[rule].explain(w, l) : null;
+};
+
+module.exports = {
+    EVENT_CATEGORIES,
+    PRIORITY_RULES,
+    groupConflictingRequests,
+    rankRequests,
+    explainPriority
+};
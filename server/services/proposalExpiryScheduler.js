@@ -0,0 +1,62 @@
+// server/services/proposalExpiryScheduler.js
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+const { sendBookingRejectionEmail } = require('../utils/emailService');
+const { snapshotBooking, recordBookingEvent } = require('./auditService');
+
+let CRON_SCHEDULE = process.env.PROPOSAL_EXPIRY_CRON_SCHEDULE || '*/15 * * * *';
+const EXPIRY_REASON = 'The counter-proposal was not answered before its deadline.';
+
+/**
+ * Rejects bookings whose counter-proposal deadline has passed without an answer.
+ * Also called on demand (e.g. before listing a user's bookings) so state is never stale.
+ * @param {object} [filter] - Extra Booking filter, e.g. { user: userId } or { _id: bookingId }.
+ * @returns {Promise<number>} Number of proposals expired.
+ */
+const expireStaleCounterProposals = async (filter = {}) => {
+    const stale = await Booking.find({
+        ...filter,
+        status: 'awaiting-requester',
+        'counterProposal.expiresAt': { $lte: new Date() }
+    }).populate('user', 'username email')
+      .populate('auditorium', 'name')
+      .populate('department', 'name');
+
+    for (const booking of stale) {
+        const before = snapshotBooking(booking);
+        booking.status = 'rejected';
+        booking.rejectionReason = EXPIRY_REASON;
+        booking.counterProposal.outcome = 'expired';
+        booking.counterProposal.respondedAt = new Date();
+        await booking.save();
+        await recordBookingEvent(booking, 'proposal-expired', { before });
+        if (booking.user?.email) {
+            await sendBookingRejectionEmail(booking.user.email, booking, booking.auditorium, booking.department, EXPIRY_REASON);
+        }
+        console.log(`[Scheduler] Counter-proposal for booking ${booking._id} expired; request rejected.`);
+    }
+    return stale.length;
+};
+
+/**
+ * Starts the cron job that expires unanswered counter-proposals.
+ */
+const startProposalExpiryScheduler = () => {
+    if (!cron.validate(CRON_SCHEDULE)) {
+        console.error(`[Scheduler] Invalid PROPOSAL_EXPIRY_CRON_SCHEDULE format: "${CRON_SCHEDULE}". Defaulting to every 15 minutes.`);
+        CRON_SCHEDULE = '*/15 * * * *';
+    }
+    console.log(`[Scheduler] Initializing counter-proposal expiry job with schedule: ${CRON_SCHEDULE}`);
+    cron.schedule(CRON_SCHEDULE, async () => {
+        try {
+            await expireStaleCounterProposals();
+        } catch (error) {
+            console.error('[Scheduler] Counter-proposal expiry job failed:', error);
+        }
+    }, {
+        scheduled: true,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+};
+
+module.exports = { startProposalExpiryScheduler, expireStaleCounterProposals };
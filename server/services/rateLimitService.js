@@ -0,0 +1,44 @@
+// server/services/rateLimitService.js
+
+/**
+ * In-memory sliding-window counters keyed by IP address, user ID, etc.
+ * State lives in this process only, like the schedulers, so counts reset when the server restarts.
+ */
+
+/**
+ * @param {number} windowMs - How long each recorded hit counts.
+ * @returns {{ hit: Function, count: Function, retryAfterMs: Function, reset: Function }}
+ */
+const createWindowCounter = (windowMs) => {
+    const hits = new Map(); // key -> ascending timestamps
+
+    const recent = (key, now = Date.now()) => {
+        const list = (hits.get(key) || []).filter(time => now - time < windowMs);
+        if (list.length) { hits.set(key, list); } else { hits.delete(key); }
+        return list;
+    };
+
+    // Drop idle keys so the map does not grow without bound
+    const sweep = setInterval(() => { for (const key of hits.keys()) { recent(key); } }, windowMs);
+    sweep.unref();
+
+    return {
+        /** Records a hit and returns the number of hits in the window, including this one. */
+        hit(key) {
+            const list = recent(key);
+            list.push(Date.now());
+            hits.set(key, list);
+            return list.length;
+        },
+        count(key) { return recent(key).length; },
+        /** Milliseconds until the key drops below `max` hits (0 when it already is). */
+        retryAfterMs(key, max) {
+            const list = recent(key);
+            if (list.length < max) { return 0; }
+            return windowMs - (Date.now() - list[list.length - max]);
+        },
+        reset(key) { hits.delete(key); },
+    };
+};
+
+module.exports = { createWindowCounter };
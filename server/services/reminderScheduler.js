@@ -3,23 +3,16 @@ const mongoose = require('mongoose');
 const { DateTime } = require('luxon');
 const Booking = require('../models/Booking'); // Adjust path if needed
 const { sendPendingReminderEmailToAdmin } = require('../utils/emailService'); // Adjust path if needed
+const { getStageRecipients, describeStage } = require('./approvalService');
 
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL; // Get admin email from env
 let CRON_SCHEDULE = process.env.REMINDER_CRON_SCHEDULE || '0 3 * * *'; // Use let to allow modification if invalid
 const REMINDER_DAYS_BEFORE = parseInt(process.env.REMINDER_DAYS_BEFORE || '2', 10); // Parse env var or default to 2
 
 /**
- * Finds pending bookings starting within REMINDER_DAYS_BEFORE days and sends reminders.
- */
-/**
- * Finds pending bookings starting within REMINDER_DAYS_BEFORE days and sends reminders.
+ * Finds pending bookings starting within REMINDER_DAYS_BEFORE days and reminds whoever
+ * decides the approval stage currently blocking each one (ADMIN_EMAIL for admin stages).
  */
 const checkAndSendReminders = async () => {
-    if (!ADMIN_EMAIL) {
-        console.warn('[Scheduler] No ADMIN_EMAIL configured. Skipping pending booking reminders.');
-        return;
-    }
-
     console.log(`[Scheduler] Running pending booking reminder check at ${new Date().toISOString()}...`);
 
     try {
@@ -62,14 +55,22 @@ const checkAndSendReminders = async () => {
                      return { id: bookingIdStr, status: 'skipped_already_sent' };
                 }
 
+                // reminderSent is reset whenever a booking moves to a new stage, so each stage is reminded once
+                const recipients = await getStageRecipients(booking);
+                if (recipients.length === 0) {
+                    console.warn(`[Scheduler] Skipping booking ID: ${bookingIdStr} - no email configured for ${describeStage(booking)}.`);
+                    return { id: bookingIdStr, status: 'skipped_no_recipient' };
+                }
+
                 try {
                     // --- Attempt to Send Email ---
                     console.log(`[Scheduler] Attempting to send reminder email for booking ID: ${bookingIdStr}...`);
                     await sendPendingReminderEmailToAdmin(
-                        ADMIN_EMAIL,
+                        recipients.join(', '),
                         booking,
                         booking.auditorium,
-                        booking.department
+                        booking.department,
+                        booking.approvalStages?.length > 1 ? describeStage(booking) : undefined
                     );
                     console.log(`[Scheduler] Reminder email call completed (check email service logs for actual send status) for booking ID: ${bookingIdStr}`);
 
@@ -0,0 +1,112 @@
+// server/services/slotFinderService.js
+// Searches every bookable auditorium for free slots of a given length, used to suggest alternatives
+// when the requested slot is taken.
+const Auditorium = require('../models/Auditorium');
+const Booking = require('../models/Booking');
+const { getEffectivePolicy, evaluateTimePolicy } = require('./policyService');
+const { findBlackouts } = require('./blackoutService');
+const { getBookingIntervals, getConflictBuffers } = require('./conflictService');
+
+const MINUTE_MS = 60 * 1000;
+const SLOT_STEP_MINUTES = 30;
+const MAX_SEARCH_DAYS = 31;
+const MAX_RESULTS = 50;
+
+// --- Helper: Busy windows of an auditorium's approved bookings (each including its own extra setup) ---
+const loadBusyWindows = async (auditoriumId, rangeStart, rangeEnd) => {
+    const bookings = await Booking.find({ auditorium: auditoriumId, status: 'approved', startTime: { $lt: rangeEnd }, endTime: { $gt: rangeStart } })
+        .select('startTime endTime segments extraSetupMinutes').lean();
+    return bookings.flatMap(booking => getBookingIntervals(booking).map(({ start, end }) => ({
+        start: start.getTime() - (booking.extraSetupMinutes || 0) * MINUTE_MS,
+        end: end.getTime()
+    })));
+};
+
+// Same rule as findApprovedConflict: the gap between two events must leave room for one's teardown and the other's setup
+const isSlotFree = (start, end, busyWindows, blackouts, buffers) => {
+    const gapMs = (buffers.setupBufferMinutes + buffers.teardownBufferMinutes) * MINUTE_MS;
+    const lower = start - gapMs - buffers.extraSetupMinutes * MINUTE_MS;
+    const upper = end + gapMs;
+    if (busyWindows.some(w => w.start < upper && w.end > lower)) { return false; }
+    return !blackouts.some(b => b.startTime.getTime() < end && b.endTime.getTime() > start);
+};
+
+/**
+ * Free slots across auditoriums, at most one per hall per day, ranked by closeness to `near`
+ * (or soonest first), then preferred halls, then the tightest fit for the attendance.
+ * @param {object} params
+ * @param {number} params.durationMinutes
+ * @param {DateTime} params.from - First day searched (IST).
+ * @param {DateTime} params.to - Last day searched (IST), at most MAX_SEARCH_DAYS after `from`.
+ * @param {number} [params.attendance] - Halls seating fewer people are skipped.
+ * @param {Array<string>} [params.preferredAuditoriums] - Ranked first; with `onlyPreferred` the only halls searched.
+ * @param {boolean} [params.onlyPreferred=false]
+ * @param {number} [params.dayStartMinutes=0] - Earliest start, in minutes after midnight IST.
+ * @param {number} [params.dayEndMinutes=1440] - Latest end, in minutes after midnight IST.
+ * @param {number} [params.extraSetupMinutes=0]
+ * @param {Date|null} [params.near] - The start time the requester wanted.
+ * @param {number} [params.limit=10]
+ * @returns {Promise<Array<{ auditorium: object, startTime: Date, endTime: Date, preferred: boolean, minutesFromRequested: number|null }>>}
+ */
+const findAvailableSlots = async ({
+    durationMinutes, from, to, attendance = null, preferredAuditoriums = [], onlyPreferred = false,
+    dayStartMinutes = 0, dayEndMinutes = 24 * 60, extraSetupMinutes = 0, near = null, limit = 10
+}) => {
+    const preferred = new Set(preferredAuditoriums.map(String));
+    const hallQuery = { isActive: { $ne: false } };
+    if (attendance) { hallQuery.capacity = { $gte: attendance }; }
+    if (onlyPreferred && preferred.size > 0) { hallQuery._id = { $in: [...preferred] }; }
+    const halls = await Auditorium.find(hallQuery).select('name location capacity slug').lean();
+
+    const rangeStart = from.startOf('day').toUTC().toJSDate();
+    const rangeEnd = to.endOf('day').toUTC().toJSDate();
+    const nearMs = near ? near.getTime() : null;
+    const candidates = [];
+
+    for (const hall of halls) {
+        const policy = await getEffectivePolicy(hall._id);
+        const buffers = getConflictBuffers(policy, extraSetupMinutes);
+        // Widen the busy-window lookup so buffers around events just outside the range still count
+        const marginMs = (buffers.setupBufferMinutes + buffers.teardownBufferMinutes + buffers.extraSetupMinutes + 24 * 60) * MINUTE_MS;
+        const [busyWindows, blackouts] = await Promise.all([
+            loadBusyWindows(hall._id, new Date(rangeStart.getTime() - marginMs), new Date(rangeEnd.getTime() + marginMs)),
+            findBlackouts(hall._id, rangeStart, rangeEnd)
+        ]);
+
+        for (let day = from.startOf('day'); day <= to; day = day.plus({ days: 1 })) {
+            let best = null;
+            for (let minute = dayStartMinutes; minute + durationMinutes <= dayEndMinutes; minute += SLOT_STEP_MINUTES) {
+                const start = day.plus({ minutes: minute });
+                const end = start.plus({ minutes: durationMinutes });
+                const startMs = start.toMillis();
+                const endMs = end.toMillis();
+                if (evaluateTimePolicy(start, end, policy).length > 0) { continue; }
+                if (!isSlotFree(startMs, endMs, busyWindows, blackouts, buffers)) { continue; }
+                const distance = nearMs === null ? startMs : Math.abs(startMs - nearMs);
+                if (!best || distance < best.distance) { best = { start, end, distance }; }
+                if (nearMs === null) { break; } // Soonest slot of the day is enough when no time was requested
+            }
+            if (best) {
+                candidates.push({
+                    auditorium: hall,
+                    startTime: best.start.toUTC().toJSDate(),
+                    endTime: best.end.toUTC().toJSDate(),
+                    preferred: preferred.has(String(hall._id)),
+                    minutesFromRequested: nearMs === null ? null : Math.round((best.start.toMillis() - nearMs) / MINUTE_MS),
+                    distance: best.distance,
+                    spareSeats: attendance ? hall.capacity - attendance : 0
+                });
+            }
+        }
+    }
+
+    candidates.sort((a, b) => (a.distance - b.distance) || (b.preferred - a.preferred) || (a.spareSeats - b.spareSeats));
+    return candidates.slice(0, Math.min(limit, MAX_RESULTS)).map(({ distance, spareSeats, ...slot }) => slot);
+};
+
+module.exports = {
+    SLOT_STEP_MINUTES,
+    MAX_SEARCH_DAYS,
+    MAX_RESULTS,
+    findAvailableSlots
+};
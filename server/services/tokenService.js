@@ -0,0 +1,98 @@
+// server/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (rawToken) => crypto.createHash('sha256').update(rawToken || '').digest('hex');
+
+/**
+ * Short-lived JWT carrying the user's token version; `protect` rejects it once the version is bumped.
+ */
+const generateAccessToken = (user) => jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+const createRefreshToken = async (user, req, family) => {
+    const rawToken = crypto.randomBytes(48).toString('hex');
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(rawToken),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: req?.get?.('user-agent')?.slice(0, 300),
+        ip: req?.ip,
+    });
+    return rawToken;
+};
+
+/**
+ * Starts a new session (login, registration, password change) for the user.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+const issueSession = async (user, req) => ({
+    token: generateAccessToken(user),
+    refreshToken: await createRefreshToken(user, req),
+});
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already rotated means it was copied, so the whole family is revoked.
+ * @returns {Promise<{ error?: string, user?: object, token?: string, refreshToken?: string }>}
+ */
+const rotateSession = async (rawToken, req) => {
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+    if (!record || record.expiresAt <= new Date()) {
+        return { error: 'Session expired. Please log in again.' };
+    }
+    if (record.revokedAt) {
+        if (record.revokedReason === 'rotated') {
+            await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'reuse-detected' });
+            console.warn(`[Security] Reused refresh token for user ${record.user}; revoked session family ${record.family}.`);
+        }
+        return { error: 'Session expired. Please log in again.' };
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || user.isSuspended) {
+        await RefreshToken.updateOne({ _id: record._id }, { revokedAt: new Date(), revokedReason: 'account-change' });
+        return { error: user ? 'Your account has been suspended. Please contact the administration.' : 'Session expired. Please log in again.' };
+    }
+
+    const refreshToken = await createRefreshToken(user, req, record.family);
+    record.revokedAt = new Date();
+    record.revokedReason = 'rotated';
+    record.replacedByHash = hashToken(refreshToken);
+    await record.save();
+    return { user, token: generateAccessToken(user), refreshToken };
+};
+
+/** Revokes one refresh token (logout on this device). Unknown or already revoked tokens are ignored. */
+const revokeSession = async (rawToken) => {
+    await RefreshToken.updateOne({ tokenHash: hashToken(rawToken), revokedAt: null }, { revokedAt: new Date(), revokedReason: 'logout' });
+};
+
+/**
+ * Ends every session of a user: bumps the token version so outstanding access tokens stop working
+ * and revokes all refresh tokens. Used for logout-all, password changes, suspensions and role changes.
+ * @param {string} reason - Stored as the refresh tokens' revokedReason.
+ * @returns {Promise<object|null>} The updated user, e.g. for issuing a fresh session afterwards.
+ */
+const revokeAllSessions = async (userId, reason = 'logout-all') => {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+    await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+    return user;
+};
+
+module.exports = {
+    generateAccessToken,
+    issueSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions
+};
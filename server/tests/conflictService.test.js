@@ -0,0 +1,74 @@
+// server/tests/conflictService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { getBookingIntervals, getConflictBuffers, findApprovedConflict } = require('../services/conflictService');
+
+const MINUTE_MS = 60 * 1000;
+const auditoriumId = new mongoose.Types.ObjectId();
+const start = new Date('2026-10-20T04:30:00Z'); // 10:00 IST
+const end = new Date('2026-10-20T06:30:00Z');   // 12:00 IST
+
+// The query is built without touching the database; only its filter is inspected
+const filterFor = (intervals, buffers, excludeBookingId) => findApprovedConflict(auditoriumId, intervals, excludeBookingId, buffers).getFilter();
+
+describe('getBookingIntervals', () => {
+    it('uses the overall window for single-slot bookings', () => {
+        assert.deepEqual(getBookingIntervals({ startTime: start, endTime: end, segments: [] }), [{ start, end }]);
+    });
+
+    it('uses each day window of a multi-day booking', () => {
+        const day2 = { startTime: new Date('2026-10-21T04:30:00Z'), endTime: new Date('2026-10-21T06:30:00Z') };
+        assert.deepEqual(
+            getBookingIntervals({ startTime: start, endTime: day2.endTime, segments: [{ startTime: start, endTime: end }, day2] }),
+            [{ start, end }, { start: day2.startTime, end: day2.endTime }]
+        );
+    });
+});
+
+describe('getConflictBuffers', () => {
+    it('combines the hall policy with the requested extra setup time', () => {
+        assert.deepEqual(getConflictBuffers({ setupBufferMinutes: 15, teardownBufferMinutes: 10 }, 30), { setupBufferMinutes: 15, teardownBufferMinutes: 10, extraSetupMinutes: 30 });
+    });
+
+    it('treats missing values as zero', () => {
+        assert.deepEqual(getConflictBuffers({}), { setupBufferMinutes: 0, teardownBufferMinutes: 0, extraSetupMinutes: 0 });
+    });
+});
+
+describe('findApprovedConflict', () => {
+    it('widens each interval by setup plus teardown, and the start by the requested extra setup', () => {
+        const filter = filterFor([{ start, end }], { setupBufferMinutes: 15, teardownBufferMinutes: 10, extraSetupMinutes: 30 });
+        const [window] = filter.$or;
+        // lower = start - (15 + 10) - 30 minutes; upper = end + (15 + 10) minutes
+        assert.equal(window.endTime.$gt.getTime(), start.getTime() - 55 * MINUTE_MS);
+        // The pre-filter also allows for the other booking's own extra setup (up to 240 minutes)
+        assert.equal(window.startTime.$lt.getTime(), end.getTime() + 25 * MINUTE_MS + 240 * MINUTE_MS);
+
+        // The exact clash test compares against the same window
+        const clash = filter.$expr.$cond[2].$or[0].$and;
+        assert.equal(clash[0].$lt[1].getTime(), end.getTime() + 25 * MINUTE_MS);
+        assert.equal(clash[1].$gt[1].getTime(), start.getTime() - 55 * MINUTE_MS);
+    });
+
+    it('subtracts the existing booking\'s own extra setup from its start', () => {
+        const filter = filterFor([{ start, end }], getConflictBuffers({}));
+        const setupStart = filter.$expr.$cond[2].$or[0].$and[0].$lt[0];
+        assert.deepEqual(setupStart, { $subtract: ['$startTime', { $multiply: [{ $ifNull: ['$extraSetupMinutes', 0] }, MINUTE_MS] }] });
+    });
+
+    it('leaves back-to-back bookings apart without buffers', () => {
+        const filter = filterFor([{ start, end }], getConflictBuffers({}));
+        assert.equal(filter.$or[0].endTime.$gt.getTime(), start.getTime());
+    });
+
+    it('checks every interval, only approved bookings in the hall, and skips the excluded booking', () => {
+        const excluded = new mongoose.Types.ObjectId();
+        const later = { start: new Date('2026-10-21T04:30:00Z'), end: new Date('2026-10-21T06:30:00Z') };
+        const filter = filterFor([{ start, end }, later], getConflictBuffers({}), excluded);
+        assert.equal(filter.$or.length, 2);
+        assert.equal(filter.status, 'approved');
+        assert.equal(String(filter.auditorium), String(auditoriumId));
+        assert.equal(String(filter._id.$ne), String(excluded));
+    });
+});
@@ -0,0 +1,103 @@
+// server/tests/equipmentService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { getPeakUsage } = require('../services/equipmentService');
+
+const mic = String(new mongoose.Types.ObjectId());
+const projector = String(new mongoose.Types.ObjectId());
+const at = (hhmm, day = '2026-10-20') => new Date(`${day}T${hhmm}:00+05:30`);
+
+// Approved bookings returned by the (stubbed) database query
+const useBookings = (bookings) => mock.method(Booking, 'find', () => ({ select: () => ({ lean: async () => bookings }) }));
+const booking = (start, end, equipment, segments = []) => ({ startTime: start, endTime: end, segments, equipment });
+
+describe('getPeakUsage', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('adds up reservations that overlap each other', async () => {
+        useBookings([
+            booking(at('09:00'), at('12:00'), [{ item: mic, quantity: 2 }]),
+            booking(at('11:00'), at('13:00'), [{ item: mic, quantity: 3 }])
+        ]);
+        const usage = await getPeakUsage([mic], [{ start: at('08:00'), end: at('14:00') }]);
+        assert.equal(usage.get(mic), 5);
+    });
+
+    it('does not add up reservations that only overlap the requested interval', async () => {
+        useBookings([
+            booking(at('09:00'), at('10:00'), [{ item: mic, quantity: 2 }]),
+            booking(at('11:00'), at('12:00'), [{ item: mic, quantity: 3 }])
+        ]);
+        const usage = await getPeakUsage([mic], [{ start: at('08:00'), end: at('14:00') }]);
+        assert.equal(usage.get(mic), 3);
+    });
+
+    it('lets back-to-back bookings share units', async () => {
+        useBookings([
+            booking(at('09:00'), at('11:00'), [{ item: mic, quantity: 4 }]),
+            booking(at('11:00'), at('13:00'), [{ item: mic, quantity: 4 }])
+        ]);
+        const usage = await getPeakUsage([mic], [{ start: at('08:00'), end: at('14:00') }]);
+        assert.equal(usage.get(mic), 4);
+    });
+
+    it('only counts the part of a reservation inside the requested interval', async () => {
+        useBookings([
+            booking(at('09:00'), at('10:00'), [{ item: mic, quantity: 2 }]),
+            booking(at('09:30'), at('12:00'), [{ item: mic, quantity: 1 }])
+        ]);
+        // The 2-unit booking has ended by 10:00, so only the later one is in use
+        const usage = await getPeakUsage([mic], [{ start: at('10:00'), end: at('11:00') }]);
+        assert.equal(usage.get(mic), 1);
+    });
+
+    it('uses the day windows of multi-day bookings, not the nights between them', async () => {
+        const multiDay = booking(at('09:00'), at('17:00', '2026-10-21'), [{ item: projector, quantity: 1 }], [
+            { startTime: at('09:00'), endTime: at('17:00') },
+            { startTime: at('09:00', '2026-10-21'), endTime: at('17:00', '2026-10-21') }
+        ]);
+        useBookings([multiDay]);
+        const overnight = await getPeakUsage([projector], [{ start: at('20:00'), end: at('23:00') }]);
+        assert.equal(overnight.get(projector), 0);
+        const nextDay = await getPeakUsage([projector], [{ start: at('10:00', '2026-10-21'), end: at('11:00', '2026-10-21') }]);
+        assert.equal(nextDay.get(projector), 1);
+    });
+
+    it('tracks each item separately and reports zero for unused items', async () => {
+        useBookings([booking(at('09:00'), at('12:00'), [{ item: mic, quantity: 2 }, { item: projector, quantity: 1 }])]);
+        const other = String(new mongoose.Types.ObjectId());
+        const usage = await getPeakUsage([mic, projector, other], [{ start: at('08:00'), end: at('14:00') }]);
+        assert.deepEqual([...usage.entries()], [[mic, 2], [projector, 1], [other, 0]]);
+    });
+
+    it('takes the busiest of several requested intervals', async () => {
+        useBookings([
+            booking(at('09:00'), at('10:00'), [{ item: mic, quantity: 1 }]),
+            booking(at('09:00', '2026-10-21'), at('10:00', '2026-10-21'), [{ item: mic, quantity: 3 }])
+        ]);
+        const usage = await getPeakUsage([mic], [
+            { start: at('08:00'), end: at('12:00') },
+            { start: at('08:00', '2026-10-21'), end: at('12:00', '2026-10-21') }
+        ]);
+        assert.equal(usage.get(mic), 3);
+    });
+
+    it('queries approved bookings only and leaves out the booking being re-checked', async () => {
+        const find = useBookings([]);
+        const excluded = new mongoose.Types.ObjectId();
+        await getPeakUsage([mic], [{ start: at('08:00'), end: at('14:00') }], excluded);
+        const [query] = find.mock.calls[0].arguments;
+        assert.equal(query.status, 'approved');
+        assert.deepEqual(query['equipment.item'], { $in: [mic] });
+        assert.equal(query._id.$ne, excluded);
+    });
+
+    it('skips the query when there is nothing to check', async () => {
+        const find = useBookings([]);
+        assert.deepEqual([...(await getPeakUsage([], [{ start: at('08:00'), end: at('14:00') }])).entries()], []);
+        assert.deepEqual([...(await getPeakUsage([mic], [])).entries()], [[mic, 0]]);
+        assert.equal(find.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,83 @@
+// server/tests/icsParser.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIcsEvents } = require('../utils/icsParser');
+
+// Wraps VEVENT bodies in a calendar with CRLF line endings, as real .ics files use
+const calendar = (...events) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap(e => ['BEGIN:VEVENT', ...e, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+
+describe('parseIcsEvents', () => {
+    it('reads UTC times and unescapes text', () => {
+        const { events, skipped } = parseIcsEvents(calendar([
+            'UID:exam-1@campus',
+            'SUMMARY:Mid-term exams\\, block A',
+            'DESCRIPTION:Hall closed\\nfor exams',
+            'DTSTART:20261102T033000Z',
+            'DTEND:20261102T113000Z'
+        ]));
+        assert.equal(skipped, 0);
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0], {
+            uid: 'exam-1@campus',
+            summary: 'Mid-term exams, block A',
+            description: 'Hall closed\nfor exams',
+            start: new Date('2026-11-02T03:30:00Z'),
+            end: new Date('2026-11-02T11:30:00Z'),
+            allDay: false
+        });
+    });
+
+    it('unfolds continuation lines', () => {
+        const { events } = parseIcsEvents(calendar([
+            'SUMMARY:Annual maintenance of the',
+            '  main auditorium',
+            'DTSTART:20261102T090000Z',
+            'DTEND:20261102T100000Z'
+        ]));
+        assert.equal(events[0].summary, 'Annual maintenance of the main auditorium');
+    });
+
+    it('reads floating times as IST and honours TZID', () => {
+        const { events } = parseIcsEvents(calendar(
+            ['SUMMARY:Floating', 'DTSTART:20261102T090000', 'DTEND:20261102T100000'],
+            ['SUMMARY:London', 'DTSTART;TZID=Europe/London:20261102T090000', 'DTEND;TZID="Europe/London":20261102T100000']
+        ));
+        assert.equal(events[0].start.toISOString(), '2026-11-02T03:30:00.000Z');
+        assert.equal(events[1].start.toISOString(), '2026-11-02T09:00:00.000Z');
+        assert.equal(events[1].end.toISOString(), '2026-11-02T10:00:00.000Z');
+    });
+
+    it('falls back to IST for unknown TZIDs', () => {
+        const { events } = parseIcsEvents(calendar(['SUMMARY:Outlook', 'DTSTART;TZID=India Standard Time:20261102T090000', 'DTEND;TZID=India Standard Time:20261102T100000']));
+        assert.equal(events[0].start.toISOString(), '2026-11-02T03:30:00.000Z');
+    });
+
+    it('treats date-only values as all-day IST days with an exclusive end', () => {
+        const { events } = parseIcsEvents(calendar(
+            ['SUMMARY:Diwali', 'DTSTART;VALUE=DATE:20261108', 'DTEND;VALUE=DATE:20261110'],
+            ['SUMMARY:One day', 'DTSTART;VALUE=DATE:20261120']
+        ));
+        assert.equal(events[0].allDay, true);
+        assert.equal(events[0].start.toISOString(), '2026-11-07T18:30:00.000Z');
+        assert.equal(events[0].end.toISOString(), '2026-11-09T18:30:00.000Z');
+        // Without DTEND an all-day event lasts one day
+        assert.equal(events[1].end.getTime() - events[1].start.getTime(), 24 * 60 * 60 * 1000);
+    });
+
+    it('skips events without a usable time range and defaults the summary', () => {
+        const { events, skipped } = parseIcsEvents(calendar(
+            ['SUMMARY:Instant', 'DTSTART:20261102T090000Z'],
+            ['SUMMARY:Backwards', 'DTSTART:20261102T100000Z', 'DTEND:20261102T090000Z'],
+            ['SUMMARY:Broken', 'DTSTART:not-a-date', 'DTEND:20261102T090000Z'],
+            ['DTSTART:20261102T090000Z', 'DTEND:20261102T100000Z']
+        ));
+        assert.equal(skipped, 3);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].summary, 'Untitled blackout');
+    });
+
+    it('ignores properties outside VEVENTs and copes with empty input', () => {
+        assert.deepEqual(parseIcsEvents(''), { events: [], skipped: 0 });
+        assert.deepEqual(parseIcsEvents(calendar()), { events: [], skipped: 0 });
+    });
+});
@@ -0,0 +1,154 @@
+// server/tests/priorityService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { groupConflictingRequests, rankRequests, explainPriority } = require('../services/priorityService');
+
+const hallA = new mongoose.Types.ObjectId();
+const hallB = new mongoose.Types.ObjectId();
+const at = (hhmm, day = '2026-10-20') => new Date(`${day}T${hhmm}:00+05:30`);
+
+// Pending request with just the fields grouping and ranking read
+let nextId = 0;
+const request = (eventName, start, end, extra = {}) => ({
+    _id: `request-${String(++nextId).padStart(3, '0')}`,
+    eventName,
+    auditorium: hallA,
+    startTime: start,
+    endTime: end,
+    segments: [],
+    createdAt: at('08:00', '2026-10-01'),
+    ...extra
+});
+const names = (items) => items.map(item => (item.request || item).eventName);
+
+describe('groupConflictingRequests', () => {
+    it('groups requests that overlap directly or through a chain', () => {
+        const a = request('A', at('09:00'), at('11:00'));
+        const b = request('B', at('10:30'), at('12:30'));
+        const c = request('C', at('12:00'), at('14:00')); // Overlaps B but not A
+        assert.deepEqual(groupConflictingRequests([c, a, b]).map(names), [['A', 'B', 'C']]);
+    });
+
+    it('keeps different halls and back-to-back requests apart, and drops requests with no competitor', () => {
+        const groups = groupConflictingRequests([
+            request('A', at('09:00'), at('11:00')),
+            request('B', at('11:00'), at('13:00')),
+            request('Other hall', at('09:00'), at('11:00'), { auditorium: hallB })
+        ]);
+        assert.deepEqual(groups, []);
+    });
+
+    it('compares the day windows of multi-day requests', () => {
+        const multiDay = request('Fest', at('09:00'), at('17:00', '2026-10-21'), {
+            segments: [
+                { startTime: at('09:00'), endTime: at('17:00') },
+                { startTime: at('09:00', '2026-10-21'), endTime: at('17:00', '2026-10-21') }
+            ]
+        });
+        const overnight = request('Night show', at('20:00'), at('23:00'));
+        const nextDay = request('Talk', at('10:00', '2026-10-21'), at('11:00', '2026-10-21'));
+        assert.deepEqual(groupConflictingRequests([multiDay, overnight, nextDay]).map(names), [['Fest', 'Talk']]);
+    });
+
+    it('orders groups by their earliest request', () => {
+        const groups = groupConflictingRequests([
+            request('Late 1', at('15:00'), at('16:00'), { auditorium: hallB }),
+            request('Late 2', at('15:30'), at('16:30'), { auditorium: hallB }),
+            request('Early 1', at('09:00'), at('10:00')),
+            request('Early 2', at('09:30'), at('10:30'))
+        ]);
+        assert.deepEqual(groups.map(names), [['Early 1', 'Early 2'], ['Late 1', 'Late 2']]);
+    });
+});
+
+describe('rankRequests', () => {
+    afterEach(() => mock.restoreAll());
+
+    const policy = { priorityRules: ['category', 'firstCome'] };
+
+    it('applies the rules in order and explains each place', async () => {
+        const club = request('Club night', at('09:00'), at('11:00'), { eventCategory: 'club', createdAt: at('08:00', '2026-10-01') });
+        const dept = request('Dept seminar', at('09:00'), at('11:00'), { eventCategory: 'department', createdAt: at('08:00', '2026-10-02') });
+        const ranked = await rankRequests([club, dept], policy);
+        assert.deepEqual(names(ranked), ['Dept seminar', 'Club night']);
+        assert.deepEqual(ranked.map(r => [r.rank, r.decidedBy]), [[1, 'category'], [2, 'category']]);
+        assert.equal(ranked[0].reason, 'Recommended: department event outranks a club event.');
+        assert.equal(ranked[1].reason, "Ranked below 'Dept seminar': department event outranks a club event.");
+    });
+
+    it('ranks an unconfirmed institution request as a department one until an approver confirms it', async () => {
+        const institution = request('Convocation', at('09:00'), at('11:00'), { eventCategory: 'institution', createdAt: at('08:00', '2026-10-03') });
+        const dept = request('Dept seminar', at('09:00'), at('11:00'), { eventCategory: 'department', createdAt: at('08:00', '2026-10-02') });
+
+        const unconfirmed = await rankRequests([institution, dept], policy);
+        assert.deepEqual(names(unconfirmed), ['Dept seminar', 'Convocation']);
+        assert.equal(unconfirmed[0].decidedBy, 'firstCome');
+        assert.match(unconfirmed[0].reason, /it was requested first \(2 Oct, 8:00 AM IST\)/);
+
+        const confirmed = await rankRequests([{ ...institution, eventCategoryConfirmed: true }, dept], policy);
+        assert.deepEqual(names(confirmed), ['Convocation', 'Dept seminar']);
+        assert.equal(confirmed[0].reason, 'Recommended: institution event outranks a department event.');
+    });
+
+    it('treats a missing category as a department event', async () => {
+        const unset = request('Unset', at('09:00'), at('11:00'));
+        const club = request('Club', at('09:00'), at('11:00'), { eventCategory: 'club' });
+        assert.deepEqual(names(await rankRequests([club, unset], { priorityRules: ['category'] })), ['Unset', 'Club']);
+    });
+
+    it('prefers the larger audience under the attendance rule', async () => {
+        const small = request('Small', at('09:00'), at('11:00'), { expectedAttendance: 40 });
+        const large = request('Large', at('09:00'), at('11:00'), { expectedAttendance: 300 });
+        const ranked = await rankRequests([small, large], { priorityRules: ['attendance'] });
+        assert.deepEqual(names(ranked), ['Large', 'Small']);
+        assert.equal(ranked[0].reason, 'Recommended: it expects a larger audience (300 vs 40).');
+    });
+
+    it('falls back to a stable order and says so when no rule separates the requests', async () => {
+        const first = request('First', at('09:00'), at('11:00'));
+        const second = request('Second', at('09:00'), at('11:00'));
+        const ranked = await rankRequests([second, first], { priorityRules: ['category'] });
+        assert.deepEqual(names(ranked), ['First', 'Second']);
+        assert.equal(ranked[0].decidedBy, null);
+        assert.equal(ranked[1].reason, "Ranked below 'First': no priority rule separates these requests.");
+    });
+
+    it('favours the department that has used less of its quota', async () => {
+        const busyDept = new mongoose.Types.ObjectId();
+        const quietDept = new mongoose.Types.ObjectId();
+        const quotaPolicy = {
+            priorityRules: ['quota'],
+            departmentQuotas: [{ department: busyDept, maxBookings: 4, period: 'month' }, { department: quietDept, maxBookings: 4, period: 'month' }]
+        };
+        const countDocuments = mock.method(Booking, 'countDocuments', async (query) => (String(query.department) === String(busyDept) ? 3 : 1));
+        const busy = request('Busy', at('09:00'), at('11:00'), { department: busyDept });
+        const quiet = request('Quiet', at('09:00'), at('11:00'), { department: quietDept });
+
+        const ranked = await rankRequests([busy, quiet], quotaPolicy);
+        assert.deepEqual(names(ranked), ['Quiet', 'Busy']);
+        assert.equal(ranked[0].reason, 'Recommended: its department has more quota left (1 of 4 per month used vs 3 of 4 per month used).');
+        // Only approved bookings in the same hall and month count towards the quota
+        const [query] = countDocuments.mock.calls[0].arguments;
+        assert.equal(query.status, 'approved');
+        assert.equal(query.auditorium, String(hallA));
+        assert.equal(query.startTime.$gte.toISOString(), '2026-09-30T18:30:00.000Z');
+    });
+});
+
+describe('explainPriority', () => {
+    const policy = { priorityRules: ['category', 'firstCome'] };
+
+    it('explains why the winner had priority', async () => {
+        const winner = request('Dept seminar', at('09:00'), at('11:00'), { eventCategory: 'department' });
+        const loser = request('Club night', at('09:00'), at('11:00'), { eventCategory: 'club' });
+        assert.equal(await explainPriority(winner, loser, policy), 'department event outranks a club event');
+    });
+
+    it('returns null when the approver picked the request the rules rank lower', async () => {
+        const winner = request('Club night', at('09:00'), at('11:00'), { eventCategory: 'club' });
+        const loser = request('Dept seminar', at('09:00'), at('11:00'), { eventCategory: 'department' });
+        assert.equal(await explainPriority(winner, loser, policy), null);
+    });
+});
@@ -0,0 +1,114 @@
+// server/tests/recurrence.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { parseRecurrenceRule, expandRecurrence, MAX_SERIES_OCCURRENCES } = require('../utils/recurrence');
+
+const istTimezone = 'Asia/Kolkata';
+
+// Rule as createBooking gets it after validation
+const rule = (raw) => {
+    const parsed = parseRecurrenceRule(raw);
+    assert.equal(parsed.valid, true, parsed.message);
+    return parsed.rule;
+};
+const toIST = (iso) => DateTime.fromISO(iso).setZone(istTimezone);
+const dates = (occurrences) => occurrences.map(o => toIST(o.startTime).toISODate());
+
+describe('parseRecurrenceRule', () => {
+    it('accepts a JSON string from multipart forms and defaults the interval to 1', () => {
+        const parsed = parseRecurrenceRule('{"frequency":"weekly","count":4}');
+        assert.equal(parsed.valid, true);
+        assert.deepEqual(parsed.rule, { frequency: 'weekly', interval: 1, daysOfWeek: [], endDate: null, count: 4 });
+    });
+
+    it('deduplicates, filters and sorts custom weekdays', () => {
+        assert.deepEqual(rule({ frequency: 'custom', daysOfWeek: [4, '2', 4, 9, 0], count: 3 }).daysOfWeek, [2, 4]);
+    });
+
+    it('rejects a custom rule without weekdays', () => {
+        assert.equal(parseRecurrenceRule({ frequency: 'custom', daysOfWeek: [], count: 3 }).valid, false);
+    });
+
+    it('requires exactly one of endDate and count', () => {
+        assert.equal(parseRecurrenceRule({ frequency: 'daily' }).valid, false);
+        assert.equal(parseRecurrenceRule({ frequency: 'daily', count: 3, endDate: '2026-12-01' }).valid, false);
+    });
+
+    it('bounds the count and the interval', () => {
+        assert.equal(parseRecurrenceRule({ frequency: 'daily', count: 1 }).valid, false);
+        assert.equal(parseRecurrenceRule({ frequency: 'daily', count: MAX_SERIES_OCCURRENCES + 1 }).valid, false);
+        assert.equal(parseRecurrenceRule({ frequency: 'daily', count: 3, interval: 13 }).valid, false);
+        assert.equal(parseRecurrenceRule({ frequency: 'daily', count: 3, interval: 0 }).valid, false);
+    });
+
+    it('rejects unknown frequencies and malformed JSON', () => {
+        assert.equal(parseRecurrenceRule({ frequency: 'monthly', count: 3 }).valid, false);
+        assert.equal(parseRecurrenceRule('{frequency').valid, false);
+    });
+});
+
+describe('expandRecurrence', () => {
+    it('steps daily rules by the interval and keeps the wall-clock time and duration', () => {
+        const result = expandRecurrence('2026-10-20T10:00', '2026-10-20T11:30', rule({ frequency: 'daily', interval: 2, count: 3 }));
+        assert.equal(result.valid, true);
+        assert.deepEqual(dates(result.occurrences), ['2026-10-20', '2026-10-22', '2026-10-24']);
+        for (const occurrence of result.occurrences) {
+            assert.equal(toIST(occurrence.startTime).toFormat('HH:mm'), '10:00');
+            assert.equal(toIST(occurrence.endTime).diff(toIST(occurrence.startTime), 'minutes').minutes, 90);
+        }
+    });
+
+    it('numbers occurrences from 1 in date order', () => {
+        const result = expandRecurrence('2026-10-20T10:00', '2026-10-20T11:00', rule({ frequency: 'daily', count: 4 }));
+        assert.deepEqual(result.occurrences.map(o => o.index), [1, 2, 3, 4]);
+    });
+
+    it('repeats weekly rules on the first occurrence\'s weekday, every n weeks', () => {
+        // 2026-10-20 is a Tuesday
+        const result = expandRecurrence('2026-10-20T09:00', '2026-10-20T10:00', rule({ frequency: 'weekly', interval: 2, count: 3 }));
+        assert.deepEqual(dates(result.occurrences), ['2026-10-20', '2026-11-03', '2026-11-17']);
+    });
+
+    it('fills the chosen weekdays of every nth week for custom rules', () => {
+        const result = expandRecurrence('2026-10-20T09:00', '2026-10-20T10:00', rule({ frequency: 'custom', interval: 2, daysOfWeek: [2, 4], count: 4 }));
+        // Tue and Thu of the first week, then two weeks later (weeks start on Monday)
+        assert.deepEqual(dates(result.occurrences), ['2026-10-20', '2026-10-22', '2026-11-03', '2026-11-05']);
+    });
+
+    it('rejects a custom rule whose start date is not one of its weekdays', () => {
+        const result = expandRecurrence('2026-10-19T09:00', '2026-10-19T10:00', rule({ frequency: 'custom', daysOfWeek: [2, 4], count: 4 }));
+        assert.equal(result.valid, false);
+        assert.match(result.message, /Monday/);
+    });
+
+    it('stops at the end date, including occurrences on that day', () => {
+        const result = expandRecurrence('2026-10-20T18:00', '2026-10-20T19:00', rule({ frequency: 'weekly', endDate: '2026-11-10' }));
+        assert.deepEqual(dates(result.occurrences), ['2026-10-20', '2026-10-27', '2026-11-03', '2026-11-10']);
+    });
+
+    it('rejects an end date before the first occurrence', () => {
+        const result = expandRecurrence('2026-10-20T10:00', '2026-10-20T11:00', rule({ frequency: 'daily', endDate: '2026-10-19' }));
+        assert.equal(result.valid, false);
+    });
+
+    it('rejects rules that yield fewer than two occurrences', () => {
+        const result = expandRecurrence('2026-10-20T10:00', '2026-10-20T11:00', rule({ frequency: 'weekly', endDate: '2026-10-25' }));
+        assert.equal(result.valid, false);
+    });
+
+    it(`allows exactly ${MAX_SERIES_OCCURRENCES} occurrences and rejects an end date that produces more`, () => {
+        const atLimit = expandRecurrence('2026-10-20T10:00', '2026-10-20T11:00', rule({ frequency: 'daily', count: MAX_SERIES_OCCURRENCES }));
+        assert.equal(atLimit.valid, true);
+        assert.equal(atLimit.occurrences.length, MAX_SERIES_OCCURRENCES);
+
+        const overLimit = expandRecurrence('2026-10-20T10:00', '2026-10-20T11:00', rule({ frequency: 'daily', endDate: '2027-03-01' }));
+        assert.equal(overLimit.valid, false);
+        assert.match(overLimit.message, new RegExp(String(MAX_SERIES_OCCURRENCES)));
+    });
+
+    it('rejects a first occurrence that ends before it starts', () => {
+        const result = expandRecurrence('2026-10-20T11:00', '2026-10-20T10:00', rule({ frequency: 'daily', count: 3 }));
+        assert.equal(result.valid, false);
+    });
+});
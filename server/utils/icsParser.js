@@ -0,0 +1,84 @@
+// server/utils/icsParser.js
+const { DateTime } = require('luxon');
+
+const istTimezone = 'Asia/Kolkata';
+
+/**
+ * Undoes RFC 5545 line folding (continuation lines start with a space or tab).
+ */
+const unfoldLines = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const unescapeText = (value) => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+
+/**
+ * Parses a DTSTART/DTEND value. Date-only values are all-day and read in IST;
+ * a trailing Z means UTC, a TZID parameter names the zone, anything else is treated as IST.
+ * @returns {{ dateTime: DateTime, allDay: boolean }|null}
+ */
+const parseIcsDate = (value, params) => {
+    const zone = params.TZID || istTimezone;
+    if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+        const dateTime = DateTime.fromFormat(value, 'yyyyMMdd', { zone: istTimezone });
+        return dateTime.isValid ? { dateTime, allDay: true } : null;
+    }
+    const isUtc = value.endsWith('Z');
+    let dateTime = DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone: isUtc ? 'utc' : zone });
+    // Unknown TZIDs (e.g. Outlook's Windows zone names) fall back to IST
+    if (!dateTime.isValid && !isUtc) { dateTime = DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss", { zone: istTimezone }); }
+    return dateTime.isValid ? { dateTime, allDay: false } : null;
+};
+
+/**
+ * Extracts VEVENTs from an iCalendar (.ics) document.
+ * Recurrence rules (RRULE) are not expanded; only the first instance of a recurring event is imported.
+ * @param {string} text - Raw .ics file contents.
+ * @returns {{ events: Array<{ uid?: string, summary: string, description?: string, start: Date, end: Date, allDay: boolean }>, skipped: number }}
+ */
+exports.parseIcsEvents = (text) => {
+    const events = [];
+    let skipped = 0;
+    let current = null;
+
+    for (const line of unfoldLines(text || '')) {
+        if (line === 'BEGIN:VEVENT') { current = {}; continue; }
+        if (line === 'END:VEVENT') {
+            if (current) {
+                const start = current.DTSTART;
+                // DTEND is exclusive; without one an all-day event lasts one day and a timed event is a single instant
+                const end = current.DTEND || (start?.allDay ? { dateTime: start.dateTime.plus({ days: 1 }), allDay: true } : null);
+                if (start && end && start.dateTime < end.dateTime) {
+                    events.push({
+                        uid: current.UID,
+                        summary: current.SUMMARY || 'Untitled blackout',
+                        description: current.DESCRIPTION,
+                        start: start.dateTime.toUTC().toJSDate(),
+                        end: end.dateTime.toUTC().toJSDate(),
+                        allDay: start.allDay
+                    });
+                } else {
+                    skipped++;
+                }
+            }
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const [name, ...rawParams] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+        const params = Object.fromEntries(rawParams.map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), (v || '').replace(/"/g, '')]));
+
+        switch (name.toUpperCase()) {
+            case 'DTSTART': current.DTSTART = parseIcsDate(value.trim(), params); break;
+            case 'DTEND': current.DTEND = parseIcsDate(value.trim(), params); break;
+            case 'UID': current.UID = value.trim(); break;
+            case 'SUMMARY': current.SUMMARY = unescapeText(value); break;
+            case 'DESCRIPTION': current.DESCRIPTION = unescapeText(value); break;
+            default: break;
+        }
+    }
+
+    return { events, skipped };
+};
@@ -0,0 +1,139 @@
+// server/utils/recurrence.js
+const { DateTime } = require('luxon');
+
+// --- Constants ---
+const istTimezone = 'Asia/Kolkata';
+const MAX_SERIES_OCCURRENCES = 52; // One occurrence per week for a full year is the upper bound
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'custom'];
+
+/**
+ * Normalizes a raw recurrence payload coming from the booking form.
+ * Multipart requests deliver it as a JSON string, JSON requests as an object.
+ * @param {string|object} rawRule - e.g. { frequency: 'custom', interval: 1, daysOfWeek: [2, 4], count: 10 }
+ * @returns {{ valid: boolean, message?: string, rule?: object }}
+ */
+exports.parseRecurrenceRule = (rawRule) => {
+    let rule = rawRule;
+    if (typeof rawRule === 'string') {
+        try {
+            rule = JSON.parse(rawRule);
+        } catch (e) {
+            return { valid: false, message: 'Recurrence rule must be valid JSON.' };
+        }
+    }
+    if (!rule || typeof rule !== 'object') {
+        return { valid: false, message: 'Recurrence rule is missing.' };
+    }
+
+    const frequency = String(rule.frequency || '').toLowerCase();
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        return { valid: false, message: `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}.` };
+    }
+
+    const interval = rule.interval === undefined || rule.interval === '' ? 1 : parseInt(rule.interval, 10);
+    if (isNaN(interval) || interval < 1 || interval > 12) {
+        return { valid: false, message: 'Recurrence interval must be a whole number between 1 and 12.' };
+    }
+
+    // Weekdays use Luxon numbering: 1 = Monday ... 7 = Sunday
+    let daysOfWeek = [];
+    if (frequency === 'custom') {
+        daysOfWeek = [...new Set((Array.isArray(rule.daysOfWeek) ? rule.daysOfWeek : []).map(d => parseInt(d, 10)))]
+            .filter(d => d >= 1 && d <= 7)
+            .sort((a, b) => a - b);
+        if (daysOfWeek.length === 0) {
+            return { valid: false, message: 'Select at least one weekday for a custom recurrence.' };
+        }
+    }
+
+    const hasEndDate = !!rule.endDate;
+    const hasCount = rule.count !== undefined && rule.count !== null && rule.count !== '';
+    if (hasEndDate === hasCount) {
+        return { valid: false, message: 'Provide either an end date or an occurrence count for the recurrence (not both).' };
+    }
+
+    let endDate = null;
+    let count = null;
+    if (hasEndDate) {
+        endDate = DateTime.fromISO(String(rule.endDate), { zone: istTimezone });
+        if (!endDate.isValid) {
+            return { valid: false, message: 'Invalid recurrence end date. Use YYYY-MM-DD.' };
+        }
+    } else {
+        count = parseInt(rule.count, 10);
+        if (isNaN(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+            return { valid: false, message: `Occurrence count must be between 2 and ${MAX_SERIES_OCCURRENCES}.` };
+        }
+    }
+
+    return {
+        valid: true,
+        rule: {
+            frequency,
+            interval,
+            daysOfWeek,
+            endDate: endDate ? endDate.endOf('day').toUTC().toJSDate() : null,
+            count
+        }
+    };
+};
+
+/**
+ * Expands a parsed recurrence rule into concrete occurrences.
+ * The first occurrence's wall-clock time (IST) and duration are reused for every occurrence.
+ * @param {string} startTimeISO - Start of the first occurrence.
+ * @param {string} endTimeISO - End of the first occurrence.
+ * @param {object} rule - A rule returned by parseRecurrenceRule.
+ * @returns {{ valid: boolean, message?: string, occurrences?: Array<{ index: number, startTime: string, endTime: string }> }}
+ */
+exports.expandRecurrence = (startTimeISO, endTimeISO, rule) => {
+    const firstStart = DateTime.fromISO(startTimeISO, { zone: istTimezone });
+    const firstEnd = DateTime.fromISO(endTimeISO, { zone: istTimezone });
+    if (!firstStart.isValid || !firstEnd.isValid || firstStart >= firstEnd) {
+        return { valid: false, message: 'The first occurrence needs a valid start and end time.' };
+    }
+
+    const duration = firstEnd.diff(firstStart);
+    const lastDay = rule.endDate ? DateTime.fromJSDate(rule.endDate).setZone(istTimezone).endOf('day') : null;
+    if (lastDay && lastDay < firstStart) {
+        return { valid: false, message: 'Recurrence end date must be on or after the first occurrence.' };
+    }
+
+    // Weekly is a custom rule on the first occurrence's weekday; daily steps by day offset instead
+    const weekdays = rule.frequency === 'weekly' ? [firstStart.weekday] : rule.daysOfWeek;
+    // The first occurrence is the date the requester picked, so it has to be one of the chosen weekdays
+    if (rule.frequency === 'custom' && !weekdays.includes(firstStart.weekday)) {
+        return { valid: false, message: `The start date is a ${firstStart.toFormat('cccc')}, which is not one of the selected weekdays. Pick a start date on a selected weekday.` };
+    }
+    const firstWeek = firstStart.startOf('week');
+
+    const occurrences = [];
+    let cursor = firstStart;
+    // Hard stop so a bad rule can never loop for long
+    for (let dayOffset = 0; dayOffset <= 366 * 2; dayOffset++, cursor = firstStart.plus({ days: dayOffset })) {
+        if (lastDay && cursor > lastDay) break;
+        if (rule.count && occurrences.length >= rule.count) break;
+
+        const matchesDay = rule.frequency === 'daily'
+            ? dayOffset % rule.interval === 0
+            : weekdays.includes(cursor.weekday) && Math.round(cursor.startOf('week').diff(firstWeek, 'weeks').weeks) % rule.interval === 0;
+        if (!matchesDay) continue;
+
+        if (occurrences.length >= MAX_SERIES_OCCURRENCES) {
+            return { valid: false, message: `A recurring booking cannot have more than ${MAX_SERIES_OCCURRENCES} occurrences.` };
+        }
+        occurrences.push({
+            index: occurrences.length + 1,
+            startTime: cursor.toISO(),
+            endTime: cursor.plus(duration).toISO()
+        });
+    }
+
+    if (occurrences.length < 2) {
+        return { valid: false, message: 'The recurrence rule produces fewer than two occurrences.' };
+    }
+    return { valid: true, occurrences };
+};
+
+exports.MAX_SERIES_OCCURRENCES = MAX_SERIES_OCCURRENCES;
+exports.RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCIES;